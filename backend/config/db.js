@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const logger = require('../utils/logger');
+const Task = require('../models/Task');
 
 // Connection state tracking
 let isConnected = false;
@@ -44,7 +45,7 @@ const connectDB = async () => {
     };
 
     // Get MongoDB URI from environment
-    const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/timeslice';
+    const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/timeslice?replicaSet=rs0';
     
     if (!mongoURI) {
       throw new Error('MONGODB_URI environment variable is not defined');
@@ -83,6 +84,9 @@ const connectDB = async () => {
     // Setup database monitoring
     setupDatabaseMonitoring();
 
+    // Bring indexes on existing databases up to date with the models
+    await setupIndexes();
+
     return connection;
 
   } catch (error) {
@@ -284,6 +288,9 @@ const healthCheck = async () => {
   }
 };
 
+const sameWeights = (a = {}, b = {}) =>
+  Object.keys(a).length === Object.keys(b).length && Object.keys(b).every(field => a[field] === b[field]);
+
 /**
  * Setup database indexes for optimal performance
  */
@@ -291,6 +298,15 @@ const setupIndexes = async () => {
   try {
     logger.info('Setting up database indexes...');
 
+    // Older deployments allowed only one chat per task and participant,
+    // which blocks tasks with several helpers. Dropped first so a failure
+    // building any other index cannot leave it in place.
+    const chatIndexes = await mongoose.connection.collection('chats').indexes().catch(() => []);
+    if (chatIndexes.some(index => index.name === 'taskId_1_participants_1' && index.unique)) {
+      await mongoose.connection.collection('chats').dropIndex('taskId_1_participants_1');
+      logger.info('Dropped the unique chats taskId_1_participants_1 index');
+    }
+
     // User indexes
     await mongoose.connection.collection('users').createIndexes([
       { key: { email: 1 }, unique: true },
@@ -312,6 +328,17 @@ const setupIndexes = async () => {
       { key: { location: '2dsphere' } } // Geospatial index for location-based queries
     ]);
 
+    // The text index is declared on the Task schema. One built from an older
+    // field list blocks it, so drop that and let the model build the current one.
+    const [, textOptions] = Task.schema.indexes().find(([fields]) => Object.values(fields).includes('text'));
+    const taskIndexes = await mongoose.connection.collection('tasks').indexes().catch(() => []);
+    const staleTextIndex = taskIndexes.find(index => index.key._fts === 'text' && !sameWeights(index.weights, textOptions.weights));
+    if (staleTextIndex) {
+      await mongoose.connection.collection('tasks').dropIndex(staleTextIndex.name);
+      await Task.createIndexes();
+      logger.info('Rebuilt the task text index', { dropped: staleTextIndex.name });
+    }
+
     // Application indexes
     await mongoose.connection.collection('applications').createIndexes([
       { key: { applicantId: 1, createdAt: -1 } },
@@ -340,7 +367,8 @@ const setupIndexes = async () => {
     // Chat and Message indexes
     await mongoose.connection.collection('chats').createIndexes([
       { key: { participants: 1, updatedAt: -1 } },
-      { key: { taskId: 1 } }
+      { key: { taskId: 1 } },
+      { key: { taskId: 1, participants: 1 } }
     ]);
 
     await mongoose.connection.collection('messages').createIndexes([
@@ -358,6 +386,25 @@ const setupIndexes = async () => {
   }
 };
 
+/**
+ * Run a unit of work inside a MongoDB transaction.
+ * The callback receives the session and must pass it to every read and write
+ * that should commit or abort together. Requires a replica set deployment.
+ */
+const withTransaction = async (work) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
 /**
  * Clean up old data (maintenance function)
  */
@@ -398,5 +445,6 @@ module.exports = {
   healthCheck,
   setupIndexes,
   cleanupOldData,
+  withTransaction,
   isConnected: () => isConnected
 };
\ No newline at end of file
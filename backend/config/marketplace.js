@@ -0,0 +1,54 @@
+// Marketplace rules shared by routes and services.
+// Values can be overridden through environment variables.
+
+const toNumber = (value, fallback) => {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+module.exports = {
+  credits: {
+    // Credits granted to every new account, recorded in the ledger
+    startingBalance: toNumber(process.env.STARTING_CREDITS, 100)
+  },
+  tasks: {
+    // Most helpers a single task can ask for
+    maxSlots: toNumber(process.env.MAX_TASK_SLOTS, 20),
+    // Tasks per page when browsing, and the most a client may ask for
+    pageSize: toNumber(process.env.TASK_PAGE_SIZE, 20),
+    maxPageSize: toNumber(process.env.TASK_MAX_PAGE_SIZE, 50)
+  },
+  savedSearches: {
+    // Saved filter sets a single user can keep
+    maxPerUser: toNumber(process.env.MAX_SAVED_SEARCHES, 10)
+  },
+  applications: {
+    // Highest application cap a provider can set on a task; later applicants are waitlisted
+    maxCap: toNumber(process.env.MAX_APPLICATIONS_CAP, 50)
+  },
+  skills: {
+    // Lowest skill match score (0-100) that still lets a helper apply
+    minApplicationMatch: toNumber(process.env.MIN_APPLICATION_SKILL_MATCH, 25)
+  },
+  series: {
+    // Recurring series create their occurrences this many days in advance
+    generateAheadDays: toNumber(process.env.SERIES_GENERATE_AHEAD_DAYS, 14)
+  },
+  bookings: {
+    // How many times a provider may send submitted work back for changes
+    maxRevisionRounds: toNumber(process.env.MAX_REVISION_ROUNDS, 3),
+    // Confirmed or in-progress bookings are flagged this many hours after the task should have ended
+    overdueGraceHours: toNumber(process.env.BOOKING_OVERDUE_GRACE_HOURS, 24)
+  },
+  cancellation: {
+    // Cancelling at least this many hours before Task.dateTime has no consequences
+    freeWindowHours: toNumber(process.env.CANCELLATION_FREE_WINDOW_HOURS, 24),
+    // Percent of the escrow paid to the helper when the provider cancels late
+    lateProviderPayoutPercent: toNumber(process.env.LATE_CANCELLATION_PAYOUT_PERCENT, 50),
+    // Percent of the escrow paid to the helper when the provider cancels work already in progress
+    inProgressProviderPayoutPercent: toNumber(process.env.IN_PROGRESS_CANCELLATION_PAYOUT_PERCENT, 75),
+    // Reliability points a helper loses for cancelling late or abandoning work in progress
+    helperLatePenalty: toNumber(process.env.HELPER_LATE_CANCELLATION_PENALTY, 5),
+    helperInProgressPenalty: toNumber(process.env.HELPER_IN_PROGRESS_CANCELLATION_PENALTY, 15)
+  }
+};
@@ -0,0 +1,92 @@
+// Canonical skill names with the spellings people commonly type for them.
+// Matching is case-insensitive, so aliases only need to cover other words.
+// Aliases are only other spellings of the same skill: a narrower or related
+// skill gets its own entry, with `parent` naming the broader skill it sits
+// under, so what users and tasks list is never merged away.
+// Seeds the Skill collection the first time the server starts.
+
+module.exports = [
+  // Software
+  { name: 'JavaScript', category: 'Software', aliases: ['JS', 'ECMAScript', 'ES6'] },
+  { name: 'TypeScript', category: 'Software', aliases: ['TS'], parent: 'JavaScript' },
+  { name: 'React', category: 'Software', aliases: ['ReactJS', 'React.js'], parent: 'JavaScript' },
+  { name: 'Node.js', category: 'Software', aliases: ['Node', 'NodeJS'], parent: 'JavaScript' },
+  { name: 'Python', category: 'Software', aliases: ['Py'] },
+  { name: 'Web Development', category: 'Software', aliases: ['Web Dev', 'Website Building'] },
+  { name: 'HTML', category: 'Software', aliases: ['HTML5'], parent: 'Web Development' },
+  { name: 'CSS', category: 'Software', aliases: ['CSS3'], parent: 'Web Development' },
+  { name: 'Mobile Development', category: 'Software', aliases: ['Mobile Dev', 'App Development'] },
+  { name: 'iOS Development', category: 'Software', aliases: ['iOS', 'iOS Dev'], parent: 'Mobile Development' },
+  { name: 'Android Development', category: 'Software', aliases: ['Android', 'Android Dev'], parent: 'Mobile Development' },
+  { name: 'Databases', category: 'Software', aliases: ['Database'] },
+  { name: 'SQL', category: 'Software', aliases: [], parent: 'Databases' },
+  { name: 'MongoDB', category: 'Software', aliases: ['Mongo'], parent: 'Databases' },
+  { name: 'Database Design', category: 'Software', aliases: ['Data Modeling'], parent: 'Databases' },
+  { name: 'IT Support', category: 'Software', aliases: ['Tech Support', 'Computer Help'] },
+  { name: 'Computer Repair', category: 'Software', aliases: ['PC Repair'], parent: 'IT Support' },
+
+  // Creative
+  { name: 'Graphic Design', category: 'Creative', aliases: ['Graphics Design'] },
+  { name: 'Logo Design', category: 'Creative', aliases: [], parent: 'Graphic Design' },
+  { name: 'UI/UX Design', category: 'Creative', aliases: ['UI/UX', 'UX/UI Design'], parent: 'Graphic Design' },
+  { name: 'UI Design', category: 'Creative', aliases: ['UI'], parent: 'UI/UX Design' },
+  { name: 'UX Design', category: 'Creative', aliases: ['UX'], parent: 'UI/UX Design' },
+  { name: 'Photography', category: 'Creative', aliases: ['Photo', 'Photos'] },
+  { name: 'Video Editing', category: 'Creative', aliases: ['Video Edit'] },
+  { name: 'Video Production', category: 'Creative', aliases: ['Filming'], parent: 'Video Editing' },
+  { name: 'Writing', category: 'Creative', aliases: [] },
+  { name: 'Copywriting', category: 'Creative', aliases: ['Copy Writing'], parent: 'Writing' },
+  { name: 'Content Writing', category: 'Creative', aliases: [], parent: 'Writing' },
+  { name: 'Translation', category: 'Creative', aliases: ['Translating'] },
+  { name: 'Interpreting', category: 'Creative', aliases: ['Interpretation'], parent: 'Translation' },
+  { name: 'Music', category: 'Creative', aliases: ['Music Lessons'] },
+
+  // Home
+  { name: 'Cleaning', category: 'Home', aliases: ['House Cleaning', 'Housekeeping'] },
+  { name: 'Cooking', category: 'Home', aliases: [] },
+  { name: 'Meal Prep', category: 'Home', aliases: ['Meal Preparation'], parent: 'Cooking' },
+  { name: 'Baking', category: 'Home', aliases: [], parent: 'Cooking' },
+  { name: 'Gardening', category: 'Home', aliases: ['Yard Work'] },
+  { name: 'Landscaping', category: 'Home', aliases: [], parent: 'Gardening' },
+  { name: 'Lawn Care', category: 'Home', aliases: ['Lawn Mowing'], parent: 'Gardening' },
+  { name: 'Painting', category: 'Home', aliases: ['House Painting'] },
+  { name: 'Decorating', category: 'Home', aliases: [], parent: 'Painting' },
+  { name: 'Plumbing', category: 'Home', aliases: ['Plumber'], parent: 'Handyman' },
+  { name: 'Electrical', category: 'Home', aliases: ['Electrician', 'Electrical Work'], parent: 'Handyman' },
+  { name: 'Carpentry', category: 'Home', aliases: ['Woodwork', 'Woodworking'], parent: 'Handyman' },
+  { name: 'Furniture Assembly', category: 'Home', aliases: ['IKEA Assembly', 'Flat Pack Assembly'], parent: 'Handyman' },
+  { name: 'Handyman', category: 'Home', aliases: ['Home Repair', 'Repairs', 'DIY'] },
+  { name: 'Moving', category: 'Home', aliases: ['Moving Help', 'Removals'] },
+  { name: 'Heavy Lifting', category: 'Home', aliases: [], parent: 'Moving' },
+
+  // Care
+  { name: 'Pet Care', category: 'Care', aliases: [] },
+  { name: 'Pet Sitting', category: 'Care', aliases: ['Pet Sitter'], parent: 'Pet Care' },
+  { name: 'Dog Walking', category: 'Care', aliases: ['Dog Walker'], parent: 'Pet Care' },
+  { name: 'Childcare', category: 'Care', aliases: ['Child Care', 'Nanny'] },
+  { name: 'Babysitting', category: 'Care', aliases: ['Babysitter'], parent: 'Childcare' },
+  { name: 'Elderly Care', category: 'Care', aliases: ['Senior Care', 'Caregiving'] },
+
+  // Learning
+  { name: 'Tutoring', category: 'Learning', aliases: ['Teaching', 'Homework Help'] },
+  { name: 'Math', category: 'Learning', aliases: ['Maths', 'Mathematics'], parent: 'Tutoring' },
+  { name: 'Languages', category: 'Learning', aliases: ['Language Lessons'], parent: 'Tutoring' },
+  { name: 'ESL', category: 'Learning', aliases: ['English as a Second Language'], parent: 'Languages' },
+
+  // Business
+  { name: 'Marketing', category: 'Business', aliases: [] },
+  { name: 'Digital Marketing', category: 'Business', aliases: ['Online Marketing'], parent: 'Marketing' },
+  { name: 'Social Media', category: 'Business', aliases: ['Social Media Marketing'], parent: 'Marketing' },
+  { name: 'SEO', category: 'Business', aliases: ['Search Engine Optimization'], parent: 'Marketing' },
+  { name: 'Accounting', category: 'Business', aliases: [] },
+  { name: 'Bookkeeping', category: 'Business', aliases: ['Book Keeping'], parent: 'Accounting' },
+  { name: 'Taxes', category: 'Business', aliases: ['Tax Preparation', 'Tax Returns'], parent: 'Accounting' },
+  { name: 'Data Entry', category: 'Business', aliases: ['Typing'] },
+  { name: 'Administration', category: 'Business', aliases: ['Admin', 'Virtual Assistant'] },
+
+  // Errands
+  { name: 'Delivery', category: 'Errands', aliases: ['Courier', 'Pickup'] },
+  { name: 'Driving', category: 'Errands', aliases: ['Driver', 'Transport'] },
+  { name: 'Shopping', category: 'Errands', aliases: [] },
+  { name: 'Grocery Shopping', category: 'Errands', aliases: ['Groceries'], parent: 'Shopping' }
+];
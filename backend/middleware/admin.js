@@ -0,0 +1,9 @@
+// Must run after the auth middleware so req.user is populated
+const admin = (req, res, next) => {
+  if (!req.user || !req.user.isAdmin) {
+    return res.status(403).json({ message: 'Admin access required' });
+  }
+  next();
+};
+
+module.exports = admin;
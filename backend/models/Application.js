@@ -21,13 +21,52 @@ const ApplicationSchema = new mongoose.Schema({
     required: true,
     maxlength: 500
   },
+  // The helper's opening ask; later offers are kept in `offers`
   proposedCredits: {
     type: Number,
     required: true
   },
+  // Negotiation thread, oldest first. The application opens with the helper's
+  // offer and the latest offer is the one waiting for the other side.
+  offers: [{
+    by: {
+      type: String,
+      enum: ['helper', 'provider'],
+      required: true
+    },
+    credits: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    // Start time proposed instead of the task's own
+    dateTime: {
+      type: Date,
+      default: null
+    },
+    message: {
+      type: String,
+      default: '',
+      maxlength: 500
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Terms locked in when an offer is accepted
+  agreedCredits: {
+    type: Number,
+    default: null
+  },
+  agreedDateTime: {
+    type: Date,
+    default: null
+  },
   status: {
     type: String,
-    enum: ['pending', 'accepted', 'rejected', 'withdrawn'],
+    // Waitlisted applications become pending when the task has room under its cap
+    enum: ['pending', 'waitlisted', 'accepted', 'rejected', 'withdrawn'],
     default: 'pending'
   },
   responseMessage: {
@@ -36,7 +75,37 @@ const ApplicationSchema = new mongoose.Schema({
   },
   respondedAt: {
     type: Date
-  }
+  },
+  // The provider's own review progress on a pending application. It and the
+  // notes are private, so they are only loaded when selected explicitly.
+  reviewStage: {
+    type: String,
+    enum: ['new', 'shortlisted', 'interviewing'],
+    default: 'new',
+    select: false
+  },
+  providerNotes: {
+    type: String,
+    default: '',
+    maxlength: 2000,
+    select: false
+  },
+  // Created by accepting the provider's invitation
+  viaInvitation: {
+    type: Boolean,
+    default: false
+  },
+  // How well the applicant's skills covered the task when they applied (0-100)
+  matchScore: {
+    type: Number,
+    default: null
+  },
+  matchedSkills: [{
+    type: String
+  }],
+  missingSkills: [{
+    type: String
+  }]
 }, {
   timestamps: true
 });
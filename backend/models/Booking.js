@@ -1,5 +1,39 @@
 const mongoose = require('mongoose');
 
+// File metadata as returned by the upload route
+const FileSchema = {
+  originalName: String,
+  filename: String,
+  path: String,
+  mimetype: String,
+  size: Number,
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+};
+
+// Shape shared by the latest deliverables and each submission round
+const DeliverablesSchema = {
+  files: [FileSchema],
+  githubLinks: [{
+    url: String,
+    description: String,
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  additionalLinks: [{
+    url: String,
+    description: String,
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+};
+
 const BookingSchema = new mongoose.Schema({
   taskId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -25,9 +59,50 @@ const BookingSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  // Start time agreed during negotiation; the task's dateTime unless a counter-offer moved it
+  scheduledFor: {
+    type: Date
+  },
+  // New start times proposed by either party, oldest first. At most one is pending.
+  rescheduleRequests: [{
+    proposedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['helper', 'taskProvider'],
+      required: true
+    },
+    previousDateTime: {
+      type: Date
+    },
+    proposedDateTime: {
+      type: Date,
+      required: true
+    },
+    message: {
+      type: String,
+      default: '',
+      maxlength: 500
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'declined', 'withdrawn'],
+      default: 'pending'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    },
+    respondedAt: {
+      type: Date
+    }
+  }],
   status: {
     type: String,
-    enum: ['confirmed', 'in-progress', 'work-submitted', 'completed', 'cancelled'],
+    enum: ['confirmed', 'in-progress', 'work-submitted', 'revision-requested', 'disputed', 'completed', 'cancelled'],
     default: 'confirmed'
   },
   helperReview: {
@@ -44,6 +119,10 @@ const BookingSchema = new mongoose.Schema({
   completedAt: {
     type: Date
   },
+  // Set when the booking is still confirmed or in progress long after the task should have ended
+  overdueFlaggedAt: {
+    type: Date
+  },
   chatId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Chat'
@@ -56,31 +135,177 @@ const BookingSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
-  // New deliverables field
-  deliverables: {
-    files: [{
-      originalName: String,
-      filename: String,
-      path: String,
-      mimetype: String,
-      size: Number,
-      uploadedAt: {
-        type: Date,
-        default: Date.now
-      }
-    }],
-    githubLinks: [{
-      url: String,
-      description: String,
-      addedAt: {
+  // Deliverables of the latest submission
+  deliverables: DeliverablesSchema,
+  // Every submission round, oldest first, with the provider's revision note if changes were requested
+  submissions: [{
+    round: {
+      type: Number,
+      required: true
+    },
+    workNote: {
+      type: String,
+      default: ''
+    },
+    deliverables: DeliverablesSchema,
+    submittedAt: {
+      type: Date,
+      default: Date.now
+    },
+    revisionNote: {
+      type: String,
+      default: ''
+    },
+    revisionRequestedAt: {
+      type: Date
+    }
+  }],
+  revisionCount: {
+    type: Number,
+    default: 0
+  },
+  // Copied from the task when the booking is created, with credits scaled to agreedCredits.
+  // Each accepted milestone releases its credits from escrow.
+  milestones: [{
+    milestoneId: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    title: {
+      type: String,
+      required: true
+    },
+    description: {
+      type: String,
+      default: ''
+    },
+    credits: {
+      type: Number,
+      required: true
+    },
+    dueDate: {
+      type: Date
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'submitted', 'changes-requested', 'accepted'],
+      default: 'pending'
+    },
+    workNote: {
+      type: String,
+      default: ''
+    },
+    deliverables: DeliverablesSchema,
+    submittedAt: Date,
+    revisionNote: {
+      type: String,
+      default: ''
+    },
+    acceptedAt: Date
+  }],
+  // Outcome of the cancellation policy, recorded when the booking is cancelled
+  cancellation: {
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    role: {
+      type: String,
+      enum: ['helper', 'taskProvider']
+    },
+    cancelledAt: Date,
+    // Negative once the task start time has passed
+    hoursBeforeStart: Number,
+    rule: {
+      type: String,
+      enum: ['free', 'provider_late', 'provider_in_progress', 'helper_late', 'helper_in_progress']
+    },
+    helperPayout: {
+      type: Number,
+      default: 0
+    },
+    providerRefund: {
+      type: Number,
+      default: 0
+    },
+    reliabilityPenalty: {
+      type: Number,
+      default: 0
+    }
+  },
+  // Present once either party opens a dispute; escrow stays frozen until an admin resolves it
+  dispute: {
+    status: {
+      type: String,
+      enum: ['open', 'resolved']
+    },
+    openedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    openedAt: {
+      type: Date
+    },
+    reason: {
+      type: String,
+      default: ''
+    },
+    // Booking status when the dispute was opened
+    previousStatus: {
+      type: String
+    },
+    statements: [{
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      role: {
+        type: String,
+        enum: ['helper', 'taskProvider', 'admin'],
+        required: true
+      },
+      text: {
+        type: String,
+        default: ''
+      },
+      evidence: [FileSchema],
+      createdAt: {
         type: Date,
         default: Date.now
       }
     }],
-    additionalLinks: [{
-      url: String,
-      description: String,
-      addedAt: {
+    resolution: {
+      outcome: {
+        type: String,
+        enum: ['release', 'refund', 'split']
+      },
+      helperAmount: Number,
+      providerAmount: Number,
+      note: {
+        type: String,
+        default: ''
+      },
+      resolvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      resolvedAt: Date
+    },
+    auditTrail: [{
+      action: {
+        type: String,
+        enum: ['opened', 'statement_added', 'escrow_frozen', 'resolved'],
+        required: true
+      },
+      actorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      details: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+      },
+      at: {
         type: Date,
         default: Date.now
       }
@@ -105,4 +330,8 @@ const BookingSchema = new mongoose.Schema({
   timestamps: true
 });
 
+BookingSchema.index({ 'dispute.status': 1, 'dispute.openedAt': -1 });
+// An application is booked at most once, even when two accepts race
+BookingSchema.index({ applicationId: 1 }, { unique: true });
+
 module.exports = mongoose.model('Booking', BookingSchema);
\ No newline at end of file
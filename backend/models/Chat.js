@@ -22,12 +22,17 @@ const ChatSchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
+  },
+  // Group chats include the task provider and every helper on a multi-slot task
+  isGroup: {
+    type: Boolean,
+    default: false
   }
 }, {
   timestamps: true
 });
 
-// Ensure unique chat per task between two users
-ChatSchema.index({ taskId: 1, participants: 1 }, { unique: true });
+// Not unique: a provider chats with several helpers on multi-slot tasks
+ChatSchema.index({ taskId: 1, participants: 1 });
 
 module.exports = mongoose.model('Chat', ChatSchema);
\ No newline at end of file
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const CreditTransactionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['credit', 'debit'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // User.credits immediately after this entry was applied
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: [
+      'signup_bonus',
+      'opening_balance',
+      'task_payment',
+      'task_earning',
+      'escrow_hold',
+      'escrow_release',
+      'escrow_refund',
+      'cancellation_fee',
+      'cancellation_compensation'
+    ],
+    required: true
+  },
+  // Both legs of a transfer share the same transferId
+  transferId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  counterpartyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  relatedId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  relatedType: {
+    type: String,
+    enum: ['Task', 'Booking', null],
+    default: null
+  },
+  description: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+// Wallet history is always read newest first per user
+CreditTransactionSchema.index({ userId: 1, createdAt: -1 });
+CreditTransactionSchema.index({ transferId: 1 });
+
+module.exports = mongoose.model('CreditTransaction', CreditTransactionSchema);
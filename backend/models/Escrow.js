@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const EscrowSchema = new mongoose.Schema({
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true,
+    unique: true
+  },
+  taskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  // Task provider whose credits are held
+  payerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Helper who receives the credits on release
+  payeeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  releasedAmount: {
+    type: Number,
+    default: 0
+  },
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['held', 'released', 'refunded', 'split'],
+    default: 'held'
+  },
+  // Frozen while the booking is disputed; only a dispute resolution can move the credits
+  frozen: {
+    type: Boolean,
+    default: false
+  },
+  settledAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+EscrowSchema.virtual('remainingAmount').get(function () {
+  return this.amount - this.releasedAmount - this.refundedAmount;
+});
+
+EscrowSchema.set('toJSON', { virtuals: true });
+EscrowSchema.set('toObject', { virtuals: true });
+
+EscrowSchema.index({ payerId: 1, status: 1 });
+EscrowSchema.index({ payeeId: 1, status: 1 });
+
+module.exports = mongoose.model('Escrow', EscrowSchema);
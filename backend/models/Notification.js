@@ -8,7 +8,38 @@ const NotificationSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['task_completed', 'work_submitted', 'application_received', 'application_accepted', 'chat_message'],
+    enum: [
+      'task_completed',
+      'work_submitted',
+      'application_received',
+      'application_accepted',
+      'chat_message',
+      'booking_started',
+      'booking_cancelled',
+      'revision_requested',
+      'dispute_opened',
+      'dispute_updated',
+      'dispute_resolved',
+      'milestone_submitted',
+      'milestone_changes_requested',
+      'milestone_accepted',
+      'series_occurrence_booked',
+      'series_booking_failed',
+      'series_occurrence_removed',
+      'task_expired',
+      'booking_overdue',
+      'saved_search_match',
+      'saved_search_digest',
+      'task_invitation',
+      'application_counter_offer',
+      'counter_offer_accepted',
+      'invitation_accepted',
+      'invitation_declined',
+      'waitlist_promoted',
+      'reschedule_proposed',
+      'reschedule_declined',
+      'booking_rescheduled'
+    ],
     required: true
   },
   title: {
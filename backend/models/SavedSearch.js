@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// A named set of BrowseTasks filters. Users can be alerted about new tasks that
+// match it, either as each task is posted or in a daily digest.
+const SavedSearchSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Same keys as the GET /api/tasks query
+  filters: {
+    search: {
+      type: String,
+      default: ''
+    },
+    skillRequired: {
+      type: String,
+      default: ''
+    },
+    urgency: {
+      type: String,
+      enum: ['', 'low', 'medium', 'high'],
+      default: ''
+    },
+    minDuration: Number,
+    maxDuration: Number,
+    minCredits: Number,
+    maxCredits: Number,
+    // Without it only tasks needing one of the user's skills match
+    showAll: {
+      type: Boolean,
+      default: false
+    }
+  },
+  alerts: {
+    type: String,
+    enum: ['off', 'instant', 'daily'],
+    default: 'off'
+  },
+  // Matches collected for the next daily digest
+  pendingTaskIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  }],
+  lastDigestAt: {
+    type: Date
+  },
+  lastAlertAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+SavedSearchSchema.index({ userId: 1, name: 1 }, { unique: true });
+SavedSearchSchema.index({ alerts: 1 });
+
+module.exports = mongoose.model('SavedSearch', SavedSearchSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// One entry of the skill catalog. Users and tasks store the canonical `name`;
+// anything typed that matches `name` or one of the aliases maps onto it.
+const SkillSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Lower-cased name and aliases, used for lookups and autocomplete
+  key: {
+    type: String,
+    required: true
+  },
+  aliases: [{
+    type: String,
+    trim: true
+  }],
+  aliasKeys: [{
+    type: String
+  }],
+  category: {
+    type: String,
+    default: 'Other',
+    trim: true
+  },
+  // Broader skill this one belongs under, e.g. React under JavaScript
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Skill',
+    default: null
+  },
+  // Refreshed by skillTaxonomyService.syncUsage
+  taskCount: {
+    type: Number,
+    default: 0
+  },
+  userCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+SkillSchema.index({ key: 1 }, { unique: true });
+SkillSchema.index({ aliasKeys: 1 });
+SkillSchema.index({ category: 1, name: 1 });
+
+module.exports = mongoose.model('Skill', SkillSchema);
@@ -18,6 +18,10 @@ const TaskSchema = new mongoose.Schema({
     type: String,
     required: true
   }],
+  // Skills that help but are not needed to apply; they only add to the match score
+  skillsNiceToHave: [{
+    type: String
+  }],
   dateTime: {
     type: Date,
     required: true
@@ -41,18 +45,92 @@ const TaskSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['open', 'in-review', 'assigned', 'in-progress', 'completed', 'cancelled'],
+    enum: ['open', 'in-review', 'assigned', 'in-progress', 'completed', 'cancelled', 'expired'],
     default: 'open'
   },
+  // Set when the sweeper closes an open task whose date passed without a booking
+  expiredAt: {
+    type: Date
+  },
+  // Links between an expired task and the copy posted with a new date
+  repostedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null
+  },
+  repostedAs: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null
+  },
   applicants: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Application'
   }],
+  // How many helpers the task needs; each accepted application fills one slot
+  slots: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  // Set when the sweeper stops filling the remaining slots of a task whose date
+  // passed; the task then settles with the helpers it has
+  slotsClosedAt: {
+    type: Date
+  },
+  // First accepted helper, kept for single-slot tasks
   selectedHelper: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     default: null
   },
+  selectedHelpers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Multi-slot tasks can share one chat between the provider and every helper
+  groupChat: {
+    type: Boolean,
+    default: false
+  },
+  groupChatId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chat',
+    default: null
+  },
+  // Public tasks are listed in browse and the feed, unlisted tasks open only from
+  // their link and invite-only tasks only for the helpers invited below
+  visibility: {
+    type: String,
+    enum: ['public', 'unlisted', 'invite-only'],
+    default: 'public'
+  },
+  // Helpers the provider asked to apply, e.g. from the recommended helpers list
+  invitations: [{
+    helperId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    invitedAt: {
+      type: Date,
+      default: Date.now
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'declined'],
+      default: 'pending'
+    },
+    respondedAt: Date,
+    // The application created when the helper accepted
+    applicationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Application',
+      default: null
+    }
+  }],
+  // False once maxApplications pending or accepted applications are in;
+  // later applicants join the waitlist
   acceptsApplications: {
     type: Boolean,
     default: true
@@ -72,9 +150,52 @@ const TaskSchema = new mongoose.Schema({
   completionNote: {
     type: String,
     default: ''
-  }
+  },
+  // Set on occurrences generated from a recurring series
+  seriesId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaskSeries',
+    default: null
+  },
+  occurrenceDate: {
+    type: Date,
+    default: null
+  },
+  // Edited on its own, so series-wide edits leave it alone
+  seriesDetached: {
+    type: Boolean,
+    default: false
+  },
+  // Optional split of the work; milestone credits add up to `credits`
+  milestones: [{
+    title: {
+      type: String,
+      required: true
+    },
+    description: {
+      type: String,
+      default: ''
+    },
+    credits: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    dueDate: {
+      type: Date,
+      required: true
+    }
+  }]
 }, {
   timestamps: true
 });
 
+TaskSchema.index({ seriesId: 1, occurrenceDate: 1 });
+// Full-text search; taskSearchService mirrors these weights for its fuzzy fallback.
+// setupIndexes rebuilds the index on databases that still have an older field list.
+TaskSchema.index(
+  { title: 'text', skillsRequired: 'text', skillsNiceToHave: 'text', description: 'text' },
+  { name: 'task_text_search', weights: { title: 10, skillsRequired: 5, skillsNiceToHave: 3, description: 1 } }
+);
+
 module.exports = mongoose.model('Task', TaskSchema);
\ No newline at end of file
@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+
+// A recurring task: the template is copied into a new Task for every occurrence
+// the recurrence rule produces, a few days ahead of time.
+const TaskSeriesSchema = new mongoose.Schema({
+  taskProviderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  template: {
+    title: {
+      type: String,
+      required: true
+    },
+    description: {
+      type: String,
+      required: true
+    },
+    skillsRequired: [{
+      type: String
+    }],
+    skillsNiceToHave: [{
+      type: String
+    }],
+    duration: {
+      type: String,
+      required: true
+    },
+    durationInMinutes: {
+      type: Number,
+      required: true
+    },
+    credits: {
+      type: Number,
+      required: true
+    },
+    urgency: {
+      type: String,
+      enum: ['low', 'medium', 'high'],
+      default: 'medium'
+    },
+    slots: {
+      type: Number,
+      default: 1,
+      min: 1
+    },
+    visibility: {
+      type: String,
+      enum: ['public', 'unlisted', 'invite-only'],
+      default: 'public'
+    }
+  },
+  recurrence: {
+    frequency: {
+      type: String,
+      enum: ['daily', 'weekly', 'monthly'],
+      required: true
+    },
+    interval: {
+      type: Number,
+      default: 1,
+      min: 1
+    },
+    // Weekdays for weekly rules, 0 = Sunday
+    byWeekday: [{
+      type: Number,
+      min: 0,
+      max: 6
+    }],
+    // First occurrence; later ones keep its time of day
+    startDate: {
+      type: Date,
+      required: true
+    },
+    until: {
+      type: Date,
+      default: null
+    },
+    count: {
+      type: Number,
+      default: null
+    },
+    // Provider's IANA time zone; weekdays and dates of the rule are counted in it
+    timezone: {
+      type: String,
+      default: 'UTC'
+    },
+    // Original RRULE text when the series was created from a custom rule
+    rule: {
+      type: String,
+      default: ''
+    }
+  },
+  // Book the first accepted helper on every later occurrence
+  keepSameHelper: {
+    type: Boolean,
+    default: false
+  },
+  preferredHelper: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['active', 'cancelled', 'ended'],
+    default: 'active'
+  },
+  // Occurrences up to this date have been generated
+  generatedThrough: {
+    type: Date,
+    default: null
+  },
+  occurrenceCount: {
+    type: Number,
+    default: 0
+  },
+  cancelledAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+TaskSeriesSchema.index({ status: 1, generatedThrough: 1 });
+TaskSeriesSchema.index({ taskProviderId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('TaskSeries', TaskSeriesSchema);
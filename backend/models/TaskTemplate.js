@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// Saved task details a provider can reuse when posting a new task
+const TaskTemplateSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String,
+    required: true
+  },
+  skillsRequired: [{
+    type: String
+  }],
+  skillsNiceToHave: [{
+    type: String
+  }],
+  // Either a preset ("2 hours") or a custom duration ("45 minutes")
+  duration: {
+    type: String,
+    required: true
+  },
+  durationInMinutes: {
+    type: Number,
+    required: true
+  },
+  credits: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  urgency: {
+    type: String,
+    enum: ['low', 'medium', 'high'],
+    default: 'medium'
+  },
+  slots: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  groupChat: {
+    type: Boolean,
+    default: false
+  },
+  lastUsedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+TaskTemplateSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('TaskTemplate', TaskTemplateSchema);
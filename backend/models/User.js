@@ -28,6 +28,11 @@ const UserSchema = new mongoose.Schema({
     type: Boolean,
     default: true // Everyone can accept tasks now
   },
+  // Admins resolve booking disputes; granted directly in the database
+  isAdmin: {
+    type: Boolean,
+    default: false
+  },
   bio: {
     type: String,
     default: ''
@@ -35,9 +40,41 @@ const UserSchema = new mongoose.Schema({
   skills: [{
     type: String
   }],
+  // Secret for the private iCal feed URL; resetting it revokes old links
+  calendarToken: {
+    type: String,
+    unique: true,
+    sparse: true,
+    select: false
+  },
+  // When the helper takes work, in their own time zone. No weekly slots means
+  // any time; blackout dates are YYYY-MM-DD days they are away.
+  availability: {
+    timezone: {
+      type: String,
+      default: 'UTC'
+    },
+    weekly: [{
+      _id: false,
+      day: { type: Number, min: 0, max: 6 },
+      start: String,
+      end: String
+    }],
+    blackoutDates: [{
+      type: String
+    }]
+  },
+  // Current balance; every change is recorded as a CreditTransaction
   credits: {
     type: Number,
-    default: 100
+    default: 0,
+    min: 0
+  },
+  // Credits reserved in escrow for active bookings; not included in `credits`
+  heldCredits: {
+    type: Number,
+    default: 0,
+    min: 0
   },
   rating: {
     type: Number,
@@ -51,10 +88,34 @@ const UserSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Starts at 100 and drops when the user cancels bookings late as a helper
+  reliabilityScore: {
+    type: Number,
+    default: 100,
+    min: 0,
+    max: 100
+  },
+  cancellationCount: {
+    type: Number,
+    default: 0
+  },
+  lateCancellationCount: {
+    type: Number,
+    default: 0
+  },
   tasksCreated: {
     type: Number,
     default: 0
   },
+  // Moving average of how long the user takes to answer a chat message; recent replies weigh most
+  responseTimeMinutes: {
+    type: Number,
+    default: null
+  },
+  responseSamples: {
+    type: Number,
+    default: 0
+  },
   sessions: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Booking'
@@ -1,82 +1,61 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Application = require('../models/Application');
 const Task = require('../models/Task');
 const User = require('../models/User');
-const Booking = require('../models/Booking');
-const Chat = require('../models/Chat');
 const auth = require('../middleware/auth');
+const applicationService = require('../services/applicationService');
+const taskAccessService = require('../services/taskAccessService');
+const availabilityService = require('../services/availabilityService');
+const bookingStateMachine = require('../services/bookingStateMachine');
+const { AppError } = require('../utils/errors');
 
 const router = express.Router();
 
 // Apply for a task
 router.post('/', auth, async (req, res) => {
   try {
-    const { taskId, message, proposedCredits } = req.body;
-
-    if (!req.user.canAcceptTasks) {
-      return res.status(403).json({ message: 'You are not allowed to apply for tasks' });
-    }
+    const { taskId, message, proposedCredits, proposedDateTime } = req.body;
 
     // Get task
-    const task = await Task.findById(taskId);
-    if (!task) {
+    const task = mongoose.isValidObjectId(taskId) ? await Task.findById(taskId) : null;
+    if (!task || !(await taskAccessService.canView(task, req.user))) {
       return res.status(404).json({ message: 'Task not found' });
     }
 
-    if (task.status !== 'open') {
-      return res.status(400).json({ message: 'Task is not accepting applications' });
-    }
-
-    if (task.taskProviderId.toString() === req.user.id) {
-      return res.status(400).json({ message: 'Cannot apply to your own task' });
-    }
-
-    // Check if user already applied
-    const existingApplication = await Application.findOne({
-      taskId,
-      applicantId: req.user.id
-    });
-
-    if (existingApplication) {
-      return res.status(400).json({ message: 'You have already applied for this task' });
-    }
-
-    // Check if helper has required skills
-    const hasRequiredSkills = task.skillsRequired.some(skill => 
-      req.user.skills.includes(skill)
-    );
-
-    if (!hasRequiredSkills) {
-      return res.status(400).json({ 
-        message: 'You do not have the required skills for this task' 
-      });
+    if (task.visibility === 'invite-only' && !taskAccessService.isInvited(task, req.user.id)) {
+      return res.status(403).json({ message: 'This task is open to invited helpers only' });
     }
 
-    // Create application
-    const application = new Application({
-      taskId,
-      applicantId: req.user.id,
-      taskProviderId: task.taskProviderId,
+    const application = await applicationService.apply({
+      task,
+      helper: req.user,
       message,
-      proposedCredits: proposedCredits || task.credits
+      proposedCredits,
+      proposedDateTime
     });
 
-    await application.save();
-
-    // Add application to task
-    task.applicants.push(application._id);
-    if (task.applicants.length >= task.maxApplications) {
-      task.acceptsApplications = false;
-    }
-    await task.save();
-
     await application.populate([
       { path: 'applicantId', select: 'username rating skills' },
       { path: 'taskId', select: 'title' }
     ]);
 
-    res.status(201).json(application);
+    // Applying outside the helper's own hours is allowed, but they should know
+    const scheduleProblem = availabilityService.scheduleProblem(
+      req.user,
+      availabilityService.slotFor(task, applicationService.currentOffer(application).dateTime)
+    );
+
+    res.status(201).json({
+      ...applicationService.helperView(application),
+      availabilityWarning: scheduleProblem === 'blackout'
+        ? 'This task falls on one of your blackout dates'
+        : scheduleProblem === 'outside-hours' ? 'This task is outside your weekly availability' : null
+    });
   } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
     console.error(error);
     res.status(500).json({ message: 'Server error' });
   }
@@ -86,11 +65,12 @@ router.post('/', auth, async (req, res) => {
 router.get('/my-applications', auth, async (req, res) => {
   try {
     const applications = await Application.find({ applicantId: req.user.id })
+      .select('+reviewStage')
       .populate('taskId', 'title description dateTime credits status')
       .populate('taskProviderId', 'username rating')
       .sort({ createdAt: -1 });
 
-    res.json(applications);
+    res.json(applications.map(application => applicationService.helperView(application)));
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server error' });
@@ -101,7 +81,8 @@ router.get('/my-applications', auth, async (req, res) => {
 router.get('/received', auth, async (req, res) => {
   try {
     const applications = await Application.find({ taskProviderId: req.user.id })
-      .populate('taskId', 'title description dateTime credits')
+      .select('+reviewStage +providerNotes')
+      .populate('taskId', 'title description dateTime credits status maxApplications acceptsApplications')
       .populate('applicantId', 'username rating skills completedTasks')
       .sort({ createdAt: -1 });
 
@@ -112,6 +93,55 @@ router.get('/received', auth, async (req, res) => {
   }
 });
 
+// Reject several applications with one templated message (provider only).
+// Body: { applicationIds: [...], responseMessage: 'Hi {helper}, ...' }
+router.post('/bulk-reject', auth, async (req, res) => {
+  try {
+    const result = await applicationService.bulkReject({
+      actor: req.user,
+      applicationIds: req.body.applicationIds,
+      responseMessage: req.body.responseMessage,
+      io: req.app.get('io')
+    });
+
+    res.json({
+      message: `Rejected ${result.rejected.length} application${result.rejected.length === 1 ? '' : 's'}`,
+      ...result
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Move a pending application through shortlisted and interviewing, with private notes (provider only)
+router.put('/:applicationId/review', auth, async (req, res) => {
+  try {
+    const application = await Application.findById(req.params.applicationId).select('+reviewStage +providerNotes');
+    if (!application) {
+      return res.status(404).json({ message: 'Application not found' });
+    }
+
+    await applicationService.review({
+      application,
+      actor: req.user,
+      stage: req.body.stage,
+      providerNotes: req.body.providerNotes
+    });
+
+    res.json(application);
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Respond to application (accept/reject)
 router.put('/:applicationId/respond', auth, async (req, res) => {
   try {
@@ -133,63 +163,134 @@ router.put('/:applicationId/respond', auth, async (req, res) => {
       return res.status(403).json({ message: 'Not authorized' });
     }
 
-    if (application.status !== 'pending') {
-      return res.status(400).json({ message: 'Application already processed' });
+    // Waitlisted applications can be turned down but not accepted ahead of the queue
+    if (application.status !== 'pending' && !(application.status === 'waitlisted' && status === 'rejected')) {
+      return res.status(400).json({
+        message: application.status === 'waitlisted'
+          ? 'This application is on the waitlist. Raise the application cap to review it.'
+          : 'Application already processed'
+      });
     }
 
-    application.status = status;
-    application.responseMessage = responseMessage || '';
-    application.respondedAt = new Date();
-
     if (status === 'accepted') {
-      // Update task
-      const task = application.taskId;
-      task.status = 'assigned';
-      task.selectedHelper = application.applicantId._id;
-      await task.save();
-
-      // Create booking
-      const booking = new Booking({
-        taskId: task._id,
-        applicationId: application._id,
-        helper: application.applicantId._id,
-        taskProvider: req.user.id,
-        agreedCredits: agreedCredits || application.proposedCredits
+      // Acceptance locks in the helper's latest offer; different terms need a counter-offer
+      const offer = applicationService.currentOffer(application);
+      if (offer.by === 'provider') {
+        return res.status(400).json({ message: 'Your counter-offer is waiting for the helper to answer' });
+      }
+      if (agreedCredits !== undefined && agreedCredits !== null && agreedCredits !== '' &&
+        Number(agreedCredits) !== offer.credits) {
+        return res.status(400).json({
+          message: `The helper's offer is ${offer.credits} credits. Send a counter-offer to change it.`,
+          offeredCredits: offer.credits
+        });
+      }
+
+      await applicationService.acceptOffer({
+        application,
+        task: application.taskId,
+        helperId: application.applicantId._id,
+        providerId: req.user.id,
+        responseMessage
       });
+    } else {
+      application.status = status;
+      application.responseMessage = responseMessage || '';
+      application.respondedAt = new Date();
+      await application.save();
 
-      await booking.save();
+      await applicationService.promoteFromWaitlist(application.taskId, req.app.get('io'));
+    }
 
-      // Create chat for communication
-      const chat = new Chat({
-        taskId: task._id,
-        participants: [req.user.id, application.applicantId._id]
-      });
+    res.json(application);
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Counter the current offer with new credits and optionally a new start time
+router.post('/:applicationId/offers', auth, async (req, res) => {
+  try {
+    const application = await Application.findById(req.params.applicationId);
+    if (!application) {
+      return res.status(404).json({ message: 'Application not found' });
+    }
 
-      await chat.save();
+    const task = await Task.findById(application.taskId);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
 
-      // Link chat to booking
-      booking.chatId = chat._id;
-      await booking.save();
+    const { credits, dateTime, message } = req.body;
+    await applicationService.counterOffer({
+      application,
+      task,
+      actor: req.user,
+      credits,
+      dateTime,
+      message,
+      io: req.app.get('io')
+    });
 
-      // Reject other pending applications for this task
-      await Application.updateMany(
-        { 
-          taskId: task._id, 
-          _id: { $ne: application._id },
-          status: 'pending' 
-        },
-        { 
-          status: 'rejected',
-          responseMessage: 'Task has been assigned to another helper',
-          respondedAt: new Date()
-        }
-      );
+    res.status(201).json(application);
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
     }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    await application.save();
+// Helper accepts the provider's counter-offer, which books them on its terms
+router.post('/:applicationId/offers/accept', auth, async (req, res) => {
+  try {
+    const application = await Application.findById(req.params.applicationId).populate('taskId');
+    if (!application) {
+      return res.status(404).json({ message: 'Application not found' });
+    }
+
+    if (application.applicantId.toString() !== req.user.id) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    if (application.status !== 'pending') {
+      return res.status(400).json({ message: 'Application already processed' });
+    }
+
+    const offer = applicationService.currentOffer(application);
+    if (offer.by !== 'provider') {
+      return res.status(400).json({ message: 'There is no counter-offer from the provider to accept' });
+    }
+
+    const task = application.taskId;
+    const booking = await applicationService.acceptOffer({
+      application,
+      task,
+      helperId: req.user.id,
+      providerId: application.taskProviderId,
+      responseMessage: offer.message
+    });
+
+    await bookingStateMachine.sendNotification(req.app.get('io'), {
+      userId: application.taskProviderId,
+      type: 'counter_offer_accepted',
+      title: 'Counter-Offer Accepted',
+      message: `${req.user.username} accepted your offer of ${offer.credits} credits for "${task.title}"`,
+      relatedId: booking._id,
+      relatedType: 'Booking',
+      metadata: { taskTitle: task.title, credits: offer.credits }
+    });
 
     res.json(application);
   } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
     console.error(error);
     res.status(500).json({ message: 'Server error' });
   }
@@ -208,17 +309,20 @@ router.put('/:applicationId/withdraw', auth, async (req, res) => {
       return res.status(403).json({ message: 'Not authorized' });
     }
 
-    if (application.status !== 'pending') {
+    if (!['pending', 'waitlisted'].includes(application.status)) {
       return res.status(400).json({ message: 'Cannot withdraw non-pending application' });
     }
 
     application.status = 'withdrawn';
     await application.save();
 
-    // Remove from task applicants
-    await Task.findByIdAndUpdate(application.taskId, {
+    // Remove from task applicants; the freed place goes to the next on the waitlist
+    const task = await Task.findByIdAndUpdate(application.taskId, {
       $pull: { applicants: application._id }
-    });
+    }, { new: true });
+    if (task) {
+      await applicationService.promoteFromWaitlist(task, req.app.get('io'));
+    }
 
     res.json(application);
   } catch (error) {
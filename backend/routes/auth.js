@@ -3,6 +3,10 @@ const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
+const creditService = require('../services/creditService');
+const marketplaceConfig = require('../config/marketplace');
+const { withTransaction } = require('../config/db');
+const { normalizeSkills } = require('../utils/skills');
 
 const router = express.Router();
 
@@ -33,12 +37,24 @@ router.post('/signup', async (req, res) => {
       passwordHash,
       primaryRole,
       bio: bio || '',
-      skills: skills || [],
+      skills: normalizeSkills(skills),
+      credits: 0, // Starting credits are granted through the ledger below
       canCreateTasks: true, // Everyone can create tasks
       canAcceptTasks: true  // Everyone can accept tasks
     });
 
-    await user.save();
+    await withTransaction(async (session) => {
+      await user.save({ session });
+
+      const entry = await creditService.grant({
+        userId: user._id,
+        amount: marketplaceConfig.credits.startingBalance,
+        reason: 'signup_bonus',
+        description: 'Welcome credits'
+      }, session);
+
+      user.credits = entry.balanceAfter;
+    });
 
     // Generate JWT
     const payload = { userId: user.id };
@@ -55,6 +71,7 @@ router.post('/signup', async (req, res) => {
         primaryRole: user.primaryRole,
         canCreateTasks: user.canCreateTasks,
         canAcceptTasks: user.canAcceptTasks,
+        isAdmin: user.isAdmin,
         credits: user.credits,
         skills: user.skills
       }
@@ -102,6 +119,7 @@ router.post('/login', async (req, res) => {
         primaryRole: user.primaryRole,
         canCreateTasks: user.canCreateTasks,
         canAcceptTasks: user.canAcceptTasks,
+        isAdmin: user.isAdmin,
         credits: user.credits,
         skills: user.skills
       }
@@ -1,10 +1,14 @@
 const express = require('express');
 const Booking = require('../models/Booking');
-const Task = require('../models/Task');
 const User = require('../models/User');
 const Application = require('../models/Application');
-const { createNotification } = require('./notifications');
 const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+const bookingStateMachine = require('../services/bookingStateMachine');
+const disputeService = require('../services/disputeService');
+const milestoneService = require('../services/milestoneService');
+const rescheduleService = require('../services/rescheduleService');
+const { AppError } = require('../utils/errors');
 
 const router = express.Router();
 
@@ -42,6 +46,19 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
+// List disputes for admins (open by default, ?status=resolved for history)
+router.get('/disputes', auth, admin, async (req, res) => {
+  try {
+    const disputes = await disputeService.listDisputes({
+      status: req.query.status === 'resolved' ? 'resolved' : 'open'
+    });
+    res.json(disputes);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get specific booking details
 router.get('/:bookingId', auth, async (req, res) => {
   try {
@@ -57,16 +74,18 @@ router.get('/:bookingId', auth, async (req, res) => {
         { path: 'helper', select: 'username rating completedTasks bio skills' },
         { path: 'taskProvider', select: 'username rating completedTasks bio skills' },
         { path: 'applicationId', populate: { path: 'applicantId', select: 'username' } },
-        { path: 'chatId' }
+        { path: 'chatId' },
+        { path: 'dispute.statements.userId', select: 'username' }
       ]);
 
     if (!booking) {
       return res.status(404).json({ message: 'Booking not found' });
     }
 
-    // Check if user is part of this booking
+    // Check if user is part of this booking; admins can view any booking to review disputes
     if (booking.helper._id.toString() !== req.user.id && 
-        booking.taskProvider._id.toString() !== req.user.id) {
+        booking.taskProvider._id.toString() !== req.user.id &&
+        !req.user.isAdmin) {
       return res.status(403).json({ message: 'Unauthorized' });
     }
 
@@ -77,89 +96,268 @@ router.get('/:bookingId', auth, async (req, res) => {
   }
 });
 
-// Update booking status with deliverables
+// Preview the credits and reliability consequences of cancelling now
+router.get('/:bookingId/cancellation-preview', auth, async (req, res) => {
+  try {
+    const preview = await bookingStateMachine.previewCancellation(req.params.bookingId, req.user);
+    res.json(preview);
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update booking status with deliverables.
+// Allowed moves, who may make them and their side effects live in the booking state machine.
 router.put('/:bookingId/status', auth, async (req, res) => {
   try {
-    const { status, workNote, deliverables } = req.body;
-    const booking = await Booking.findById(req.params.bookingId);
+    const { status, workNote, deliverables, completionNote, revisionNote } = req.body;
+
+    const booking = await bookingStateMachine.transition({
+      bookingId: req.params.bookingId,
+      to: status,
+      actor: req.user,
+      payload: { workNote, deliverables, completionNote, revisionNote },
+      io: req.app.get('io')
+    });
+    
+    // Return populated booking
+    const updatedBooking = await Booking.findById(booking._id)
+      .populate([
+        { path: 'taskId', populate: { path: 'taskProviderId', select: 'username rating' } },
+        { path: 'helper', select: 'username rating' },
+        { path: 'taskProvider', select: 'username rating' }
+      ]);
+    
+    res.json(updatedBooking);
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    if (!booking) {
-      return res.status(404).json({ message: 'Booking not found' });
+// Propose a new start time for a confirmed booking
+router.post('/:bookingId/reschedule', auth, async (req, res) => {
+  try {
+    const { dateTime, message } = req.body;
+
+    const booking = await rescheduleService.propose({
+      bookingId: req.params.bookingId,
+      actor: req.user,
+      dateTime,
+      message,
+      io: req.app.get('io')
+    });
+
+    res.status(201).json(booking);
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
     }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    // Check authorization
-    if (booking.helper.toString() !== req.user.id && 
-        booking.taskProvider.toString() !== req.user.id) {
-      return res.status(403).json({ message: 'Unauthorized' });
+// The other party accepts a proposed time, moving the booking and task
+router.post('/:bookingId/reschedule/:requestId/accept', auth, async (req, res) => {
+  try {
+    const booking = await rescheduleService.respond({
+      bookingId: req.params.bookingId,
+      requestId: req.params.requestId,
+      actor: req.user,
+      accept: true,
+      io: req.app.get('io')
+    });
+
+    res.json(booking);
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
     }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    const oldStatus = booking.status;
-    booking.status = status;
+// The other party declines a proposed time; the booking keeps its current time
+router.post('/:bookingId/reschedule/:requestId/decline', auth, async (req, res) => {
+  try {
+    const booking = await rescheduleService.respond({
+      bookingId: req.params.bookingId,
+      requestId: req.params.requestId,
+      actor: req.user,
+      accept: false,
+      io: req.app.get('io')
+    });
 
-    if (status === 'in-progress' && oldStatus === 'confirmed') {
-      booking.startedAt = new Date();
-      // Update task status
-      await Task.findByIdAndUpdate(booking.taskId, { status: 'in-progress' });
+    res.json(booking);
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
     }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    // Helper submits work for review
-    if (status === 'work-submitted') {
-      booking.workSubmissionNote = workNote || '';
-      
-      // Add deliverables if provided
-      if (deliverables) {
-        booking.deliverables = {
-          files: deliverables.files || [],
-          githubLinks: deliverables.githubLinks || [],
-          additionalLinks: deliverables.additionalLinks || []
-        };
-      }
-      
-      // Update task to show work is submitted
-      await Task.findByIdAndUpdate(booking.taskId, { 
-        completedByHelper: true 
-      });
+// The proposer withdraws a time the other party has not answered yet
+router.post('/:bookingId/reschedule/:requestId/withdraw', auth, async (req, res) => {
+  try {
+    const booking = await rescheduleService.withdraw({
+      bookingId: req.params.bookingId,
+      requestId: req.params.requestId,
+      actor: req.user
+    });
 
-      // Create notification for task provider
-      await createNotification({
-        userId: booking.taskProvider,
-        type: 'work_submitted',
-        title: 'Work Submitted for Review',
-        message: `Helper has submitted work for task: ${booking.taskId.title}`,
-        relatedId: booking._id,
-        relatedType: 'Booking',
-        actionRequired: true,
-        metadata: {
-          taskTitle: booking.taskId.title,
-          helperName: req.user.username,
-          hasFiles: deliverables?.files?.length > 0,
-          hasGithubLinks: deliverables?.githubLinks?.length > 0
-        }
-      });
+    res.json(booking);
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
     }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    if (status === 'cancelled') {
-      // Update task back to open if cancelled early
-      if (oldStatus === 'confirmed') {
-        await Task.findByIdAndUpdate(booking.taskId, { 
-          status: 'open',
-          selectedHelper: null 
-        });
-      }
+// Helper submits deliverables for one milestone
+router.put('/:bookingId/milestones/:milestoneId/submit', auth, async (req, res) => {
+  try {
+    const { workNote, deliverables } = req.body;
+
+    const booking = await milestoneService.submit({
+      bookingId: req.params.bookingId,
+      milestoneId: req.params.milestoneId,
+      actor: req.user,
+      workNote,
+      deliverables,
+      io: req.app.get('io')
+    });
+
+    res.json(booking);
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
     }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    await booking.save();
-    
-    // Return populated booking
-    const updatedBooking = await Booking.findById(booking._id)
-      .populate([
-        { path: 'taskId', populate: { path: 'taskProviderId', select: 'username rating' } },
-        { path: 'helper', select: 'username rating' },
-        { path: 'taskProvider', select: 'username rating' }
-      ]);
-    
-    res.json(updatedBooking);
+// Provider sends a submitted milestone back for changes
+router.put('/:bookingId/milestones/:milestoneId/request-changes', auth, async (req, res) => {
+  try {
+    const booking = await milestoneService.requestChanges({
+      bookingId: req.params.bookingId,
+      milestoneId: req.params.milestoneId,
+      actor: req.user,
+      revisionNote: req.body.revisionNote,
+      io: req.app.get('io')
+    });
+
+    res.json(booking);
   } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Provider accepts a milestone and releases its share of the escrow
+router.put('/:bookingId/milestones/:milestoneId/accept', auth, async (req, res) => {
+  try {
+    const booking = await milestoneService.accept({
+      bookingId: req.params.bookingId,
+      milestoneId: req.params.milestoneId,
+      actor: req.user,
+      completionNote: req.body.completionNote,
+      io: req.app.get('io')
+    });
+
+    res.json(booking);
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Open a dispute on an active booking. Evidence files come from /api/upload/files.
+router.post('/:bookingId/dispute', auth, async (req, res) => {
+  try {
+    const { reason, statement, evidence } = req.body;
+
+    const booking = await disputeService.open({
+      bookingId: req.params.bookingId,
+      actor: req.user,
+      reason,
+      statement,
+      evidence,
+      io: req.app.get('io')
+    });
+
+    res.status(201).json(booking);
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add a statement or more evidence to an open dispute
+router.post('/:bookingId/dispute/statements', auth, async (req, res) => {
+  try {
+    const { text, evidence } = req.body;
+
+    const booking = await disputeService.addStatement({
+      bookingId: req.params.bookingId,
+      actor: req.user,
+      text,
+      evidence,
+      io: req.app.get('io')
+    });
+
+    res.status(201).json(booking.dispute);
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Admin decision on a dispute: release, refund or split the escrowed credits
+router.put('/:bookingId/dispute/resolve', auth, admin, async (req, res) => {
+  try {
+    const { outcome, helperAmount, note } = req.body;
+
+    const booking = await disputeService.resolve({
+      bookingId: req.params.bookingId,
+      actor: req.user,
+      outcome,
+      helperAmount,
+      note,
+      io: req.app.get('io')
+    });
+
+    res.json(booking);
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
     console.error(error);
     res.status(500).json({ message: 'Server error' });
   }
@@ -180,8 +378,10 @@ router.put('/:bookingId/deliverables', auth, async (req, res) => {
       return res.status(403).json({ message: 'Only helper can submit deliverables' });
     }
 
-    if (booking.status !== 'in-progress' && booking.status !== 'work-submitted') {
-      return res.status(400).json({ message: 'Can only submit deliverables for in-progress or work-submitted tasks' });
+    // Once work is submitted the provider reviews that round's deliverables, which
+    // stay as recorded until they request changes
+    if (booking.status !== 'in-progress' && booking.status !== 'revision-requested') {
+      return res.status(400).json({ message: 'Can only update deliverables while the task is in progress or changes are requested' });
     }
 
     // Update deliverables
@@ -0,0 +1,76 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const auth = require('../middleware/auth');
+const calendarService = require('../services/calendarService');
+
+const router = express.Router();
+
+// The private iCal feed. No login: calendar apps cannot send one, so the
+// secret token in the URL is the credential.
+router.get('/feed/:token.ics', async (req, res) => {
+  try {
+    const calendar = await calendarService.feedForToken(req.params.token);
+    if (!calendar) {
+      return res.status(404).json({ message: 'Calendar feed not found' });
+    }
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Cache-Control', 'private, max-age=300');
+    res.send(calendar);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the user's feed URL, creating its secret on first use
+router.get('/feed-url', auth, async (req, res) => {
+  try {
+    const token = await calendarService.feedToken(req.user);
+    res.json({ url: calendarService.feedUrl(req, token) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Replace the feed secret so a leaked URL stops working
+router.post('/feed-url/reset', auth, async (req, res) => {
+  try {
+    const token = await calendarService.resetFeedToken(req.user);
+    res.json({ url: calendarService.feedUrl(req, token) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Download one booking as an .ics file (helper or task provider only)
+router.get('/bookings/:bookingId.ics', auth, async (req, res) => {
+  try {
+    const booking = mongoose.isValidObjectId(req.params.bookingId)
+      ? await Booking.findById(req.params.bookingId)
+        .populate('taskId', 'title description dateTime durationInMinutes')
+        .populate('helper', 'username')
+        .populate('taskProvider', 'username')
+      : null;
+
+    if (!booking || !booking.taskId) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    if (booking.helper._id.toString() !== req.user.id && booking.taskProvider._id.toString() !== req.user.id) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="booking-${booking._id}.ics"`);
+    res.send(calendarService.bookingCalendar(booking, req.user._id));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -4,6 +4,8 @@ const Message = require('../models/Message');
 const Task = require('../models/Task');
 const Application = require('../models/Application');
 const auth = require('../middleware/auth');
+const responseTimeService = require('../services/responseTimeService');
+const logger = require('../utils/logger');
 
 const router = express.Router();
 
@@ -172,6 +174,12 @@ router.post('/:chatId/messages', auth, async (req, res) => {
 
     await message.save();
 
+    // Feeds the response time used when recommending helpers. Runs in the
+    // background: the message is sent either way, and a retry would send it twice.
+    responseTimeService.recordMessage(message).catch(error => {
+      logger.logError(error, { context: 'response_time', messageId: message._id.toString() });
+    });
+
     // Update chat last activity and message
     chat.lastMessage = message._id;
     chat.lastActivity = new Date();
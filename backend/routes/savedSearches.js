@@ -0,0 +1,67 @@
+const express = require('express');
+const SavedSearch = require('../models/SavedSearch');
+const auth = require('../middleware/auth');
+const savedSearchService = require('../services/savedSearchService');
+const { AppError } = require('../utils/errors');
+
+const router = express.Router();
+
+// Get the user's saved searches
+router.get('/', auth, async (req, res) => {
+  try {
+    const searches = await SavedSearch.find({ userId: req.user.id })
+      .select('-pendingTaskIds')
+      .sort({ name: 1 });
+
+    res.json(searches);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Save a filter set, optionally with alerts ("instant" or "daily")
+router.post('/', auth, async (req, res) => {
+  try {
+    const savedSearch = await savedSearchService.create(req.user, req.body);
+    res.status(201).json(savedSearch);
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Rename, change filters or change alerts
+router.put('/:searchId', auth, async (req, res) => {
+  try {
+    const savedSearch = await savedSearchService.update(req.params.searchId, req.user, req.body);
+    res.json(savedSearch);
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a saved search
+router.delete('/:searchId', auth, async (req, res) => {
+  try {
+    const savedSearch = await savedSearchService.loadOwned(req.params.searchId, req.user);
+    await savedSearch.deleteOne();
+
+    res.json({ message: 'Saved search deleted' });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
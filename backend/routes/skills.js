@@ -0,0 +1,100 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+const skillTaxonomyService = require('../services/skillTaxonomyService');
+const { AppError } = require('../utils/errors');
+
+const router = express.Router();
+
+// Suggest catalog skills for what the user is typing (?q=rea&limit=10).
+// Public so the sign-up form can use it.
+router.get('/autocomplete', async (req, res) => {
+  try {
+    const suggestions = await skillTaxonomyService.autocomplete(req.query.q, req.query.limit);
+    res.json(suggestions);
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// The whole catalog with usage counts, optionally for one category
+router.get('/', async (req, res) => {
+  try {
+    const skills = await skillTaxonomyService.list({ category: req.query.category });
+    res.json(skills);
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add a skill to the catalog (admin only)
+router.post('/', auth, admin, async (req, res) => {
+  try {
+    const skill = await skillTaxonomyService.create(req.body);
+    res.status(201).json(skill);
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Recount usage and pick up skills typed since the last sync (admin only)
+router.post('/sync', auth, admin, async (req, res) => {
+  try {
+    const result = await skillTaxonomyService.syncUsage();
+    res.json(result);
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Rename a skill or change its aliases, category or parent (admin only)
+router.put('/:skillId', auth, admin, async (req, res) => {
+  try {
+    const skill = await skillTaxonomyService.update(req.params.skillId, req.body);
+    res.json(skill);
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Merge duplicate skills into this one (admin only). Body: { duplicateIds: [...] }
+router.post('/:skillId/merge', auth, admin, async (req, res) => {
+  try {
+    const result = await skillTaxonomyService.merge({
+      targetId: req.params.skillId,
+      duplicateIds: req.body.duplicateIds
+    });
+    res.json({
+      message: `Merged ${result.merged.join(', ')} into ${result.skill.name}`,
+      ...result
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
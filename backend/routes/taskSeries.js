@@ -0,0 +1,95 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const taskSeriesService = require('../services/taskSeriesService');
+const { AppError } = require('../utils/errors');
+
+const router = express.Router();
+
+// Create a recurring series; its first occurrences are generated right away
+router.post('/', auth, async (req, res) => {
+  try {
+    if (!req.user.canCreateTasks) {
+      return res.status(403).json({ message: 'You are not allowed to create tasks' });
+    }
+
+    const series = await taskSeriesService.create({
+      provider: req.user,
+      body: req.body,
+      io: req.app.get('io')
+    });
+
+    res.status(201).json(await taskSeriesService.getSeries(series._id, req.user));
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the provider's series with their upcoming occurrences
+router.get('/', auth, async (req, res) => {
+  try {
+    res.json(await taskSeriesService.listForProvider(req.user));
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get one series with all of its occurrences
+router.get('/:seriesId', auth, async (req, res) => {
+  try {
+    res.json(await taskSeriesService.getSeries(req.params.seriesId, req.user));
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Edit the whole series; single occurrences are edited through PUT /api/tasks/:taskId
+router.put('/:seriesId', auth, async (req, res) => {
+  try {
+    const series = await taskSeriesService.update({
+      seriesId: req.params.seriesId,
+      actor: req.user,
+      body: req.body,
+      io: req.app.get('io')
+    });
+
+    res.json(await taskSeriesService.getSeries(series._id, req.user));
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Cancel the whole series; single occurrences are cancelled through DELETE /api/tasks/:taskId
+router.delete('/:seriesId', auth, async (req, res) => {
+  try {
+    const { cancelledOccurrences } = await taskSeriesService.cancel({
+      seriesId: req.params.seriesId,
+      actor: req.user
+    });
+
+    res.json({ message: 'Series cancelled', cancelledOccurrences });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,135 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const TaskTemplate = require('../models/TaskTemplate');
+const auth = require('../middleware/auth');
+const taskSeriesService = require('../services/taskSeriesService');
+const { AppError } = require('../utils/errors');
+
+const router = express.Router();
+
+const TEMPLATE_FIELDS = ['title', 'description', 'skillsRequired', 'skillsNiceToHave', 'duration', 'credits', 'urgency', 'slots', 'groupChat'];
+
+// Task details are checked the same way as a series template; the name is the template's own
+const buildTemplateFields = (input, existing = {}) => {
+  const fields = taskSeriesService.buildTemplate(input, existing, TEMPLATE_FIELDS);
+
+  const name = String((input.name !== undefined ? input.name : existing.name) || '').trim();
+  return {
+    ...fields,
+    name: name || fields.title,
+    groupChat: fields.slots > 1 && Boolean(fields.groupChat)
+  };
+};
+
+const assertNameAvailable = async (userId, name, templateId) => {
+  const clash = await TaskTemplate.exists({ userId, name, _id: { $ne: templateId } });
+  if (clash) {
+    throw new AppError(`You already have a template named "${name}"`, 400);
+  }
+};
+
+const loadOwnedTemplate = async (templateId, userId) => {
+  const template = mongoose.isValidObjectId(templateId) ? await TaskTemplate.findById(templateId) : null;
+  if (!template) {
+    throw new AppError('Template not found', 404);
+  }
+  if (template.userId.toString() !== userId) {
+    throw new AppError('Not authorized', 403);
+  }
+  return template;
+};
+
+// Get the user's templates, most recently used first
+router.get('/', auth, async (req, res) => {
+  try {
+    const templates = await TaskTemplate.find({ userId: req.user.id })
+      .sort({ lastUsedAt: -1, updatedAt: -1 });
+
+    res.json(templates);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get one template. Fetching a template to fill the task form counts as using it.
+router.get('/:templateId', auth, async (req, res) => {
+  try {
+    const template = await loadOwnedTemplate(req.params.templateId, req.user.id);
+
+    if (req.query.use === 'true') {
+      template.lastUsedAt = new Date();
+      await template.save();
+    }
+
+    res.json(template);
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Save a new template
+router.post('/', auth, async (req, res) => {
+  try {
+    if (!req.user.canCreateTasks) {
+      return res.status(403).json({ message: 'You are not allowed to create tasks' });
+    }
+
+    const fields = buildTemplateFields(req.body);
+    await assertNameAvailable(req.user.id, fields.name);
+
+    const template = new TaskTemplate({ ...fields, userId: req.user.id });
+    await template.save();
+
+    res.status(201).json(template);
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update a template
+router.put('/:templateId', auth, async (req, res) => {
+  try {
+    const template = await loadOwnedTemplate(req.params.templateId, req.user.id);
+
+    const fields = buildTemplateFields(req.body, template.toObject());
+    await assertNameAvailable(req.user.id, fields.name, template._id);
+
+    template.set(fields);
+    await template.save();
+
+    res.json(template);
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a template; tasks posted from it are not affected
+router.delete('/:templateId', auth, async (req, res) => {
+  try {
+    const template = await loadOwnedTemplate(req.params.templateId, req.user.id);
+    await template.deleteOne();
+
+    res.json({ message: 'Template deleted' });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,33 +1,52 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Task = require('../models/Task');
 const Application = require('../models/Application');
 const User = require('../models/User');
 const Booking = require('../models/Booking');
-const { createNotification } = require('./notifications');
 const auth = require('../middleware/auth');
+const bookingStateMachine = require('../services/bookingStateMachine');
+const milestoneService = require('../services/milestoneService');
+const taskSeriesService = require('../services/taskSeriesService');
+const taskExpiryService = require('../services/taskExpiryService');
+const taskBrowseService = require('../services/taskBrowseService');
+const savedSearchService = require('../services/savedSearchService');
+const helperMatchingService = require('../services/helperMatchingService');
+const taskFeedService = require('../services/taskFeedService');
+const taskAccessService = require('../services/taskAccessService');
+const applicationService = require('../services/applicationService');
+const availabilityService = require('../services/availabilityService');
+const { AppError } = require('../utils/errors');
+const { parseDurationToMinutes, parseSlots } = require('../utils/taskInput');
+const { normalizeSkills, canonicalSkill, splitTaskSkills } = require('../utils/skills');
 
 const router = express.Router();
 
-// Helper function to convert duration string to minutes
-const parseDurationToMinutes = (durationStr) => {
-  const duration = durationStr.toLowerCase();
-  
-  if (duration.includes('minute')) {
-    return parseInt(duration) || 30;
-  } else if (duration.includes('hour')) {
-    const hours = parseInt(duration) || 1;
-    return hours * 60;
-  } else if (duration.includes('day')) {
-    const days = parseInt(duration) || 1;
-    return days * 24 * 60;
-  } else if (duration.includes('week')) {
-    const weeks = parseInt(duration) || 1;
-    return weeks * 7 * 24 * 60;
+const VISIBILITY_MODES = ['public', 'unlisted', 'invite-only'];
+// Fields PUT /:taskId may change. Status, helpers, applicants and invitations
+// move through their own routes, and the application cap through /application-cap.
+const EDITABLE_FIELDS = [
+  'title', 'description', 'skillsRequired', 'skillsNiceToHave', 'dateTime', 'duration',
+  'credits', 'urgency', 'milestones', 'slots', 'groupChat', 'visibility'
+];
+// Terms booked helpers agreed to; they stay fixed once anyone is booked
+const BOOKED_TERMS = ['dateTime', 'duration', 'credits', 'slots', 'milestones'];
+
+const milestoneTerms = (milestones) => JSON.stringify(
+  (milestones || []).map(milestone => [milestone.title, Number(milestone.credits)])
+);
+
+const changesTerm = (task, field, value) => {
+  switch (field) {
+    case 'dateTime':
+      return new Date(value).getTime() !== task.dateTime.getTime();
+    case 'duration':
+      return value !== task.duration;
+    case 'milestones':
+      return milestoneTerms(value) !== milestoneTerms(task.milestones);
+    default:
+      return Number(value) !== task[field];
   }
-  
-  // If just a number, assume minutes
-  const num = parseInt(duration);
-  return isNaN(num) ? 30 : num;
 };
 
 // Create task (Anyone can create now)
@@ -37,20 +56,30 @@ router.post('/', auth, async (req, res) => {
       return res.status(403).json({ message: 'You are not allowed to create tasks' });
     }
 
-    const { title, description, skillsRequired, dateTime, duration, credits, urgency } = req.body;
+    const { title, description, skillsRequired, skillsNiceToHave, dateTime, duration, credits, urgency, milestones, slots, groupChat, visibility } = req.body;
+
+    if (visibility !== undefined && !VISIBILITY_MODES.includes(visibility)) {
+      return res.status(400).json({ message: 'Visibility must be public, unlisted or invite-only' });
+    }
 
     const durationInMinutes = parseDurationToMinutes(duration);
+    const taskMilestones = milestoneService.normalizeTaskMilestones(milestones, credits);
+    const taskSlots = parseSlots(slots);
 
     const task = new Task({
       taskProviderId: req.user.id,
       title,
       description,
-      skillsRequired: skillsRequired || [],
+      ...splitTaskSkills(skillsRequired, skillsNiceToHave),
       dateTime,
       duration,
       durationInMinutes,
       credits,
-      urgency: urgency || 'medium'
+      urgency: urgency || 'medium',
+      milestones: taskMilestones,
+      slots: taskSlots,
+      groupChat: taskSlots > 1 && Boolean(groupChat),
+      visibility: visibility || 'public'
     });
 
     await task.save();
@@ -59,14 +88,19 @@ router.post('/', auth, async (req, res) => {
     // Update user's tasks created count
     await User.findByIdAndUpdate(req.user.id, { $inc: { tasksCreated: 1 } });
 
+    savedSearchService.alertInBackground(task, req.app.get('io'));
+
     res.status(201).json(task);
   } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
     console.error(error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Get tasks (with smart filtering)
+// Get tasks (with smart filtering), one page at a time
 router.get('/', auth, async (req, res) => {
   try {
     const {
@@ -79,32 +113,27 @@ router.get('/', auth, async (req, res) => {
       maxCredits,
       sortBy = 'dateTime',
       sortOrder = 'asc',
-      showAll = 'false'
+      showAll = 'false',
+      cursor,
+      limit
     } = req.query;
 
-    // Build query object
+    // Build query object. Ids are ObjectIds so the same query also works in aggregations.
     let query = {
       status: 'open',
       dateTime: { $gte: new Date() },
-      taskProviderId: { $ne: req.user.id } // Exclude user's own tasks
+      taskProviderId: { $ne: req.user._id }, // Exclude user's own tasks
+      visibility: taskAccessService.listedVisibility
     };
 
     // If user has skills and not showing all, filter by skills
     if (showAll !== 'true' && req.user.skills.length > 0) {
-      query.skillsRequired = { $in: req.user.skills };
-    }
-
-    // Search in title and description
-    if (search) {
-      query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } }
-      ];
+      query.skillsRequired = { $in: normalizeSkills(req.user.skills) };
     }
 
     // Filter by specific skill
     if (skillRequired) {
-      query.skillsRequired = { $in: [skillRequired] };
+      query.skillsRequired = { $in: [canonicalSkill(skillRequired)] };
     }
 
     // Filter by urgency
@@ -126,47 +155,55 @@ router.get('/', auth, async (req, res) => {
       if (maxCredits) query.credits.$lte = parseInt(maxCredits);
     }
 
-    // Build sort object
-    const sortOptions = {};
-    sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
+    // Returns { tasks, hasMore, nextCursor } plus { total, facets } on the first page
+    const page = await taskBrowseService.browse({
+      query,
+      search,
+      sortBy,
+      sortOrder,
+      cursor,
+      limit,
+      userId: req.user._id
+    });
 
-    const tasks = await Task.find(query)
-      .populate('taskProviderId', 'username rating isOnline')
-      .populate('applicants')
-      .sort(sortOptions);
+    res.json(page);
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    // Add application status for current user
-    const tasksWithApplicationStatus = await Promise.all(
-      tasks.map(async (task) => {
-        const userApplication = await Application.findOne({
-          taskId: task._id,
-          applicantId: req.user.id
-        });
-        
-        return {
-          ...task.toObject(),
-          userApplicationStatus: userApplication ? userApplication.status : null,
-          applicantCount: task.applicants.length
-        };
-      })
-    );
+// Get the helper's personalised feed, best suggestions first, with the reasons for each
+router.get('/feed', auth, async (req, res) => {
+  try {
+    const page = await taskFeedService.feed(req.user, {
+      cursor: req.query.cursor,
+      limit: req.query.limit
+    });
 
-    res.json(tasksWithApplicationStatus);
+    res.json(page);
   } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
     console.error(error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Get all unique skills for filter dropdown
+// Get the canonical skills of open tasks for the filter dropdown
 router.get('/skills', async (req, res) => {
   try {
     const skills = await Task.distinct('skillsRequired', {
       status: 'open',
-      dateTime: { $gte: new Date() }
+      dateTime: { $gte: new Date() },
+      visibility: taskAccessService.listedVisibility
     });
     
-    res.json(skills.filter(skill => skill && skill.trim() !== ''));
+    res.json(normalizeSkills(skills).sort((a, b) => a.localeCompare(b)));
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server error' });
@@ -179,8 +216,10 @@ router.get('/my-tasks', auth, async (req, res) => {
     const tasks = await Task.find({ taskProviderId: req.user.id })
       .populate('taskProviderId', 'username rating')
       .populate('selectedHelper', 'username rating')
+      .populate('selectedHelpers', 'username rating')
       .populate({
         path: 'applicants',
+        select: '+reviewStage +providerNotes',
         populate: {
           path: 'applicantId',
           select: 'username rating skills completedTasks totalRatings bio createdAt'
@@ -195,25 +234,63 @@ router.get('/my-tasks', auth, async (req, res) => {
   }
 });
 
-// Get single task with applications
+// Get the helper's pending invitations to open tasks
+router.get('/invitations', auth, async (req, res) => {
+  try {
+    res.json(await taskAccessService.listForHelper(req.user._id));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get single task. Invite-only tasks look missing to anyone not involved, and
+// only the provider sees the applications and invitations.
 router.get('/:taskId', auth, async (req, res) => {
   try {
+    if (!mongoose.isValidObjectId(req.params.taskId)) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
     const task = await Task.findById(req.params.taskId)
       .populate('taskProviderId', 'username rating')
       .populate('selectedHelper', 'username rating')
+      .populate('selectedHelpers', 'username rating')
       .populate({
         path: 'applicants',
+        select: '+reviewStage +providerNotes',
         populate: {
           path: 'applicantId',
-          select: 'username rating skills completedTasks totalRatings bio createdAt'
+          select: 'username rating skills completedTasks totalRatings bio createdAt availability'
         }
       });
 
-    if (!task) {
+    if (!task || !(await taskAccessService.canView(task, req.user))) {
       return res.status(404).json({ message: 'Task not found' });
     }
 
-    res.json(task);
+    // The provider sees whether each pending applicant is free at the time they offered
+    if (taskAccessService.isProvider(task, req.user.id)) {
+      const pending = task.applicants.filter(application => application.status === 'pending');
+      const availability = await availabilityService.forApplications(task, pending, applicationService.currentOffer);
+      const view = task.toObject();
+      view.applicants = view.applicants.map(application => ({
+        ...application,
+        availabilityAtTaskTime: availability.get(application._id.toString()) || null
+      }));
+      return res.json(view);
+    }
+
+    const ownApplication = task.applicants.find(application => application.applicantId?._id.equals(req.user._id));
+    const publicTask = task.toObject();
+    delete publicTask.applicants;
+    delete publicTask.invitations;
+    res.json({
+      ...publicTask,
+      applicantCount: task.applicants.length,
+      userApplicationStatus: ownApplication ? ownApplication.status : null,
+      invitationStatus: taskAccessService.findInvitation(task, req.user.id)?.status || null
+    });
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server error' });
@@ -223,9 +300,12 @@ router.get('/:taskId', auth, async (req, res) => {
 // Mark task as completed by provider
 router.put('/:taskId/complete', auth, async (req, res) => {
   try {
-    const { completionNote } = req.body;
-    const task = await Task.findById(req.params.taskId)
-      .populate('selectedHelper', 'username');
+    const { completionNote, bookingId } = req.body;
+    if (bookingId && !mongoose.isValidObjectId(bookingId)) {
+      return res.status(400).json({ message: 'Invalid booking id' });
+    }
+
+    const task = await Task.findById(req.params.taskId);
 
     if (!task) {
       return res.status(404).json({ message: 'Task not found' });
@@ -235,65 +315,188 @@ router.put('/:taskId/complete', auth, async (req, res) => {
       return res.status(403).json({ message: 'Not authorized' });
     }
 
-    if (task.status !== 'in-progress') {
-      return res.status(400).json({ message: 'Task must be in progress to complete' });
+    // Multi-slot tasks name the booking being completed
+    const bookingQuery = { taskId: task._id, status: { $nin: ['cancelled', 'completed'] } };
+    if (bookingId) {
+      bookingQuery._id = bookingId;
     }
 
-    // Update task
-    task.status = 'completed';
-    task.completedByProvider = true;
-    task.completionNote = completionNote || '';
-    await task.save();
+    const activeBookings = await Booking.find(bookingQuery);
+    if (activeBookings.length === 0) {
+      return res.status(400).json({ message: 'Task has no active booking to complete' });
+    }
+    if (activeBookings.length > 1) {
+      return res.status(400).json({ message: 'This task has several active bookings; specify which booking to complete' });
+    }
+    const booking = activeBookings[0];
+
+    // Completion is the booking's work-submitted -> completed transition;
+    // the state machine syncs the task and releases the escrow
+    await bookingStateMachine.transition({
+      bookingId: booking._id,
+      to: 'completed',
+      actor: req.user,
+      payload: { completionNote },
+      io: req.app.get('io')
+    });
 
-    // Update booking
-    const booking = await Booking.findOne({ taskId: task._id })
-      .populate('helper', 'username');
-    
-    if (booking) {
-      booking.status = 'completed';
-      booking.completedAt = new Date();
-      booking.providerAcceptanceNote = completionNote || '';
-      await booking.save();
-
-      // Transfer credits
-      await User.findByIdAndUpdate(booking.taskProvider, { 
-        $inc: { credits: -booking.agreedCredits } 
-      });
-      await User.findByIdAndUpdate(booking.helper, { 
-        $inc: { credits: booking.agreedCredits, completedTasks: 1 } 
-      });
+    const updatedTask = await Task.findById(task._id)
+      .populate('selectedHelper', 'username')
+      .populate('selectedHelpers', 'username');
 
-      // Create notification for helper about task completion
-      await createNotification({
-        userId: booking.helper._id,
-        type: 'task_completed',
-        title: 'Task Completed Successfully!',
-        message: `Your task "${task.title}" has been marked as completed by the task provider. You earned ${booking.agreedCredits} credits!`,
-        relatedId: booking._id,
-        relatedType: 'Booking',
-        actionRequired: true,
-        metadata: {
-          taskTitle: task.title,
-          creditsEarned: booking.agreedCredits,
-          providerName: req.user.username,
-          completionNote: completionNote || ''
-        }
-      });
+    res.json({ message: 'Task marked as completed successfully', task: updatedTask });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-      // Emit real-time notification via socket
-      const io = req.app.get('io');
-      if (io) {
-        io.to(`user_${booking.helper._id}`).emit('receive_notification', {
-          type: 'task_completed',
-          title: 'Task Completed Successfully!',
-          message: `Your task "${task.title}" has been completed!`,
-          actionRequired: true
-        });
-      }
+// Helpers ranked by how well they suit the task (provider only)
+router.get('/:taskId/recommended-helpers', auth, async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.taskId);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+    if (task.taskProviderId.toString() !== req.user.id) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+    res.json(await helperMatchingService.recommend(task, { limit }));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Invite a helper to apply for the task
+router.post('/:taskId/invite', auth, async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.taskId);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+    if (task.taskProviderId.toString() !== req.user.id) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    const helper = await helperMatchingService.invite({
+      task,
+      helperId: req.body.helperId,
+      actor: req.user,
+      io: req.app.get('io')
+    });
+
+    res.json({ message: `Invitation sent to ${helper.username}`, invitations: task.invitations });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Raise or lower how many applications the task takes before waitlisting (provider only)
+router.put('/:taskId/application-cap', auth, async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.taskId);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
     }
 
-    res.json({ message: 'Task marked as completed successfully', task });
+    const result = await applicationService.setApplicationCap({
+      task,
+      actor: req.user,
+      maxApplications: req.body.maxApplications,
+      io: req.app.get('io')
+    });
+
+    res.json({
+      maxApplications: result.task.maxApplications,
+      acceptsApplications: result.task.acceptsApplications,
+      promoted: result.promoted,
+      waitlisted: result.waitlisted
+    });
   } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Accept an invitation, which applies for the task on the helper's behalf
+router.post('/:taskId/invitations/accept', auth, async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.taskId);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    const application = await taskAccessService.acceptInvitation({
+      task,
+      helper: req.user,
+      message: req.body.message,
+      proposedCredits: req.body.proposedCredits,
+      proposedDateTime: req.body.proposedDateTime,
+      io: req.app.get('io')
+    });
+
+    await application.populate('taskId', 'title');
+    res.status(201).json({
+      message: 'Invitation accepted, your application has been sent',
+      application: applicationService.helperView(application)
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Decline an invitation
+router.post('/:taskId/invitations/decline', auth, async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.taskId);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    await taskAccessService.declineInvitation({ task, helper: req.user, io: req.app.get('io') });
+    res.json({ message: 'Invitation declined' });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Repost an expired task with a new date (defaults to the same time a week or more later)
+router.post('/:taskId/repost', auth, async (req, res) => {
+  try {
+    const task = await taskExpiryService.repost({
+      taskId: req.params.taskId,
+      actor: req.user,
+      dateTime: req.body.dateTime,
+      io: req.app.get('io')
+    });
+
+    await task.populate('taskProviderId', 'username rating');
+    res.status(201).json(task);
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
     console.error(error);
     res.status(500).json({ message: 'Server error' });
   }
@@ -316,19 +519,82 @@ router.put('/:taskId', auth, async (req, res) => {
       return res.status(400).json({ message: 'Cannot update task that is not open' });
     }
 
+    const updates = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    }
+
+    if (updates.visibility !== undefined && !VISIBILITY_MODES.includes(updates.visibility)) {
+      return res.status(400).json({ message: 'Visibility must be public, unlisted or invite-only' });
+    }
+
+    // Multi-slot tasks stay open after their first bookings. Those helpers keep the
+    // schedule, credits and slots they agreed to; times move by rescheduling each booking.
+    if (await bookingStateMachine.countFilledSlots(task._id) > 0) {
+      const changedTerms = BOOKED_TERMS.filter(field => updates[field] !== undefined && changesTerm(task, field, updates[field]));
+      if (changedTerms.length > 0) {
+        return res.status(409).json({
+          message: 'Helpers are already booked on this task, so its schedule, credits and slots can no longer change. Propose a new time on each booking instead.',
+          fields: changedTerms
+        });
+      }
+    }
+
     // Update duration in minutes if duration is changed
-    if (req.body.duration) {
-      req.body.durationInMinutes = parseDurationToMinutes(req.body.duration);
+    if (updates.duration) {
+      updates.durationInMinutes = parseDurationToMinutes(updates.duration);
+    }
+
+    if (updates.slots !== undefined) {
+      updates.slots = parseSlots(updates.slots);
+    }
+
+    // Milestone credits must keep adding up when either side changes
+    if (updates.milestones !== undefined || (updates.credits !== undefined && task.milestones.length > 0)) {
+      updates.milestones = milestoneService.normalizeTaskMilestones(
+        updates.milestones !== undefined ? updates.milestones : task.milestones,
+        updates.credits !== undefined ? updates.credits : task.credits
+      );
     }
 
-    const updatedTask = await Task.findByIdAndUpdate(
-      req.params.taskId,
-      req.body,
-      { new: true }
-    ).populate('taskProviderId', 'username rating');
+    if (updates.skillsRequired !== undefined || updates.skillsNiceToHave !== undefined) {
+      Object.assign(updates, splitTaskSkills(
+        updates.skillsRequired !== undefined ? updates.skillsRequired : task.skillsRequired,
+        updates.skillsNiceToHave !== undefined ? updates.skillsNiceToHave : task.skillsNiceToHave
+      ));
+    }
+
+    // An occurrence edited on its own no longer follows series-wide edits
+    if (task.seriesId) {
+      updates.seriesDetached = true;
+    }
+
+    const capChanged = req.body.maxApplications !== undefined && Number(req.body.maxApplications) !== task.maxApplications;
+    if (capChanged) {
+      updates.maxApplications = applicationService.parseApplicationCap(req.body.maxApplications);
+    }
+
+    // Everything is validated before anything is written, then saved in one update
+    task.set(updates);
+    const invalid = task.validateSync();
+    if (invalid) {
+      return res.status(400).json({ message: Object.values(invalid.errors)[0].message });
+    }
+    await task.save();
 
-    res.json(updatedTask);
+    // A new cap promotes or keeps waitlisted applications, so it goes through the service
+    if (capChanged) {
+      await applicationService.applyCapChange(task, req.app.get('io'));
+    }
+
+    await task.populate('taskProviderId', 'username rating');
+    res.json(task);
   } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
     console.error(error);
     res.status(500).json({ message: 'Server error' });
   }
@@ -351,6 +617,17 @@ router.delete('/:taskId', auth, async (req, res) => {
       return res.status(400).json({ message: 'Cannot delete task that is not open' });
     }
 
+    // Multi-slot tasks stay open while some helpers are already booked
+    if (await bookingStateMachine.countFilledSlots(task._id) > 0) {
+      return res.status(400).json({ message: 'Cannot delete a task that already has booked helpers' });
+    }
+
+    // Series occurrences are cancelled so the series does not generate them again
+    if (task.seriesId) {
+      await taskSeriesService.cancelOccurrence(task);
+      return res.json({ message: 'Occurrence cancelled', task });
+    }
+
     await Task.findByIdAndDelete(req.params.taskId);
     
     // Delete related applications
@@ -358,6 +635,9 @@ router.delete('/:taskId', auth, async (req, res) => {
 
     res.json({ message: 'Task deleted successfully' });
   } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
     console.error(error);
     res.status(500).json({ message: 'Server error' });
   }
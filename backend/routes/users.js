@@ -4,14 +4,34 @@ const Task = require('../models/Task');
 const Application = require('../models/Application');
 const Booking = require('../models/Booking');
 const auth = require('../middleware/auth');
+const creditService = require('../services/creditService');
+const availabilityService = require('../services/availabilityService');
+const { AppError } = require('../utils/errors');
+const { normalizeSkills } = require('../utils/skills');
 
 const router = express.Router();
 
-// Get wallet info
+// Get wallet info: available and held balances plus paginated ledger history
 router.get('/wallet', auth, async (req, res) => {
   try {
-    const user = await User.findById(req.user.id).select('credits');
-    res.json({ credits: user.credits });
+    const { page = 1, limit = 20 } = req.query;
+
+    const [ledger, verification, balances] = await Promise.all([
+      creditService.getLedger(req.user.id, { page, limit }),
+      creditService.verifyBalance(req.user.id),
+      creditService.getBalances(req.user.id)
+    ]);
+
+    res.json({
+      credits: verification.balance,
+      available: balances.available,
+      held: balances.held,
+      activeEscrows: balances.activeEscrows,
+      ledgerBalance: verification.ledgerBalance,
+      consistent: verification.consistent,
+      transactions: ledger.transactions,
+      pagination: ledger.pagination
+    });
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server error' });
@@ -25,12 +45,32 @@ router.put('/profile', auth, async (req, res) => {
     
     const user = await User.findByIdAndUpdate(
       req.user.id,
-      { bio, skills },
+      { bio, skills: skills === undefined ? undefined : normalizeSkills(skills) },
+      { new: true }
+    ).select('-passwordHash');
+
+    res.json(user);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Replace the helper's weekly availability and blackout dates
+router.put('/availability', auth, async (req, res) => {
+  try {
+    const availability = availabilityService.normalize(req.body);
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { availability },
       { new: true }
     ).select('-passwordHash');
 
     res.json(user);
   } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
     console.error(error);
     res.status(500).json({ message: 'Server error' });
   }
@@ -62,11 +102,28 @@ router.get('/stats', auth, async (req, res) => {
       $or: [{ helper: user._id }, { taskProvider: user._id }]
     });
 
+    // Cancellations on either side of a booking, with the policy outcome for each
+    const recentCancellations = await Booking.find({
+      $or: [{ helper: user._id }, { taskProvider: user._id }],
+      status: 'cancelled',
+      'cancellation.rule': { $exists: true }
+    })
+      .populate('taskId', 'title')
+      .populate('cancellation.cancelledBy', 'username')
+      .select('taskId helper taskProvider agreedCredits cancellation')
+      .sort({ 'cancellation.cancelledAt': -1 })
+      .limit(5);
+
     let stats = {
       credits: user.credits,
+      heldCredits: user.heldCredits || 0,
       rating: user.rating,
       totalRatings: user.totalRatings,
       completedTasks: user.completedTasks,
+      reliabilityScore: user.reliabilityScore,
+      cancellationCount: user.cancellationCount,
+      lateCancellationCount: user.lateCancellationCount,
+      recentCancellations,
       tasksCreated,
       tasksCompleted,
       totalBookings,
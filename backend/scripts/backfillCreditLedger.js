@@ -0,0 +1,67 @@
+// Records an opening balance ledger entry for users created before the credit
+// ledger existed, so their User.credits can be verified against the ledger.
+// Usage: npm run credits:backfill
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/User');
+const CreditTransaction = require('../models/CreditTransaction');
+const creditService = require('../services/creditService');
+const { withTransaction } = require('../config/db');
+const logger = require('../utils/logger');
+
+const backfill = async () => {
+  const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/timeslice?replicaSet=rs0';
+  await mongoose.connect(mongoURI);
+
+  const usersWithLedger = await CreditTransaction.distinct('userId');
+  const users = await User.find({ _id: { $nin: usersWithLedger } }).select('credits username');
+
+  let backfilled = 0;
+
+  for (const user of users) {
+    if (user.credits <= 0) {
+      continue;
+    }
+
+    const carried = await withTransaction(async (session) => {
+      // The user may have gained a ledger entry since the list was read
+      if (await CreditTransaction.exists({ userId: user._id }).session(session)) {
+        return false;
+      }
+
+      // Read the balance inside the session: a change committed after this read
+      // makes the reset below conflict, and the transaction retries with the new value
+      const current = await User.findById(user._id).select('credits').session(session);
+      if (!current || current.credits <= 0) {
+        return false;
+      }
+
+      // Reset and re-grant so the ledger entry carries the correct balanceAfter
+      await User.updateOne({ _id: user._id }, { $set: { credits: 0 } }, { session });
+      await creditService.grant({
+        userId: user._id,
+        amount: current.credits,
+        reason: 'opening_balance',
+        description: 'Balance carried over before ledger tracking'
+      }, session);
+      return true;
+    });
+
+    if (carried) {
+      backfilled++;
+    }
+  }
+
+  logger.info('Credit ledger backfill completed', {
+    usersChecked: users.length,
+    usersBackfilled: backfilled
+  });
+
+  await mongoose.connection.close();
+};
+
+backfill().catch((error) => {
+  logger.logError(error, { context: 'backfillCreditLedger' });
+  process.exit(1);
+});
@@ -0,0 +1,32 @@
+// Maps the free-text skills stored on users, tasks, templates, series and saved
+// searches onto the canonical skill catalog, then records usage counts. Skills
+// the catalog does not know are added under "Other" for admins to file or merge.
+// Usage: npm run skills:migrate
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const skillTaxonomyService = require('../services/skillTaxonomyService');
+const logger = require('../utils/logger');
+
+const migrate = async () => {
+  const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/timeslice?replicaSet=rs0';
+  await mongoose.connect(mongoURI);
+
+  const catalogSize = await skillTaxonomyService.load();
+  const rewritten = await skillTaxonomyService.normalizeRecords();
+  const usage = await skillTaxonomyService.syncUsage();
+
+  logger.info('Skill migration completed', {
+    catalogSize,
+    rewritten,
+    skillsInUse: usage.skillsInUse,
+    skillsAdded: usage.added.length
+  });
+
+  await mongoose.connection.close();
+};
+
+migrate().catch((error) => {
+  logger.logError(error, { context: 'migrateSkills' });
+  process.exit(1);
+});
@@ -24,12 +24,17 @@ const { connectDB } = require('./config/db');
 // Import route handlers
 const authRoutes = require('./routes/auth');
 const taskRoutes = require('./routes/tasks');
+const taskSeriesRoutes = require('./routes/taskSeries');
+const taskTemplateRoutes = require('./routes/taskTemplates');
 const applicationRoutes = require('./routes/applications');
 const bookingRoutes = require('./routes/bookings');
 const chatRoutes = require('./routes/chat');
 const userRoutes = require('./routes/users');
 const { router: notificationRoutes } = require('./routes/notifications');
 const uploadRoutes = require('./routes/upload');
+const savedSearchRoutes = require('./routes/savedSearches');
+const skillRoutes = require('./routes/skills');
+const calendarRoutes = require('./routes/calendar');
 
 // NEW: Import enhanced dashboard routes (comment out if not created yet)
 // const analyticsRoutes = require('./routes/analytics');
@@ -38,6 +43,10 @@ const uploadRoutes = require('./routes/upload');
 // Import services (comment out if not created yet)
 // const analyticsService = require('./services/analyticsService');
 // const dashboardService = require('./services/dashboardService');
+const taskSeriesService = require('./services/taskSeriesService');
+const taskExpiryService = require('./services/taskExpiryService');
+const savedSearchService = require('./services/savedSearchService');
+const skillTaxonomyService = require('./services/skillTaxonomyService');
 
 // Initialize Express app
 const app = express();
@@ -221,6 +230,9 @@ app.get('/health', (req, res) => {
 
 // API Routes with rate limiting
 app.use('/api/auth', authLimiter, authRoutes);
+// Mounted before /api/tasks so "series" and "templates" are not read as task ids
+app.use('/api/tasks/series', taskSeriesRoutes);
+app.use('/api/tasks/templates', taskTemplateRoutes);
 app.use('/api/tasks', taskRoutes);
 app.use('/api/applications', applicationRoutes);
 app.use('/api/bookings', bookingRoutes);
@@ -228,6 +240,9 @@ app.use('/api/chat', chatRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/upload', uploadRoutes);
+app.use('/api/saved-searches', savedSearchRoutes);
+app.use('/api/skills', skillRoutes);
+app.use('/api/calendar', calendarRoutes);
 
 // NEW: Enhanced dashboard and analytics routes (comment out if not created yet)
 // app.use('/api/analytics', analyticsRoutes);
@@ -242,12 +257,17 @@ app.get('/api/docs', (req, res) => {
     endpoints: {
       auth: '/api/auth',
       tasks: '/api/tasks',
+      taskSeries: '/api/tasks/series',
+      taskTemplates: '/api/tasks/templates',
       applications: '/api/applications',
       bookings: '/api/bookings',
       chat: '/api/chat',
       users: '/api/users',
       notifications: '/api/notifications',
       upload: '/api/upload',
+      savedSearches: '/api/saved-searches',
+      skills: '/api/skills',
+      calendar: '/api/calendar',
       analytics: '/api/analytics',
       dashboard: '/api/dashboard'
     },
@@ -488,6 +508,54 @@ const setupScheduledTasks = () => {
     }
   });
 
+  // Create upcoming occurrences of recurring task series every hour
+  cron.schedule('15 * * * *', async () => {
+    try {
+      const result = await taskSeriesService.generateDue(io);
+      logger.info('Generated recurring task occurrences', result);
+    } catch (error) {
+      logger.error('Failed to generate recurring task occurrences', {
+        error: error.message
+      });
+    }
+  });
+
+  // Expire past-due open tasks and flag overdue bookings every 30 minutes
+  cron.schedule('*/30 * * * *', async () => {
+    try {
+      const result = await taskExpiryService.sweep(io);
+      logger.info('Swept stale tasks and bookings', result);
+    } catch (error) {
+      logger.error('Failed to sweep stale tasks and bookings', {
+        error: error.message
+      });
+    }
+  });
+
+  // Send saved search digests every morning at 8 AM
+  cron.schedule('0 8 * * *', async () => {
+    try {
+      const result = await savedSearchService.sendDailyDigests(io);
+      logger.info('Sent saved search digests', result);
+    } catch (error) {
+      logger.error('Failed to send saved search digests', {
+        error: error.message
+      });
+    }
+  });
+
+  // Recount skill usage and catalog newly typed skills every night at 3:30 AM
+  cron.schedule('30 3 * * *', async () => {
+    try {
+      const result = await skillTaxonomyService.syncUsage();
+      logger.info('Synced skill usage', result);
+    } catch (error) {
+      logger.error('Failed to sync skill usage', {
+        error: error.message
+      });
+    }
+  });
+
   // Memory usage monitoring every 10 minutes
   cron.schedule('*/10 * * * *', () => {
     logger.logMemoryUsage();
@@ -511,7 +579,7 @@ const setupScheduledTasks = () => {
   });
 
   logger.logStartup('scheduled_tasks', { 
-    tasks: ['log_cleanup', 'daily_analytics', 'memory_monitoring', 'cache_cleanup']
+    tasks: ['log_cleanup', 'daily_analytics', 'task_series', 'stale_task_sweep', 'saved_search_digest', 'skill_usage_sync', 'memory_monitoring', 'cache_cleanup']
   });
 };
 
@@ -534,6 +602,11 @@ const startServer = () => {
     // Setup scheduled tasks
     setupScheduledTasks();
 
+    // Match skills against the stored catalog (seeded on first start)
+    skillTaxonomyService.load()
+      .then(count => logger.info('Skill catalog loaded', { skills: count }))
+      .catch(error => logger.error('Failed to load skill catalog', { error: error.message }));
+
     // Log server readiness
     logger.info(`🚀 TimeSlice Server is running on port ${PORT}`);
     logger.info(`📊 Dashboard analytics enabled`);
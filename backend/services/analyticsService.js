@@ -4,6 +4,7 @@ const Application = require('../models/Application');
 const Booking = require('../models/Booking');
 const User = require('../models/User');
 const logger = require('../utils/logger');
+const { isTaskHelper } = require('./bookingStateMachine');
 
 class AnalyticsService {
   constructor() {
@@ -100,7 +101,8 @@ class AnalyticsService {
         Task.find({
           $or: [
             { taskProviderId: userId },
-            { selectedHelper: userId }
+            { selectedHelper: userId },
+            { selectedHelpers: userId }
           ],
           createdAt: { $gte: startDate, $lte: endDate }
         }).lean(),
@@ -121,7 +123,7 @@ class AnalyticsService {
         this.getPreviousPeriodData(userId, startDate, endDate)
       ]);
 
-      const helperTasks = tasks.filter(t => t.selectedHelper?.toString() === userId);
+      const helperTasks = tasks.filter(t => isTaskHelper(t, userId));
       const providerTasks = tasks.filter(t => t.taskProviderId.toString() === userId);
       const sentApplications = applications.filter(a => a.applicantId.toString() === userId);
       const receivedApplications = applications.filter(a => a.taskProviderId.toString() === userId);
@@ -227,7 +229,8 @@ class AnalyticsService {
           Task.find({
             $or: [
               { taskProviderId: userId },
-              { selectedHelper: userId }
+              { selectedHelper: userId },
+              { selectedHelpers: userId }
             ],
             createdAt: { $gte: currentDate, $lt: nextDate }
           }).lean(),
@@ -244,7 +247,7 @@ class AnalyticsService {
           }).lean()
         ]);
 
-        const completedTasks = dayTasks.filter(t => t.status === 'completed' && t.selectedHelper?.toString() === userId).length;
+        const completedTasks = dayTasks.filter(t => t.status === 'completed' && isTaskHelper(t, userId)).length;
         const acceptedApplications = dayApplications.filter(a => a.status === 'accepted').length;
         const dayEarnings = dayBookings
           .filter(b => b.helper.toString() === userId && b.status === 'completed')
@@ -0,0 +1,474 @@
+const mongoose = require('mongoose');
+const Application = require('../models/Application');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const Booking = require('../models/Booking');
+const Chat = require('../models/Chat');
+const TaskSeries = require('../models/TaskSeries');
+const creditService = require('./creditService');
+const bookingStateMachine = require('./bookingStateMachine');
+const milestoneService = require('./milestoneService');
+const availabilityService = require('./availabilityService');
+const { withTransaction } = require('../config/db');
+const { AppError, TransitionError } = require('../utils/errors');
+const { scoreSkillMatch } = require('../utils/skills');
+const marketplaceConfig = require('../config/marketplace');
+
+const REVIEW_STAGES = ['new', 'shortlisted', 'interviewing'];
+
+class ApplicationService {
+  // Applications that take up room under the task's cap
+  countActive(taskId) {
+    return Application.countDocuments({ taskId, status: { $in: ['pending', 'accepted'] } });
+  }
+
+  // Create a helper's application; the helper's ask opens the negotiation thread.
+  // Once the cap is reached, applicants join the waitlist. Invited helpers skip
+  // both the skill check and the waitlist since the provider picked them.
+  async apply({ task, helper, message, proposedCredits, proposedDateTime, invited = false }) {
+    if (!helper.canAcceptTasks) {
+      throw new AppError('You are not allowed to apply for tasks', 403);
+    }
+    if (task.status !== 'open') {
+      throw new AppError('Task is not accepting applications', 400);
+    }
+    if (task.taskProviderId.toString() === helper.id) {
+      throw new AppError('Cannot apply to your own task', 400);
+    }
+    if (await Application.exists({ taskId: task._id, applicantId: helper._id })) {
+      throw new AppError('You have already applied for this task', 400);
+    }
+
+    // Skills are matched through the taxonomy, so "JS" counts for "JavaScript"
+    const match = scoreSkillMatch(task, helper.skills);
+    if (!invited && match.score < marketplaceConfig.skills.minApplicationMatch) {
+      throw new AppError('You do not have the required skills for this task', 400, {
+        matchScore: match.score,
+        missingSkills: match.missingSkills
+      });
+    }
+
+    let openingDateTime = null;
+    if (proposedDateTime) {
+      openingDateTime = new Date(proposedDateTime);
+      if (isNaN(openingDateTime.getTime()) || openingDateTime <= new Date()) {
+        throw new AppError('The proposed start time must be in the future', 400);
+      }
+    }
+
+    // A helper cannot ask for a time they are already booked for
+    await availabilityService.assertNoConflict(helper._id, availabilityService.slotFor(task, openingDateTime), {
+      excludeTaskId: task._id,
+      message: 'You already have a booking at that time. Propose a different start time.'
+    });
+
+    const activeCount = await this.countActive(task._id);
+    const waitlisted = !invited && activeCount >= task.maxApplications;
+
+    const credits = proposedCredits || task.credits;
+    const application = new Application({
+      taskId: task._id,
+      applicantId: helper._id,
+      taskProviderId: task.taskProviderId,
+      message,
+      proposedCredits: credits,
+      offers: [{ by: 'helper', credits, dateTime: openingDateTime, message: '' }],
+      status: waitlisted ? 'waitlisted' : 'pending',
+      viaInvitation: invited,
+      matchScore: match.score,
+      matchedSkills: match.matchedSkills,
+      missingSkills: match.missingSkills
+    });
+    await application.save();
+
+    task.applicants.push(application._id);
+    task.acceptsApplications = (waitlisted ? activeCount : activeCount + 1) < task.maxApplications;
+    await task.save();
+
+    return application;
+  }
+
+  // Record where the provider is with a pending application and their private notes
+  async review({ application, actor, stage, providerNotes }) {
+    if (application.taskProviderId.toString() !== actor.id) {
+      throw new AppError('Not authorized', 403);
+    }
+    if (application.status !== 'pending') {
+      throw new AppError('Only pending applications can be reviewed', 400);
+    }
+
+    if (stage !== undefined) {
+      if (!REVIEW_STAGES.includes(stage)) {
+        throw new AppError(`Stage must be one of ${REVIEW_STAGES.join(', ')}`, 400);
+      }
+      application.reviewStage = stage;
+    }
+    if (providerNotes !== undefined) {
+      if (typeof providerNotes !== 'string' || providerNotes.length > 2000) {
+        throw new AppError('Notes must be text of at most 2000 characters', 400);
+      }
+      application.providerNotes = providerNotes;
+    }
+
+    await application.save();
+    return application;
+  }
+
+  // Reject several pending or waitlisted applications at once. {helper} and
+  // {task} in the message are filled in for each applicant.
+  async bulkReject({ actor, applicationIds, responseMessage, io }) {
+    if (!Array.isArray(applicationIds) || applicationIds.length === 0) {
+      throw new AppError('Choose at least one application to reject', 400);
+    }
+
+    const applications = await Application.find({
+      _id: { $in: applicationIds.filter(id => mongoose.isValidObjectId(id)) },
+      taskProviderId: actor._id,
+      status: { $in: ['pending', 'waitlisted'] }
+    })
+      .populate('applicantId', 'username')
+      .populate('taskId');
+
+    const template = typeof responseMessage === 'string' ? responseMessage.trim() : '';
+    const respondedAt = new Date();
+    for (const application of applications) {
+      application.status = 'rejected';
+      application.responseMessage = template
+        .replace(/\{helper\}/g, application.applicantId.username)
+        .replace(/\{task\}/g, application.taskId.title);
+      application.respondedAt = respondedAt;
+      await application.save();
+    }
+
+    // Each task hands the freed places to its waitlist
+    const tasks = new Map(applications.map(application => [application.taskId._id.toString(), application.taskId]));
+    for (const task of tasks.values()) {
+      await this.promoteFromWaitlist(task, io);
+    }
+
+    const rejectedIds = applications.map(application => application._id.toString());
+    return {
+      rejected: rejectedIds,
+      skipped: applicationIds.filter(id => !rejectedIds.includes(String(id)))
+    };
+  }
+
+  // What the applicant sees: no private review details, only whether the
+  // provider has started looking at a pending application
+  helperView(application) {
+    const view = application.toObject();
+    view.reviewStatus = application.status === 'pending'
+      ? (application.reviewStage && application.reviewStage !== 'new' ? 'under-review' : 'submitted')
+      : application.status;
+    delete view.reviewStage;
+    delete view.providerNotes;
+    return view;
+  }
+
+  // Move the longest-waiting applicants up while the task has room under its
+  // cap. Runs whenever an application is withdrawn or rejected, or the cap changes.
+  async promoteFromWaitlist(task, io) {
+    if (task.status !== 'open') {
+      return [];
+    }
+
+    const room = task.maxApplications - await this.countActive(task._id);
+    const promoted = room > 0
+      ? await Application.find({ taskId: task._id, status: 'waitlisted' }).sort({ createdAt: 1 }).limit(room)
+      : [];
+
+    for (const application of promoted) {
+      application.status = 'pending';
+      await application.save();
+
+      await bookingStateMachine.sendNotification(io, {
+        userId: application.applicantId,
+        type: 'waitlist_promoted',
+        title: 'Off the Waitlist',
+        message: `A place opened up on "${task.title}" and your application is now with the task provider`,
+        relatedId: application._id,
+        relatedType: 'Application',
+        metadata: { taskTitle: task.title }
+      });
+    }
+
+    task.acceptsApplications = room - promoted.length > 0;
+    await Task.updateOne({ _id: task._id }, { acceptsApplications: task.acceptsApplications });
+
+    return promoted;
+  }
+
+  // Raise or lower the number of applications the task takes before waitlisting.
+  // Lowering it never bumps applications already pending.
+  async setApplicationCap({ task, actor, maxApplications, io }) {
+    if (task.taskProviderId.toString() !== actor.id) {
+      throw new AppError('Not authorized', 403);
+    }
+    if (task.status !== 'open') {
+      throw new AppError('Only open tasks take applications', 400);
+    }
+
+    task.maxApplications = this.parseApplicationCap(maxApplications);
+    await task.save();
+
+    return this.applyCapChange(task, io);
+  }
+
+  parseApplicationCap(maxApplications) {
+    const cap = Number(maxApplications);
+    const maxCap = marketplaceConfig.applications.maxCap;
+    if (!Number.isInteger(cap) || cap < 1 || cap > maxCap) {
+      throw new AppError(`The application cap must be a whole number from 1 to ${maxCap}`, 400);
+    }
+    return cap;
+  }
+
+  // Once a new cap is saved: promote waitlisted applications into any room it made
+  async applyCapChange(task, io) {
+    const promoted = await this.promoteFromWaitlist(task, io);
+    const waitlisted = await Application.countDocuments({ taskId: task._id, status: 'waitlisted' });
+
+    return { task, promoted: promoted.length, waitlisted };
+  }
+
+  // Accepting fills a slot, which is only allowed while the task is open or in review.
+  // Returns how many slots were already filled.
+  async assertCanAccept(task, session) {
+    bookingStateMachine.assertTaskTransition(task, 'assigned');
+    if (task.slotsClosedAt) {
+      throw new TransitionError('This task no longer takes more helpers');
+    }
+
+    const filledSlots = await bookingStateMachine.countFilledSlots(task._id, session);
+    if (filledSlots >= task.slots) {
+      throw new TransitionError('All slots on this task are already filled');
+    }
+    return filledSlots;
+  }
+
+  // Book the helper on an accepted application: booking, chats, escrow hold and
+  // task status all change inside the caller's transaction.
+  async createBooking({ task, application, helperId, providerId, agreedCredits, scheduledFor, filledSlots }, session) {
+    task.selectedHelpers.addToSet(helperId);
+    if (!task.selectedHelper) {
+      task.selectedHelper = helperId;
+    }
+
+    // Create booking
+    const booking = new Booking({
+      taskId: task._id,
+      applicationId: application._id,
+      helper: helperId,
+      taskProvider: providerId,
+      agreedCredits,
+      scheduledFor: scheduledFor || task.dateTime,
+      milestones: milestoneService.buildBookingMilestones(task, agreedCredits)
+    });
+
+    // Create chat for communication
+    const chat = new Chat({
+      taskId: task._id,
+      participants: [providerId, helperId]
+    });
+
+    await chat.save({ session });
+
+    // Link chat to booking
+    booking.chatId = chat._id;
+    await booking.save({ session });
+
+    // Reserve the agreed credits until the booking completes or is cancelled
+    await creditService.holdEscrow({
+      booking,
+      description: `Escrow for "${task.title}"`
+    }, session);
+
+    // Optional shared chat between the provider and every helper on the task
+    if (task.groupChat && task.groupChatId) {
+      await Chat.updateOne(
+        { _id: task.groupChatId },
+        { $addToSet: { participants: helperId } },
+        { session }
+      );
+    } else if (task.groupChat) {
+      const groupChat = new Chat({
+        taskId: task._id,
+        participants: [providerId, helperId],
+        isGroup: true
+      });
+      await groupChat.save({ session });
+      task.groupChatId = groupChat._id;
+    }
+
+    // The first helper booked on a series that keeps its helper is booked on later occurrences too
+    if (task.seriesId) {
+      await TaskSeries.updateOne(
+        { _id: task.seriesId, keepSameHelper: true, preferredHelper: null },
+        { $set: { preferredHelper: helperId } },
+        { session }
+      );
+    }
+
+    // Task becomes assigned once its last slot is filled
+    await bookingStateMachine.syncTask(task, booking, session);
+    await task.save({ session });
+
+    // Reject other pending and waitlisted applications once every slot is filled
+    if (filledSlots + 1 >= task.slots) {
+      await Application.updateMany(
+        {
+          taskId: task._id,
+          _id: { $ne: application._id },
+          status: { $in: ['pending', 'waitlisted'] }
+        },
+        {
+          status: 'rejected',
+          responseMessage: task.slots > 1
+            ? 'All slots on this task have been filled'
+            : 'Task has been assigned to another helper',
+          respondedAt: new Date()
+        },
+        { session }
+      );
+    }
+
+    return booking;
+  }
+
+  // The offer waiting for an answer. Applications from before negotiation
+  // only have the helper's proposedCredits.
+  currentOffer(application) {
+    if (application.offers.length > 0) {
+      return application.offers[application.offers.length - 1];
+    }
+    return { by: 'helper', credits: application.proposedCredits, dateTime: null, message: '' };
+  }
+
+  // 'helper' or 'provider' for the two sides of an application, null for anyone else
+  partyOf(application, userId) {
+    const idOf = (ref) => (ref && ref._id ? ref._id : ref).toString();
+    if (idOf(application.applicantId) === userId) return 'helper';
+    if (idOf(application.taskProviderId) === userId) return 'provider';
+    return null;
+  }
+
+  // Either side answers the current offer with new credits and, optionally, a new start time
+  async counterOffer({ application, task, actor, credits, dateTime, message, io }) {
+    const by = this.partyOf(application, actor.id);
+    if (!by) {
+      throw new AppError('Not authorized', 403);
+    }
+    if (application.status !== 'pending') {
+      throw new AppError('Only pending applications can be negotiated', 400);
+    }
+    if (!['open', 'in-review'].includes(task.status)) {
+      throw new AppError('This task is no longer taking offers', 400);
+    }
+
+    const offerCredits = Number(credits);
+    if (!Number.isInteger(offerCredits) || offerCredits < 1) {
+      throw new AppError('Offered credits must be a whole number of at least 1', 400);
+    }
+
+    let offerDateTime = null;
+    if (dateTime) {
+      offerDateTime = new Date(dateTime);
+      if (isNaN(offerDateTime.getTime()) || offerDateTime <= new Date()) {
+        throw new AppError('The proposed start time must be in the future', 400);
+      }
+    }
+
+    if (application.offers.length === 0) {
+      // Keep the opening ask in the thread so the history is complete
+      application.offers.push({ ...this.currentOffer(application), createdAt: application.createdAt });
+    }
+    application.offers.push({
+      by,
+      credits: offerCredits,
+      dateTime: offerDateTime,
+      message: typeof message === 'string' ? message.trim() : ''
+    });
+    await application.save();
+
+    const counterparty = by === 'helper' ? application.taskProviderId : application.applicantId;
+    const when = offerDateTime ? ` starting ${offerDateTime.toLocaleString()}` : '';
+    await bookingStateMachine.sendNotification(io, {
+      userId: counterparty._id || counterparty,
+      type: 'application_counter_offer',
+      title: 'New Counter-Offer',
+      message: `${actor.username} offered ${offerCredits} credits${when} for "${task.title}"`,
+      relatedId: application._id,
+      relatedType: 'Application',
+      actionRequired: true,
+      metadata: { taskTitle: task.title, credits: offerCredits, dateTime: offerDateTime, by }
+    });
+
+    return application;
+  }
+
+  // Accept the current offer on behalf of the side that did not make it. The
+  // offer's credits and start time become the booking's terms.
+  async acceptOffer({ application, task, helperId, providerId, responseMessage }) {
+    const offer = this.currentOffer(application);
+    await this.assertCanAccept(task);
+
+    // Never double-book the helper
+    await availabilityService.assertNoConflict(helperId, availabilityService.slotFor(task, offer.dateTime), {
+      excludeTaskId: task._id,
+      message: 'The helper is already booked at that time. Agree a different start time first.'
+    });
+
+    // Providers cannot commit more credits than they have available
+    const provider = await User.findById(providerId).select('credits');
+    if (provider.credits < offer.credits) {
+      throw new AppError(
+        `Insufficient available credits. Accepting requires ${offer.credits} credits but only ${provider.credits} are available.`,
+        400,
+        { required: offer.credits, available: provider.credits }
+      );
+    }
+
+    const terms = {
+      status: 'accepted',
+      responseMessage: responseMessage || '',
+      respondedAt: new Date(),
+      agreedCredits: offer.credits,
+      agreedDateTime: offer.dateTime || task.dateTime
+    };
+
+    // Booking, chat and the escrow hold commit or roll back together. Whether the
+    // application is still pending and a slot is still open is checked again inside
+    // the session: two accepts at the same moment both write the application or the
+    // task, so one of them conflicts, retries and sees the other's booking.
+    let booking;
+    await withTransaction(async (session) => {
+      const accepted = await Application.findOneAndUpdate(
+        { _id: application._id, status: 'pending' },
+        terms,
+        { new: true, session }
+      );
+      if (!accepted) {
+        throw new TransitionError('Application already processed');
+      }
+
+      // A fresh copy, so a retried transaction never repeats changes made by the failed attempt
+      const current = await Task.findById(task._id).session(session);
+      const filledSlots = await this.assertCanAccept(current, session);
+
+      booking = await this.createBooking({
+        task: current,
+        application: accepted,
+        helperId,
+        providerId,
+        agreedCredits: offer.credits,
+        scheduledFor: terms.agreedDateTime,
+        filledSlots
+      }, session);
+    });
+
+    application.set(terms);
+    return booking;
+  }
+}
+
+module.exports = new ApplicationService();
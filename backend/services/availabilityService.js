@@ -0,0 +1,159 @@
+const Booking = require('../models/Booking');
+const { AppError } = require('../utils/errors');
+const { isTimeZone, localParts } = require('../utils/timezone');
+
+const MINUTE_MS = 60 * 1000;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+// Bookings that hold the helper's time; finished or cancelled ones free it again
+const BUSY_BOOKING_STATUSES = ['confirmed', 'in-progress'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_BLACKOUT_DATES = 100;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+class AvailabilityService {
+  get busyStatuses() {
+    return BUSY_BOOKING_STATUSES;
+  }
+
+  // Validate the helper's weekly hours and blackout dates from the Profile form
+  normalize({ timezone, weekly, blackoutDates } = {}) {
+    const zone = timezone || 'UTC';
+    if (!isTimeZone(zone)) {
+      throw new AppError(`Unknown time zone "${zone}"`, 400);
+    }
+
+    const slots = (Array.isArray(weekly) ? weekly : []).map(slot => {
+      const day = Number(slot.day);
+      if (!Number.isInteger(day) || day < 0 || day > 6) {
+        throw new AppError('Each weekly slot needs a day from 0 (Sunday) to 6 (Saturday)', 400);
+      }
+      if (!TIME_PATTERN.test(slot.start) || !TIME_PATTERN.test(slot.end)) {
+        throw new AppError('Weekly slots need start and end times as HH:MM', 400);
+      }
+      if (toMinutes(slot.start) >= toMinutes(slot.end)) {
+        throw new AppError(`The ${WEEKDAYS[day]} slot must end after it starts`, 400);
+      }
+      return { day, start: slot.start, end: slot.end };
+    });
+
+    const dates = [...new Set(Array.isArray(blackoutDates) ? blackoutDates : [])];
+    if (dates.some(date => !DATE_PATTERN.test(date) || isNaN(new Date(date).getTime()))) {
+      throw new AppError('Blackout dates must be written as YYYY-MM-DD', 400);
+    }
+    if (dates.length > MAX_BLACKOUT_DATES) {
+      throw new AppError(`You can keep at most ${MAX_BLACKOUT_DATES} blackout dates`, 400);
+    }
+
+    return {
+      timezone: zone,
+      weekly: slots.sort((a, b) => a.day - b.day || toMinutes(a.start) - toMinutes(b.start)),
+      blackoutDates: dates.sort()
+    };
+  }
+
+  // The time an application would book: the current offer's start time, or the task's
+  slotFor(task, dateTime) {
+    const start = new Date(dateTime || task.dateTime);
+    return { start, end: new Date(start.getTime() + (task.durationInMinutes || 0) * MINUTE_MS) };
+  }
+
+  // Why the slot falls outside the helper's own availability, or null if it does not.
+  // Helpers without weekly hours are taken to be available any day that is not blacked out.
+  scheduleProblem(helper, { start, end }) {
+    const availability = helper.availability || {};
+    const timeZone = availability.timezone || 'UTC';
+    const from = localParts(start, timeZone);
+    const to = localParts(new Date(end.getTime() - 1), timeZone);
+
+    const blackoutDates = availability.blackoutDates || [];
+    if (blackoutDates.includes(from.date) || blackoutDates.includes(to.date)) {
+      return 'blackout';
+    }
+
+    const weekly = availability.weekly || [];
+    if (weekly.length === 0) {
+      return null;
+    }
+
+    const endMinutes = from.minutes + Math.round((end - start) / MINUTE_MS);
+    const fits = weekly.some(slot =>
+      slot.day === from.day && toMinutes(slot.start) <= from.minutes && endMinutes <= toMinutes(slot.end)
+    );
+    return fits ? null : 'outside-hours';
+  }
+
+  // The helpers' busy bookings with the time each one takes. Bookings run from
+  // their agreed start time, falling back to the task's.
+  async loadBusyBookings(helperIds, { excludeTaskId, statuses = BUSY_BOOKING_STATUSES } = {}) {
+    const query = {
+      helper: { $in: helperIds },
+      status: { $in: statuses }
+    };
+    if (excludeTaskId) {
+      query.taskId = { $ne: excludeTaskId };
+    }
+
+    const bookings = await Booking.find(query).populate('taskId', 'title dateTime durationInMinutes');
+    return bookings
+      .filter(booking => booking.taskId)
+      .map(booking => ({
+        helperId: booking.helper.toString(),
+        bookingId: booking._id,
+        taskTitle: booking.taskId.title,
+        ...this.slotFor(booking.taskId, booking.scheduledFor)
+      }));
+  }
+
+  overlapping(bookings, { start, end }) {
+    return bookings.filter(booking => booking.start < end && start < booking.end);
+  }
+
+  // Busy bookings overlapping the slot, grouped by helper id
+  async findBookingConflicts(helperIds, slot, options) {
+    const conflicts = new Map();
+    for (const booking of this.overlapping(await this.loadBusyBookings(helperIds, options), slot)) {
+      conflicts.set(booking.helperId, [...(conflicts.get(booking.helperId) || []), booking]);
+    }
+    return conflicts;
+  }
+
+  // Refuse a slot that overlaps one of the helper's busy bookings
+  async assertNoConflict(helperId, slot, { excludeTaskId, message }) {
+    const conflicts = (await this.findBookingConflicts([helperId], slot, { excludeTaskId })).get(helperId.toString());
+    if (conflicts) {
+      throw new AppError(message || `Already booked at that time for "${conflicts[0].taskTitle}"`, 409, { conflicts });
+    }
+  }
+
+  // Whether each pending applicant can make the time they offered, for the
+  // provider's applicant list. Applicants need `availability` populated.
+  async forApplications(task, applications, currentOffer) {
+    const helperIds = applications.filter(application => application.applicantId).map(application => application.applicantId._id);
+    const bookings = await this.loadBusyBookings(helperIds, { excludeTaskId: task._id });
+
+    const result = new Map();
+    for (const application of applications) {
+      const helper = application.applicantId;
+      if (!helper) continue;
+
+      const slot = this.slotFor(task, currentOffer(application).dateTime);
+      const conflicts = this.overlapping(
+        bookings.filter(booking => booking.helperId === helper._id.toString()),
+        slot
+      );
+
+      result.set(application._id.toString(), {
+        status: conflicts.length > 0 ? 'booked' : this.scheduleProblem(helper, slot) || 'available',
+        conflicts
+      });
+    }
+    return result;
+  }
+}
+
+module.exports = new AvailabilityService();
@@ -0,0 +1,824 @@
+const Booking = require('../models/Booking');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const Chat = require('../models/Chat');
+const creditService = require('./creditService');
+const cancellationPolicy = require('./cancellationPolicy');
+const { createNotification } = require('../routes/notifications');
+const { withTransaction } = require('../config/db');
+const { AppError, TransitionError } = require('../utils/errors');
+const logger = require('../utils/logger');
+const marketplaceConfig = require('../config/marketplace');
+
+// Task statuses and the statuses each one may move to.
+// Task changes are driven by booking transitions and application acceptance.
+// Multi-slot tasks stay open while slots remain, even after some helpers have started,
+// and settle straight from open once their remaining slots are closed.
+const TASK_TRANSITIONS = {
+  open: ['in-review', 'assigned', 'in-progress', 'completed', 'cancelled', 'expired'],
+  'in-review': ['open', 'assigned', 'in-progress', 'completed', 'cancelled', 'expired'],
+  // A dispute opened before work started can settle the booking as completed
+  assigned: ['open', 'in-progress', 'completed', 'cancelled'],
+  'in-progress': ['open', 'completed', 'cancelled'],
+  completed: [],
+  cancelled: [],
+  expired: []
+};
+
+const ROLE_LABELS = {
+  helper: 'helper',
+  taskProvider: 'task provider',
+  admin: 'admin'
+};
+
+// Which booking status each dispute outcome settles into
+const DISPUTE_OUTCOMES = {
+  release: 'completed',
+  split: 'completed',
+  refund: 'cancelled'
+};
+
+const paidMilestoneCredits = (booking) => booking.milestones
+  .filter(milestone => milestone.status === 'accepted')
+  .reduce((sum, milestone) => sum + milestone.credits, 0);
+
+// A booking keeps its task slot unless it was cancelled before work started
+const holdsSlot = (booking) => booking.status !== 'cancelled' || Boolean(booking.startedAt);
+
+// Older tasks only set selectedHelper; multi-slot tasks list every booked helper
+const isTaskHelper = (task, userId) => task.selectedHelper?.toString() === userId ||
+  (task.selectedHelpers || []).some(helper => helper.toString() === userId);
+
+// ----- Preconditions: return an error message, or null when satisfied -----
+
+const requireSubmission = ({ payload }) => {
+  const deliverables = payload.deliverables || {};
+  const hasDeliverables = ['files', 'githubLinks', 'additionalLinks']
+    .some(key => Array.isArray(deliverables[key]) && deliverables[key].length > 0);
+
+  if (!hasDeliverables && !(payload.workNote && payload.workNote.trim())) {
+    return 'Submitting work requires a work note or at least one deliverable';
+  }
+  return null;
+};
+
+const requireRevisionNote = ({ payload }) => {
+  if (!(payload.revisionNote && payload.revisionNote.trim())) {
+    return 'Requesting changes requires a note describing what to revise';
+  }
+  return null;
+};
+
+// Milestone bookings are submitted and accepted one milestone at a time
+const requireNoMilestones = ({ booking }) => {
+  if (booking.milestones.length > 0) {
+    return 'This booking uses milestones; submit work for each milestone instead';
+  }
+  return null;
+};
+
+const requireMilestonesAccepted = ({ booking }) => {
+  if (booking.milestones.length === 0) {
+    return 'Work must be submitted before the booking can be completed';
+  }
+  const open = booking.milestones.filter(milestone => milestone.status !== 'accepted');
+  if (open.length > 0) {
+    return `${open.length} milestone${open.length !== 1 ? 's are' : ' is'} not accepted yet`;
+  }
+  return null;
+};
+
+const withinRevisionLimit = ({ booking }) => {
+  const { maxRevisionRounds } = marketplaceConfig.bookings;
+  if (booking.revisionCount >= maxRevisionRounds) {
+    return `This booking has reached the limit of ${maxRevisionRounds} revision rounds`;
+  }
+  return null;
+};
+
+const requireDisputeReason = ({ payload }) => {
+  if (!(payload.reason && payload.reason.trim())) {
+    return 'Opening a dispute requires a reason';
+  }
+  return null;
+};
+
+const requireResolution = ({ booking, to, payload }) => {
+  const resolution = payload.resolution || {};
+
+  if (!DISPUTE_OUTCOMES[resolution.outcome]) {
+    return 'Resolution outcome must be release, refund or split';
+  }
+  if (DISPUTE_OUTCOMES[resolution.outcome] !== to) {
+    return `A ${resolution.outcome} resolution settles the booking as ${DISPUTE_OUTCOMES[resolution.outcome]}`;
+  }
+  if (resolution.outcome === 'split') {
+    const helperAmount = Number(resolution.helperAmount);
+    if (!Number.isInteger(helperAmount) || helperAmount <= 0 || helperAmount >= booking.agreedCredits) {
+      return `A split must pay the helper between 1 and ${booking.agreedCredits - 1} credits`;
+    }
+  }
+  return null;
+};
+
+// ----- Side effects run inside the transaction -----
+
+const syncTaskStatus = async (task, status, session) => {
+  if (!task || task.status === status) {
+    return;
+  }
+
+  if (!(TASK_TRANSITIONS[task.status] || []).includes(status)) {
+    throw new TransitionError(`Cannot move task from "${task.status}" to "${status}"`);
+  }
+
+  task.status = status;
+  await task.save({ session });
+};
+
+// Derive the task status from all of its bookings: open while slots remain,
+// then assigned, in progress once work starts and settled when every booking is.
+// `booking` is the in-memory copy of a booking being changed, if any.
+const syncTaskWithBookings = async (task, booking, session) => {
+  const bookings = (await Booking.find({ taskId: task._id }).session(session))
+    .map(existing => (booking && existing._id.equals(booking._id) ? booking : existing));
+
+  const holding = bookings.filter(holdsSlot);
+  const settled = holding.filter(existing => ['completed', 'cancelled'].includes(existing.status));
+  // Closed slots no longer wait for helpers, so the task goes ahead with those it has
+  const slotsRemain = holding.length < task.slots && !task.slotsClosedAt;
+
+  let status;
+  if (holding.length === 0 || slotsRemain) {
+    status = 'open';
+  } else if (settled.length === holding.length) {
+    status = settled.some(existing => existing.status === 'completed') ? 'completed' : 'cancelled';
+  } else {
+    status = holding.some(existing => existing.startedAt) ? 'in-progress' : 'assigned';
+  }
+
+  await syncTaskStatus(task, status, session);
+};
+
+const startWork = async ({ booking, task, session }) => {
+  booking.startedAt = new Date();
+  await syncTaskWithBookings(task, booking, session);
+};
+
+const submitWork = async ({ booking, task, payload, session }) => {
+  const deliverables = payload.deliverables || {};
+
+  booking.workSubmissionNote = payload.workNote || '';
+  booking.deliverables = {
+    files: deliverables.files || [],
+    githubLinks: deliverables.githubLinks || [],
+    additionalLinks: deliverables.additionalLinks || []
+  };
+
+  booking.submissions.push({
+    round: booking.submissions.length + 1,
+    workNote: booking.workSubmissionNote,
+    deliverables: booking.deliverables
+  });
+
+  task.completedByHelper = true;
+  await task.save({ session });
+};
+
+const requestRevision = async ({ booking, task, payload, session }) => {
+  // Bookings submitted before rounds were tracked get their submission recorded first
+  if (booking.submissions.length === 0) {
+    booking.submissions.push({
+      round: 1,
+      workNote: booking.workSubmissionNote,
+      deliverables: booking.deliverables,
+      submittedAt: booking.updatedAt
+    });
+  }
+
+  const latest = booking.submissions[booking.submissions.length - 1];
+  latest.revisionNote = payload.revisionNote.trim();
+  latest.revisionRequestedAt = new Date();
+  booking.revisionCount += 1;
+
+  task.completedByHelper = false;
+  await task.save({ session });
+};
+
+const completeWork = async ({ booking, task, payload, session }) => {
+  const completionNote = payload.completionNote || '';
+
+  booking.completedAt = new Date();
+  booking.providerAcceptanceNote = completionNote;
+
+  task.completedByProvider = true;
+  task.completionNote = completionNote;
+  await syncTaskWithBookings(task, booking, session);
+
+  // Milestone bookings may already have released everything
+  const held = await creditService.getHeldAmount(booking._id, session);
+  if (held > 0) {
+    await creditService.releaseEscrow(booking._id, {
+      description: `Payment for "${task.title}"`
+    }, session);
+  }
+
+  // Bookings created before escrow existed pay directly from the provider
+  const unpaid = booking.agreedCredits - paidMilestoneCredits(booking);
+  if (held === null && unpaid > 0) {
+    await creditService.transfer({
+      fromUserId: booking.taskProvider,
+      toUserId: booking.helper,
+      amount: unpaid,
+      debitReason: 'task_payment',
+      creditReason: 'task_earning',
+      relatedId: booking._id,
+      relatedType: 'Booking',
+      description: `Payment for "${task.title}"`
+    }, session);
+  }
+
+  await User.findByIdAndUpdate(
+    booking.helper,
+    { $inc: { completedTasks: 1 } },
+    { session }
+  );
+};
+
+// Split the held credits and apply penalties according to the cancellation policy
+const cancelBooking = async ({ booking, task, actor, role, from, session }) => {
+  const held = await creditService.getHeldAmount(booking._id, session);
+  // A counter-offer or reschedule can start the booking at another time than the task
+  const outcome = cancellationPolicy.evaluate({
+    role,
+    status: from,
+    taskDateTime: booking.scheduledFor || task.dateTime,
+    amount: held === null ? booking.agreedCredits : held
+  });
+
+  const compensation = `Cancellation compensation for "${task.title}"`;
+  if (held !== null) {
+    if (outcome.helperPayout > 0) {
+      await creditService.releaseEscrow(booking._id, {
+        amount: outcome.helperPayout,
+        reason: 'cancellation_compensation',
+        description: compensation
+      }, session);
+    }
+    if (outcome.providerRefund > 0) {
+      await creditService.refundEscrow(booking._id, {
+        amount: outcome.providerRefund,
+        description: `Booking for "${task.title}" cancelled`
+      }, session);
+    }
+  } else if (outcome.helperPayout > 0) {
+    // Bookings created before escrow existed pay compensation directly from the provider
+    await creditService.transfer({
+      fromUserId: booking.taskProvider,
+      toUserId: booking.helper,
+      amount: outcome.helperPayout,
+      debitReason: 'cancellation_fee',
+      creditReason: 'cancellation_compensation',
+      relatedId: booking._id,
+      relatedType: 'Booking',
+      description: compensation
+    }, session);
+  }
+
+  const cancellerUpdate = {
+    $inc: { cancellationCount: 1, lateCancellationCount: outcome.late ? 1 : 0 }
+  };
+  if (outcome.reliabilityPenalty > 0) {
+    const canceller = await User.findById(actor._id).select('reliabilityScore').session(session);
+    cancellerUpdate.$set = {
+      reliabilityScore: Math.max(0, canceller.reliabilityScore - outcome.reliabilityPenalty)
+    };
+  }
+  await User.updateOne({ _id: actor._id }, cancellerUpdate, { session });
+
+  booking.cancellation = {
+    cancelledBy: actor._id,
+    role,
+    cancelledAt: new Date(),
+    hoursBeforeStart: outcome.hoursBeforeStart,
+    rule: outcome.rule,
+    helperPayout: outcome.helperPayout,
+    providerRefund: outcome.providerRefund,
+    reliabilityPenalty: outcome.reliabilityPenalty
+  };
+
+  // A booking cancelled before work starts frees its slot for another helper
+  if (from === 'confirmed') {
+    task.selectedHelpers = task.selectedHelpers.filter(helper => !helper.equals(booking.helper));
+    task.selectedHelper = task.selectedHelpers[0] || null;
+
+    if (task.groupChatId) {
+      await Chat.updateOne(
+        { _id: task.groupChatId },
+        { $pull: { participants: booking.helper } },
+        { session }
+      );
+    }
+  }
+
+  await syncTaskWithBookings(task, booking, session);
+};
+
+const openDispute = async ({ booking, actor, role, from, payload, session }) => {
+  const reason = payload.reason.trim();
+  const escrow = await creditService.setEscrowFrozen(booking._id, true, session);
+
+  booking.dispute = {
+    status: 'open',
+    openedBy: actor._id,
+    openedAt: new Date(),
+    reason,
+    previousStatus: from,
+    statements: [{
+      userId: actor._id,
+      role,
+      text: (payload.statement || reason).trim(),
+      evidence: payload.evidence || []
+    }],
+    auditTrail: [{
+      action: 'opened',
+      actorId: actor._id,
+      details: { reason, previousStatus: from }
+    }]
+  };
+
+  if (escrow) {
+    booking.dispute.auditTrail.push({
+      action: 'escrow_frozen',
+      actorId: actor._id,
+      details: { amount: escrow.remainingAmount }
+    });
+  }
+};
+
+const resolveDispute = async ({ booking, task, actor, to, payload, session }) => {
+  const { outcome, note } = payload.resolution;
+  await creditService.setEscrowFrozen(booking._id, false, session);
+  // An escrow that is already paid out holds 0; only bookings without one pay directly
+  const held = await creditService.getHeldAmount(booking._id, session);
+  const total = held === null ? booking.agreedCredits - paidMilestoneCredits(booking) : held;
+
+  let helperAmount = 0;
+  if (outcome === 'release') {
+    helperAmount = total;
+  } else if (outcome === 'split') {
+    helperAmount = Number(payload.resolution.helperAmount);
+  }
+  const providerAmount = total - helperAmount;
+
+  if (providerAmount < 0) {
+    throw new AppError(`Only ${total} credits are held for this booking`, 400);
+  }
+
+  const description = `Dispute resolution for "${task.title}"`;
+  if (held !== null) {
+    if (helperAmount > 0) {
+      await creditService.releaseEscrow(booking._id, { amount: helperAmount, description }, session);
+    }
+    if (providerAmount > 0) {
+      await creditService.refundEscrow(booking._id, { amount: providerAmount, description }, session);
+    }
+  } else if (helperAmount > 0) {
+    // Bookings created before escrow existed pay directly from the provider
+    await creditService.transfer({
+      fromUserId: booking.taskProvider,
+      toUserId: booking.helper,
+      amount: helperAmount,
+      debitReason: 'task_payment',
+      creditReason: 'task_earning',
+      relatedId: booking._id,
+      relatedType: 'Booking',
+      description
+    }, session);
+  }
+
+  const resolvedAt = new Date();
+  booking.dispute.status = 'resolved';
+  booking.dispute.resolution = {
+    outcome,
+    helperAmount,
+    providerAmount,
+    note: note || '',
+    resolvedBy: actor._id,
+    resolvedAt
+  };
+  booking.dispute.auditTrail.push({
+    action: 'resolved',
+    actorId: actor._id,
+    details: { outcome, helperAmount, providerAmount },
+    at: resolvedAt
+  });
+
+  if (to === 'completed') {
+    booking.completedAt = resolvedAt;
+    await User.findByIdAndUpdate(
+      booking.helper,
+      { $inc: { completedTasks: 1 } },
+      { session }
+    );
+  }
+
+  await syncTaskWithBookings(task, booking, session);
+};
+
+// ----- Notifications sent after the transaction commits -----
+
+const otherParty = ({ booking, role }) => (
+  role === 'helper' ? booking.taskProvider : booking.helper
+);
+
+const notifyStarted = ({ booking, task, actor }) => [{
+  userId: booking.taskProvider,
+  type: 'booking_started',
+  title: 'Work Has Started',
+  message: `${actor.username} has started working on "${task.title}"`,
+  relatedId: booking._id,
+  relatedType: 'Booking',
+  metadata: { taskTitle: task.title, helperName: actor.username }
+}];
+
+const notifySubmitted = ({ booking, task, actor, payload, from }) => [{
+  userId: booking.taskProvider,
+  type: 'work_submitted',
+  title: from === 'revision-requested' ? 'Revised Work Submitted' : 'Work Submitted for Review',
+  message: from === 'revision-requested'
+    ? `Helper has resubmitted work for task: ${task.title}`
+    : `Helper has submitted work for task: ${task.title}`,
+  relatedId: booking._id,
+  relatedType: 'Booking',
+  actionRequired: true,
+  metadata: {
+    taskTitle: task.title,
+    helperName: actor.username,
+    round: booking.submissions.length,
+    hasFiles: payload.deliverables?.files?.length > 0,
+    hasGithubLinks: payload.deliverables?.githubLinks?.length > 0
+  }
+}];
+
+const notifyRevisionRequested = ({ booking, task, actor, payload }) => [{
+  userId: booking.helper,
+  type: 'revision_requested',
+  title: 'Changes Requested',
+  message: `${actor.username} requested changes to your work on "${task.title}"`,
+  relatedId: booking._id,
+  relatedType: 'Booking',
+  actionRequired: true,
+  metadata: {
+    taskTitle: task.title,
+    revisionNote: payload.revisionNote,
+    round: booking.revisionCount
+  }
+}];
+
+const notifyCompleted = ({ booking, task, actor, payload }) => [{
+  userId: booking.helper,
+  type: 'task_completed',
+  title: 'Task Completed Successfully!',
+  message: `Your task "${task.title}" has been marked as completed by the task provider. You earned ${booking.agreedCredits} credits!`,
+  relatedId: booking._id,
+  relatedType: 'Booking',
+  actionRequired: true,
+  metadata: {
+    taskTitle: task.title,
+    creditsEarned: booking.agreedCredits,
+    providerName: actor.username,
+    completionNote: payload.completionNote || ''
+  }
+}];
+
+const notifyCancelled = (ctx) => {
+  const { helperPayout, providerRefund, rule } = ctx.booking.cancellation;
+  const compensation = helperPayout > 0 ? ` The helper receives ${helperPayout} credits as compensation.` : '';
+
+  return [{
+    userId: otherParty(ctx),
+    type: 'booking_cancelled',
+    title: 'Booking Cancelled',
+    message: `${ctx.actor.username} cancelled the booking for "${ctx.task.title}".${compensation}`,
+    relatedId: ctx.booking._id,
+    relatedType: 'Booking',
+    metadata: { taskTitle: ctx.task.title, cancelledBy: ctx.role, rule, helperPayout, providerRefund }
+  }];
+};
+
+const notifyDisputeOpened = async (ctx) => {
+  const { booking, task, actor, payload } = ctx;
+  const base = {
+    type: 'dispute_opened',
+    title: 'Dispute Opened',
+    message: `${actor.username} opened a dispute on "${task.title}"`,
+    relatedId: booking._id,
+    relatedType: 'Booking',
+    actionRequired: true,
+    metadata: { taskTitle: task.title, reason: payload.reason }
+  };
+
+  const admins = await User.find({ isAdmin: true }).select('_id');
+
+  return [
+    { ...base, userId: otherParty(ctx) },
+    ...admins.map(admin => ({ ...base, userId: admin._id }))
+  ];
+};
+
+const notifyDisputeResolved = ({ booking, task }) => {
+  const { outcome, helperAmount, providerAmount, note } = booking.dispute.resolution;
+  const base = {
+    type: 'dispute_resolved',
+    title: 'Dispute Resolved',
+    relatedId: booking._id,
+    relatedType: 'Booking',
+    metadata: { taskTitle: task.title, outcome, helperAmount, providerAmount, note }
+  };
+
+  return [
+    {
+      ...base,
+      userId: booking.helper,
+      message: `The dispute on "${task.title}" was resolved: you receive ${helperAmount} credits`
+    },
+    {
+      ...base,
+      userId: booking.taskProvider,
+      message: `The dispute on "${task.title}" was resolved: ${providerAmount} credits returned to you`
+    }
+  ];
+};
+
+// Booking statuses, the statuses each may move to, who may trigger the move,
+// what must be true beforehand and what happens as a result.
+const BOOKING_TRANSITIONS = {
+  confirmed: {
+    'in-progress': {
+      actors: ['helper'],
+      apply: startWork,
+      notify: notifyStarted
+    },
+    cancelled: {
+      actors: ['helper', 'taskProvider'],
+      apply: cancelBooking,
+      notify: notifyCancelled
+    },
+    // A helper who never starts work; cancelling close to the start would pay them
+    disputed: {
+      actors: ['taskProvider'],
+      preconditions: [requireDisputeReason],
+      apply: openDispute,
+      notify: notifyDisputeOpened
+    }
+  },
+  'in-progress': {
+    'work-submitted': {
+      actors: ['helper'],
+      preconditions: [requireNoMilestones, requireSubmission],
+      apply: submitWork,
+      notify: notifySubmitted
+    },
+    // Milestone bookings complete once every milestone has been accepted
+    completed: {
+      actors: ['taskProvider'],
+      preconditions: [requireMilestonesAccepted],
+      apply: completeWork,
+      notify: notifyCompleted
+    },
+    cancelled: {
+      actors: ['helper', 'taskProvider'],
+      apply: cancelBooking,
+      notify: notifyCancelled
+    },
+    disputed: {
+      actors: ['helper', 'taskProvider'],
+      preconditions: [requireDisputeReason],
+      apply: openDispute,
+      notify: notifyDisputeOpened
+    }
+  },
+  'work-submitted': {
+    completed: {
+      actors: ['taskProvider'],
+      apply: completeWork,
+      notify: notifyCompleted
+    },
+    'revision-requested': {
+      actors: ['taskProvider'],
+      preconditions: [requireRevisionNote, withinRevisionLimit],
+      apply: requestRevision,
+      notify: notifyRevisionRequested
+    },
+    disputed: {
+      actors: ['helper', 'taskProvider'],
+      preconditions: [requireDisputeReason],
+      apply: openDispute,
+      notify: notifyDisputeOpened
+    }
+  },
+  'revision-requested': {
+    'work-submitted': {
+      actors: ['helper'],
+      preconditions: [requireNoMilestones, requireSubmission],
+      apply: submitWork,
+      notify: notifySubmitted
+    },
+    cancelled: {
+      actors: ['helper', 'taskProvider'],
+      apply: cancelBooking,
+      notify: notifyCancelled
+    },
+    disputed: {
+      actors: ['helper', 'taskProvider'],
+      preconditions: [requireDisputeReason],
+      apply: openDispute,
+      notify: notifyDisputeOpened
+    }
+  },
+  // Disputes are settled by an admin; the outcome decides where the booking ends up
+  disputed: {
+    completed: {
+      actors: ['admin'],
+      preconditions: [requireResolution],
+      apply: resolveDispute,
+      notify: notifyDisputeResolved
+    },
+    cancelled: {
+      actors: ['admin'],
+      preconditions: [requireResolution],
+      apply: resolveDispute,
+      notify: notifyDisputeResolved
+    }
+  },
+  completed: {},
+  cancelled: {}
+};
+
+class BookingStateMachine {
+  getRole(booking, user) {
+    if (booking.helper.toString() === user.id) {
+      return 'helper';
+    }
+    if (booking.taskProvider.toString() === user.id) {
+      return 'taskProvider';
+    }
+    if (user.isAdmin) {
+      return 'admin';
+    }
+    return null;
+  }
+
+  // Statuses the given role may move the booking to from its current status
+  getAllowedTransitions(booking, role) {
+    const transitions = BOOKING_TRANSITIONS[booking.status] || {};
+    return Object.keys(transitions).filter(status => transitions[status].actors.includes(role));
+  }
+
+  getRule(from, to, role) {
+    if (!Object.prototype.hasOwnProperty.call(BOOKING_TRANSITIONS, to)) {
+      throw new AppError(`Invalid booking status "${to}"`, 400);
+    }
+
+    if (from === to) {
+      throw new TransitionError(`Booking is already ${to}`);
+    }
+
+    const rule = (BOOKING_TRANSITIONS[from] || {})[to];
+    if (!rule) {
+      throw new TransitionError(`Cannot move a booking from "${from}" to "${to}"`, {
+        allowedTransitions: Object.keys(BOOKING_TRANSITIONS[from] || {})
+      });
+    }
+
+    if (!rule.actors.includes(role)) {
+      const allowed = rule.actors.map(actor => ROLE_LABELS[actor]).join(' or ');
+      throw new TransitionError(`Only the ${allowed} can move a booking from "${from}" to "${to}"`);
+    }
+
+    return rule;
+  }
+
+  // What cancelling right now would cost, so users can see it before confirming
+  async previewCancellation(bookingId, actor) {
+    const booking = await Booking.findById(bookingId).populate('taskId', 'dateTime');
+    if (!booking) {
+      throw new AppError('Booking not found', 404);
+    }
+
+    const role = this.getRole(booking, actor);
+    if (role !== 'helper' && role !== 'taskProvider') {
+      throw new AppError('Unauthorized', 403);
+    }
+
+    if (!this.getAllowedTransitions(booking, role).includes('cancelled')) {
+      throw new TransitionError(`A ${booking.status} booking cannot be cancelled`);
+    }
+
+    const held = await creditService.getHeldAmount(booking._id);
+    return cancellationPolicy.evaluate({
+      role,
+      status: booking.status,
+      taskDateTime: booking.scheduledFor || booking.taskId.dateTime,
+      amount: held === null ? booking.agreedCredits : held
+    });
+  }
+
+  // Re-derive a task's status after one of its bookings was created or changed,
+  // or after its remaining slots were closed
+  async syncTask(task, booking, session) {
+    await syncTaskWithBookings(task, booking, session);
+  }
+
+  async countFilledSlots(taskId, session) {
+    const bookings = await Booking.find({ taskId }).select('status startedAt').session(session);
+    return bookings.filter(holdsSlot).length;
+  }
+
+  assertTaskTransition(task, to) {
+    if (!(TASK_TRANSITIONS[task.status] || []).includes(to)) {
+      throw new TransitionError(`Cannot move task from "${task.status}" to "${to}"`);
+    }
+  }
+
+  // Validate and apply a booking status change with all of its side effects.
+  // Database writes commit together; notifications are sent afterwards.
+  async transition({ bookingId, to, actor, payload = {}, io }) {
+    let applied;
+
+    await withTransaction(async (session) => {
+      const booking = await Booking.findById(bookingId).session(session);
+      if (!booking) {
+        throw new AppError('Booking not found', 404);
+      }
+
+      applied = await this.applyTransition({ booking, to, actor, payload }, session);
+    });
+
+    await this.announceTransition(applied, io);
+    return applied.ctx.booking;
+  }
+
+  // Apply a transition to an already loaded booking inside the caller's transaction.
+  // Pass the result to announceTransition once the transaction has committed.
+  async applyTransition({ booking, to, actor, payload = {} }, session) {
+    const role = this.getRole(booking, actor);
+    if (!role) {
+      throw new AppError('Unauthorized', 403);
+    }
+
+    const from = booking.status;
+    const rule = this.getRule(from, to, role);
+
+    const task = await Task.findById(booking.taskId).session(session);
+    const ctx = { booking, task, actor, role, from, to, payload, session };
+
+    for (const precondition of rule.preconditions || []) {
+      const failure = precondition(ctx);
+      if (failure) {
+        throw new TransitionError(failure);
+      }
+    }
+
+    booking.status = to;
+    if (rule.apply) {
+      await rule.apply(ctx);
+    }
+    await booking.save({ session });
+
+    return { ctx, rule };
+  }
+
+  async announceTransition({ ctx, rule }, io) {
+    logger.logUserActivity(ctx.actor.id, 'booking_transition', {
+      bookingId: ctx.booking._id.toString(),
+      from: ctx.from,
+      to: ctx.to
+    });
+
+    const notifications = rule.notify ? await rule.notify(ctx) : [];
+    for (const notification of notifications) {
+      await this.sendNotification(io, notification);
+    }
+  }
+
+  async sendNotification(io, notification) {
+    await createNotification(notification);
+
+    if (io) {
+      io.to(`user_${notification.userId}`).emit('receive_notification', {
+        type: notification.type,
+        title: notification.title,
+        message: notification.message,
+        actionRequired: notification.actionRequired || false
+      });
+    }
+  }
+}
+
+module.exports = new BookingStateMachine();
+module.exports.BOOKING_TRANSITIONS = BOOKING_TRANSITIONS;
+module.exports.TASK_TRANSITIONS = TASK_TRANSITIONS;
+module.exports.DISPUTE_OUTCOMES = DISPUTE_OUTCOMES;
+module.exports.isTaskHelper = isTaskHelper;
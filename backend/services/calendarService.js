@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Booking = require('../models/Booking');
+const availabilityService = require('./availabilityService');
+const { buildCalendar } = require('../utils/ical');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Bookings that show as events in the feed
+const FEED_BOOKING_STATUSES = ['confirmed', 'in-progress'];
+// Cancelled bookings stay in the feed this long, marked cancelled, so
+// subscribed calendars remove the event instead of keeping a stale copy
+const CANCELLED_KEEP_DAYS = 30;
+const UID_DOMAIN = 'timeslice';
+
+const clientUrl = () => process.env.CLIENT_URL || 'http://localhost:3000';
+
+class CalendarService {
+  // The user's feed secret, created on first use
+  async feedToken(user) {
+    const existing = await User.findById(user._id).select('+calendarToken');
+    if (existing.calendarToken) {
+      return existing.calendarToken;
+    }
+    return this.resetFeedToken(user);
+  }
+
+  // A new secret; calendar apps subscribed to the old URL stop updating
+  async resetFeedToken(user) {
+    const calendarToken = crypto.randomBytes(24).toString('hex');
+    await User.updateOne({ _id: user._id }, { calendarToken });
+    return calendarToken;
+  }
+
+  feedUrl(req, token) {
+    const base = process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}`;
+    return `${base.replace(/\/$/, '')}/api/calendar/feed/${token}.ics`;
+  }
+
+  // Calendar apps compare SEQUENCE to tell updates apart, and every reschedule
+  // or cancellation touches updatedAt, so its seconds make a rising sequence
+  sequenceOf(doc) {
+    return Math.floor(new Date(doc.updatedAt || Date.now()).getTime() / 1000);
+  }
+
+  // One booking seen from the viewer's side. Needs taskId, helper and taskProvider populated.
+  bookingEvent(booking, viewerId) {
+    const task = booking.taskId;
+    const isHelper = booking.helper._id.toString() === viewerId.toString();
+    const other = isHelper ? booking.taskProvider : booking.helper;
+    const { start, end } = availabilityService.slotFor(task, booking.scheduledFor);
+
+    return {
+      uid: `booking-${booking._id}@${UID_DOMAIN}`,
+      start,
+      end,
+      summary: isHelper ? `Helping: ${task.title}` : `${task.title} (with ${other.username})`,
+      description: [
+        isHelper ? `Task provider: ${other.username}` : `Helper: ${other.username}`,
+        `Credits: ${booking.agreedCredits}`,
+        task.description
+      ].filter(Boolean).join('\n'),
+      url: `${clientUrl()}/my-bookings`,
+      status: booking.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED',
+      sequence: this.sequenceOf(booking),
+      updatedAt: booking.updatedAt
+    };
+  }
+
+  // A posted task nobody is booked on yet, shown as tentative
+  taskEvent(task) {
+    const { start, end } = availabilityService.slotFor(task);
+    return {
+      uid: `task-${task._id}@${UID_DOMAIN}`,
+      start,
+      end,
+      summary: `Posted: ${task.title}`,
+      description: `${task.credits} credits · waiting for a helper\n${task.description}`,
+      url: `${clientUrl()}/tasks/${task._id}`,
+      status: 'TENTATIVE',
+      sequence: this.sequenceOf(task),
+      updatedAt: task.updatedAt
+    };
+  }
+
+  // The whole feed for the owner of the token, or null for an unknown token
+  async feedForToken(token) {
+    const user = token ? await User.findOne({ calendarToken: token }).select('username') : null;
+    if (!user) {
+      return null;
+    }
+
+    const since = new Date(Date.now() - CANCELLED_KEEP_DAYS * DAY_MS);
+    const [bookings, tasks] = await Promise.all([
+      Booking.find({
+        $and: [
+          { $or: [{ helper: user._id }, { taskProvider: user._id }] },
+          {
+            $or: [
+              { status: { $in: FEED_BOOKING_STATUSES } },
+              { status: 'cancelled', updatedAt: { $gte: since } }
+            ]
+          }
+        ]
+      })
+        .populate('taskId', 'title description dateTime durationInMinutes')
+        .populate('helper', 'username')
+        .populate('taskProvider', 'username'),
+      Task.find({
+        taskProviderId: user._id,
+        status: { $in: ['open', 'in-review'] },
+        dateTime: { $gte: since }
+      }).select('title description dateTime durationInMinutes credits updatedAt')
+    ]);
+
+    const events = [
+      ...bookings.filter(booking => booking.taskId).map(booking => this.bookingEvent(booking, user._id)),
+      ...tasks.map(task => this.taskEvent(task))
+    ];
+    return buildCalendar({ name: `TimeSlice - ${user.username}`, events });
+  }
+
+  // A single booking as a downloadable .ics file
+  bookingCalendar(booking, viewerId) {
+    return buildCalendar({ events: [this.bookingEvent(booking, viewerId)] });
+  }
+}
+
+module.exports = new CalendarService();
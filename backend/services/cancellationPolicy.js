@@ -0,0 +1,57 @@
+const marketplaceConfig = require('../config/marketplace');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const RULE_SUMMARIES = {
+  free: 'Cancelled inside the free cancellation window; all held credits return to the task provider.',
+  provider_late: 'Late cancellation by the task provider; part of the held credits compensates the helper.',
+  provider_in_progress: 'Task provider cancelled work in progress; most of the held credits compensate the helper.',
+  helper_late: 'Late cancellation by the helper; credits are refunded and the helper loses reliability.',
+  helper_in_progress: 'Helper abandoned work in progress; credits are refunded and the helper loses reliability.'
+};
+
+class CancellationPolicy {
+  // Decide what happens when `role` cancels a booking that is currently in `status`.
+  // `amount` is what is still held in escrow for the booking.
+  evaluate({ role, status, taskDateTime, amount, now = new Date() }) {
+    const rules = marketplaceConfig.cancellation;
+    const hoursBeforeStart = (new Date(taskDateTime).getTime() - now.getTime()) / HOUR_MS;
+    const workStarted = status !== 'confirmed';
+    const late = hoursBeforeStart < rules.freeWindowHours;
+
+    let rule = 'free';
+    let payoutPercent = 0;
+    let reliabilityPenalty = 0;
+
+    if (role === 'taskProvider') {
+      if (workStarted) {
+        rule = 'provider_in_progress';
+        payoutPercent = rules.inProgressProviderPayoutPercent;
+      } else if (late) {
+        rule = 'provider_late';
+        payoutPercent = rules.lateProviderPayoutPercent;
+      }
+    } else if (workStarted) {
+      rule = 'helper_in_progress';
+      reliabilityPenalty = rules.helperInProgressPenalty;
+    } else if (late) {
+      rule = 'helper_late';
+      reliabilityPenalty = rules.helperLatePenalty;
+    }
+
+    const percent = Math.min(Math.max(payoutPercent, 0), 100);
+    const helperPayout = Math.floor(amount * percent / 100);
+
+    return {
+      rule,
+      late: rule !== 'free',
+      hoursBeforeStart: Math.round(hoursBeforeStart * 10) / 10,
+      helperPayout,
+      providerRefund: amount - helperPayout,
+      reliabilityPenalty,
+      summary: RULE_SUMMARIES[rule]
+    };
+  }
+}
+
+module.exports = new CancellationPolicy();
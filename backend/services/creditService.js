@@ -0,0 +1,339 @@
+const mongoose = require('mongoose');
+const CreditTransaction = require('../models/CreditTransaction');
+const Escrow = require('../models/Escrow');
+const User = require('../models/User');
+const { AppError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+class CreditService {
+  // Apply a balance change and write the matching ledger entry.
+  // Must be called with a session from withTransaction so both writes commit together.
+  async applyEntry({ userId, type, amount, reason, transferId, counterpartyId, relatedId, relatedType, description }, session) {
+    if (!session) {
+      throw new Error('Credit movements must run inside a transaction');
+    }
+
+    if (!Number.isFinite(amount) || amount <= 0) {
+      throw new AppError('Credit amount must be a positive number', 400);
+    }
+
+    const delta = type === 'debit' ? -amount : amount;
+    const filter = { _id: userId };
+
+    // Debits never take a balance below zero
+    if (type === 'debit') {
+      filter.credits = { $gte: amount };
+    }
+
+    const user = await User.findOneAndUpdate(
+      filter,
+      { $inc: { credits: delta } },
+      { new: true, session }
+    ).select('credits');
+
+    if (!user) {
+      const exists = await User.exists({ _id: userId }).session(session);
+      if (!exists) {
+        throw new AppError('User not found', 404);
+      }
+      throw new AppError('Insufficient credits', 400, { required: amount });
+    }
+
+    const [entry] = await CreditTransaction.create([{
+      userId,
+      type,
+      amount,
+      balanceAfter: user.credits,
+      reason,
+      transferId: transferId || new mongoose.Types.ObjectId(),
+      counterpartyId: counterpartyId || null,
+      relatedId: relatedId || null,
+      relatedType: relatedType || null,
+      description: description || ''
+    }], { session });
+
+    return entry;
+  }
+
+  // Move credits from one user to another as a debit/credit pair
+  async transfer({ fromUserId, toUserId, amount, debitReason, creditReason, relatedId, relatedType, description }, session) {
+    const transferId = new mongoose.Types.ObjectId();
+
+    const debit = await this.applyEntry({
+      userId: fromUserId,
+      type: 'debit',
+      amount,
+      reason: debitReason,
+      transferId,
+      counterpartyId: toUserId,
+      relatedId,
+      relatedType,
+      description
+    }, session);
+
+    const credit = await this.applyEntry({
+      userId: toUserId,
+      type: 'credit',
+      amount,
+      reason: creditReason,
+      transferId,
+      counterpartyId: fromUserId,
+      relatedId,
+      relatedType,
+      description
+    }, session);
+
+    logger.info('Credits transferred', {
+      transferId: transferId.toString(),
+      fromUserId: fromUserId.toString(),
+      toUserId: toUserId.toString(),
+      amount
+    });
+
+    return { transferId, debit, credit };
+  }
+
+  // Credit a user without a counterparty (signup bonus, opening balances)
+  async grant({ userId, amount, reason, description }, session) {
+    return this.applyEntry({
+      userId,
+      type: 'credit',
+      amount,
+      reason,
+      description
+    }, session);
+  }
+
+  // Reserve the provider's credits for a booking. The held amount leaves the
+  // available balance immediately and is tracked in User.heldCredits.
+  async holdEscrow({ booking, description }, session) {
+    const transferId = new mongoose.Types.ObjectId();
+
+    await this.applyEntry({
+      userId: booking.taskProvider,
+      type: 'debit',
+      amount: booking.agreedCredits,
+      reason: 'escrow_hold',
+      transferId,
+      counterpartyId: booking.helper,
+      relatedId: booking._id,
+      relatedType: 'Booking',
+      description
+    }, session);
+
+    await User.updateOne(
+      { _id: booking.taskProvider },
+      { $inc: { heldCredits: booking.agreedCredits } },
+      { session }
+    );
+
+    const [escrow] = await Escrow.create([{
+      bookingId: booking._id,
+      taskId: booking.taskId,
+      payerId: booking.taskProvider,
+      payeeId: booking.helper,
+      amount: booking.agreedCredits
+    }], { session });
+
+    return escrow;
+  }
+
+  // Load the open escrow for a booking, failing when it is already settled
+  async getOpenEscrow(bookingId, session) {
+    const escrow = await Escrow.findOne({ bookingId }).session(session);
+
+    if (!escrow) {
+      return null;
+    }
+
+    if (escrow.remainingAmount <= 0) {
+      throw new AppError('Escrow for this booking has already been settled', 409);
+    }
+
+    if (escrow.frozen) {
+      throw new AppError('Escrowed credits are frozen while the booking is disputed', 409);
+    }
+
+    return escrow;
+  }
+
+  // Freeze or unfreeze the held credits for a booking. Returns null for bookings without escrow.
+  async setEscrowFrozen(bookingId, frozen, session) {
+    const escrow = await Escrow.findOne({ bookingId }).session(session);
+    if (!escrow || escrow.remainingAmount <= 0) {
+      return null;
+    }
+
+    escrow.frozen = frozen;
+    await escrow.save({ session });
+    return escrow;
+  }
+
+  // Credits still held for a booking, or null when the booking has no escrow
+  async getHeldAmount(bookingId, session) {
+    const escrow = await Escrow.findOne({ bookingId }).session(session);
+    return escrow ? escrow.remainingAmount : null;
+  }
+
+  // Pay out held credits to the helper. Defaults to everything still held.
+  async releaseEscrow(bookingId, { amount, description, reason = 'escrow_release' } = {}, session) {
+    const escrow = await this.getOpenEscrow(bookingId, session);
+    if (!escrow) {
+      return null;
+    }
+
+    const payout = amount === undefined ? escrow.remainingAmount : amount;
+    if (payout > escrow.remainingAmount) {
+      throw new AppError('Release amount exceeds the credits held in escrow', 400);
+    }
+
+    if (payout > 0) {
+      await User.updateOne(
+        { _id: escrow.payerId },
+        { $inc: { heldCredits: -payout } },
+        { session }
+      );
+
+      await this.applyEntry({
+        userId: escrow.payeeId,
+        type: 'credit',
+        amount: payout,
+        reason,
+        counterpartyId: escrow.payerId,
+        relatedId: escrow.bookingId,
+        relatedType: 'Booking',
+        description
+      }, session);
+
+      escrow.releasedAmount += payout;
+    }
+
+    return this.settleIfEmpty(escrow, session);
+  }
+
+  // Return held credits to the provider. Defaults to everything still held.
+  async refundEscrow(bookingId, { amount, description } = {}, session) {
+    const escrow = await this.getOpenEscrow(bookingId, session);
+    if (!escrow) {
+      return null;
+    }
+
+    const refund = amount === undefined ? escrow.remainingAmount : amount;
+    if (refund > escrow.remainingAmount) {
+      throw new AppError('Refund amount exceeds the credits held in escrow', 400);
+    }
+
+    if (refund > 0) {
+      await User.updateOne(
+        { _id: escrow.payerId },
+        { $inc: { heldCredits: -refund } },
+        { session }
+      );
+
+      await this.applyEntry({
+        userId: escrow.payerId,
+        type: 'credit',
+        amount: refund,
+        reason: 'escrow_refund',
+        counterpartyId: escrow.payeeId,
+        relatedId: escrow.bookingId,
+        relatedType: 'Booking',
+        description
+      }, session);
+
+      escrow.refundedAmount += refund;
+    }
+
+    return this.settleIfEmpty(escrow, session);
+  }
+
+  async settleIfEmpty(escrow, session) {
+    if (escrow.remainingAmount === 0) {
+      if (escrow.refundedAmount === 0) {
+        escrow.status = 'released';
+      } else if (escrow.releasedAmount === 0) {
+        escrow.status = 'refunded';
+      } else {
+        escrow.status = 'split';
+      }
+      escrow.settledAt = new Date();
+    }
+
+    await escrow.save({ session });
+    return escrow;
+  }
+
+  // Available and held balances for the wallet
+  async getBalances(userId) {
+    const user = await User.findById(userId).select('credits heldCredits');
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    const activeEscrows = await Escrow.find({ payerId: userId, status: 'held' })
+      .populate('taskId', 'title')
+      .populate('payeeId', 'username')
+      .sort({ createdAt: -1 });
+
+    return {
+      available: user.credits,
+      held: user.heldCredits || 0,
+      activeEscrows
+    };
+  }
+
+  // Paginated ledger history, newest first
+  async getLedger(userId, { page = 1, limit = 20 } = {}) {
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const [transactions, total] = await Promise.all([
+      CreditTransaction.find({ userId })
+        .populate('counterpartyId', 'username')
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      CreditTransaction.countDocuments({ userId })
+    ]);
+
+    return {
+      transactions,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    };
+  }
+
+  // Compare the stored balance with the sum of the user's ledger entries
+  async verifyBalance(userId) {
+    const user = await User.findById(userId).select('credits');
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    const [totals] = await CreditTransaction.aggregate([
+      { $match: { userId: new mongoose.Types.ObjectId(userId) } },
+      {
+        $group: {
+          _id: null,
+          balance: {
+            $sum: { $cond: [{ $eq: ['$type', 'credit'] }, '$amount', { $multiply: ['$amount', -1] }] }
+          }
+        }
+      }
+    ]);
+
+    const ledgerBalance = totals ? totals.balance : 0;
+
+    return {
+      balance: user.credits,
+      ledgerBalance,
+      consistent: ledgerBalance === user.credits
+    };
+  }
+}
+
+module.exports = new CreditService();
@@ -5,6 +5,7 @@ const User = require('../models/User');
 const Chat = require('../models/Chat');
 const Message = require('../models/Message');
 const logger = require('../utils/logger');
+const { isTaskHelper } = require('./bookingStateMachine');
 
 class DashboardService {
   constructor() {
@@ -190,13 +191,14 @@ class DashboardService {
       const tasks = await Task.find({
         $or: [
           { taskProviderId: userId },
-          { selectedHelper: userId }
+          { selectedHelper: userId },
+          { selectedHelpers: userId }
         ],
         createdAt: { $gte: startDate, $lte: endDate }
       }).lean();
 
       const createdTasks = tasks.filter(t => t.taskProviderId.toString() === userId);
-      const assignedTasks = tasks.filter(t => t.selectedHelper?.toString() === userId);
+      const assignedTasks = tasks.filter(t => isTaskHelper(t, userId));
 
       return {
         created: createdTasks,
@@ -335,7 +337,8 @@ class DashboardService {
         Task.find({
           $or: [
             { taskProviderId: userId },
-            { selectedHelper: userId }
+            { selectedHelper: userId },
+            { selectedHelpers: userId }
           ],
           createdAt: { $gte: startDate, $lte: endDate }
         }).populate('taskProviderId selectedHelper', 'username').lean(),
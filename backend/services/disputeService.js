@@ -0,0 +1,137 @@
+const path = require('path');
+const Booking = require('../models/Booking');
+const bookingStateMachine = require('./bookingStateMachine');
+const { DISPUTE_OUTCOMES } = require('./bookingStateMachine');
+const { AppError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Where the upload route stores files
+const UPLOADS_DIR = path.join(__dirname, '../uploads');
+
+// A bare file name inside the uploads directory, as multer generates them
+const isStoredFilename = (filename) => typeof filename === 'string' &&
+  path.basename(filename) === filename && !['', '.', '..'].includes(filename);
+
+// Keep only the metadata the upload route returns, and only for files it could have
+// stored. The path is rebuilt from the filename so a client cannot point it elsewhere.
+const normalizeEvidence = (evidence) => {
+  if (!Array.isArray(evidence)) {
+    return [];
+  }
+
+  return evidence
+    .filter(file => file && isStoredFilename(file.filename))
+    .map(file => ({
+      originalName: file.originalName,
+      filename: file.filename,
+      path: path.join(UPLOADS_DIR, file.filename),
+      mimetype: file.mimetype,
+      size: file.size,
+      uploadedAt: file.uploadedAt || new Date()
+    }));
+};
+
+class DisputeService {
+  // Either party moves an active booking into dispute, freezing its escrow
+  async open({ bookingId, actor, reason, statement, evidence, io }) {
+    return bookingStateMachine.transition({
+      bookingId,
+      to: 'disputed',
+      actor,
+      payload: { reason, statement, evidence: normalizeEvidence(evidence) },
+      io
+    });
+  }
+
+  // Add a statement and/or evidence to an open dispute
+  async addStatement({ bookingId, actor, text, evidence, io }) {
+    const booking = await Booking.findById(bookingId).populate('taskId', 'title');
+    if (!booking) {
+      throw new AppError('Booking not found', 404);
+    }
+
+    const role = bookingStateMachine.getRole(booking, actor);
+    if (!role) {
+      throw new AppError('Unauthorized', 403);
+    }
+
+    if (booking.status !== 'disputed') {
+      throw new AppError('Statements can only be added while the booking is disputed', 409);
+    }
+
+    const files = normalizeEvidence(evidence);
+    const trimmed = (text || '').trim();
+    if (!trimmed && files.length === 0) {
+      throw new AppError('A statement needs text or at least one evidence file', 400);
+    }
+
+    booking.dispute.statements.push({
+      userId: actor._id,
+      role,
+      text: trimmed,
+      evidence: files
+    });
+    booking.dispute.auditTrail.push({
+      action: 'statement_added',
+      actorId: actor._id,
+      details: { role, evidenceCount: files.length }
+    });
+    await booking.save();
+
+    // Let the parties who did not write the statement know about it
+    const recipients = [booking.helper, booking.taskProvider]
+      .filter(userId => userId.toString() !== actor.id);
+
+    for (const userId of recipients) {
+      await bookingStateMachine.sendNotification(io, {
+        userId,
+        type: 'dispute_updated',
+        title: 'New Dispute Statement',
+        message: `${actor.username} added a statement to the dispute on "${booking.taskId.title}"`,
+        relatedId: booking._id,
+        relatedType: 'Booking',
+        metadata: { taskTitle: booking.taskId.title, evidenceCount: files.length }
+      });
+    }
+
+    return booking;
+  }
+
+  // Admin decision: release everything to the helper, refund the provider, or split
+  async resolve({ bookingId, actor, outcome, helperAmount, note, io }) {
+    if (!DISPUTE_OUTCOMES[outcome]) {
+      throw new AppError('Resolution outcome must be release, refund or split', 400);
+    }
+
+    const booking = await bookingStateMachine.transition({
+      bookingId,
+      to: DISPUTE_OUTCOMES[outcome],
+      actor,
+      payload: { resolution: { outcome, helperAmount, note } },
+      io
+    });
+
+    logger.info('Dispute resolved', {
+      bookingId: booking._id.toString(),
+      adminId: actor.id,
+      outcome,
+      helperAmount: booking.dispute.resolution.helperAmount,
+      providerAmount: booking.dispute.resolution.providerAmount
+    });
+
+    return booking;
+  }
+
+  async listDisputes({ status = 'open' } = {}) {
+    return Booking.find({ 'dispute.status': status })
+      .populate([
+        { path: 'taskId', select: 'title description credits' },
+        { path: 'helper', select: 'username rating' },
+        { path: 'taskProvider', select: 'username rating' },
+        { path: 'dispute.statements.userId', select: 'username' }
+      ])
+      .sort({ 'dispute.openedAt': -1 });
+  }
+}
+
+module.exports = new DisputeService();
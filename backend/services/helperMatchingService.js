@@ -0,0 +1,183 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Application = require('../models/Application');
+const bookingStateMachine = require('./bookingStateMachine');
+const availabilityService = require('./availabilityService');
+const { AppError } = require('../utils/errors');
+const { scoreSkillMatch } = require('../utils/skills');
+
+// How much each signal contributes to the 0-100 match score
+const WEIGHTS = {
+  skills: 40,
+  rating: 20,
+  experience: 15,
+  responsiveness: 15,
+  availability: 10
+};
+
+// Ratings are pulled towards this average until a helper has a few reviews
+const PRIOR_RATING = 3.5;
+const PRIOR_REVIEWS = 3;
+// Completed tasks needed for the full experience score
+const EXPERIENCED_AFTER = 20;
+// Replies within this many minutes score full marks; slower ones fade out over a day
+const FAST_REPLY_MINUTES = 15;
+const SLOW_REPLY_MINUTES = 24 * 60;
+const RECENTLY_SEEN_DAYS = 7;
+const MAX_CANDIDATES = 200;
+
+const ACTIVE_BOOKING_STATUSES = ['confirmed', 'in-progress', 'work-submitted', 'revision-requested'];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class HelperMatchingService {
+  skillScore(task, helper) {
+    const { score, matchedSkills } = scoreSkillMatch(task, helper.skills);
+    return { score: score / 100, matchedSkills };
+  }
+
+  ratingScore(helper) {
+    const reviews = helper.totalRatings || 0;
+    const adjusted = (helper.rating * reviews + PRIOR_RATING * PRIOR_REVIEWS) / (reviews + PRIOR_REVIEWS);
+    return adjusted / 5;
+  }
+
+  experienceScore(helper) {
+    return Math.min(Math.log1p(helper.completedTasks) / Math.log1p(EXPERIENCED_AFTER), 1);
+  }
+
+  // Helpers without chat history get a neutral score rather than a penalty
+  responsivenessScore(helper) {
+    if (helper.responseTimeMinutes === null || helper.responseTimeMinutes === undefined) {
+      return 0.5;
+    }
+    if (helper.responseTimeMinutes <= FAST_REPLY_MINUTES) {
+      return 1;
+    }
+    const span = SLOW_REPLY_MINUTES - FAST_REPLY_MINUTES;
+    return Math.max(0, 1 - (helper.responseTimeMinutes - FAST_REPLY_MINUTES) / span);
+  }
+
+  // Helpers booked over the task's time slot are unavailable and helpers outside
+  // their own weekly hours unlikely; otherwise recent activity counts
+  availabilityScore(helper, hasConflict, outsideAvailability) {
+    if (hasConflict) {
+      return 0;
+    }
+    if (outsideAvailability) {
+      return 0.1;
+    }
+    if (helper.isOnline) {
+      return 1;
+    }
+    const daysAway = (Date.now() - new Date(helper.lastSeen).getTime()) / (24 * 60 * 60 * 1000);
+    return daysAway <= RECENTLY_SEEN_DAYS ? 0.7 : 0.3;
+  }
+
+  // Ids of helpers with an active booking overlapping the task's time slot
+  async findConflicts(task, helperIds) {
+    const conflicts = await availabilityService.findBookingConflicts(helperIds, availabilityService.slotFor(task), {
+      excludeTaskId: task._id,
+      statuses: ACTIVE_BOOKING_STATUSES
+    });
+    return new Set(conflicts.keys());
+  }
+
+  // Rank helpers for a task, best first. Helpers who applied or were invited are
+  // kept in the list but flagged so the provider does not invite them twice.
+  async recommend(task, { limit = 10 } = {}) {
+    const candidateQuery = {
+      canAcceptTasks: true,
+      _id: { $ne: task.taskProviderId }
+    };
+    const taskSkills = [...task.skillsRequired, ...(task.skillsNiceToHave || [])];
+    if (taskSkills.length > 0) {
+      candidateQuery.skills = { $in: taskSkills.map(skill => new RegExp(`^${escapeRegex(skill)}$`, 'i')) };
+    }
+
+    const candidates = await User.find(candidateQuery)
+      .select('username bio skills rating totalRatings completedTasks responseTimeMinutes isOnline lastSeen availability')
+      .sort({ rating: -1, completedTasks: -1 })
+      .limit(MAX_CANDIDATES);
+
+    const helperIds = candidates.map(helper => helper._id);
+    const slot = availabilityService.slotFor(task);
+    const [conflicts, applications] = await Promise.all([
+      this.findConflicts(task, helperIds),
+      Application.find({ taskId: task._id, applicantId: { $in: helperIds } }).select('applicantId')
+    ]);
+    const applied = new Set(applications.map(application => application.applicantId.toString()));
+    const invited = new Set((task.invitations || []).map(invitation => invitation.helperId.toString()));
+
+    const ranked = candidates.map(helper => {
+      const id = helper._id.toString();
+      const { score: skills, matchedSkills } = this.skillScore(task, helper);
+      const outsideAvailability = Boolean(availabilityService.scheduleProblem(helper, slot));
+      const breakdown = {
+        skills,
+        rating: this.ratingScore(helper),
+        experience: this.experienceScore(helper),
+        responsiveness: this.responsivenessScore(helper),
+        availability: this.availabilityScore(helper, conflicts.has(id), outsideAvailability)
+      };
+      const score = Object.entries(WEIGHTS)
+        .reduce((sum, [signal, weight]) => sum + weight * breakdown[signal], 0);
+
+      return {
+        helper,
+        score: Math.round(score),
+        breakdown,
+        matchedSkills,
+        available: !conflicts.has(id),
+        outsideAvailability,
+        applied: applied.has(id),
+        invited: invited.has(id)
+      };
+    });
+
+    return ranked
+      .sort((a, b) => b.score - a.score || b.helper.completedTasks - a.helper.completedTasks)
+      .slice(0, limit);
+  }
+
+  // Ask a helper to apply for the task
+  async invite({ task, helperId, actor, io }) {
+    if (!['open', 'in-review'].includes(task.status)) {
+      throw new AppError('Only open tasks can invite helpers', 400);
+    }
+
+    const helper = mongoose.isValidObjectId(helperId)
+      ? await User.findById(helperId).select('username canAcceptTasks')
+      : null;
+    if (!helper || !helper.canAcceptTasks) {
+      throw new AppError('Helper not found', 404);
+    }
+    if (helper._id.toString() === actor.id) {
+      throw new AppError('You cannot invite yourself', 400);
+    }
+    if (task.invitations.some(invitation => invitation.helperId.toString() === helper._id.toString())) {
+      throw new AppError(`${helper.username} has already been invited`, 400);
+    }
+    if (await Application.exists({ taskId: task._id, applicantId: helper._id })) {
+      throw new AppError(`${helper.username} has already applied`, 400);
+    }
+
+    task.invitations.push({ helperId: helper._id, invitedAt: new Date() });
+    await task.save();
+
+    await bookingStateMachine.sendNotification(io, {
+      userId: helper._id,
+      type: 'task_invitation',
+      title: 'You Are Invited to Apply',
+      message: `${actor.username} thinks you would be a great fit for "${task.title}" (${task.credits} credits)`,
+      relatedId: task._id,
+      relatedType: 'Task',
+      actionRequired: true,
+      metadata: { taskTitle: task.title, providerName: actor.username }
+    });
+
+    return helper;
+  }
+}
+
+module.exports = new HelperMatchingService();
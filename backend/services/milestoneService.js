@@ -0,0 +1,252 @@
+const Booking = require('../models/Booking');
+const Task = require('../models/Task');
+const creditService = require('./creditService');
+const bookingStateMachine = require('./bookingStateMachine');
+const { withTransaction } = require('../config/db');
+const { AppError, TransitionError } = require('../utils/errors');
+
+const hasDeliverables = (deliverables = {}) => ['files', 'githubLinks', 'additionalLinks']
+  .some(key => Array.isArray(deliverables[key]) && deliverables[key].length > 0);
+
+class MilestoneService {
+  // Validate milestones sent with a task and return them in storage shape.
+  // Credits must be whole numbers that add up to the task's credits.
+  normalizeTaskMilestones(milestones, taskCredits) {
+    if (!milestones || milestones.length === 0) {
+      return [];
+    }
+
+    if (!Array.isArray(milestones)) {
+      throw new AppError('Milestones must be a list', 400);
+    }
+
+    const normalized = milestones.map((milestone, index) => {
+      const title = (milestone.title || '').trim();
+      const credits = Number(milestone.credits);
+      const dueDate = new Date(milestone.dueDate);
+
+      if (!title) {
+        throw new AppError(`Milestone ${index + 1} needs a title`, 400);
+      }
+      if (!Number.isInteger(credits) || credits < 1) {
+        throw new AppError(`Milestone "${title}" needs a whole number of credits`, 400);
+      }
+      if (Number.isNaN(dueDate.getTime())) {
+        throw new AppError(`Milestone "${title}" needs a valid due date`, 400);
+      }
+
+      return {
+        title,
+        description: (milestone.description || '').trim(),
+        credits,
+        dueDate
+      };
+    });
+
+    const total = normalized.reduce((sum, milestone) => sum + milestone.credits, 0);
+    if (total !== Number(taskCredits)) {
+      throw new AppError(`Milestone credits add up to ${total} but the task pays ${taskCredits}`, 400, {
+        milestoneTotal: total
+      });
+    }
+
+    return normalized.sort((a, b) => a.dueDate - b.dueDate);
+  }
+
+  // Copy task milestones onto a booking, scaling credits when the agreed amount
+  // differs from the task's. Shares round down and the last milestone absorbs the rest.
+  buildBookingMilestones(task, agreedCredits) {
+    if (!task.milestones || task.milestones.length === 0) {
+      return [];
+    }
+
+    let allocated = 0;
+    return task.milestones.map((milestone, index) => {
+      const isLast = index === task.milestones.length - 1;
+      const credits = isLast
+        ? agreedCredits - allocated
+        : Math.floor(milestone.credits * agreedCredits / task.credits);
+      allocated += credits;
+
+      return {
+        milestoneId: milestone._id,
+        title: milestone.title,
+        description: milestone.description,
+        credits,
+        dueDate: milestone.dueDate
+      };
+    });
+  }
+
+  async loadForUpdate(bookingId, milestoneId, actor, expectedRole, session) {
+    const booking = await Booking.findById(bookingId).session(session);
+    if (!booking) {
+      throw new AppError('Booking not found', 404);
+    }
+
+    if (bookingStateMachine.getRole(booking, actor) !== expectedRole) {
+      throw new AppError('Unauthorized', 403);
+    }
+
+    if (booking.status !== 'in-progress') {
+      throw new TransitionError(`Milestones can only be worked on while the booking is in progress (it is ${booking.status})`);
+    }
+
+    const milestone = booking.milestones.id(milestoneId);
+    if (!milestone) {
+      throw new AppError('Milestone not found', 404);
+    }
+
+    const task = await Task.findById(booking.taskId).select('title').session(session);
+    return { booking, milestone, task };
+  }
+
+  // Helper submits the deliverables for one milestone
+  async submit({ bookingId, milestoneId, actor, workNote, deliverables, io }) {
+    let result;
+
+    await withTransaction(async (session) => {
+      const { booking, milestone, task } = await this.loadForUpdate(bookingId, milestoneId, actor, 'helper', session);
+
+      if (!['pending', 'changes-requested'].includes(milestone.status)) {
+        throw new TransitionError(`Milestone "${milestone.title}" is already ${milestone.status}`);
+      }
+
+      if (!hasDeliverables(deliverables) && !(workNote && workNote.trim())) {
+        throw new TransitionError('Submitting a milestone requires a work note or at least one deliverable');
+      }
+
+      milestone.status = 'submitted';
+      milestone.workNote = workNote || '';
+      milestone.deliverables = {
+        files: deliverables?.files || [],
+        githubLinks: deliverables?.githubLinks || [],
+        additionalLinks: deliverables?.additionalLinks || []
+      };
+      milestone.submittedAt = new Date();
+      await booking.save({ session });
+
+      result = { booking, milestone, task };
+    });
+
+    await bookingStateMachine.sendNotification(io, {
+      userId: result.booking.taskProvider,
+      type: 'milestone_submitted',
+      title: 'Milestone Submitted',
+      message: `${actor.username} submitted milestone "${result.milestone.title}" for "${result.task.title}"`,
+      relatedId: result.booking._id,
+      relatedType: 'Booking',
+      actionRequired: true,
+      metadata: { taskTitle: result.task.title, milestoneTitle: result.milestone.title }
+    });
+
+    return result.booking;
+  }
+
+  // Provider sends a submitted milestone back with a note
+  async requestChanges({ bookingId, milestoneId, actor, revisionNote, io }) {
+    if (!(revisionNote && revisionNote.trim())) {
+      throw new AppError('Requesting changes requires a note describing what to revise', 400);
+    }
+
+    let result;
+
+    await withTransaction(async (session) => {
+      const { booking, milestone, task } = await this.loadForUpdate(bookingId, milestoneId, actor, 'taskProvider', session);
+
+      if (milestone.status !== 'submitted') {
+        throw new TransitionError(`Milestone "${milestone.title}" has not been submitted`);
+      }
+
+      milestone.status = 'changes-requested';
+      milestone.revisionNote = revisionNote.trim();
+      await booking.save({ session });
+
+      result = { booking, milestone, task };
+    });
+
+    await bookingStateMachine.sendNotification(io, {
+      userId: result.booking.helper,
+      type: 'milestone_changes_requested',
+      title: 'Milestone Changes Requested',
+      message: `${actor.username} requested changes to milestone "${result.milestone.title}"`,
+      relatedId: result.booking._id,
+      relatedType: 'Booking',
+      actionRequired: true,
+      metadata: { taskTitle: result.task.title, milestoneTitle: result.milestone.title, revisionNote: result.milestone.revisionNote }
+    });
+
+    return result.booking;
+  }
+
+  // Provider accepts a milestone, releasing its credits. Accepting the last one completes the booking.
+  async accept({ bookingId, milestoneId, actor, completionNote, io }) {
+    let result;
+
+    await withTransaction(async (session) => {
+      const { booking, milestone, task } = await this.loadForUpdate(bookingId, milestoneId, actor, 'taskProvider', session);
+
+      if (milestone.status !== 'submitted') {
+        throw new TransitionError(`Milestone "${milestone.title}" has not been submitted`);
+      }
+
+      const description = `Milestone "${milestone.title}" for "${task.title}"`;
+      const held = await creditService.getHeldAmount(booking._id, session);
+
+      if (milestone.credits > 0 && held === null) {
+        // Bookings created before escrow existed pay directly from the provider
+        await creditService.transfer({
+          fromUserId: booking.taskProvider,
+          toUserId: booking.helper,
+          amount: milestone.credits,
+          debitReason: 'task_payment',
+          creditReason: 'task_earning',
+          relatedId: booking._id,
+          relatedType: 'Booking',
+          description
+        }, session);
+      } else if (milestone.credits > 0) {
+        await creditService.releaseEscrow(booking._id, { amount: milestone.credits, description }, session);
+      }
+
+      milestone.status = 'accepted';
+      milestone.acceptedAt = new Date();
+
+      let completion = null;
+      if (booking.milestones.every(item => item.status === 'accepted')) {
+        completion = await bookingStateMachine.applyTransition({
+          booking,
+          to: 'completed',
+          actor,
+          payload: { completionNote }
+        }, session);
+      } else {
+        await booking.save({ session });
+      }
+
+      result = { booking, milestone, task, completion };
+    });
+
+    await bookingStateMachine.sendNotification(io, {
+      userId: result.booking.helper,
+      type: 'milestone_accepted',
+      title: 'Milestone Accepted',
+      message: `Milestone "${result.milestone.title}" was accepted. You earned ${result.milestone.credits} credits!`,
+      relatedId: result.booking._id,
+      relatedType: 'Booking',
+      metadata: {
+        taskTitle: result.task.title,
+        milestoneTitle: result.milestone.title,
+        creditsEarned: result.milestone.credits
+      }
+    });
+
+    if (result.completion) {
+      await bookingStateMachine.announceTransition(result.completion, io);
+    }
+
+    return result.booking;
+  }
+}
+
+module.exports = new MilestoneService();
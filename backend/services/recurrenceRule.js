@@ -0,0 +1,192 @@
+const { AppError } = require('../utils/errors');
+const { isTimeZone, localParts, zonedTime } = require('../utils/timezone');
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DATE_ONLY = /^(\d{4})-(\d{2})-(\d{2})$/;
+const LAST_MINUTE = 23 * 60 + 59;
+
+// Stop runaway loops on rules whose occurrences all fall outside the window
+const MAX_PERIODS = 5000;
+
+const parseRuleDate = (value) => {
+  // UNTIL=20250131 or UNTIL=20250131T170000Z
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value);
+  if (!match) {
+    return new Date(value);
+  }
+  const [, year, month, day, hour = '23', minute = '59', second = '59'] = match;
+  return new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+};
+
+class RecurrenceRule {
+  // Parse an RRULE-style string such as "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;COUNT=10".
+  // Supports FREQ (DAILY, WEEKLY, MONTHLY), INTERVAL, BYDAY, COUNT and UNTIL.
+  parse(rule) {
+    const parsed = { rule };
+
+    for (const part of rule.replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+      const [key, value = ''] = part.split('=');
+
+      switch (key.toUpperCase()) {
+        case 'FREQ':
+          parsed.frequency = value.toLowerCase();
+          break;
+        case 'INTERVAL':
+          parsed.interval = value;
+          break;
+        case 'BYDAY':
+          parsed.byWeekday = value.toUpperCase().split(',').map(code => {
+            const day = WEEKDAY_CODES.indexOf(code);
+            if (day === -1) {
+              throw new AppError(`Unknown weekday "${code}" in recurrence rule`, 400);
+            }
+            return day;
+          });
+          break;
+        case 'COUNT':
+          parsed.count = value;
+          break;
+        case 'UNTIL':
+          parsed.until = parseRuleDate(value);
+          break;
+        default:
+          throw new AppError(`Unsupported recurrence rule part "${key}"`, 400);
+      }
+    }
+
+    return parsed;
+  }
+
+  // Validate request input and return the stored recurrence shape. Input is either
+  // { frequency, interval, byWeekday, until, count, timezone } or { rule: 'FREQ=...', timezone }.
+  // Weekdays and dates are those of the provider's IANA time zone, UTC if none is given.
+  normalize(input, startDate) {
+    if (!input) {
+      throw new AppError('A recurrence rule is required', 400);
+    }
+
+    const timezone = input.timezone || 'UTC';
+    if (!isTimeZone(timezone)) {
+      throw new AppError(`Unknown time zone "${timezone}"`, 400);
+    }
+
+    const source = input.rule ? { ...input, ...this.parse(input.rule) } : input;
+    const start = new Date(startDate);
+    const interval = source.interval === undefined ? 1 : Number(source.interval);
+    const count = source.count ? Number(source.count) : null;
+    const until = source.until ? this.parseUntil(source.until, timezone) : null;
+    const byWeekday = (source.byWeekday || []).map(Number);
+
+    if (Number.isNaN(start.getTime())) {
+      throw new AppError('The series needs a valid start date', 400);
+    }
+    if (!FREQUENCIES.includes(source.frequency)) {
+      throw new AppError('Recurrence frequency must be daily, weekly or monthly', 400);
+    }
+    if (!Number.isInteger(interval) || interval < 1) {
+      throw new AppError('Recurrence interval must be a whole number of at least 1', 400);
+    }
+    if (byWeekday.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      throw new AppError('Weekdays must be numbers from 0 (Sunday) to 6 (Saturday)', 400);
+    }
+    if (count !== null && (!Number.isInteger(count) || count < 1)) {
+      throw new AppError('Occurrence count must be a whole number of at least 1', 400);
+    }
+    if (until && (Number.isNaN(until.getTime()) || until < start)) {
+      throw new AppError('The series end date must be after its start date', 400);
+    }
+
+    return {
+      frequency: source.frequency,
+      interval,
+      byWeekday: source.frequency === 'weekly' ? [...new Set(byWeekday)].sort((a, b) => a - b) : [],
+      startDate: start,
+      until,
+      count,
+      timezone,
+      rule: input.rule || ''
+    };
+  }
+
+  // A plain YYYY-MM-DD end date includes that whole day in the provider's time zone
+  parseUntil(value, timeZone) {
+    const match = DATE_ONLY.exec(value);
+    if (!match) {
+      return new Date(value);
+    }
+    const [, year, month, dayOfMonth] = match.map(Number);
+    return zonedTime({ year, month, dayOfMonth, minutes: LAST_MINUTE, second: 59 }, timeZone);
+  }
+
+  // Candidate dates in the n-th period (day, week or month) counted from the start.
+  // Calendar arithmetic runs on the start's local date in the series' time zone, and
+  // every occurrence keeps the start's local time of day across DST changes.
+  periodDates(recurrence, period) {
+    const timeZone = recurrence.timezone || 'UTC';
+    const start = new Date(recurrence.startDate);
+    const local = localParts(start, timeZone);
+    const offset = period * recurrence.interval;
+    const at = (month, dayOfMonth) => zonedTime({ ...local, month, dayOfMonth }, timeZone);
+
+    if (recurrence.frequency === 'daily') {
+      return [at(local.month, local.dayOfMonth + offset)];
+    }
+
+    if (recurrence.frequency === 'weekly') {
+      const weekdays = recurrence.byWeekday.length > 0 ? recurrence.byWeekday : [local.day];
+      return weekdays
+        .map(day => at(local.month, local.dayOfMonth - local.day + offset * 7 + day))
+        .filter(date => date >= start);
+    }
+
+    // Monthly on the start's day of the month, skipping months that are too short
+    const daysInMonth = new Date(Date.UTC(local.year, local.month + offset, 0)).getUTCDate();
+    if (local.dayOfMonth > daysInMonth) {
+      return [];
+    }
+    return [at(local.month + offset, local.dayOfMonth)];
+  }
+
+  // Occurrences after `from` up to and including `to`, each with its 1-based position in the series
+  between(recurrence, from, to) {
+    const occurrences = [];
+    let position = 0;
+
+    for (let period = 0; period < MAX_PERIODS; period++) {
+      for (const date of this.periodDates(recurrence, period)) {
+        position++;
+
+        if ((recurrence.count && position > recurrence.count) ||
+            (recurrence.until && date > recurrence.until) ||
+            date > to) {
+          return occurrences;
+        }
+
+        if (date > from) {
+          occurrences.push({ date, position });
+        }
+      }
+    }
+
+    return occurrences;
+  }
+
+  // Whether the rule can still produce occurrences after `date`
+  hasMoreAfter(recurrence, date) {
+    const horizon = new Date(date);
+    horizon.setUTCFullYear(horizon.getUTCFullYear() + 2);
+    return this.between(recurrence, date, horizon).length > 0;
+  }
+
+  describe(recurrence) {
+    const unit = { daily: 'day', weekly: 'week', monthly: 'month' }[recurrence.frequency];
+    const every = recurrence.interval > 1 ? `Every ${recurrence.interval} ${unit}s` : `Every ${unit}`;
+    const days = recurrence.byWeekday.length > 0
+      ? ` on ${recurrence.byWeekday.map(day => WEEKDAY_CODES[day]).join(', ')}`
+      : '';
+    return `${every}${days}`;
+  }
+}
+
+module.exports = new RecurrenceRule();
@@ -0,0 +1,233 @@
+const Booking = require('../models/Booking');
+const Task = require('../models/Task');
+const Message = require('../models/Message');
+const Chat = require('../models/Chat');
+const bookingStateMachine = require('./bookingStateMachine');
+const availabilityService = require('./availabilityService');
+const { withTransaction } = require('../config/db');
+const { AppError, TransitionError } = require('../utils/errors');
+
+// Only bookings that have not started yet can move to another time
+const RESCHEDULABLE_STATUSES = ['confirmed'];
+const ROLE_LABELS = { helper: 'helper', taskProvider: 'task provider' };
+
+class RescheduleService {
+  // The booking with its task, checked to belong to the actor, plus the actor's role
+  async loadForParty(bookingId, actor) {
+    const booking = await Booking.findById(bookingId);
+    if (!booking) {
+      throw new AppError('Booking not found', 404);
+    }
+
+    const role = bookingStateMachine.getRole(booking, actor);
+    if (role !== 'helper' && role !== 'taskProvider') {
+      throw new AppError('Unauthorized', 403);
+    }
+
+    const task = await Task.findById(booking.taskId);
+    if (!task) {
+      throw new AppError('Task not found', 404);
+    }
+
+    return { booking, task, role };
+  }
+
+  assertReschedulable(booking) {
+    if (!RESCHEDULABLE_STATUSES.includes(booking.status)) {
+      throw new TransitionError(`A ${booking.status} booking cannot be rescheduled`);
+    }
+  }
+
+  pendingRequest(booking) {
+    return booking.rescheduleRequests.find(request => request.status === 'pending');
+  }
+
+  // The pending request the actor is answering or withdrawing
+  findPending(booking, requestId) {
+    const request = booking.rescheduleRequests.id(requestId);
+    if (!request) {
+      throw new AppError('Reschedule request not found', 404);
+    }
+    if (request.status !== 'pending') {
+      throw new TransitionError(`This reschedule request was already ${request.status}`);
+    }
+    return request;
+  }
+
+  // Either party proposes a new start time; the other party accepts or declines it
+  async propose({ bookingId, actor, dateTime, message, io }) {
+    const { booking, task, role } = await this.loadForParty(bookingId, actor);
+    this.assertReschedulable(booking);
+
+    if (this.pendingRequest(booking)) {
+      throw new AppError('This booking already has a reschedule request waiting for an answer', 409);
+    }
+
+    const proposed = new Date(dateTime);
+    if (!dateTime || Number.isNaN(proposed.getTime()) || proposed <= new Date()) {
+      throw new AppError('The new start time must be in the future', 400);
+    }
+
+    const current = booking.scheduledFor || task.dateTime;
+    if (proposed.getTime() === new Date(current).getTime()) {
+      throw new AppError('The booking already starts at that time', 400);
+    }
+
+    booking.rescheduleRequests.push({
+      proposedBy: actor._id,
+      role,
+      previousDateTime: current,
+      proposedDateTime: proposed,
+      message: (message || '').trim()
+    });
+    await booking.save();
+
+    const otherParty = role === 'helper' ? booking.taskProvider : booking.helper;
+    await bookingStateMachine.sendNotification(io, {
+      userId: otherParty,
+      type: 'reschedule_proposed',
+      title: 'New Time Proposed',
+      message: `${actor.username} proposed moving "${task.title}" to ${proposed.toLocaleString()}`,
+      relatedId: booking._id,
+      relatedType: 'Booking',
+      actionRequired: true,
+      metadata: { taskTitle: task.title, proposedDateTime: proposed, previousDateTime: current }
+    });
+
+    return booking;
+  }
+
+  // The party who did not propose the time accepts or declines it
+  async respond({ bookingId, requestId, actor, accept, io }) {
+    const { booking, task, role } = await this.loadForParty(bookingId, actor);
+    const request = this.findPending(booking, requestId);
+
+    if (request.role === role) {
+      throw new AppError(`Only the ${ROLE_LABELS[role === 'helper' ? 'taskProvider' : 'helper']} can answer a time you proposed`, 403);
+    }
+
+    if (!accept) {
+      request.status = 'declined';
+      request.respondedAt = new Date();
+      await booking.save();
+
+      await bookingStateMachine.sendNotification(io, {
+        userId: request.proposedBy,
+        type: 'reschedule_declined',
+        title: 'New Time Declined',
+        message: `${actor.username} kept "${task.title}" at ${new Date(request.previousDateTime).toLocaleString()}`,
+        relatedId: booking._id,
+        relatedType: 'Booking',
+        metadata: { taskTitle: task.title, proposedDateTime: request.proposedDateTime }
+      });
+
+      return booking;
+    }
+
+    this.assertReschedulable(booking);
+    if (request.proposedDateTime <= new Date()) {
+      throw new AppError('The proposed time has already passed. Propose a new one instead.', 400);
+    }
+
+    const slot = availabilityService.slotFor(task, request.proposedDateTime);
+    await availabilityService.assertNoConflict(booking.helper, slot, {
+      excludeTaskId: task._id,
+      message: 'The helper is already booked at the proposed time'
+    });
+
+    // Cancellation fees and the calendar feed read the time from both the booking
+    // and the task, so they change together. The booking is loaded again inside
+    // the session so a retried transaction starts from what is stored.
+    let rescheduled;
+    await withTransaction(async (session) => {
+      rescheduled = await Booking.findById(booking._id).session(session);
+      this.assertReschedulable(rescheduled);
+      const accepted = this.findPending(rescheduled, request._id);
+
+      const shift = accepted.proposedDateTime.getTime() - new Date(rescheduled.scheduledFor || task.dateTime).getTime();
+
+      accepted.status = 'accepted';
+      accepted.respondedAt = new Date();
+      rescheduled.scheduledFor = accepted.proposedDateTime;
+      rescheduled.overdueFlaggedAt = undefined;
+      // Due dates of milestones still to deliver move with the booking
+      for (const milestone of rescheduled.milestones) {
+        if (milestone.dueDate && milestone.status !== 'accepted') {
+          milestone.dueDate = new Date(milestone.dueDate.getTime() + shift);
+        }
+      }
+      await rescheduled.save({ session });
+
+      // Helpers on a multi-slot task each keep their own time, so the task's
+      // own date only follows the booking when it is the task's only slot
+      if (task.slots <= 1) {
+        await Task.updateOne({ _id: task._id }, { dateTime: accepted.proposedDateTime }, { session });
+      }
+    });
+
+    await this.postChatMessage(booking, actor, io,
+      `Booking rescheduled: "${task.title}" now starts ${request.proposedDateTime.toLocaleString()} (was ${new Date(request.previousDateTime).toLocaleString()})`
+    );
+
+    for (const userId of [booking.helper, booking.taskProvider]) {
+      await bookingStateMachine.sendNotification(io, {
+        userId,
+        type: 'booking_rescheduled',
+        title: 'Booking Rescheduled',
+        message: `"${task.title}" now starts ${request.proposedDateTime.toLocaleString()}`,
+        relatedId: booking._id,
+        relatedType: 'Booking',
+        metadata: {
+          taskTitle: task.title,
+          previousDateTime: request.previousDateTime,
+          scheduledFor: request.proposedDateTime
+        }
+      });
+    }
+
+    return rescheduled;
+  }
+
+  // The proposer takes back a request nobody has answered yet
+  async withdraw({ bookingId, requestId, actor }) {
+    const { booking } = await this.loadForParty(bookingId, actor);
+    const request = this.findPending(booking, requestId);
+
+    if (request.proposedBy.toString() !== actor.id) {
+      throw new AppError('Only the user who proposed the time can withdraw it', 403);
+    }
+
+    request.status = 'withdrawn';
+    request.respondedAt = new Date();
+    await booking.save();
+
+    return booking;
+  }
+
+  // System message in the booking's chat so the change shows in the conversation
+  async postChatMessage(booking, actor, io, content) {
+    if (!booking.chatId) {
+      return;
+    }
+
+    const message = await Message.create({
+      chatId: booking.chatId,
+      senderId: actor._id,
+      content,
+      messageType: 'system',
+      readBy: [{ userId: actor._id, readAt: new Date() }]
+    });
+    await Chat.updateOne({ _id: booking.chatId }, { lastMessage: message._id, lastActivity: new Date() });
+
+    if (io) {
+      io.to(`chat_${booking.chatId}`).emit('new_message', {
+        chatId: booking.chatId,
+        message: content,
+        senderId: actor.id,
+        timestamp: message.createdAt
+      });
+    }
+  }
+}
+
+module.exports = new RescheduleService();
@@ -0,0 +1,41 @@
+const Message = require('../models/Message');
+const User = require('../models/User');
+
+// Weight of the newest reply in the moving average
+const SMOOTHING = 0.2;
+// Replies after this long say more about the conversation pausing than about the user
+const MAX_TRACKED_MINUTES = 3 * 24 * 60;
+
+class ResponseTimeService {
+  // Update the sender's average when a message answers someone else's message
+  async recordMessage(message) {
+    const previous = await Message.findOne({
+      chatId: message.chatId,
+      _id: { $ne: message._id },
+      createdAt: { $lte: message.createdAt },
+      messageType: 'text'
+    }).sort({ createdAt: -1 });
+
+    if (!previous || previous.senderId.toString() === message.senderId.toString()) {
+      return;
+    }
+
+    const minutes = (message.createdAt - previous.createdAt) / 60000;
+    if (minutes > MAX_TRACKED_MINUTES) {
+      return;
+    }
+
+    const user = await User.findById(message.senderId).select('responseTimeMinutes responseSamples');
+    if (!user) {
+      return;
+    }
+
+    user.responseTimeMinutes = user.responseTimeMinutes === null
+      ? minutes
+      : user.responseTimeMinutes * (1 - SMOOTHING) + minutes * SMOOTHING;
+    user.responseSamples += 1;
+    await user.save();
+  }
+}
+
+module.exports = new ResponseTimeService();
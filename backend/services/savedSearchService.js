@@ -0,0 +1,245 @@
+const SavedSearch = require('../models/SavedSearch');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const bookingStateMachine = require('./bookingStateMachine');
+const taskSearchService = require('./taskSearchService');
+const { AppError } = require('../utils/errors');
+const logger = require('../utils/logger');
+const marketplaceConfig = require('../config/marketplace');
+const { canonicalKey } = require('../utils/skills');
+
+const ALERT_MODES = ['off', 'instant', 'daily'];
+const NUMERIC_FILTERS = ['minDuration', 'maxDuration', 'minCredits', 'maxCredits'];
+
+const optionalNumber = (value, label) => {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed < 0) {
+    throw new AppError(`${label} must be a positive number`, 400);
+  }
+  return parsed;
+};
+
+class SavedSearchService {
+  normalizeFilters(input = {}) {
+    const filters = {
+      search: (input.search || '').trim(),
+      skillRequired: (input.skillRequired || '').trim(),
+      urgency: input.urgency || '',
+      showAll: input.showAll === true || input.showAll === 'true'
+    };
+
+    if (!['', 'low', 'medium', 'high'].includes(filters.urgency)) {
+      throw new AppError('Urgency must be low, medium or high', 400);
+    }
+    for (const key of NUMERIC_FILTERS) {
+      filters[key] = optionalNumber(input[key], key);
+    }
+    if (filters.minDuration > filters.maxDuration || filters.minCredits > filters.maxCredits) {
+      throw new AppError('Minimums cannot be larger than maximums', 400);
+    }
+
+    return filters;
+  }
+
+  normalizeAlerts(alerts) {
+    if (alerts === undefined) {
+      return undefined;
+    }
+    if (!ALERT_MODES.includes(alerts)) {
+      throw new AppError('Alerts must be off, instant or daily', 400);
+    }
+    return alerts;
+  }
+
+  async loadOwned(searchId, actor) {
+    const savedSearch = await SavedSearch.findById(searchId);
+    if (!savedSearch) {
+      throw new AppError('Saved search not found', 404);
+    }
+    if (savedSearch.userId.toString() !== actor.id) {
+      throw new AppError('Not authorized', 403);
+    }
+    return savedSearch;
+  }
+
+  async assertNameAvailable(userId, name, searchId) {
+    if (!name) {
+      throw new AppError('A saved search needs a name', 400);
+    }
+    if (await SavedSearch.exists({ userId, name, _id: { $ne: searchId } })) {
+      throw new AppError(`You already have a saved search named "${name}"`, 400);
+    }
+  }
+
+  async create(actor, body) {
+    const count = await SavedSearch.countDocuments({ userId: actor.id });
+    if (count >= marketplaceConfig.savedSearches.maxPerUser) {
+      throw new AppError(`You can keep at most ${marketplaceConfig.savedSearches.maxPerUser} saved searches`, 400);
+    }
+
+    const name = (body.name || '').trim();
+    await this.assertNameAvailable(actor.id, name);
+
+    const savedSearch = new SavedSearch({
+      userId: actor.id,
+      name,
+      filters: this.normalizeFilters(body.filters),
+      alerts: this.normalizeAlerts(body.alerts) || 'off'
+    });
+    await savedSearch.save();
+    return savedSearch;
+  }
+
+  async update(searchId, actor, body) {
+    const savedSearch = await this.loadOwned(searchId, actor);
+
+    if (body.name !== undefined) {
+      const name = (body.name || '').trim();
+      await this.assertNameAvailable(actor.id, name, savedSearch._id);
+      savedSearch.name = name;
+    }
+    if (body.filters !== undefined) {
+      savedSearch.filters = this.normalizeFilters(body.filters);
+    }
+    const alerts = this.normalizeAlerts(body.alerts);
+    if (alerts) {
+      savedSearch.alerts = alerts;
+      // Switching away from the digest drops what it had collected
+      if (alerts !== 'daily') {
+        savedSearch.pendingTaskIds = [];
+      }
+    }
+
+    await savedSearch.save();
+    return savedSearch;
+  }
+
+  // Whether a task satisfies a saved search, mirroring the GET /api/tasks filters.
+  // Every keyword has to appear in the title, description or skills.
+  matches(savedSearch, task, user) {
+    const { filters } = savedSearch;
+
+    if (filters.skillRequired) {
+      if (!task.skillsRequired.some(skill => canonicalKey(skill) === canonicalKey(filters.skillRequired))) return false;
+    } else if (!filters.showAll && user.skills.length > 0) {
+      const userSkills = new Set(user.skills.map(canonicalKey));
+      if (!task.skillsRequired.some(skill => userSkills.has(canonicalKey(skill)))) return false;
+    }
+
+    if (filters.urgency && task.urgency !== filters.urgency) return false;
+    if (filters.minDuration != null && task.durationInMinutes < filters.minDuration) return false;
+    if (filters.maxDuration != null && task.durationInMinutes > filters.maxDuration) return false;
+    if (filters.minCredits != null && task.credits < filters.minCredits) return false;
+    if (filters.maxCredits != null && task.credits > filters.maxCredits) return false;
+
+    const terms = taskSearchService.tokenize(filters.search);
+    if (terms.length > 0) {
+      const words = `${task.title} ${task.description} ${task.skillsRequired.join(' ')}`.match(/\w+/g) || [];
+      return terms.every(term => words.some(word => taskSearchService.wordMatches(word, [term])));
+    }
+    return true;
+  }
+
+  // Called after a task is posted: alert instant subscribers now, queue the rest for their digest
+  async handleNewTask(task, io) {
+    // Unlisted, invite-only and already booked tasks are never advertised
+    if (task.visibility !== 'public' || task.status !== 'open') {
+      return 0;
+    }
+
+    const searches = await SavedSearch.find({
+      alerts: { $in: ['instant', 'daily'] },
+      userId: { $ne: task.taskProviderId }
+    });
+    if (searches.length === 0) {
+      return 0;
+    }
+
+    const users = await User.find({ _id: { $in: searches.map(search => search.userId) } }).select('skills canAcceptTasks');
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+    let matched = 0;
+    for (const savedSearch of searches) {
+      const user = usersById.get(savedSearch.userId.toString());
+      if (!user || !user.canAcceptTasks || !this.matches(savedSearch, task, user)) {
+        continue;
+      }
+      matched++;
+
+      if (savedSearch.alerts === 'daily') {
+        await SavedSearch.updateOne({ _id: savedSearch._id }, { $addToSet: { pendingTaskIds: task._id } });
+        continue;
+      }
+
+      await SavedSearch.updateOne({ _id: savedSearch._id }, { lastAlertAt: new Date() });
+      await bookingStateMachine.sendNotification(io, {
+        userId: savedSearch.userId,
+        type: 'saved_search_match',
+        title: 'New Task Matches Your Search',
+        message: `"${task.title}" (${task.credits} credits) matches your saved search "${savedSearch.name}"`,
+        relatedId: task._id,
+        relatedType: 'Task',
+        metadata: { taskTitle: task.title, savedSearchId: savedSearch._id, savedSearchName: savedSearch.name }
+      });
+    }
+
+    return matched;
+  }
+  // Every path that posts a task runs the alerts in the background; the task is posted either way
+  alertInBackground(task, io) {
+    this.handleNewTask(task, io).catch(error => {
+      logger.logError(error, { context: 'saved_search_alerts', taskId: task._id.toString() });
+    });
+  }
+
+
+  // One notification per saved search with the tasks that are still open
+  async sendDailyDigests(io) {
+    const searches = await SavedSearch.find({ alerts: 'daily', 'pendingTaskIds.0': { $exists: true } });
+
+    let sent = 0;
+    for (const savedSearch of searches) {
+      try {
+        const tasks = await Task.find({
+          _id: { $in: savedSearch.pendingTaskIds },
+          status: 'open',
+          dateTime: { $gte: new Date() }
+        }).select('title credits').sort({ createdAt: 1 });
+
+        savedSearch.pendingTaskIds = [];
+        savedSearch.lastDigestAt = new Date();
+        await savedSearch.save();
+
+        if (tasks.length === 0) {
+          continue;
+        }
+
+        const preview = tasks.slice(0, 3).map(task => `"${task.title}"`).join(', ');
+        const more = tasks.length > 3 ? ` and ${tasks.length - 3} more` : '';
+        await bookingStateMachine.sendNotification(io, {
+          userId: savedSearch.userId,
+          type: 'saved_search_digest',
+          title: `${tasks.length} New Task${tasks.length === 1 ? '' : 's'} for "${savedSearch.name}"`,
+          message: `New since yesterday: ${preview}${more}`,
+          relatedId: tasks[0]._id,
+          relatedType: 'Task',
+          metadata: {
+            savedSearchId: savedSearch._id,
+            savedSearchName: savedSearch.name,
+            taskIds: tasks.map(task => task._id)
+          }
+        });
+        sent++;
+      } catch (error) {
+        logger.logError(error, { context: 'saved_search_digest', savedSearchId: savedSearch._id.toString() });
+      }
+    }
+
+    return { searches: searches.length, sent };
+  }
+}
+
+module.exports = new SavedSearchService();
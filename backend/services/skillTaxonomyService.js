@@ -0,0 +1,358 @@
+const mongoose = require('mongoose');
+const Skill = require('../models/Skill');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const TaskSeries = require('../models/TaskSeries');
+const TaskTemplate = require('../models/TaskTemplate');
+const SavedSearch = require('../models/SavedSearch');
+const skillCatalog = require('../config/skillCatalog');
+const { withTransaction } = require('../config/db');
+const { AppError } = require('../utils/errors');
+const { skillKey, useCatalog, canonicalSkill, normalizeSkills, splitTaskSkills } = require('../utils/skills');
+
+const AUTOCOMPLETE_LIMIT = 10;
+const MAX_AUTOCOMPLETE_LIMIT = 25;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const sameList = (a, b) => a.length === b.length && a.every((value, index) => value === b[index]);
+
+// Matches a stored spelling of the skill whatever its case and spacing
+const spellingPattern = (spelling) =>
+  new RegExp(`^\\s*${skillKey(spelling).split(' ').map(escapeRegex).join('\\s+')}\\s*$`, 'i');
+
+class SkillTaxonomyService {
+  // Seed an empty catalog from config/skillCatalog.js, then match skills against the stored one
+  async load() {
+    if (await Skill.estimatedDocumentCount() === 0) {
+      await this.seed();
+    }
+    return this.refresh();
+  }
+
+  async seed() {
+    const skills = await Skill.insertMany(skillCatalog.map(({ name, category, aliases }) => ({
+      name,
+      key: skillKey(name),
+      category,
+      aliases,
+      aliasKeys: aliases.map(skillKey)
+    })));
+
+    const idByName = new Map(skills.map(skill => [skill.name, skill._id]));
+    const children = skillCatalog.filter(skill => skill.parent);
+    await Skill.bulkWrite(children.map(skill => ({
+      updateOne: {
+        filter: { _id: idByName.get(skill.name) },
+        update: { $set: { parent: idByName.get(skill.parent) } }
+      }
+    })));
+  }
+
+  async refresh() {
+    const skills = await Skill.find().select('name aliases').lean();
+    useCatalog(skills);
+    return skills.length;
+  }
+
+  // Skills whose name or an alias has a word starting with `text`, most used first
+  async autocomplete(text, limit) {
+    const size = Math.min(parseInt(limit) || AUTOCOMPLETE_LIMIT, MAX_AUTOCOMPLETE_LIMIT);
+    const key = skillKey(text || '');
+    const pattern = new RegExp(`(^|[\\s/.-])${escapeRegex(key)}`);
+    const filter = key ? { $or: [{ key: pattern }, { aliasKeys: pattern }] } : {};
+
+    const skills = await Skill.find(filter)
+      .populate('parent', 'name')
+      .sort({ taskCount: -1, userCount: -1, name: 1 })
+      .limit(size)
+      .lean();
+
+    return skills.map(skill => ({
+      _id: skill._id,
+      name: skill.name,
+      category: skill.category,
+      parent: skill.parent ? skill.parent.name : null,
+      // Shown as "JS → JavaScript" when only an alias matched
+      matchedAlias: key && !pattern.test(skill.key)
+        ? skill.aliases.find(alias => pattern.test(skillKey(alias))) || null
+        : null
+    }));
+  }
+
+  async list({ category } = {}) {
+    const filter = category ? { category } : {};
+    return Skill.find(filter)
+      .populate('parent', 'name')
+      .sort({ category: 1, name: 1 });
+  }
+
+  async loadSkill(skillId) {
+    const skill = mongoose.isValidObjectId(skillId) ? await Skill.findById(skillId) : null;
+    if (!skill) {
+      throw new AppError('Skill not found', 404);
+    }
+    return skill;
+  }
+
+  // Every spelling has to point at one skill only
+  async assertSpellingsAvailable(spellings, skillId) {
+    const keys = spellings.map(skillKey);
+    const clash = await Skill.findOne({
+      _id: { $ne: skillId },
+      $or: [{ key: { $in: keys } }, { aliasKeys: { $in: keys } }]
+    });
+    if (clash) {
+      const taken = spellings.find(spelling => {
+        const key = skillKey(spelling);
+        return clash.key === key || clash.aliasKeys.includes(key);
+      });
+      throw new AppError(`"${taken}" already belongs to ${clash.name}`, 400, { skillId: clash._id });
+    }
+  }
+
+  // A skill cannot sit under itself or under one of its own children
+  async assertValidParent(parentId, skillId) {
+    if (!parentId) {
+      return null;
+    }
+
+    const parent = await this.loadSkill(parentId);
+    let ancestor = parent;
+    while (ancestor) {
+      if (skillId && ancestor._id.equals(skillId)) {
+        throw new AppError(`${parent.name} cannot be the parent of a skill it sits under`, 400);
+      }
+      ancestor = ancestor.parent ? await Skill.findById(ancestor.parent) : null;
+    }
+    return parent._id;
+  }
+
+  // Trimmed, de-duplicated aliases that differ from the name
+  cleanAliases(aliases, name) {
+    const seen = new Set([skillKey(name)]);
+    const cleaned = [];
+    for (const alias of Array.isArray(aliases) ? aliases : []) {
+      if (typeof alias !== 'string' || !alias.trim() || seen.has(skillKey(alias))) continue;
+      seen.add(skillKey(alias));
+      cleaned.push(alias.trim().replace(/\s+/g, ' '));
+    }
+    return cleaned;
+  }
+
+  async create(input) {
+    const name = typeof input.name === 'string' ? input.name.trim().replace(/\s+/g, ' ') : '';
+    if (!name) {
+      throw new AppError('A skill needs a name', 400);
+    }
+
+    const aliases = this.cleanAliases(input.aliases, name);
+    await this.assertSpellingsAvailable([name, ...aliases], null);
+
+    const skill = await Skill.create({
+      name,
+      key: skillKey(name),
+      aliases,
+      aliasKeys: aliases.map(skillKey),
+      category: input.category || 'Other',
+      parent: await this.assertValidParent(input.parent, null)
+    });
+
+    await this.refresh();
+    await this.normalizeRecords([name, ...aliases]);
+    return skill;
+  }
+
+  // Renaming keeps the old name as an alias and rewrites everything that stored it
+  async update(skillId, input) {
+    const skill = await this.loadSkill(skillId);
+    const previousName = skill.name;
+
+    const name = typeof input.name === 'string' && input.name.trim()
+      ? input.name.trim().replace(/\s+/g, ' ')
+      : skill.name;
+    let aliases = input.aliases !== undefined ? input.aliases : skill.aliases;
+    if (name !== previousName) {
+      aliases = [...aliases, previousName];
+    }
+    aliases = this.cleanAliases(aliases, name);
+    await this.assertSpellingsAvailable([name, ...aliases], skill._id);
+
+    skill.name = name;
+    skill.key = skillKey(name);
+    skill.aliases = aliases;
+    skill.aliasKeys = aliases.map(skillKey);
+    if (input.category !== undefined) {
+      skill.category = input.category || 'Other';
+    }
+    if (input.parent !== undefined) {
+      skill.parent = await this.assertValidParent(input.parent, skill._id);
+    }
+    await skill.save();
+
+    await this.refresh();
+    await this.normalizeRecords([previousName, ...aliases]);
+    return skill;
+  }
+
+  // Fold duplicate entries into `targetId`: their names become aliases, their
+  // children move across and every user, task and template using them is rewritten
+  async merge({ targetId, duplicateIds }) {
+    const target = await this.loadSkill(targetId);
+    const ids = [...new Set((Array.isArray(duplicateIds) ? duplicateIds : []).map(String))];
+    if (ids.length === 0) {
+      throw new AppError('Choose at least one duplicate to merge', 400);
+    }
+    if (ids.includes(target._id.toString())) {
+      throw new AppError('A skill cannot be merged into itself', 400);
+    }
+
+    const duplicates = await Promise.all(ids.map(id => this.loadSkill(id)));
+    const duplicateIdList = duplicates.map(duplicate => duplicate._id);
+    const mergedNames = duplicates.flatMap(duplicate => [duplicate.name, ...duplicate.aliases]);
+
+    target.aliases = this.cleanAliases([...target.aliases, ...mergedNames], target.name);
+    target.aliasKeys = target.aliases.map(skillKey);
+    if (target.parent && duplicateIdList.some(id => id.equals(target.parent))) {
+      target.parent = null;
+    }
+    target.taskCount += duplicates.reduce((sum, duplicate) => sum + duplicate.taskCount, 0);
+    target.userCount += duplicates.reduce((sum, duplicate) => sum + duplicate.userCount, 0);
+
+    // Records are rewritten against the catalog as it will be after the merge, and
+    // only then are the duplicates deleted, all in one transaction so no record is
+    // ever left pointing at a skill that no longer exists
+    const catalog = (await Skill.find().select('name aliases').lean())
+      .filter(skill => !duplicateIdList.some(id => id.equals(skill._id)))
+      .map(skill => (target._id.equals(skill._id) ? { name: target.name, aliases: target.aliases } : skill));
+
+    let rewritten;
+    try {
+      useCatalog(catalog);
+      rewritten = await withTransaction(async (session) => {
+        const counts = await this.normalizeRecords(mergedNames, session);
+
+        await Skill.deleteMany({ _id: { $in: duplicateIdList } }, { session });
+        await Skill.updateMany({ parent: { $in: duplicateIdList } }, { $set: { parent: target._id } }, { session });
+        await target.save({ session });
+        return counts;
+      });
+    } finally {
+      // The stored catalog, whether the merge committed or rolled back
+      await this.refresh();
+    }
+
+    return { skill: target, merged: duplicates.map(duplicate => duplicate.name), rewritten };
+  }
+
+  // Rewrite stored skills to their canonical names. With `spellings` only records
+  // holding one of them, in any case, are touched; without, every record is checked
+  // (the migration).
+  async normalizeRecords(spellings, session) {
+    const patterns = spellings && spellings.map(spellingPattern);
+    const having = (path) => (patterns ? { [path]: { $in: patterns } } : {});
+    const rewritten = { users: 0, tasks: 0, series: 0, templates: 0, savedSearches: 0 };
+
+    const rewrite = async (Model, filter, changesFor, counter) => {
+      const operations = [];
+      for await (const doc of Model.find(filter).session(session).lean().cursor()) {
+        const changes = changesFor(doc);
+        if (changes) {
+          operations.push({ updateOne: { filter: { _id: doc._id }, update: { $set: changes } } });
+        }
+      }
+      if (operations.length > 0) {
+        await Model.bulkWrite(operations, { session });
+      }
+      rewritten[counter] = operations.length;
+    };
+
+    const taskSkillChanges = (skills, prefix = '') => {
+      const split = splitTaskSkills(skills.skillsRequired || [], skills.skillsNiceToHave || []);
+      if (sameList(split.skillsRequired, skills.skillsRequired || []) &&
+        sameList(split.skillsNiceToHave, skills.skillsNiceToHave || [])) {
+        return null;
+      }
+      return {
+        [`${prefix}skillsRequired`]: split.skillsRequired,
+        [`${prefix}skillsNiceToHave`]: split.skillsNiceToHave
+      };
+    };
+
+    await rewrite(User, having('skills'), (user) => {
+      const skills = normalizeSkills(user.skills || []);
+      return sameList(skills, user.skills || []) ? null : { skills };
+    }, 'users');
+
+    await rewrite(Task, spellings ? { $or: [having('skillsRequired'), having('skillsNiceToHave')] } : {},
+      (task) => taskSkillChanges(task), 'tasks');
+
+    await rewrite(TaskTemplate, spellings ? { $or: [having('skillsRequired'), having('skillsNiceToHave')] } : {},
+      (template) => taskSkillChanges(template), 'templates');
+
+    await rewrite(TaskSeries,
+      spellings ? { $or: [having('template.skillsRequired'), having('template.skillsNiceToHave')] } : {},
+      (series) => taskSkillChanges(series.template || {}, 'template.'), 'series');
+
+    await rewrite(SavedSearch, spellings ? having('filters.skillRequired') : { 'filters.skillRequired': { $ne: '' } },
+      (savedSearch) => {
+        const skill = savedSearch.filters.skillRequired;
+        return skill && canonicalSkill(skill) !== skill ? { 'filters.skillRequired': canonicalSkill(skill) } : null;
+      }, 'savedSearches');
+
+    return rewritten;
+  }
+
+  // Recount how many tasks and users list each skill. Skills in use that the
+  // catalog does not know yet are added under "Other" so admins can file or merge them.
+  async syncUsage() {
+    const [taskUsage, userUsage] = await Promise.all([
+      Task.aggregate([
+        { $project: { skills: { $setUnion: ['$skillsRequired', { $ifNull: ['$skillsNiceToHave', []] }] } } },
+        { $unwind: '$skills' },
+        { $group: { _id: '$skills', count: { $sum: 1 } } }
+      ]),
+      User.aggregate([
+        { $unwind: '$skills' },
+        { $group: { _id: '$skills', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const counts = new Map();
+    const tally = (usage, field) => {
+      for (const { _id: spelling, count } of usage) {
+        if (typeof spelling !== 'string' || !spelling.trim()) continue;
+        const name = canonicalSkill(spelling);
+        const entry = counts.get(skillKey(name)) || { name, taskCount: 0, userCount: 0 };
+        entry[field] += count;
+        counts.set(skillKey(name), entry);
+      }
+    };
+    tally(taskUsage, 'taskCount');
+    tally(userUsage, 'userCount');
+
+    const known = new Set((await Skill.find().select('key').lean()).map(skill => skill.key));
+    const added = [...counts.entries()].filter(([key]) => !known.has(key));
+
+    await Skill.updateMany({}, { $set: { taskCount: 0, userCount: 0 } });
+    const operations = [...counts.entries()].map(([key, { name, taskCount, userCount }]) => ({
+      updateOne: {
+        filter: { key },
+        update: {
+          $set: { taskCount, userCount },
+          $setOnInsert: { name, aliases: [], aliasKeys: [], category: 'Other', parent: null }
+        },
+        upsert: true
+      }
+    }));
+    if (operations.length > 0) {
+      await Skill.bulkWrite(operations);
+    }
+
+    if (added.length > 0) {
+      await this.refresh();
+    }
+    return { skillsInUse: counts.size, added: added.map(([, { name }]) => name) };
+  }
+}
+
+module.exports = new SkillTaxonomyService();
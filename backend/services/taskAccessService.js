@@ -0,0 +1,132 @@
+const Task = require('../models/Task');
+const Application = require('../models/Application');
+const applicationService = require('./applicationService');
+const bookingStateMachine = require('./bookingStateMachine');
+const { AppError } = require('../utils/errors');
+
+// Matches tasks shown in browse, the feed and saved search alerts. Tasks from
+// before visibility modes have no value and are public.
+const LISTED_VISIBILITY = { $nin: ['unlisted', 'invite-only'] };
+
+// Works for both populated and plain references
+const refId = (ref) => (ref && ref._id ? ref._id : ref)?.toString();
+
+class TaskAccessService {
+  get listedVisibility() {
+    return LISTED_VISIBILITY;
+  }
+
+  isProvider(task, userId) {
+    return refId(task.taskProviderId) === userId.toString();
+  }
+
+  findInvitation(task, userId) {
+    return (task.invitations || []).find(invitation => refId(invitation.helperId) === userId.toString());
+  }
+
+  isInvited(task, userId) {
+    return Boolean(this.findInvitation(task, userId));
+  }
+
+  // Public and unlisted tasks open for anyone with the link. Invite-only tasks
+  // open for the provider, invited helpers and anyone already involved.
+  async canView(task, user) {
+    if (task.visibility !== 'invite-only') {
+      return true;
+    }
+    if (user.isAdmin || this.isProvider(task, user.id) || this.isInvited(task, user.id)) {
+      return true;
+    }
+
+    const helperIds = [task.selectedHelper, ...(task.selectedHelpers || [])].map(refId);
+    if (helperIds.includes(user.id)) {
+      return true;
+    }
+    return Boolean(await Application.exists({ taskId: task._id, applicantId: user._id }));
+  }
+
+  // The helper's invitations that still need an answer, newest first
+  async listForHelper(userId) {
+    const tasks = await Task.find({
+      invitations: { $elemMatch: { helperId: userId, status: 'pending' } },
+      status: 'open'
+    }).populate('taskProviderId', 'username rating');
+
+    return tasks
+      .map(task => {
+        const invitation = this.findInvitation(task, userId);
+        return {
+          task,
+          invitedAt: invitation.invitedAt
+        };
+      })
+      .sort((a, b) => b.invitedAt - a.invitedAt);
+  }
+
+  loadPendingInvitation(task, user) {
+    const invitation = this.findInvitation(task, user.id);
+    if (!invitation) {
+      throw new AppError('You have not been invited to this task', 404);
+    }
+    if (invitation.status !== 'pending') {
+      throw new AppError(`You have already ${invitation.status} this invitation`, 400);
+    }
+    return invitation;
+  }
+
+  // Accepting applies for the task on the helper's behalf at the posted terms,
+  // unless they send their own message or price
+  async acceptInvitation({ task, helper, message, proposedCredits, proposedDateTime, io }) {
+    const invitation = this.loadPendingInvitation(task, helper);
+
+    const application = await applicationService.apply({
+      task,
+      helper,
+      message: message || 'Accepted your invitation',
+      proposedCredits,
+      proposedDateTime,
+      invited: true
+    });
+
+    invitation.status = 'accepted';
+    invitation.respondedAt = new Date();
+    invitation.applicationId = application._id;
+    await task.save();
+
+    await bookingStateMachine.sendNotification(io, {
+      userId: task.taskProviderId,
+      type: 'invitation_accepted',
+      title: 'Invitation Accepted',
+      message: `${helper.username} accepted your invitation to "${task.title}" and has applied`,
+      relatedId: application._id,
+      relatedType: 'Application',
+      actionRequired: true,
+      metadata: { taskTitle: task.title, helperName: helper.username }
+    });
+
+    return application;
+  }
+
+  async declineInvitation({ task, helper, io }) {
+    const invitation = this.loadPendingInvitation(task, helper);
+
+    invitation.status = 'declined';
+    invitation.respondedAt = new Date();
+    await task.save();
+
+    await bookingStateMachine.sendNotification(io, {
+      userId: task.taskProviderId,
+      type: 'invitation_declined',
+      title: 'Invitation Declined',
+      message: `${helper.username} declined your invitation to "${task.title}"`,
+      relatedId: task._id,
+      relatedType: 'Task',
+      actionRequired: false,
+      metadata: { taskTitle: task.title, helperName: helper.username }
+    });
+
+    return invitation;
+  }
+}
+
+module.exports = new TaskAccessService();
@@ -0,0 +1,160 @@
+const Task = require('../models/Task');
+const Application = require('../models/Application');
+const taskSearchService = require('./taskSearchService');
+const { encodeCursor, decodeCursor, cursorFor, afterCursor } = require('../utils/cursor');
+const marketplaceConfig = require('../config/marketplace');
+
+const SORTABLE_FIELDS = ['dateTime', 'credits', 'urgency', 'durationInMinutes', 'createdAt'];
+const PROVIDER_FIELDS = 'username rating isOnline';
+const TOP_SKILL_FACETS = 20;
+// Search ranks its matches in memory, so it only loads this many of them
+const MAX_SEARCH_RESULTS = 500;
+
+class TaskBrowseService {
+  pageSize(limit) {
+    const { pageSize, maxPageSize } = marketplaceConfig.tasks;
+    const parsed = parseInt(limit);
+    return Number.isInteger(parsed) && parsed > 0 ? Math.min(parsed, maxPageSize) : pageSize;
+  }
+
+  // One page of open tasks matching `query`. Plain listings page through the
+  // database with keyset cursors on (sort field, _id); search results are ranked
+  // in memory, so their cursor is an offset into the ranking. Totals and facet
+  // counts come with the first page only.
+  async browse({ query, search, sortBy = 'dateTime', sortOrder = 'asc', cursor, limit, userId }) {
+    const size = this.pageSize(limit);
+    const page = search
+      ? await this.searchPage({ query, search, sortBy, sortOrder, cursor, size })
+      : await this.listPage({ query, sortBy, sortOrder, cursor, size });
+
+    page.tasks = await this.withApplicationStatus(page.tasks, userId);
+    return page;
+  }
+
+  async listPage({ query, sortBy, sortOrder, cursor, size }) {
+    const field = SORTABLE_FIELDS.includes(sortBy) ? sortBy : 'dateTime';
+    const direction = sortOrder === 'desc' ? -1 : 1;
+    const conditions = cursor ? { $and: [query, afterCursor(cursor, field, direction)] } : query;
+
+    const tasks = await Task.find(conditions)
+      .populate('taskProviderId', PROVIDER_FIELDS)
+      .sort({ [field]: direction, _id: direction })
+      .limit(size + 1);
+
+    const hasMore = tasks.length > size;
+    const pageTasks = tasks.slice(0, size);
+    const result = {
+      tasks: pageTasks.map(task => ({ task })),
+      hasMore,
+      nextCursor: hasMore ? cursorFor(pageTasks[pageTasks.length - 1], field) : null
+    };
+
+    if (!cursor) {
+      Object.assign(result, await this.countMatches(query));
+    }
+    return result;
+  }
+
+  async searchPage({ query, search, sortBy, sortOrder, cursor, size }) {
+    const field = SORTABLE_FIELDS.includes(sortBy) ? sortBy : 'dateTime';
+    const direction = sortOrder === 'desc' ? -1 : 1;
+    // A text query ranked by relevance keeps its best matches under the cap
+    const findTasks = (conditions, projection) => Task.find(conditions, projection)
+      .sort(sortBy === 'relevance' && projection
+        ? { score: { $meta: 'textScore' }, _id: 1 }
+        : { [field]: direction, _id: direction })
+      .limit(MAX_SEARCH_RESULTS);
+
+    let results = await taskSearchService.search(search, query, findTasks);
+    if (sortBy === 'relevance') {
+      results = taskSearchService.sortByRelevance(results);
+    }
+
+    const offset = cursor ? Number(decodeCursor(cursor).offset) || 0 : 0;
+    const pageResults = results.slice(offset, offset + size);
+    await Task.populate(pageResults.map(result => result.task), { path: 'taskProviderId', select: PROVIDER_FIELDS });
+
+    const hasMore = offset + size < results.length;
+    const page = {
+      tasks: pageResults,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor({ offset: offset + size }) : null
+    };
+
+    if (!cursor) {
+      Object.assign(page, { total: results.length, facets: this.facetsFrom(results.map(result => result.task)) });
+    }
+    return page;
+  }
+
+  // Total and per-urgency / per-skill counts for the filter UI, in one aggregation
+  async countMatches(query) {
+    const [counts] = await Task.aggregate([
+      { $match: query },
+      {
+        $facet: {
+          total: [{ $count: 'count' }],
+          urgency: [{ $group: { _id: '$urgency', count: { $sum: 1 } } }],
+          skills: [
+            { $unwind: '$skillsRequired' },
+            { $group: { _id: '$skillsRequired', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+            { $limit: TOP_SKILL_FACETS }
+          ]
+        }
+      }
+    ]);
+
+    return {
+      total: counts.total[0] ? counts.total[0].count : 0,
+      facets: {
+        urgency: Object.fromEntries(counts.urgency.map(({ _id, count }) => [_id, count])),
+        skills: counts.skills.map(({ _id, count }) => ({ skill: _id, count }))
+      }
+    };
+  }
+
+  // Same shape as countMatches for results that are already in memory
+  facetsFrom(tasks) {
+    const urgency = {};
+    const skills = {};
+    for (const task of tasks) {
+      urgency[task.urgency] = (urgency[task.urgency] || 0) + 1;
+      for (const skill of task.skillsRequired) {
+        skills[skill] = (skills[skill] || 0) + 1;
+      }
+    }
+
+    return {
+      urgency,
+      skills: Object.entries(skills)
+        .map(([skill, count]) => ({ skill, count }))
+        .sort((a, b) => b.count - a.count || a.skill.localeCompare(b.skill))
+        .slice(0, TOP_SKILL_FACETS)
+    };
+  }
+
+  // The viewer's application status for every task on the page in a single query
+  async withApplicationStatus(results, userId) {
+    const statuses = await Application.aggregate([
+      {
+        $match: {
+          taskId: { $in: results.map(({ task }) => task._id) },
+          applicantId: userId
+        }
+      },
+      { $group: { _id: '$taskId', status: { $first: '$status' } } }
+    ]);
+    const statusByTask = new Map(statuses.map(({ _id, status }) => [_id.toString(), status]));
+
+    // Anything else on a result (search relevance, feed reasons) is passed through
+    return results.map(({ task, ...extra }) => ({
+      ...task.toObject(),
+      userApplicationStatus: statusByTask.get(task._id.toString()) || null,
+      applicantCount: task.applicants.length,
+      ...extra
+    }));
+  }
+}
+
+module.exports = new TaskBrowseService();
@@ -0,0 +1,212 @@
+const Task = require('../models/Task');
+const Booking = require('../models/Booking');
+const Application = require('../models/Application');
+const User = require('../models/User');
+const bookingStateMachine = require('./bookingStateMachine');
+const savedSearchService = require('./savedSearchService');
+const { withTransaction } = require('../config/db');
+const { AppError } = require('../utils/errors');
+const logger = require('../utils/logger');
+const marketplaceConfig = require('../config/marketplace');
+
+const MINUTE_MS = 60 * 1000;
+const WEEK_MS = 7 * 24 * 60 * MINUTE_MS;
+
+const EXPIRY_REASON = 'The task date passed before this application was accepted';
+
+class TaskExpiryService {
+  // Same weekday and time as the original, in the first week that is still ahead
+  suggestRepostDate(task, now = new Date()) {
+    const weeksBehind = Math.floor((now.getTime() - task.dateTime.getTime()) / WEEK_MS) + 1;
+    return new Date(task.dateTime.getTime() + Math.max(weeksBehind, 1) * WEEK_MS);
+  }
+
+  async closePendingApplications(task, session) {
+    const result = await Application.updateMany(
+      { taskId: task._id, status: { $in: ['pending', 'waitlisted'] } },
+      { status: 'rejected', responseMessage: EXPIRY_REASON, respondedAt: new Date() },
+      { session }
+    );
+    return result.modifiedCount;
+  }
+
+  // Expire one past-due task. Multi-slot tasks that already have helpers go ahead
+  // with them: their remaining slots and applications are closed and the task
+  // settles with its bookings, so the sweeper does not pick it up again.
+  async expireTask(task, io, now = new Date()) {
+    let expired = false;
+    let closedSlots = false;
+    let closedApplications = 0;
+
+    await withTransaction(async (session) => {
+      closedApplications = await this.closePendingApplications(task, session);
+
+      if (await bookingStateMachine.countFilledSlots(task._id, session) > 0) {
+        task.slotsClosedAt = now;
+        await task.save({ session });
+        await bookingStateMachine.syncTask(task, null, session);
+        closedSlots = true;
+        return;
+      }
+
+      bookingStateMachine.assertTaskTransition(task, 'expired');
+      task.status = 'expired';
+      task.expiredAt = now;
+      await task.save({ session });
+      expired = true;
+    });
+
+    if (expired) {
+      await bookingStateMachine.sendNotification(io, {
+        userId: task.taskProviderId,
+        type: 'task_expired',
+        title: 'Task Expired',
+        message: `"${task.title}" passed its date without a helper. Repost it with a new date to keep looking.`,
+        relatedId: task._id,
+        relatedType: 'Task',
+        actionRequired: true,
+        metadata: {
+          taskTitle: task.title,
+          action: 'repost',
+          closedApplications,
+          suggestedDateTime: this.suggestRepostDate(task, now)
+        }
+      });
+    }
+
+    return { expired, closedSlots, closedApplications };
+  }
+
+  async expireOverdueTasks(io, now = new Date()) {
+    const tasks = await Task.find({
+      status: { $in: ['open', 'in-review'] },
+      dateTime: { $lt: now }
+    });
+
+    const totals = { expiredTasks: 0, closedSlotTasks: 0, closedApplications: 0 };
+    for (const task of tasks) {
+      try {
+        const { expired, closedSlots, closedApplications } = await this.expireTask(task, io, now);
+        totals.expiredTasks += expired ? 1 : 0;
+        totals.closedSlotTasks += closedSlots ? 1 : 0;
+        totals.closedApplications += closedApplications;
+      } catch (error) {
+        logger.logError(error, { context: 'task_expiry', taskId: task._id.toString() });
+      }
+    }
+    return totals;
+  }
+
+  // Flag bookings that never moved on although the task should have ended long ago.
+  // Both parties are told once; the booking itself is left for them to settle.
+  async flagOverdueBookings(io, now = new Date()) {
+    const graceMs = marketplaceConfig.bookings.overdueGraceHours * 60 * MINUTE_MS;
+    const bookings = await Booking.find({
+      status: { $in: ['confirmed', 'in-progress'] },
+      overdueFlaggedAt: null
+    }).populate('taskId', 'title dateTime durationInMinutes');
+
+    let flagged = 0;
+    for (const booking of bookings) {
+      const task = booking.taskId;
+      if (!task) {
+        continue;
+      }
+
+      const start = booking.startedAt || booking.scheduledFor || task.dateTime;
+      const expectedEnd = start.getTime() + task.durationInMinutes * MINUTE_MS;
+      if (now.getTime() < expectedEnd + graceMs) {
+        continue;
+      }
+
+      booking.overdueFlaggedAt = now;
+      await booking.save();
+      flagged++;
+
+      const nextStep = booking.status === 'confirmed'
+        ? 'has not been started'
+        : 'has not been submitted';
+      for (const userId of [booking.helper, booking.taskProvider]) {
+        await bookingStateMachine.sendNotification(io, {
+          userId,
+          type: 'booking_overdue',
+          title: 'Booking Overdue',
+          message: `"${task.title}" ${nextStep} although it was due to finish ${new Date(expectedEnd).toLocaleString()}. Please complete, cancel or dispute it.`,
+          relatedId: booking._id,
+          relatedType: 'Booking',
+          actionRequired: true,
+          metadata: { taskTitle: task.title, bookingStatus: booking.status }
+        });
+      }
+    }
+
+    return flagged;
+  }
+
+  // Entry point for the scheduled job
+  async sweep(io) {
+    const now = new Date();
+    const taskTotals = await this.expireOverdueTasks(io, now);
+    const flaggedBookings = await this.flagOverdueBookings(io, now);
+    return { ...taskTotals, flaggedBookings };
+  }
+
+  // Post a copy of an expired task with a new date. Milestone due dates move by
+  // the same amount as the task date.
+  async repost({ taskId, actor, dateTime, io }) {
+    const task = await Task.findById(taskId);
+    if (!task) {
+      throw new AppError('Task not found', 404);
+    }
+    if (task.taskProviderId.toString() !== actor.id) {
+      throw new AppError('Not authorized', 403);
+    }
+    if (task.status !== 'expired') {
+      throw new AppError('Only expired tasks can be reposted', 400);
+    }
+    if (task.repostedAs) {
+      throw new AppError('This task has already been reposted', 400);
+    }
+
+    const newDate = dateTime ? new Date(dateTime) : this.suggestRepostDate(task);
+    if (Number.isNaN(newDate.getTime()) || newDate <= new Date()) {
+      throw new AppError('The new date must be in the future', 400);
+    }
+    const shift = newDate.getTime() - task.dateTime.getTime();
+
+    const repost = new Task({
+      taskProviderId: task.taskProviderId,
+      title: task.title,
+      description: task.description,
+      skillsRequired: task.skillsRequired,
+      skillsNiceToHave: task.skillsNiceToHave,
+      dateTime: newDate,
+      duration: task.duration,
+      durationInMinutes: task.durationInMinutes,
+      credits: task.credits,
+      urgency: task.urgency,
+      slots: task.slots,
+      groupChat: task.groupChat,
+      visibility: task.visibility,
+      milestones: task.milestones.map(milestone => ({
+        title: milestone.title,
+        description: milestone.description,
+        credits: milestone.credits,
+        dueDate: new Date(milestone.dueDate.getTime() + shift)
+      })),
+      repostedFrom: task._id
+    });
+
+    await withTransaction(async (session) => {
+      await repost.save({ session });
+      task.repostedAs = repost._id;
+      await task.save({ session });
+      await User.findByIdAndUpdate(actor.id, { $inc: { tasksCreated: 1 } }, { session });
+    });
+
+    savedSearchService.alertInBackground(repost, io);
+    return repost;
+  }
+}
+
+module.exports = new TaskExpiryService();
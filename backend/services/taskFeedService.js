@@ -0,0 +1,140 @@
+const Task = require('../models/Task');
+const Application = require('../models/Application');
+const taskBrowseService = require('./taskBrowseService');
+const taskAccessService = require('./taskAccessService');
+const { encodeCursor, decodeCursor } = require('../utils/cursor');
+const { canonicalKey, normalizeSkills } = require('../utils/skills');
+
+// How much each signal contributes to the 0-100 feed score
+const WEIGHTS = {
+  skills: 35,
+  pay: 20,
+  urgency: 10,
+  provider: 15,
+  history: 20
+};
+
+const URGENCY_SCORES = { high: 1, medium: 0.6, low: 0.3 };
+// Provider ratings are pulled towards this average until they have a few reviews
+const PRIOR_RATING = 3.5;
+const PRIOR_REVIEWS = 3;
+// Accepted applications for a skill before history counts in full
+const TRUSTED_AFTER = 3;
+// Newest open tasks considered for the feed
+const MAX_CANDIDATES = 300;
+const PROVIDER_FIELDS = 'username rating totalRatings isOnline';
+
+const median = (values) => {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+class TaskFeedService {
+  // Skills (by canonical key) the helper was accepted for before, with how often
+  async acceptedSkillCounts(userId) {
+    const accepted = await Application.find({ applicantId: userId, status: 'accepted' })
+      .populate('taskId', 'skillsRequired');
+
+    const counts = new Map();
+    for (const application of accepted) {
+      for (const skill of application.taskId?.skillsRequired || []) {
+        const key = canonicalKey(skill);
+        counts.set(key, (counts.get(key) || 0) + 1);
+      }
+    }
+    return counts;
+  }
+
+  score(task, { userSkills, history, typicalRate }) {
+    const reasons = [];
+    const breakdown = {};
+
+    const matched = task.skillsRequired.filter(skill => userSkills.has(canonicalKey(skill)));
+    breakdown.skills = task.skillsRequired.length > 0 ? matched.length / task.skillsRequired.length : 0;
+    if (matched.length > 0) {
+      reasons.push(`Matches ${matched.length} of ${task.skillsRequired.length} required skills: ${matched.join(', ')}`);
+    }
+
+    const rate = task.credits / Math.max(task.durationInMinutes, 1);
+    breakdown.pay = typicalRate > 0 ? Math.min(rate / (2 * typicalRate), 1) : 0.5;
+    if (typicalRate > 0 && rate >= typicalRate * 1.2) {
+      reasons.push(`Pays ${(rate * 60).toFixed(1)} credits per hour, above the typical ${(typicalRate * 60).toFixed(1)}`);
+    }
+
+    breakdown.urgency = URGENCY_SCORES[task.urgency] || URGENCY_SCORES.medium;
+    if (task.urgency === 'high') {
+      reasons.push('Needed urgently');
+    }
+
+    const provider = task.taskProviderId;
+    const reviews = provider?.totalRatings || 0;
+    const providerRating = ((provider?.rating || 0) * reviews + PRIOR_RATING * PRIOR_REVIEWS) / (reviews + PRIOR_REVIEWS);
+    breakdown.provider = providerRating / 5;
+    if (reviews > 0 && provider.rating >= 4.5) {
+      reasons.push(`Posted by ${provider.username}, rated ${provider.rating.toFixed(1)}★`);
+    }
+
+    const [bestSkill, timesAccepted] = task.skillsRequired
+      .map(skill => [skill, history.get(canonicalKey(skill)) || 0])
+      .sort((a, b) => b[1] - a[1])[0] || [null, 0];
+    breakdown.history = Math.min(timesAccepted / TRUSTED_AFTER, 1);
+    if (timesAccepted > 0) {
+      reasons.push(`You were accepted for ${timesAccepted} ${bestSkill} task${timesAccepted === 1 ? '' : 's'} before`);
+    }
+
+    const feedScore = Math.round(Object.entries(WEIGHTS)
+      .reduce((sum, [signal, weight]) => sum + weight * breakdown[signal], 0));
+
+    return { feedScore, feedReasons: reasons };
+  }
+
+  // One page of the helper's feed. Candidates are ranked in memory, so the
+  // cursor is an offset into the ranking, as for search results.
+  async feed(user, { cursor, limit } = {}) {
+    const size = taskBrowseService.pageSize(limit);
+    const appliedTaskIds = await Application.distinct('taskId', { applicantId: user._id });
+
+    const query = {
+      status: 'open',
+      dateTime: { $gte: new Date() },
+      taskProviderId: { $ne: user._id },
+      _id: { $nin: appliedTaskIds },
+      visibility: taskAccessService.listedVisibility
+    };
+    if (user.skills.length > 0) {
+      query.skillsRequired = { $in: normalizeSkills(user.skills) };
+    }
+
+    const [candidates, history] = await Promise.all([
+      Task.find(query)
+        .populate('taskProviderId', PROVIDER_FIELDS)
+        .sort({ createdAt: -1 })
+        .limit(MAX_CANDIDATES),
+      this.acceptedSkillCounts(user._id)
+    ]);
+
+    const context = {
+      userSkills: new Set(user.skills.map(canonicalKey)),
+      history,
+      typicalRate: median(candidates.map(task => task.credits / Math.max(task.durationInMinutes, 1)))
+    };
+
+    const ranked = candidates
+      .map(task => ({ task, ...this.score(task, context) }))
+      .sort((a, b) => b.feedScore - a.feedScore || a.task.dateTime - b.task.dateTime);
+
+    const offset = cursor ? Number(decodeCursor(cursor).offset) || 0 : 0;
+    const hasMore = offset + size < ranked.length;
+
+    return {
+      tasks: await taskBrowseService.withApplicationStatus(ranked.slice(offset, offset + size), user._id),
+      hasMore,
+      nextCursor: hasMore ? encodeCursor({ offset: offset + size }) : null,
+      total: ranked.length
+    };
+  }
+}
+
+module.exports = new TaskFeedService();
@@ -0,0 +1,187 @@
+// Full-text task search on top of the Task text index. MongoDB handles stemming
+// and relevance; typo tolerance comes from a fuzzy fallback that runs when the
+// text index finds nothing.
+
+// Mirrors the weights of the Task text index so fuzzy results rank the same way
+const FIELD_WEIGHTS = { title: 10, skillsRequired: 5, skillsNiceToHave: 3, description: 1 };
+
+const MAX_TERMS = 6;
+// Shorter terms must match exactly; one typo in a three-letter word is a different word
+const MIN_FUZZY_LENGTH = 4;
+const SNIPPET_LENGTH = 160;
+const SNIPPET_LEAD = 50;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Crude English stemming, enough to highlight "painting" for a search on "paint"
+const stem = (word) => word.replace(/(ing|ed|es|s)$/, '').replace(/(.)\1$/, '$1');
+
+// True when a and b differ by at most one insertion, deletion or substitution
+const withinOneEdit = (a, b) => {
+  if (Math.abs(a.length - b.length) > 1) return false;
+
+  let i = 0;
+  let j = 0;
+  let edits = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      i++;
+      j++;
+      continue;
+    }
+    if (++edits > 1) return false;
+    if (a.length > b.length) {
+      i++;
+    } else if (b.length > a.length) {
+      j++;
+    } else {
+      i++;
+      j++;
+    }
+  }
+  return edits + (a.length - i) + (b.length - j) <= 1;
+};
+
+class TaskSearchService {
+  tokenize(text) {
+    const words = (text || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+    return [...new Set(words)].slice(0, MAX_TERMS);
+  }
+
+  wordMatches(word, terms) {
+    const lower = word.toLowerCase();
+    return terms.some(term => {
+      if (lower === term || stem(lower) === stem(term)) return true;
+      return term.length >= MIN_FUZZY_LENGTH && withinOneEdit(lower, term);
+    });
+  }
+
+  // Regex matching words that start with something within one edit of the term
+  fuzzyPattern(term) {
+    if (term.length < MIN_FUZZY_LENGTH) {
+      return new RegExp(`\\b${escapeRegex(term)}`, 'i');
+    }
+
+    const variants = [term];
+    for (let i = 0; i <= term.length; i++) {
+      if (i < term.length) {
+        variants.push(term.slice(0, i) + term.slice(i + 1));
+        variants.push(`${term.slice(0, i)}.${term.slice(i + 1)}`);
+      }
+      variants.push(`${term.slice(0, i)}.${term.slice(i)}`);
+    }
+    return new RegExp(`\\b(${variants.join('|')})`, 'i');
+  }
+
+  fuzzyScore(task, terms) {
+    const fieldWords = {
+      title: task.title.match(/\w+/g) || [],
+      skillsRequired: task.skillsRequired.join(' ').match(/\w+/g) || [],
+      skillsNiceToHave: (task.skillsNiceToHave || []).join(' ').match(/\w+/g) || [],
+      description: task.description.match(/\w+/g) || []
+    };
+
+    let score = 0;
+    for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+      const matches = fieldWords[field].filter(word => this.wordMatches(word, terms)).length;
+      score += weight * matches / Math.max(fieldWords[field].length, 1);
+    }
+    return score;
+  }
+
+  // Split text into [{ text, match }] segments so clients can highlight without parsing markup
+  segments(text, terms) {
+    const parts = text.split(/(\w+)/).filter(Boolean);
+    const segments = [];
+    for (const part of parts) {
+      const match = /\w/.test(part) && this.wordMatches(part, terms);
+      const last = segments[segments.length - 1];
+      if (last && last.match === match) {
+        last.text += part;
+      } else {
+        segments.push({ text: part, match });
+      }
+    }
+    return segments;
+  }
+
+  // A window of the description around its first matching word
+  snippet(description, terms) {
+    const wordPattern = /\w+/g;
+    let first = null;
+    let found;
+    while ((found = wordPattern.exec(description)) !== null) {
+      if (this.wordMatches(found[0], terms)) {
+        first = found.index;
+        break;
+      }
+    }
+
+    let start = first === null ? 0 : Math.max(0, first - SNIPPET_LEAD);
+    if (start > 0) {
+      const space = description.indexOf(' ', start);
+      start = space === -1 || space > first ? start : space + 1;
+    }
+    let end = Math.min(description.length, start + SNIPPET_LENGTH);
+    if (end < description.length) {
+      const space = description.lastIndexOf(' ', end);
+      end = space > start ? space : end;
+    }
+
+    return `${start > 0 ? '…' : ''}${description.slice(start, end)}${end < description.length ? '…' : ''}`;
+  }
+
+  highlight(task, terms) {
+    return {
+      title: this.segments(task.title, terms),
+      snippet: this.segments(this.snippet(task.description, terms), terms),
+      skills: [...task.skillsRequired, ...(task.skillsNiceToHave || [])]
+        .filter(skill => (skill.match(/\w+/g) || []).some(word => this.wordMatches(word, terms)))
+    };
+  }
+
+  // Search tasks matching `filter`. `find(conditions, projection)` runs the actual
+  // query so callers keep control of population. Returns [{ task, relevance, highlights }].
+  async search(text, filter, find) {
+    const terms = this.tokenize(text);
+    if (terms.length === 0) {
+      const tasks = await find(filter);
+      return tasks.map(task => ({ task }));
+    }
+
+    const textMatches = await find(
+      { ...filter, $text: { $search: terms.join(' ') } },
+      { score: { $meta: 'textScore' } }
+    );
+
+    if (textMatches.length > 0) {
+      return textMatches.map(task => ({
+        task,
+        relevance: task.get('score'),
+        highlights: this.highlight(task, terms)
+      }));
+    }
+
+    // Nothing in the index: try again allowing one typo per word
+    const fuzzyConditions = terms.flatMap(term => {
+      const pattern = this.fuzzyPattern(term);
+      return Object.keys(FIELD_WEIGHTS).map(field => ({ [field]: pattern }));
+    });
+    const fuzzyMatches = await find({ $and: [filter, { $or: fuzzyConditions }] });
+
+    return fuzzyMatches.map(task => ({
+      task,
+      relevance: this.fuzzyScore(task, terms),
+      highlights: this.highlight(task, terms)
+    }));
+  }
+
+  // Order search results by relevance, falling back to the task date for ties
+  sortByRelevance(results) {
+    return [...results].sort((a, b) =>
+      (b.relevance || 0) - (a.relevance || 0) || a.task.dateTime - b.task.dateTime
+    );
+  }
+}
+
+module.exports = new TaskSearchService();
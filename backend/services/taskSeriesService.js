@@ -0,0 +1,384 @@
+const Task = require('../models/Task');
+const TaskSeries = require('../models/TaskSeries');
+const Application = require('../models/Application');
+const User = require('../models/User');
+const applicationService = require('./applicationService');
+const availabilityService = require('./availabilityService');
+const bookingStateMachine = require('./bookingStateMachine');
+const recurrenceRule = require('./recurrenceRule');
+const savedSearchService = require('./savedSearchService');
+const { withTransaction } = require('../config/db');
+const { AppError } = require('../utils/errors');
+const { parseDurationToMinutes, parseSlots } = require('../utils/taskInput');
+const { splitTaskSkills } = require('../utils/skills');
+const logger = require('../utils/logger');
+const marketplaceConfig = require('../config/marketplace');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TEMPLATE_FIELDS = ['title', 'description', 'skillsRequired', 'skillsNiceToHave', 'duration', 'credits', 'urgency', 'slots', 'visibility'];
+
+class TaskSeriesService {
+  // Merge request input over existing task details and validate the result.
+  // Saved task templates reuse this with their own field list.
+  buildTemplate(input, existing = {}, fields = TEMPLATE_FIELDS) {
+    const template = {};
+    for (const field of fields) {
+      template[field] = input[field] !== undefined ? input[field] : existing[field];
+    }
+
+    if (!template.title || !template.description || !template.duration) {
+      throw new AppError('A task needs a title, description and duration', 400);
+    }
+
+    const credits = Number(template.credits);
+    if (!Number.isInteger(credits) || credits < 1) {
+      throw new AppError('Credits must be a whole number of at least 1', 400);
+    }
+
+    return {
+      ...template,
+      credits,
+      ...splitTaskSkills(template.skillsRequired, template.skillsNiceToHave),
+      durationInMinutes: parseDurationToMinutes(template.duration),
+      urgency: template.urgency || 'medium',
+      slots: parseSlots(template.slots)
+    };
+  }
+
+  async create({ provider, body, io }) {
+    const series = new TaskSeries({
+      taskProviderId: provider.id,
+      template: this.buildTemplate(body),
+      recurrence: recurrenceRule.normalize(body.recurrence, body.dateTime),
+      keepSameHelper: Boolean(body.keepSameHelper)
+    });
+
+    await series.save();
+    await this.generateOccurrences(series, { io });
+
+    return series;
+  }
+
+  // Create the occurrences that fall inside the generation window and have no task yet
+  async generateOccurrences(series, { now = new Date(), io } = {}) {
+    if (series.status !== 'active') {
+      return [];
+    }
+
+    const horizon = new Date(now.getTime() + marketplaceConfig.series.generateAheadDays * DAY_MS);
+    // Occurrences already in the past are never created
+    const from = new Date(Math.max(
+      now.getTime(),
+      series.generatedThrough ? series.generatedThrough.getTime() : 0
+    ));
+
+    const occurrences = recurrenceRule.between(series.recurrence, from, horizon);
+    const created = [];
+
+    for (const { date, position } of occurrences) {
+      // Cancelled or edited occurrences still count as existing
+      const exists = await Task.exists({ seriesId: series._id, occurrenceDate: date });
+      if (exists) {
+        continue;
+      }
+
+      const task = new Task({
+        ...series.toObject().template,
+        taskProviderId: series.taskProviderId,
+        dateTime: date,
+        seriesId: series._id,
+        occurrenceDate: date
+      });
+      await task.save();
+      created.push(task);
+
+      series.occurrenceCount = Math.max(series.occurrenceCount, position);
+    }
+
+    series.generatedThrough = horizon;
+    if (!recurrenceRule.hasMoreAfter(series.recurrence, horizon)) {
+      series.status = 'ended';
+    }
+    await series.save();
+
+    if (created.length > 0) {
+      await User.findByIdAndUpdate(series.taskProviderId, { $inc: { tasksCreated: created.length } });
+    }
+
+    if (series.keepSameHelper && series.preferredHelper) {
+      for (const task of created) {
+        await this.bookPreferredHelper(series, task, io);
+      }
+    }
+
+    // Occurrences the series' helper did not take are advertised like any new task
+    for (const task of created) {
+      savedSearchService.alertInBackground(task, io);
+    }
+
+    return created;
+  }
+
+  // Book the series' helper on a new occurrence. When that is not possible the
+  // occurrence simply stays open for applications and the provider is told why.
+  async bookPreferredHelper(series, task, io) {
+    const helper = await User.findById(series.preferredHelper).select('username canAcceptTasks');
+    if (!helper || !helper.canAcceptTasks) {
+      return;
+    }
+
+    try {
+      await availabilityService.assertNoConflict(helper._id, availabilityService.slotFor(task), {
+        excludeTaskId: task._id,
+        message: `${helper.username} is already booked at that time`
+      });
+
+      await withTransaction(async (session) => {
+        const filledSlots = await applicationService.assertCanAccept(task, session);
+
+        const [application] = await Application.create([{
+          taskId: task._id,
+          applicantId: helper._id,
+          taskProviderId: series.taskProviderId,
+          message: 'Booked automatically for this recurring series',
+          proposedCredits: task.credits,
+          status: 'accepted',
+          respondedAt: new Date()
+        }], { session });
+        task.applicants.push(application._id);
+
+        await applicationService.createBooking({
+          task,
+          application,
+          helperId: helper._id,
+          providerId: series.taskProviderId,
+          agreedCredits: task.credits,
+          filledSlots
+        }, session);
+      });
+    } catch (error) {
+      if (!(error instanceof AppError)) {
+        throw error;
+      }
+
+      await bookingStateMachine.sendNotification(io, {
+        userId: series.taskProviderId,
+        type: 'series_booking_failed',
+        title: 'Recurring Booking Not Made',
+        message: `${helper.username} could not be booked for "${task.title}" on ${task.dateTime.toDateString()}: ${error.message}`,
+        relatedId: task._id,
+        relatedType: 'Task',
+        actionRequired: true,
+        metadata: { seriesId: series._id, reason: error.message }
+      });
+      return;
+    }
+
+    await bookingStateMachine.sendNotification(io, {
+      userId: helper._id,
+      type: 'series_occurrence_booked',
+      title: 'Recurring Task Booked',
+      message: `You have been booked for "${task.title}" on ${task.dateTime.toDateString()}`,
+      relatedId: task._id,
+      relatedType: 'Task',
+      metadata: { seriesId: series._id, taskTitle: task.title }
+    });
+  }
+
+  // Called on a schedule: top up every active series whose window has moved on
+  async generateDue(io) {
+    const now = new Date();
+    const threshold = new Date(now.getTime() + marketplaceConfig.series.generateAheadDays * DAY_MS);
+    const due = await TaskSeries.find({
+      status: 'active',
+      $or: [{ generatedThrough: null }, { generatedThrough: { $lt: threshold } }]
+    });
+
+    let created = 0;
+    for (const series of due) {
+      try {
+        created += (await this.generateOccurrences(series, { now, io })).length;
+      } catch (error) {
+        logger.logError(error, { context: 'task_series_generation', seriesId: series._id.toString() });
+      }
+    }
+
+    return { series: due.length, created };
+  }
+
+  async loadOwned(seriesId, actor) {
+    const series = await TaskSeries.findById(seriesId);
+    if (!series) {
+      throw new AppError('Series not found', 404);
+    }
+    if (series.taskProviderId.toString() !== actor.id) {
+      throw new AppError('Not authorized', 403);
+    }
+    return series;
+  }
+
+  // Future occurrences a series-wide change may still touch: open, unbooked and not edited on their own
+  async findEditableOccurrences(series) {
+    const tasks = await Task.find({
+      seriesId: series._id,
+      status: 'open',
+      seriesDetached: false,
+      dateTime: { $gt: new Date() }
+    });
+
+    const editable = [];
+    for (const task of tasks) {
+      if (await bookingStateMachine.countFilledSlots(task._id) === 0) {
+        editable.push(task);
+      }
+    }
+    return editable;
+  }
+
+  // Edit the whole series. Template changes apply to future editable occurrences;
+  // a new recurrence replaces them with freshly generated ones.
+  async update({ seriesId, actor, body, io }) {
+    const series = await this.loadOwned(seriesId, actor);
+    if (series.status === 'cancelled') {
+      throw new AppError('Cannot edit a cancelled series', 400);
+    }
+
+    series.template = this.buildTemplate(body, series.toObject().template);
+    if (body.keepSameHelper !== undefined) {
+      series.keepSameHelper = Boolean(body.keepSameHelper);
+      if (!series.keepSameHelper) {
+        series.preferredHelper = null;
+      }
+    }
+
+    const editable = await this.findEditableOccurrences(series);
+
+    if (body.recurrence) {
+      series.recurrence = recurrenceRule.normalize(
+        { timezone: series.recurrence.timezone, ...body.recurrence },
+        body.dateTime || series.recurrence.startDate
+      );
+      series.generatedThrough = null;
+      series.status = 'active';
+
+      // Unbooked occurrences are replaced; deleting them lets the new schedule reuse their dates
+      const replaced = editable.map(task => task._id);
+      const openApplications = await Application.find({
+        taskId: { $in: replaced },
+        status: { $in: ['pending', 'waitlisted'] }
+      }).select('taskId applicantId');
+      await Task.deleteMany({ _id: { $in: replaced } });
+      await Application.deleteMany({ taskId: { $in: replaced } });
+
+      await series.save();
+      await this.generateOccurrences(series, { io });
+      await this.notifyRemovedApplications(editable, openApplications, io);
+    } else {
+      const changes = series.toObject().template;
+      for (const task of editable) {
+        task.set(changes);
+        await task.save();
+      }
+      await series.save();
+    }
+
+    return series;
+  }
+
+  // Tell helpers whose applications went away with occurrences a schedule change removed
+  async notifyRemovedApplications(tasks, applications, io) {
+    const tasksById = new Map(tasks.map(task => [task._id.toString(), task]));
+
+    for (const application of applications) {
+      const task = tasksById.get(application.taskId.toString());
+      await bookingStateMachine.sendNotification(io, {
+        userId: application.applicantId,
+        type: 'series_occurrence_removed',
+        title: 'Recurring Task Rescheduled',
+        message: `The provider changed the schedule of "${task.title}". Your application for ${task.dateTime.toDateString()} was removed; apply again to one of the new dates.`,
+        relatedId: task._id,
+        relatedType: 'Task',
+        metadata: { seriesId: task.seriesId, taskTitle: task.title, occurrenceDate: task.dateTime }
+      });
+    }
+  }
+
+  // Stop the series and cancel its future occurrences that nobody is booked on yet
+  async cancel({ seriesId, actor }) {
+    const series = await this.loadOwned(seriesId, actor);
+    if (series.status === 'cancelled') {
+      throw new AppError('Series is already cancelled', 400);
+    }
+
+    series.status = 'cancelled';
+    series.cancelledAt = new Date();
+    await series.save();
+
+    const tasks = await Task.find({
+      seriesId: series._id,
+      status: 'open',
+      dateTime: { $gt: new Date() }
+    });
+
+    let cancelled = 0;
+    for (const task of tasks) {
+      if (await bookingStateMachine.countFilledSlots(task._id) === 0) {
+        await this.cancelOccurrence(task, 'The recurring series for this task was cancelled');
+        cancelled++;
+      }
+    }
+
+    return { series, cancelledOccurrences: cancelled };
+  }
+
+  // Occurrences are cancelled rather than deleted so the generator does not recreate them
+  async cancelOccurrence(task, reason = 'This occurrence was cancelled') {
+    bookingStateMachine.assertTaskTransition(task, 'cancelled');
+
+    task.status = 'cancelled';
+    await task.save();
+
+    await Application.updateMany(
+      { taskId: task._id, status: { $in: ['pending', 'waitlisted'] } },
+      { status: 'rejected', responseMessage: reason, respondedAt: new Date() }
+    );
+  }
+
+  async listForProvider(actor) {
+    const series = await TaskSeries.find({ taskProviderId: actor.id })
+      .populate('preferredHelper', 'username rating')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    const upcoming = await Task.find({
+      seriesId: { $in: series.map(item => item._id) },
+      dateTime: { $gte: new Date() }
+    })
+      .select('seriesId title dateTime status seriesDetached')
+      .sort({ dateTime: 1 })
+      .lean();
+
+    return series.map(item => ({
+      ...item,
+      schedule: recurrenceRule.describe(item.recurrence),
+      upcoming: upcoming.filter(task => task.seriesId.toString() === item._id.toString())
+    }));
+  }
+
+  async getSeries(seriesId, actor) {
+    const series = await this.loadOwned(seriesId, actor);
+    await series.populate('preferredHelper', 'username rating');
+
+    const occurrences = await Task.find({ seriesId: series._id })
+      .populate('selectedHelper', 'username rating')
+      .sort({ dateTime: 1 });
+
+    return {
+      ...series.toObject(),
+      schedule: recurrenceRule.describe(series.recurrence),
+      occurrences
+    };
+  }
+}
+
+module.exports = new TaskSeriesService();
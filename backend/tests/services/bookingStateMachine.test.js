@@ -0,0 +1,168 @@
+const mongoose = require('mongoose');
+const bookingStateMachine = require('../../services/bookingStateMachine');
+const { AppError, TransitionError } = require('../../utils/errors');
+
+const { BOOKING_TRANSITIONS, TASK_TRANSITIONS, DISPUTE_OUTCOMES, isTaskHelper } = bookingStateMachine;
+
+// Every booking transition and who may make it
+const EXPECTED_ACTORS = {
+  confirmed: {
+    'in-progress': ['helper'],
+    cancelled: ['helper', 'taskProvider'],
+    disputed: ['taskProvider']
+  },
+  'in-progress': {
+    'work-submitted': ['helper'],
+    completed: ['taskProvider'],
+    cancelled: ['helper', 'taskProvider'],
+    disputed: ['helper', 'taskProvider']
+  },
+  'work-submitted': {
+    completed: ['taskProvider'],
+    'revision-requested': ['taskProvider'],
+    disputed: ['helper', 'taskProvider']
+  },
+  'revision-requested': {
+    'work-submitted': ['helper'],
+    cancelled: ['helper', 'taskProvider'],
+    disputed: ['helper', 'taskProvider']
+  },
+  disputed: {
+    completed: ['admin'],
+    cancelled: ['admin']
+  },
+  completed: {},
+  cancelled: {}
+};
+
+const thrown = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  throw new Error('expected an error');
+};
+
+const preconditionErrors = (from, to, ctx) =>
+  (BOOKING_TRANSITIONS[from][to].preconditions || []).map(check => check(ctx)).filter(Boolean);
+
+describe('bookingStateMachine', () => {
+  const helperId = new mongoose.Types.ObjectId();
+  const providerId = new mongoose.Types.ObjectId();
+  const booking = (status) => ({ status, helper: helperId, taskProvider: providerId, milestones: [] });
+
+  it('allows exactly the expected transitions and actors', () => {
+    const actors = Object.fromEntries(Object.entries(BOOKING_TRANSITIONS).map(([from, transitions]) => [
+      from,
+      Object.fromEntries(Object.entries(transitions).map(([to, rule]) => [to, rule.actors]))
+    ]));
+
+    expect(actors).toEqual(EXPECTED_ACTORS);
+  });
+
+  it('gives every transition something to apply and only known target statuses', () => {
+    for (const transitions of Object.values(BOOKING_TRANSITIONS)) {
+      for (const [to, rule] of Object.entries(transitions)) {
+        expect(BOOKING_TRANSITIONS).toHaveProperty([to]);
+        expect(typeof rule.apply).toBe('function');
+      }
+    }
+  });
+
+  it('only moves tasks to known statuses and never out of a final one', () => {
+    for (const targets of Object.values(TASK_TRANSITIONS)) {
+      targets.forEach(to => expect(TASK_TRANSITIONS).toHaveProperty([to]));
+    }
+    ['completed', 'cancelled', 'expired'].forEach(status => expect(TASK_TRANSITIONS[status]).toEqual([]));
+  });
+
+  it('settles every dispute outcome into a status an admin can resolve to', () => {
+    for (const status of Object.values(DISPUTE_OUTCOMES)) {
+      expect(BOOKING_TRANSITIONS.disputed[status].actors).toEqual(['admin']);
+    }
+  });
+
+  it('lets a task settle either way when a dispute opened before work started is resolved', () => {
+    expect(TASK_TRANSITIONS.assigned).toEqual(expect.arrayContaining(Object.values(DISPUTE_OUTCOMES)));
+  });
+
+  it('works out the role of a user on a booking', () => {
+    expect(bookingStateMachine.getRole(booking('confirmed'), { id: helperId.toString() })).toBe('helper');
+    expect(bookingStateMachine.getRole(booking('confirmed'), { id: providerId.toString() })).toBe('taskProvider');
+    expect(bookingStateMachine.getRole(booking('confirmed'), { id: 'someone', isAdmin: true })).toBe('admin');
+    expect(bookingStateMachine.getRole(booking('confirmed'), { id: 'someone' })).toBeNull();
+  });
+
+  it('lists the transitions open to a role', () => {
+    expect(bookingStateMachine.getAllowedTransitions(booking('confirmed'), 'helper')).toEqual(['in-progress', 'cancelled']);
+    expect(bookingStateMachine.getAllowedTransitions(booking('confirmed'), 'taskProvider')).toEqual(['cancelled', 'disputed']);
+    expect(bookingStateMachine.getAllowedTransitions(booking('completed'), 'taskProvider')).toEqual([]);
+  });
+
+  describe('getRule', () => {
+    it('returns the rule for an allowed transition', () => {
+      expect(bookingStateMachine.getRule('work-submitted', 'completed', 'taskProvider'))
+        .toBe(BOOKING_TRANSITIONS['work-submitted'].completed);
+    });
+
+    it('rejects unknown statuses with a 400', () => {
+      const error = thrown(() => bookingStateMachine.getRule('confirmed', 'paused', 'helper'));
+
+      expect(error).toBeInstanceOf(AppError);
+      expect(error.status).toBe(400);
+    });
+
+    it('rejects staying in the same status', () => {
+      expect(() => bookingStateMachine.getRule('confirmed', 'confirmed', 'helper')).toThrow('Booking is already confirmed');
+    });
+
+    it('rejects transitions the table does not have, listing the ones it does', () => {
+      const error = thrown(() => bookingStateMachine.getRule('confirmed', 'completed', 'taskProvider'));
+
+      expect(error).toBeInstanceOf(TransitionError);
+      expect(error.status).toBe(409);
+      expect(error.details).toEqual({ allowedTransitions: ['in-progress', 'cancelled', 'disputed'] });
+    });
+
+    it('names who may make a transition when the role may not', () => {
+      expect(() => bookingStateMachine.getRule('work-submitted', 'completed', 'helper'))
+        .toThrow('Only the task provider can move a booking from "work-submitted" to "completed"');
+      expect(() => bookingStateMachine.getRule('disputed', 'completed', 'taskProvider'))
+        .toThrow('Only the admin can move a booking from "disputed" to "completed"');
+    });
+  });
+
+  describe('preconditions', () => {
+    it('requires a note or deliverables to submit work', () => {
+      expect(preconditionErrors('in-progress', 'work-submitted', { booking: booking('in-progress'), payload: {} }))
+        .toEqual(['Submitting work requires a work note or at least one deliverable']);
+      expect(preconditionErrors('in-progress', 'work-submitted', { booking: booking('in-progress'), payload: { workNote: 'Done' } }))
+        .toEqual([]);
+    });
+
+    it('requires a reason to open a dispute, including on a confirmed booking', () => {
+      expect(preconditionErrors('confirmed', 'disputed', { booking: booking('confirmed'), payload: { reason: '  ' } }))
+        .toEqual(['Opening a dispute requires a reason']);
+      expect(preconditionErrors('confirmed', 'disputed', { booking: booking('confirmed'), payload: { reason: 'No-show' } }))
+        .toEqual([]);
+    });
+
+    it('requires a resolution matching the status an admin settles a dispute into', () => {
+      const ctx = (outcome) => ({ booking: booking('disputed'), to: 'cancelled', payload: { resolution: { outcome } } });
+
+      expect(preconditionErrors('disputed', 'cancelled', ctx('pay everyone'))).toEqual(['Resolution outcome must be release, refund or split']);
+      expect(preconditionErrors('disputed', 'cancelled', ctx('release'))).toEqual(['A release resolution settles the booking as completed']);
+      expect(preconditionErrors('disputed', 'cancelled', ctx('refund'))).toEqual([]);
+    });
+  });
+
+  it('recognises helpers of single- and multi-slot tasks', () => {
+    const otherId = new mongoose.Types.ObjectId();
+
+    expect(isTaskHelper({ selectedHelper: helperId }, helperId.toString())).toBe(true);
+    expect(isTaskHelper({ selectedHelpers: [otherId, helperId] }, helperId.toString())).toBe(true);
+    expect(isTaskHelper({ selectedHelper: otherId, selectedHelpers: [otherId] }, helperId.toString())).toBe(false);
+    expect(isTaskHelper({}, helperId.toString())).toBe(false);
+  });
+});
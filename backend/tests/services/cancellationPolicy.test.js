@@ -0,0 +1,55 @@
+const cancellationPolicy = require('../../services/cancellationPolicy');
+
+const NOW = new Date('2026-06-01T12:00:00Z');
+const hoursFromNow = (hours) => new Date(NOW.getTime() + hours * 60 * 60 * 1000);
+
+const evaluate = (options) => cancellationPolicy.evaluate({ amount: 100, now: NOW, ...options });
+
+describe('cancellationPolicy', () => {
+  it('lets either party cancel for free outside the free window', () => {
+    for (const role of ['helper', 'taskProvider']) {
+      expect(evaluate({ role, status: 'confirmed', taskDateTime: hoursFromNow(48) })).toEqual({
+        rule: 'free',
+        late: false,
+        hoursBeforeStart: 48,
+        helperPayout: 0,
+        providerRefund: 100,
+        reliabilityPenalty: 0,
+        summary: expect.any(String)
+      });
+    }
+  });
+
+  it('treats the start of the free window as still free', () => {
+    expect(evaluate({ role: 'taskProvider', status: 'confirmed', taskDateTime: hoursFromNow(24) }).rule).toBe('free');
+  });
+
+  it('pays the helper part of the escrow when the provider cancels late', () => {
+    const outcome = evaluate({ role: 'taskProvider', status: 'confirmed', taskDateTime: hoursFromNow(2.25) });
+
+    expect(outcome).toMatchObject({ rule: 'provider_late', late: true, helperPayout: 50, providerRefund: 50, reliabilityPenalty: 0 });
+    expect(outcome.hoursBeforeStart).toBe(2.3);
+  });
+
+  it('pays the helper most of the escrow when the provider cancels work in progress', () => {
+    expect(evaluate({ role: 'taskProvider', status: 'in-progress', taskDateTime: hoursFromNow(72) }))
+      .toMatchObject({ rule: 'provider_in_progress', helperPayout: 75, providerRefund: 25 });
+  });
+
+  it('refunds the provider and costs the helper reliability when the helper cancels late', () => {
+    expect(evaluate({ role: 'helper', status: 'confirmed', taskDateTime: hoursFromNow(1) }))
+      .toMatchObject({ rule: 'helper_late', helperPayout: 0, providerRefund: 100, reliabilityPenalty: 5 });
+  });
+
+  it('costs the helper more reliability for abandoning work in progress', () => {
+    expect(evaluate({ role: 'helper', status: 'revision-requested', taskDateTime: hoursFromNow(-5) }))
+      .toMatchObject({ rule: 'helper_in_progress', providerRefund: 100, reliabilityPenalty: 15, hoursBeforeStart: -5 });
+  });
+
+  it('rounds the helper payout down so no credits are created', () => {
+    const outcome = evaluate({ role: 'taskProvider', status: 'confirmed', taskDateTime: hoursFromNow(1), amount: 7 });
+
+    expect(outcome.helperPayout).toBe(3);
+    expect(outcome.providerRefund).toBe(4);
+  });
+});
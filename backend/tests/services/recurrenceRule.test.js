@@ -0,0 +1,167 @@
+const recurrenceRule = require('../../services/recurrenceRule');
+const { AppError } = require('../../utils/errors');
+
+const ALL_TIME = [new Date('2000-01-01T00:00:00Z'), new Date('2100-01-01T00:00:00Z')];
+
+const occurrences = (input, startDate, [from, to] = ALL_TIME) =>
+  recurrenceRule.between(recurrenceRule.normalize(input, startDate), from, to).map(({ date }) => date.toISOString());
+
+const weekdayIn = (iso, timeZone) => new Date(iso).toLocaleString('en-US', { timeZone, weekday: 'short' });
+
+describe('recurrenceRule', () => {
+  const serverZone = process.env.TZ;
+
+  // Run against a server zone far from the providers' zones below, so any
+  // arithmetic done in server-local time shows up as a wrong day
+  beforeAll(() => {
+    process.env.TZ = 'America/Los_Angeles';
+  });
+
+  afterAll(() => {
+    if (serverZone === undefined) {
+      delete process.env.TZ;
+    } else {
+      process.env.TZ = serverZone;
+    }
+  });
+
+  describe('parse', () => {
+    it('reads an RRULE string', () => {
+      expect(recurrenceRule.parse('RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;COUNT=10')).toEqual({
+        rule: 'RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;COUNT=10',
+        frequency: 'weekly',
+        interval: '2',
+        byWeekday: [1, 4],
+        count: '10'
+      });
+    });
+
+    it('reads UNTIL as the end of that UTC day when it has no time', () => {
+      expect(recurrenceRule.parse('FREQ=DAILY;UNTIL=20250131').until.toISOString()).toBe('2025-01-31T23:59:59.000Z');
+    });
+
+    it('rejects unknown weekdays and rule parts', () => {
+      expect(() => recurrenceRule.parse('FREQ=WEEKLY;BYDAY=XX')).toThrow(AppError);
+      expect(() => recurrenceRule.parse('FREQ=WEEKLY;BYHOUR=9')).toThrow('Unsupported recurrence rule part "BYHOUR"');
+    });
+  });
+
+  describe('normalize', () => {
+    it('defaults to an interval of 1 in UTC', () => {
+      const recurrence = recurrenceRule.normalize({ frequency: 'daily' }, '2026-03-02T10:00:00Z');
+      expect(recurrence).toMatchObject({ interval: 1, timezone: 'UTC', count: null, until: null, byWeekday: [] });
+    });
+
+    it('keeps weekdays only for weekly rules, sorted and unique', () => {
+      expect(recurrenceRule.normalize({ frequency: 'weekly', byWeekday: [4, 1, 4] }, '2026-03-02T10:00:00Z').byWeekday).toEqual([1, 4]);
+      expect(recurrenceRule.normalize({ frequency: 'daily', byWeekday: [4] }, '2026-03-02T10:00:00Z').byWeekday).toEqual([]);
+    });
+
+    it.each([
+      [{ frequency: 'yearly' }, 'Recurrence frequency must be daily, weekly or monthly'],
+      [{ frequency: 'daily', interval: 0 }, 'Recurrence interval must be a whole number of at least 1'],
+      [{ frequency: 'weekly', byWeekday: [7] }, 'Weekdays must be numbers from 0 (Sunday) to 6 (Saturday)'],
+      [{ frequency: 'daily', count: 1.5 }, 'Occurrence count must be a whole number of at least 1'],
+      [{ frequency: 'daily', until: '2026-01-01' }, 'The series end date must be after its start date'],
+      [{ frequency: 'daily', timezone: 'Mars/Olympus' }, 'Unknown time zone "Mars/Olympus"']
+    ])('rejects %j', (input, message) => {
+      expect(() => recurrenceRule.normalize(input, '2026-03-02T10:00:00Z')).toThrow(message);
+    });
+
+    it('rejects a missing rule or start date', () => {
+      expect(() => recurrenceRule.normalize(null, '2026-03-02T10:00:00Z')).toThrow('A recurrence rule is required');
+      expect(() => recurrenceRule.normalize({ frequency: 'daily' }, 'not a date')).toThrow('The series needs a valid start date');
+    });
+
+    it('takes a date-only end date as the end of that day in the series time zone', () => {
+      const recurrence = recurrenceRule.normalize(
+        { frequency: 'daily', until: '2026-03-10', timezone: 'Asia/Tokyo' },
+        '2026-03-02T01:00:00Z'
+      );
+      expect(recurrence.until.toISOString()).toBe('2026-03-10T14:59:59.000Z');
+    });
+  });
+
+  describe('between', () => {
+    it('repeats a weekly rule on the provider\'s weekday, not the server\'s', () => {
+      // Monday 10:00 in Sydney is Sunday 23:00 UTC and Sunday afternoon in Los Angeles
+      const dates = occurrences(
+        { frequency: 'weekly', count: 3, timezone: 'Australia/Sydney' },
+        '2026-03-01T23:00:00Z'
+      );
+
+      expect(dates).toEqual(['2026-03-01T23:00:00.000Z', '2026-03-08T23:00:00.000Z', '2026-03-15T23:00:00.000Z']);
+      expect(dates.map(date => weekdayIn(date, 'Australia/Sydney'))).toEqual(['Mon', 'Mon', 'Mon']);
+    });
+
+    it('counts BYDAY weekdays in the series time zone and keeps the first occurrence', () => {
+      const dates = occurrences(
+        { rule: 'FREQ=WEEKLY;BYDAY=MO,WE;COUNT=4', timezone: 'Australia/Sydney' },
+        '2026-03-01T23:00:00Z'
+      );
+
+      expect(dates).toHaveLength(4);
+      expect(dates[0]).toBe('2026-03-01T23:00:00.000Z');
+      expect(dates.map(date => weekdayIn(date, 'Australia/Sydney'))).toEqual(['Mon', 'Wed', 'Mon', 'Wed']);
+    });
+
+    it('skips BYDAY weekdays earlier in the first week than the start', () => {
+      const dates = occurrences({ frequency: 'weekly', byWeekday: [1, 5], count: 3 }, '2026-03-04T09:00:00Z');
+      expect(dates).toEqual(['2026-03-06T09:00:00.000Z', '2026-03-09T09:00:00.000Z', '2026-03-13T09:00:00.000Z']);
+    });
+
+    it('keeps the local time of day across a daylight saving change', () => {
+      // 09:00 in New York, the day before and after clocks go forward
+      const dates = occurrences(
+        { frequency: 'daily', count: 3, timezone: 'America/New_York' },
+        '2026-03-07T14:00:00Z'
+      );
+      expect(dates).toEqual(['2026-03-07T14:00:00.000Z', '2026-03-08T13:00:00.000Z', '2026-03-09T13:00:00.000Z']);
+    });
+
+    it('steps daily rules by the interval', () => {
+      expect(occurrences({ frequency: 'daily', interval: 3, count: 3 }, '2026-03-30T08:00:00Z'))
+        .toEqual(['2026-03-30T08:00:00.000Z', '2026-04-02T08:00:00.000Z', '2026-04-05T08:00:00.000Z']);
+    });
+
+    it('repeats monthly on the local day of the month and skips months that are too short', () => {
+      // The 31st at 01:00 in Tokyo is still the 30th in UTC
+      const dates = occurrences(
+        { frequency: 'monthly', count: 4, timezone: 'Asia/Tokyo' },
+        '2026-01-30T16:00:00Z'
+      );
+      expect(dates).toEqual([
+        '2026-01-30T16:00:00.000Z',
+        '2026-03-30T16:00:00.000Z',
+        '2026-05-30T16:00:00.000Z',
+        '2026-07-30T16:00:00.000Z'
+      ]);
+    });
+
+    it('stops at the end date', () => {
+      expect(occurrences({ frequency: 'daily', until: '2026-03-03' }, '2026-03-01T12:00:00Z'))
+        .toEqual(['2026-03-01T12:00:00.000Z', '2026-03-02T12:00:00.000Z', '2026-03-03T12:00:00.000Z']);
+    });
+
+    it('returns occurrences after `from` with their position in the series', () => {
+      const recurrence = recurrenceRule.normalize({ frequency: 'daily', count: 5 }, '2026-03-01T12:00:00Z');
+      const result = recurrenceRule.between(recurrence, new Date('2026-03-02T12:00:00Z'), new Date('2026-03-04T00:00:00Z'));
+      expect(result.map(({ position }) => position)).toEqual([3]);
+    });
+  });
+
+  describe('hasMoreAfter', () => {
+    it('is false once the count is used up', () => {
+      const recurrence = recurrenceRule.normalize({ frequency: 'daily', count: 2 }, '2026-03-01T12:00:00Z');
+      expect(recurrenceRule.hasMoreAfter(recurrence, new Date('2026-03-01T13:00:00Z'))).toBe(true);
+      expect(recurrenceRule.hasMoreAfter(recurrence, new Date('2026-03-02T13:00:00Z'))).toBe(false);
+    });
+  });
+
+  describe('describe', () => {
+    it('summarises the rule', () => {
+      expect(recurrenceRule.describe({ frequency: 'weekly', interval: 2, byWeekday: [1, 4] })).toBe('Every 2 weeks on MO, TH');
+      expect(recurrenceRule.describe({ frequency: 'daily', interval: 1, byWeekday: [] })).toBe('Every day');
+    });
+  });
+});
@@ -0,0 +1,84 @@
+const taskSearchService = require('../../services/taskSearchService');
+
+describe('taskSearchService', () => {
+  it('splits a query into at most six distinct lowercase terms', () => {
+    expect(taskSearchService.tokenize('Paint the FENCE, paint-the shed!')).toEqual(['paint', 'the', 'fence', 'shed']);
+    expect(taskSearchService.tokenize('a b c d e f g h')).toHaveLength(6);
+    expect(taskSearchService.tokenize(undefined)).toEqual([]);
+  });
+
+  describe('wordMatches', () => {
+    it('matches stems of the same word', () => {
+      expect(taskSearchService.wordMatches('Painting', ['paint'])).toBe(true);
+      expect(taskSearchService.wordMatches('shipped', ['ship'])).toBe(true);
+    });
+
+    it('allows one typo in words of four letters or more', () => {
+      expect(taskSearchService.wordMatches('garden', ['gardn'])).toBe(true);
+      expect(taskSearchService.wordMatches('garden', ['gorden'])).toBe(true);
+      expect(taskSearchService.wordMatches('garden', ['grdn'])).toBe(false);
+    });
+
+    it('needs short terms to match exactly', () => {
+      expect(taskSearchService.wordMatches('cat', ['car'])).toBe(false);
+      expect(taskSearchService.wordMatches('car', ['car'])).toBe(true);
+    });
+  });
+
+  it('builds a regex that tolerates one typo at the start of a word', () => {
+    const pattern = taskSearchService.fuzzyPattern('react');
+
+    expect(pattern.test('Knows Raect well')).toBe(false);
+    expect(pattern.test('Knows Reat well')).toBe(true);
+    expect(pattern.test('Knows Reactive well')).toBe(true);
+    expect(pattern.test('Knows Rexact well')).toBe(true);
+    expect(pattern.test('unreact')).toBe(false);
+    expect(taskSearchService.fuzzyPattern('c++').test('C++ developer')).toBe(true);
+  });
+
+  it('splits text into matching and non-matching segments', () => {
+    expect(taskSearchService.segments('Paint my fence, painting fast', ['paint'])).toEqual([
+      { text: 'Paint', match: true },
+      { text: ' my fence, ', match: false },
+      { text: 'painting', match: true },
+      { text: ' fast', match: false }
+    ]);
+  });
+
+  describe('snippet', () => {
+    it('returns short descriptions whole', () => {
+      expect(taskSearchService.snippet('Help me move a sofa', ['sofa'])).toBe('Help me move a sofa');
+    });
+
+    it('centres long descriptions on the first match, cut at word boundaries', () => {
+      const description = `${'lorem '.repeat(30)}sofa ${'ipsum '.repeat(40)}`.trim();
+      const snippet = taskSearchService.snippet(description, ['sofa']);
+
+      expect(snippet.startsWith('…lorem')).toBe(true);
+      expect(snippet.endsWith('ipsum…')).toBe(true);
+      expect(snippet).toContain('sofa');
+      expect(snippet.length).toBeLessThanOrEqual(162);
+    });
+  });
+
+  it('weights title matches above description matches', () => {
+    const inTitle = { title: 'Garden work', skillsRequired: [], description: 'Some weeding' };
+    const inDescription = { title: 'Weekend help', skillsRequired: [], description: 'Garden work' };
+
+    expect(taskSearchService.fuzzyScore(inTitle, ['garden']))
+      .toBeGreaterThan(taskSearchService.fuzzyScore(inDescription, ['garden']));
+  });
+
+  it('highlights required and nice-to-have skills that match', () => {
+    const task = { title: 'Build a site', description: 'A small site', skillsRequired: ['React'], skillsNiceToHave: ['Node.js', 'Design'] };
+
+    expect(taskSearchService.highlight(task, ['node']).skills).toEqual(['Node.js']);
+  });
+
+  it('sorts by relevance, then by the earliest task date', () => {
+    const result = (id, relevance, day) => ({ id, relevance, task: { dateTime: new Date(`2026-07-0${day}T00:00:00Z`) } });
+    const sorted = taskSearchService.sortByRelevance([result('a', 1, 1), result('b', 5, 3), result('c', 5, 2), result('d', undefined, 1)]);
+
+    expect(sorted.map(({ id }) => id)).toEqual(['c', 'b', 'a', 'd']);
+  });
+});
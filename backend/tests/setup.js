@@ -0,0 +1,2 @@
+// Shared Jest setup. Unit tests cover pure modules and run without a database.
+process.env.NODE_ENV = 'test';
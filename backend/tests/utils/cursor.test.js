@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+const { encodeCursor, decodeCursor, cursorFor, afterCursor } = require('../../utils/cursor');
+const { AppError } = require('../../utils/errors');
+
+describe('cursor', () => {
+  const id = new mongoose.Types.ObjectId();
+
+  it('round-trips a payload', () => {
+    const cursor = encodeCursor({ value: 3, id: 'abc' });
+
+    expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(decodeCursor(cursor)).toEqual({ value: 3, id: 'abc' });
+  });
+
+  it('rejects a cursor that is not one of ours', () => {
+    expect(() => decodeCursor('not a cursor')).toThrow(AppError);
+    expect(() => afterCursor(encodeCursor({ value: 1, id: 'nope' }), 'credits', 1)).toThrow('Invalid cursor');
+  });
+
+  it('selects documents after a date cursor in descending order', () => {
+    const createdAt = new Date('2026-05-01T10:00:00Z');
+    const condition = afterCursor(cursorFor({ _id: id, createdAt }, 'createdAt'), 'createdAt', -1);
+
+    expect(condition).toEqual({
+      $or: [
+        { createdAt: { $lt: createdAt } },
+        { createdAt, _id: { $lt: id } }
+      ]
+    });
+  });
+
+  it('selects documents after a number cursor in ascending order', () => {
+    const condition = afterCursor(cursorFor({ _id: id, credits: 25 }, 'credits'), 'credits', 1);
+
+    expect(condition).toEqual({
+      $or: [
+        { credits: { $gt: 25 } },
+        { credits: 25, _id: { $gt: id } }
+      ]
+    });
+  });
+});
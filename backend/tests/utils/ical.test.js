@@ -0,0 +1,74 @@
+const { buildCalendar, formatDate, escapeText } = require('../../utils/ical');
+
+const event = {
+  uid: 'booking-1@timeslice',
+  start: new Date('2026-07-01T09:00:00.123Z'),
+  end: new Date('2026-07-01T10:30:00Z'),
+  summary: 'Paint the fence',
+  updatedAt: new Date('2026-06-20T08:00:00Z')
+};
+
+describe('ical', () => {
+  it('writes dates in UTC basic format', () => {
+    expect(formatDate('2026-07-01T09:05:07.456Z')).toBe('20260701T090507Z');
+  });
+
+  it('escapes text values', () => {
+    expect(escapeText('a\\b; c, d\r\ne\nf')).toBe('a\\\\b\\; c\\, d\\ne\\nf');
+    expect(escapeText(undefined)).toBe('');
+  });
+
+  it('builds a calendar with CRLF line endings', () => {
+    const calendar = buildCalendar({ name: 'My bookings', events: [event] });
+
+    expect(calendar.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(calendar.split('\r\n')).toEqual([
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//TimeSlice//Bookings//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      'X-WR-CALNAME:My bookings',
+      'BEGIN:VEVENT',
+      'UID:booking-1@timeslice',
+      'DTSTAMP:20260620T080000Z',
+      'LAST-MODIFIED:20260620T080000Z',
+      'SEQUENCE:0',
+      'DTSTART:20260701T090000Z',
+      'DTEND:20260701T103000Z',
+      'SUMMARY:Paint the fence',
+      'STATUS:CONFIRMED',
+      'END:VEVENT',
+      'END:VCALENDAR',
+      ''
+    ]);
+  });
+
+  it('includes the optional event fields only when set', () => {
+    const calendar = buildCalendar({
+      events: [{ ...event, description: 'Two coats', location: 'Backyard', url: 'https://example.com/b/1', status: 'CANCELLED', sequence: 2 }]
+    });
+
+    expect(calendar).not.toContain('X-WR-CALNAME');
+    expect(calendar).toContain('DESCRIPTION:Two coats\r\n');
+    expect(calendar).toContain('LOCATION:Backyard\r\n');
+    expect(calendar).toContain('URL:https://example.com/b/1\r\n');
+    expect(calendar).toContain('STATUS:CANCELLED\r\n');
+    expect(calendar).toContain('SEQUENCE:2\r\n');
+  });
+
+  it('folds long lines at 75 octets without splitting characters', () => {
+    const summary = 'é'.repeat(100);
+    const calendar = buildCalendar({ events: [{ ...event, summary }] });
+    const start = calendar.indexOf('SUMMARY:');
+    const folded = calendar.slice(start, calendar.indexOf('\r\nSTATUS:'));
+    const lines = folded.split('\r\n');
+
+    expect(lines.length).toBeGreaterThan(1);
+    lines.forEach((line, index) => {
+      expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75);
+      if (index > 0) expect(line.startsWith(' ')).toBe(true);
+    });
+    expect(lines.map((line, index) => (index > 0 ? line.slice(1) : line)).join('')).toBe(`SUMMARY:${summary}`);
+  });
+});
@@ -0,0 +1,85 @@
+const {
+  skillKey,
+  useCatalog,
+  canonicalSkill,
+  canonicalKey,
+  normalizeSkills,
+  splitTaskSkills,
+  scoreSkillMatch
+} = require('../../utils/skills');
+const skillCatalog = require('../../config/skillCatalog');
+
+describe('skills', () => {
+  afterEach(() => {
+    useCatalog(skillCatalog);
+  });
+
+  it('maps aliases and other spellings to the catalog name', () => {
+    expect(canonicalSkill('reactjs')).toBe('React');
+    expect(canonicalSkill('  React.js ')).toBe('React');
+    expect(canonicalKey('JS')).toBe(canonicalKey('javascript'));
+  });
+
+  it('keeps related but different skills apart', () => {
+    expect(normalizeSkills(['HTML', 'CSS', 'iOS', 'Android', 'SQL', 'MongoDB', 'Baking', 'Cooking', 'Design', 'UI', 'Errands']))
+      .toEqual(['HTML', 'CSS', 'iOS Development', 'Android Development', 'SQL', 'MongoDB', 'Baking', 'Cooking', 'Design', 'UI Design', 'Errands']);
+  });
+
+  it('spells every catalog name and alias one way only, under parents that exist', () => {
+    const keys = skillCatalog.flatMap(skill => [skill.name, ...skill.aliases]).map(skillKey);
+    const names = new Set(skillCatalog.map(skill => skill.name));
+
+    expect(new Set(keys).size).toBe(keys.length);
+    skillCatalog.filter(skill => skill.parent).forEach(skill => expect(names).toContain(skill.parent));
+  });
+
+  it('keeps unknown skills, tidied', () => {
+    expect(canonicalSkill('  Basket   weaving ')).toBe('Basket weaving');
+    expect(skillKey('  Basket   Weaving ')).toBe('basket weaving');
+  });
+
+  it('drops blanks, non-strings and duplicate spellings, keeping the first order', () => {
+    expect(normalizeSkills(['ReactJS', '', '  ', 42, 'TS', 'react', 'typescript'])).toEqual(['React', 'TypeScript']);
+    expect(normalizeSkills('React')).toEqual([]);
+  });
+
+  it('keeps a skill listed as both required and nice-to-have as required only', () => {
+    expect(splitTaskSkills(['React'], ['reactjs', 'Node'])).toEqual({
+      skillsRequired: ['React'],
+      skillsNiceToHave: ['Node.js']
+    });
+  });
+
+  it('uses a newly loaded catalog', () => {
+    useCatalog([{ name: 'Carpentry', aliases: ['woodwork'] }]);
+
+    expect(canonicalSkill('Woodwork')).toBe('Carpentry');
+    expect(canonicalSkill('reactjs')).toBe('reactjs');
+  });
+
+  describe('scoreSkillMatch', () => {
+    const task = { skillsRequired: ['React', 'Node.js'], skillsNiceToHave: ['TypeScript'] };
+
+    it('weights required skills above nice-to-have ones', () => {
+      expect(scoreSkillMatch(task, ['reactjs', 'NodeJS'])).toEqual({
+        score: 80,
+        matchedSkills: ['React', 'Node.js'],
+        missingSkills: []
+      });
+      expect(scoreSkillMatch(task, ['TS'])).toEqual({
+        score: 20,
+        matchedSkills: ['TypeScript'],
+        missingSkills: ['React', 'Node.js']
+      });
+    });
+
+    it('gives partial credit for some required skills', () => {
+      expect(scoreSkillMatch(task, ['React', 'TypeScript']).score).toBe(60);
+    });
+
+    it('counts a part with no skills listed as fully covered', () => {
+      expect(scoreSkillMatch({ skillsRequired: ['React'] }, ['React']).score).toBe(100);
+      expect(scoreSkillMatch({}, undefined).score).toBe(100);
+    });
+  });
+});
@@ -0,0 +1,38 @@
+const { isTimeZone, localParts, zonedTime } = require('../../utils/timezone');
+
+describe('timezone', () => {
+  it('recognises IANA zone names', () => {
+    expect(isTimeZone('Europe/Berlin')).toBe(true);
+    expect(isTimeZone('Mars/Olympus')).toBe(false);
+  });
+
+  it('gives the local date, weekday and time of an instant', () => {
+    expect(localParts(new Date('2026-03-01T23:30:15Z'), 'Australia/Sydney')).toEqual({
+      date: '2026-03-02',
+      year: 2026,
+      month: 3,
+      dayOfMonth: 2,
+      day: 1,
+      minutes: 10 * 60 + 30,
+      second: 15,
+      millisecond: 0
+    });
+  });
+
+  it('finds the instant of a local wall-clock time', () => {
+    expect(zonedTime({ year: 2026, month: 7, dayOfMonth: 1, minutes: 9 * 60 }, 'Europe/Berlin').toISOString())
+      .toBe('2026-07-01T07:00:00.000Z');
+    expect(zonedTime({ year: 2026, month: 1, dayOfMonth: 1, minutes: 9 * 60 }, 'Europe/Berlin').toISOString())
+      .toBe('2026-01-01T08:00:00.000Z');
+  });
+
+  it('rolls days past the end of the month over', () => {
+    expect(zonedTime({ year: 2026, month: 1, dayOfMonth: 32 }, 'UTC').toISOString()).toBe('2026-02-01T00:00:00.000Z');
+  });
+
+  it('moves times skipped by daylight saving forward by the skipped hour', () => {
+    // Clocks in New York jump from 02:00 to 03:00 on 8 March 2026
+    expect(zonedTime({ year: 2026, month: 3, dayOfMonth: 8, minutes: 2 * 60 + 30 }, 'America/New_York').toISOString())
+      .toBe('2026-03-08T07:30:00.000Z');
+  });
+});
@@ -0,0 +1,45 @@
+// Opaque cursors for keyset pagination. A cursor holds the sort value and _id of
+// the last item on a page; the next page starts strictly after that pair, so
+// inserts and deletes between requests never shift or repeat items.
+const mongoose = require('mongoose');
+const { AppError } = require('./errors');
+
+const encodeCursor = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    return JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new AppError('Invalid cursor', 400);
+  }
+};
+
+const cursorFor = (doc, field) => {
+  const value = doc[field];
+  return encodeCursor({
+    value: value instanceof Date ? value.toISOString() : value,
+    isDate: value instanceof Date,
+    id: doc._id.toString()
+  });
+};
+
+// Condition selecting documents after the cursor for a sort of { [field]: direction, _id: direction }
+const afterCursor = (cursor, field, direction) => {
+  const { value: raw, isDate, id } = decodeCursor(cursor);
+  if (!mongoose.isValidObjectId(id)) {
+    throw new AppError('Invalid cursor', 400);
+  }
+
+  const value = isDate ? new Date(raw) : raw;
+  const objectId = new mongoose.Types.ObjectId(id);
+  const op = direction === -1 ? '$lt' : '$gt';
+
+  return {
+    $or: [
+      { [field]: { [op]: value } },
+      { [field]: value, _id: { [op]: objectId } }
+    ]
+  };
+};
+
+module.exports = { encodeCursor, decodeCursor, cursorFor, afterCursor };
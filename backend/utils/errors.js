@@ -0,0 +1,20 @@
+// Error thrown by services when a request cannot be fulfilled.
+// Routes translate it into a JSON response using `status`.
+class AppError extends Error {
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = 'AppError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// A status change that the booking/task state machine does not allow
+class TransitionError extends AppError {
+  constructor(message, details = {}) {
+    super(message, 409, details);
+    this.name = 'TransitionError';
+  }
+}
+
+module.exports = { AppError, TransitionError };
@@ -0,0 +1,64 @@
+// Minimal iCalendar (RFC 5545) writer for booking and task events. All times are
+// written in UTC so calendar apps show them in each reader's own time zone.
+
+const PRODUCT_ID = '-//TimeSlice//Bookings//EN';
+const MAX_LINE_OCTETS = 75;
+
+const formatDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const escapeText = (value) => String(value || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Long lines are folded onto continuation lines that start with a space,
+// without splitting a multi-byte character
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+  for (const char of line) {
+    const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (Buffer.byteLength(current + char) > limit) {
+      chunks.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+};
+
+// event: { uid, start, end, summary, description, location, url, status, sequence, updatedAt }
+const eventLines = (event) => [
+  'BEGIN:VEVENT',
+  `UID:${event.uid}`,
+  `DTSTAMP:${formatDate(event.updatedAt || new Date())}`,
+  `LAST-MODIFIED:${formatDate(event.updatedAt || new Date())}`,
+  `SEQUENCE:${event.sequence || 0}`,
+  `DTSTART:${formatDate(event.start)}`,
+  `DTEND:${formatDate(event.end)}`,
+  `SUMMARY:${escapeText(event.summary)}`,
+  ...(event.description ? [`DESCRIPTION:${escapeText(event.description)}`] : []),
+  ...(event.location ? [`LOCATION:${escapeText(event.location)}`] : []),
+  ...(event.url ? [`URL:${event.url}`] : []),
+  `STATUS:${event.status || 'CONFIRMED'}`,
+  'END:VEVENT'
+];
+
+const buildCalendar = ({ name, events }) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  `PRODID:${PRODUCT_ID}`,
+  'CALSCALE:GREGORIAN',
+  'METHOD:PUBLISH',
+  ...(name ? [`X-WR-CALNAME:${escapeText(name)}`] : []),
+  ...events.flatMap(eventLines),
+  'END:VCALENDAR'
+].map(foldLine).join('\r\n') + '\r\n';
+
+module.exports = {
+  buildCalendar,
+  formatDate,
+  escapeText
+};
@@ -0,0 +1,85 @@
+// Skill names are compared through the catalog of canonical names and aliases,
+// so "react", "ReactJS" and "React" all count as the same skill. The built-in
+// catalog is used until skillTaxonomyService loads the stored one.
+const skillCatalog = require('../config/skillCatalog');
+
+// Share of the match score that comes from required skills; nice-to-have skills make up the rest
+const REQUIRED_SHARE = 0.8;
+
+const tidy = (name) => String(name).trim().replace(/\s+/g, ' ');
+const skillKey = (name) => tidy(name).toLowerCase();
+
+const indexCatalog = (skills) => {
+  const index = new Map();
+  for (const skill of skills) {
+    for (const spelling of [skill.name, ...(skill.aliases || [])]) {
+      index.set(skillKey(spelling), skill.name);
+    }
+  }
+  return index;
+};
+
+let canonicalByKey = indexCatalog(skillCatalog);
+
+// Swap in a new catalog of { name, aliases } entries
+const useCatalog = (skills) => {
+  canonicalByKey = indexCatalog(skills);
+};
+
+// Catalog name for a skill, or the tidied input when the catalog does not know it
+const canonicalSkill = (name) => canonicalByKey.get(skillKey(name)) || tidy(name);
+
+// Key two spellings of the same skill share
+const canonicalKey = (name) => skillKey(canonicalSkill(name));
+
+// Canonical names without blanks or duplicates, in the order given
+const normalizeSkills = (skills) => {
+  if (!Array.isArray(skills)) {
+    return [];
+  }
+
+  const seen = new Set();
+  const normalized = [];
+  for (const skill of skills) {
+    if (typeof skill !== 'string' || !skill.trim()) continue;
+    const name = canonicalSkill(skill);
+    if (!seen.has(skillKey(name))) {
+      seen.add(skillKey(name));
+      normalized.push(name);
+    }
+  }
+  return normalized;
+};
+
+// Canonical required and nice-to-have skills for a task; a skill listed as both stays required
+const splitTaskSkills = (required, niceToHave) => {
+  const skillsRequired = normalizeSkills(required);
+  const requiredKeys = new Set(skillsRequired.map(canonicalKey));
+  return {
+    skillsRequired,
+    skillsNiceToHave: normalizeSkills(niceToHave).filter(skill => !requiredKeys.has(canonicalKey(skill)))
+  };
+};
+
+// How well a helper's skills cover a task, from 0 to 100. A task without
+// required (or nice-to-have) skills counts that part as fully covered.
+const scoreSkillMatch = (task, helperSkills) => {
+  const have = new Set((helperSkills || []).map(canonicalKey));
+  const required = task.skillsRequired || [];
+  const niceToHave = task.skillsNiceToHave || [];
+
+  const matchedRequired = required.filter(skill => have.has(canonicalKey(skill)));
+  const matchedNiceToHave = niceToHave.filter(skill => have.has(canonicalKey(skill)));
+  const coverage = (matched, all) => (all.length > 0 ? matched.length / all.length : 1);
+
+  const score = REQUIRED_SHARE * coverage(matchedRequired, required) +
+    (1 - REQUIRED_SHARE) * coverage(matchedNiceToHave, niceToHave);
+
+  return {
+    score: Math.round(score * 100),
+    matchedSkills: [...matchedRequired, ...matchedNiceToHave],
+    missingSkills: required.filter(skill => !have.has(canonicalKey(skill)))
+  };
+};
+
+module.exports = { skillKey, useCatalog, canonicalSkill, canonicalKey, normalizeSkills, splitTaskSkills, scoreSkillMatch };
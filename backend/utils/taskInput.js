@@ -0,0 +1,40 @@
+// Parsing shared by the task and task series routes
+const marketplaceConfig = require('../config/marketplace');
+const { AppError } = require('./errors');
+
+// Helper function to convert duration string to minutes
+const parseDurationToMinutes = (durationStr) => {
+  const duration = durationStr.toLowerCase();
+  
+  if (duration.includes('minute')) {
+    return parseInt(duration) || 30;
+  } else if (duration.includes('hour')) {
+    const hours = parseInt(duration) || 1;
+    return hours * 60;
+  } else if (duration.includes('day')) {
+    const days = parseInt(duration) || 1;
+    return days * 24 * 60;
+  } else if (duration.includes('week')) {
+    const weeks = parseInt(duration) || 1;
+    return weeks * 7 * 24 * 60;
+  }
+  
+  // If just a number, assume minutes
+  const num = parseInt(duration);
+  return isNaN(num) ? 30 : num;
+};
+
+const parseSlots = (slots) => {
+  if (slots === undefined || slots === null || slots === '') {
+    return 1;
+  }
+
+  const parsed = Number(slots);
+  const { maxSlots } = marketplaceConfig.tasks;
+  if (!Number.isInteger(parsed) || parsed < 1 || parsed > maxSlots) {
+    throw new AppError(`Slots must be a whole number between 1 and ${maxSlots}`, 400);
+  }
+  return parsed;
+};
+
+module.exports = { parseDurationToMinutes, parseSlots };
@@ -0,0 +1,67 @@
+// Wall-clock arithmetic in a user's IANA time zone, using only Intl so no
+// time zone database has to be shipped with the server.
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const isTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Calendar date, weekday and time of day of an instant in the given time zone.
+// `day` is the weekday (0 = Sunday) and `minutes` counts from local midnight.
+const localParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const get = (type) => parts.find(part => part.type === type).value;
+
+  return {
+    date: `${get('year')}-${get('month')}-${get('day')}`,
+    year: Number(get('year')),
+    month: Number(get('month')),
+    dayOfMonth: Number(get('day')),
+    day: WEEKDAYS.indexOf(get('weekday')),
+    minutes: Number(get('hour')) * 60 + Number(get('minute')),
+    second: Number(get('second')),
+    millisecond: new Date(date).getUTCMilliseconds()
+  };
+};
+
+// How far the zone's wall clock is ahead of UTC at the given instant, in ms
+const offsetAt = (instant, timeZone) => {
+  const local = localParts(new Date(instant), timeZone);
+  const wallClock = Date.UTC(local.year, local.month - 1, local.dayOfMonth, 0, local.minutes, local.second, local.millisecond);
+  return wallClock - instant;
+};
+
+// The instant at which the zone's wall clock shows the given local time. Days
+// and months past the end of their range roll over, as with Date.UTC. Times
+// skipped by a daylight saving change move forward by the skipped hour.
+const zonedTime = ({ year, month, dayOfMonth, minutes = 0, second = 0, millisecond = 0 }, timeZone) => {
+  const wallClock = Date.UTC(year, month - 1, dayOfMonth, 0, minutes, second, millisecond);
+  const guess = wallClock - offsetAt(wallClock, timeZone);
+  // The offset at the guess differs from the first one when a DST change lies in between
+  const offset = offsetAt(guess, timeZone);
+  const adjusted = wallClock - offset;
+  // Inside a skipped hour neither offset gives back the wall-clock time; keep the later instant
+  return new Date(offsetAt(adjusted, timeZone) === offset ? adjusted : guess);
+};
+
+module.exports = {
+  isTimeZone,
+  localParts,
+  zonedTime
+};
@@ -15,8 +15,10 @@ import CreateTask from './pages/CreateTask';
 import MyTasks from './pages/MyTasks';
 import MyBookings from './pages/MyBookings';
 import TaskApplications from './pages/TaskApplications';
+import TaskDetails from './pages/TaskDetails';
 import ChatPage from './pages/ChatPage';
 import Profile from './pages/Profile';
+import AdminDisputes from './pages/AdminDisputes';
 import './App.css';
 
 // Protected Route component
@@ -117,6 +119,14 @@ function App() {
                         </ProtectedRoute>
                       } 
                     />
+                    <Route 
+                      path="/tasks/:taskId" 
+                      element={
+                        <ProtectedRoute>
+                          <TaskDetails />
+                        </ProtectedRoute>
+                      } 
+                    />
                     <Route 
                       path="/chat" 
                       element={
@@ -134,6 +144,15 @@ function App() {
                       } 
                     />
 
+                    <Route 
+                      path="/admin/disputes" 
+                      element={
+                        <ProtectedRoute>
+                          <AdminDisputes />
+                        </ProtectedRoute>
+                      } 
+                    />
+
                     {/* Catch all route - redirect to dashboard if logged in, home if not */}
                     <Route 
                       path="*" 
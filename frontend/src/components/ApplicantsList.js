@@ -1,10 +1,46 @@
 import React, { useState } from 'react';
 import HelperProfileModal from './HelperProfileModal';
+import ShortlistComparison from './ShortlistComparison';
+import { currentOffer } from '../utils/offers';
 
-const ApplicantsList = ({ task, onRespondToApplication }) => {
+// Applications from before match scores were recorded sort last
+const SORTERS = {
+  match: (a, b) => (b.matchScore ?? -1) - (a.matchScore ?? -1),
+  rating: (a, b) => (b.applicantId.rating || 0) - (a.applicantId.rating || 0),
+  credits: (a, b) => currentOffer(a).credits - currentOffer(b).credits,
+  newest: (a, b) => new Date(b.createdAt) - new Date(a.createdAt)
+};
+
+const matchColor = (score) => (score >= 80 ? '#28a745' : score >= 50 ? '#ffc107' : '#6c757d');
+
+// Review stages of a pending application; only the provider sees them
+const STAGES = {
+  new: { label: '🆕 New', color: '#6c757d' },
+  shortlisted: { label: '⭐ Shortlisted', color: '#ffc107' },
+  interviewing: { label: '🗣️ Interviewing', color: '#17a2b8' }
+};
+
+// Whether the applicant is free at the start time they offered
+const AVAILABILITY = {
+  available: { label: '✅ Available at task time', color: '#28a745' },
+  booked: { label: '⛔ Booked at task time', color: '#dc3545' },
+  'outside-hours': { label: '🕒 Outside their hours', color: '#ffc107' },
+  blackout: { label: '🚫 Away that day', color: '#6c757d' }
+};
+
+const DEFAULT_REJECTION = 'Hi {helper}, thank you for applying to "{task}". We have decided to go with another applicant this time.';
+
+const ApplicantsList = ({ task, onRespondToApplication, onReviewApplication, onBulkReject }) => {
   const [selectedHelper, setSelectedHelper] = useState(null);
   const [selectedApplication, setSelectedApplication] = useState(null);
   const [showProfileModal, setShowProfileModal] = useState(false);
+  const [sortBy, setSortBy] = useState('match');
+  const [stageFilter, setStageFilter] = useState('all');
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [rejectionMessage, setRejectionMessage] = useState(DEFAULT_REJECTION);
+  const [showComparison, setShowComparison] = useState(false);
+  const [notesFor, setNotesFor] = useState(null);
+  const [notesDraft, setNotesDraft] = useState('');
 
   if (!task.applicants || task.applicants.length === 0) {
     return (
@@ -40,156 +76,333 @@ const ApplicantsList = ({ task, onRespondToApplication }) => {
     handleCloseModal();
   };
 
-  const pendingApplications = task.applicants.filter(app => app.status === 'pending');
+  const toggleSelected = (applicationId) => {
+    setSelectedIds(selectedIds.includes(applicationId)
+      ? selectedIds.filter(id => id !== applicationId)
+      : [...selectedIds, applicationId]);
+  };
+
+  const handleBulkReject = async () => {
+    if (!window.confirm(`Reject ${selectedIds.length} application${selectedIds.length !== 1 ? 's' : ''}?`)) {
+      return;
+    }
+    await onBulkReject(selectedIds, rejectionMessage);
+    setSelectedIds([]);
+  };
+
+  const openNotes = (application) => {
+    setNotesFor(application._id);
+    setNotesDraft(application.providerNotes || '');
+  };
+
+  const saveNotes = async (applicationId) => {
+    await onReviewApplication(applicationId, { providerNotes: notesDraft });
+    setNotesFor(null);
+  };
+
+  const allPending = task.applicants.filter(app => app.status === 'pending');
+  const pendingApplications = allPending
+    .filter(app => stageFilter === 'all' || (app.reviewStage || 'new') === stageFilter)
+    .sort(SORTERS[sortBy]);
+  const shortlisted = allPending.filter(app => ['shortlisted', 'interviewing'].includes(app.reviewStage));
   const respondedApplications = task.applicants.filter(app => app.status !== 'pending');
 
   return (
     <div>
-      {pendingApplications.length > 0 && (
+      {showComparison && shortlisted.length > 0 && (
+        <ShortlistComparison applications={shortlisted} onClose={() => setShowComparison(false)} />
+      )}
+
+      {allPending.length > 0 && (
         <div className="mb-2">
-          <h3>📥 Pending Applications ({pendingApplications.length})</h3>
+          <div className="flex justify-between items-center">
+            <h3>📥 Pending Applications ({allPending.length})</h3>
+            <div className="flex gap-1">
+              <select value={stageFilter} onChange={(e) => setStageFilter(e.target.value)} style={{ width: 'auto' }}>
+                <option value="all">All stages</option>
+                {Object.entries(STAGES).map(([stage, { label }]) => (
+                  <option key={stage} value={stage}>
+                    {label} ({allPending.filter(app => (app.reviewStage || 'new') === stage).length})
+                  </option>
+                ))}
+              </select>
+              <select value={sortBy} onChange={(e) => setSortBy(e.target.value)} style={{ width: 'auto' }}>
+                <option value="match">🎯 Best skill match</option>
+                <option value="rating">⭐ Highest rated</option>
+                <option value="credits">💰 Lowest price</option>
+                <option value="newest">🕒 Newest first</option>
+              </select>
+              <button
+                onClick={() => setShowComparison(!showComparison)}
+                disabled={shortlisted.length < 2}
+                className="btn btn-secondary"
+                title={shortlisted.length < 2 ? 'Shortlist at least two applicants to compare them' : ''}
+              >
+                ⚖️ Compare Shortlist ({shortlisted.length})
+              </button>
+            </div>
+          </div>
           <p style={{ color: '#666', marginBottom: '1.5rem' }}>
             Click on any applicant to view their detailed profile and respond to their application.
+            Stages and notes are private to you; applicants only see that their application is under review.
           </p>
+
+          {selectedIds.length > 0 && (
+            <div style={{
+              padding: '1rem',
+              marginBottom: '1rem',
+              border: '2px solid #dc3545',
+              borderRadius: '8px',
+              backgroundColor: '#fff5f5'
+            }}>
+              <strong>Reject {selectedIds.length} selected application{selectedIds.length !== 1 ? 's' : ''}</strong>
+              <div className="form-group" style={{ marginTop: '0.5rem' }}>
+                <textarea
+                  value={rejectionMessage}
+                  onChange={(e) => setRejectionMessage(e.target.value)}
+                  rows="2"
+                />
+                <small style={{ color: '#666' }}>
+                  {'{helper}'} and {'{task}'} are replaced with each applicant's name and the task title.
+                </small>
+              </div>
+              <div className="flex gap-1">
+                <button onClick={handleBulkReject} className="btn btn-danger">Reject Selected</button>
+                <button onClick={() => setSelectedIds([])} className="btn btn-secondary">Clear Selection</button>
+              </div>
+            </div>
+          )}
+
+          {pendingApplications.length === 0 && (
+            <p style={{ color: '#666' }}>No applications at this stage.</p>
+          )}
           
           {/* Vertical Layout for Applications */}
           <div style={{ display: 'flex', flexDirection: 'column', gap: '1rem' }}>
             {pendingApplications.map(application => (
-              <div
-                key={application._id}
-                onClick={() => handleHelperClick(application.applicantId, application)}
-                style={{
-                  display: 'flex',
-                  alignItems: 'center',
-                  padding: '1.5rem',
-                  backgroundColor: 'white',
-                  borderRadius: '12px',
-                  border: '2px solid #e1e5e9',
-                  cursor: 'pointer',
-                  transition: 'all 0.3s ease',
-                  boxShadow: '0 2px 10px rgba(0,0,0,0.05)',
-                  minHeight: '120px'
-                }}
-                onMouseEnter={(e) => {
-                  e.target.style.borderColor = '#667eea';
-                  e.target.style.transform = 'translateY(-2px)';
-                  e.target.style.boxShadow = '0 4px 20px rgba(102, 126, 234, 0.15)';
-                }}
-                onMouseLeave={(e) => {
-                  e.target.style.borderColor = '#e1e5e9';
-                  e.target.style.transform = 'translateY(0)';
-                  e.target.style.boxShadow = '0 2px 10px rgba(0,0,0,0.05)';
-                }}
-              >
-                {/* Helper Avatar */}
-                <div style={{
-                  width: '60px',
-                  height: '60px',
-                  borderRadius: '50%',
-                  backgroundColor: '#667eea',
-                  color: 'white',
-                  display: 'flex',
-                  alignItems: 'center',
-                  justifyContent: 'center',
-                  fontSize: '1.5rem',
-                  fontWeight: 'bold',
-                  marginRight: '1.5rem',
-                  flexShrink: 0
-                }}>
-                  {application.applicantId.username.charAt(0).toUpperCase()}
-                </div>
+              <div key={application._id}>
+                <div
+                  onClick={() => handleHelperClick(application.applicantId, application)}
+                  style={{
+                    display: 'flex',
+                    alignItems: 'center',
+                    padding: '1.5rem',
+                    backgroundColor: 'white',
+                    borderRadius: '12px',
+                    border: '2px solid #e1e5e9',
+                    cursor: 'pointer',
+                    transition: 'all 0.3s ease',
+                    boxShadow: '0 2px 10px rgba(0,0,0,0.05)',
+                    minHeight: '120px'
+                  }}
+                  onMouseEnter={(e) => {
+                    e.target.style.borderColor = '#667eea';
+                    e.target.style.transform = 'translateY(-2px)';
+                    e.target.style.boxShadow = '0 4px 20px rgba(102, 126, 234, 0.15)';
+                  }}
+                  onMouseLeave={(e) => {
+                    e.target.style.borderColor = '#e1e5e9';
+                    e.target.style.transform = 'translateY(0)';
+                    e.target.style.boxShadow = '0 2px 10px rgba(0,0,0,0.05)';
+                  }}
+                >
+                  <input
+                    type="checkbox"
+                    checked={selectedIds.includes(application._id)}
+                    onClick={(e) => e.stopPropagation()}
+                    onChange={() => toggleSelected(application._id)}
+                    style={{ width: 'auto', marginRight: '1rem' }}
+                    aria-label={`Select ${application.applicantId.username}`}
+                  />
 
-                {/* Helper Info */}
-                <div style={{ flex: 1 }}>
-                  <div style={{ display: 'flex', alignItems: 'center', marginBottom: '0.5rem' }}>
-                    <h4 style={{ margin: 0, marginRight: '1rem' }}>
-                      {application.applicantId.username}
-                    </h4>
-                    <span className="rating">
-                      ★ {application.applicantId.rating ? application.applicantId.rating.toFixed(1) : 'New'}
-                    </span>
-                    <span style={{ 
-                      marginLeft: '1rem', 
-                      fontSize: '0.9rem', 
-                      color: '#666' 
-                    }}>
-                      {application.applicantId.completedTasks || 0} tasks completed
-                    </span>
+                  {/* Helper Avatar */}
+                  <div style={{
+                    width: '60px',
+                    height: '60px',
+                    borderRadius: '50%',
+                    backgroundColor: '#667eea',
+                    color: 'white',
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'center',
+                    fontSize: '1.5rem',
+                    fontWeight: 'bold',
+                    marginRight: '1.5rem',
+                    flexShrink: 0
+                  }}>
+                    {application.applicantId.username.charAt(0).toUpperCase()}
                   </div>
 
-                  {/* Skills Preview */}
-                  <div style={{ marginBottom: '0.5rem' }}>
-                    {application.applicantId.skills?.slice(0, 3).map((skill, index) => (
-                      <span key={index} className="badge" style={{ fontSize: '0.8rem' }}>
-                        {skill}
+                  {/* Helper Info */}
+                  <div style={{ flex: 1 }}>
+                    <div style={{ display: 'flex', alignItems: 'center', marginBottom: '0.5rem' }}>
+                      <h4 style={{ margin: 0, marginRight: '1rem' }}>
+                        {application.applicantId.username}
+                      </h4>
+                      <span
+                        className="badge"
+                        style={{ marginRight: '1rem', backgroundColor: STAGES[application.reviewStage || 'new'].color }}
+                      >
+                        {STAGES[application.reviewStage || 'new'].label}
+                      </span>
+                      <span className="rating">
+                        ★ {application.applicantId.rating ? application.applicantId.rating.toFixed(1) : 'New'}
                       </span>
-                    ))}
-                    {application.applicantId.skills?.length > 3 && (
-                      <span style={{ color: '#666', fontSize: '0.8rem' }}>
-                        +{application.applicantId.skills.length - 3} more
+                      <span style={{ 
+                        marginLeft: '1rem', 
+                        fontSize: '0.9rem', 
+                        color: '#666' 
+                      }}>
+                        {application.applicantId.completedTasks || 0} tasks completed
+                      </span>
+                      {application.availabilityAtTaskTime && (
+                      <span
+                        className="badge"
+                        style={{ marginLeft: '1rem', backgroundColor: AVAILABILITY[application.availabilityAtTaskTime.status].color }}
+                        title={application.availabilityAtTaskTime.conflicts.map(conflict => `Booked for "${conflict.taskTitle}"`).join(', ')}
+                      >
+                        {AVAILABILITY[application.availabilityAtTaskTime.status].label}
                       </span>
                     )}
-                  </div>
+                    {application.matchScore != null && (
+                        <span
+                          className="badge"
+                          style={{ marginLeft: '1rem', backgroundColor: matchColor(application.matchScore) }}
+                          title={application.missingSkills?.length > 0
+                            ? `Missing: ${application.missingSkills.join(', ')}`
+                            : 'Has every required skill'}
+                        >
+                          {application.matchScore}% skill match
+                        </span>
+                      )}
+                    </div>
 
-                  {/* Application Preview */}
-                  <p style={{ 
-                    margin: 0, 
-                    color: '#666', 
-                    fontSize: '0.9rem',
-                    fontStyle: 'italic'
-                  }}>
-                    "{application.message.length > 100 
-                      ? application.message.substring(0, 100) + '...' 
-                      : application.message}"
-                  </p>
-                </div>
+                    {/* Skills Preview */}
+                    <div style={{ marginBottom: '0.5rem' }}>
+                      {application.applicantId.skills?.slice(0, 3).map((skill, index) => (
+                        <span key={index} className="badge" style={{ fontSize: '0.8rem' }}>
+                          {skill}
+                        </span>
+                      ))}
+                      {application.applicantId.skills?.length > 3 && (
+                        <span style={{ color: '#666', fontSize: '0.8rem' }}>
+                          +{application.applicantId.skills.length - 3} more
+                        </span>
+                      )}
+                    </div>
 
-                {/* Credits and Quick Actions */}
-                <div style={{ 
-                  textAlign: 'right', 
-                  marginLeft: '1rem',
-                  flexShrink: 0 
-                }}>
+                    {/* Application Preview */}
+                    <p style={{ 
+                      margin: 0, 
+                      color: '#666', 
+                      fontSize: '0.9rem',
+                      fontStyle: 'italic'
+                    }}>
+                      "{application.message.length > 100 
+                        ? application.message.substring(0, 100) + '...' 
+                        : application.message}"
+                    </p>
+                  </div>
+
+                  {/* Credits and Quick Actions */}
                   <div style={{ 
-                    fontSize: '1.2rem', 
-                    fontWeight: 'bold', 
-                    color: '#667eea',
-                    marginBottom: '0.5rem'
+                    textAlign: 'right', 
+                    marginLeft: '1rem',
+                    flexShrink: 0 
                   }}>
-                    {application.proposedCredits} credits
-                  </div>
+                    <div style={{ 
+                      fontSize: '1.2rem', 
+                      fontWeight: 'bold', 
+                      color: '#667eea',
+                      marginBottom: '0.5rem'
+                    }}>
+                      {currentOffer(application).credits} credits
+                    </div>
+                    {currentOffer(application).by === 'provider' && (
+                      <div style={{ fontSize: '0.8rem', color: '#666', marginBottom: '0.5rem' }}>
+                        Your counter-offer · awaiting helper
+                      </div>
+                    )}
                   
-                  <div style={{ display: 'flex', gap: '0.5rem' }}>
-                    <button
-                      onClick={(e) => {
-                        e.stopPropagation();
-                        handleQuickRespond(application._id, 'accepted', application.proposedCredits);
-                      }}
-                      className="btn btn-success"
-                      style={{ padding: '0.4rem 0.8rem', fontSize: '0.8rem' }}
-                    >
-                      Quick Accept
-                    </button>
-                    <button
-                      onClick={(e) => {
-                        e.stopPropagation();
-                        handleQuickRespond(application._id, 'rejected');
-                      }}
-                      className="btn btn-danger"
-                      style={{ padding: '0.4rem 0.8rem', fontSize: '0.8rem' }}
-                    >
-                      Reject
-                    </button>
-                  </div>
+                    <div style={{ display: 'flex', gap: '0.5rem' }}>
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          handleQuickRespond(application._id, 'accepted', currentOffer(application).credits);
+                        }}
+                        disabled={currentOffer(application).by === 'provider' || application.availabilityAtTaskTime?.status === 'booked'}
+                        className="btn btn-success"
+                        style={{ padding: '0.4rem 0.8rem', fontSize: '0.8rem' }}
+                      >
+                        Quick Accept
+                      </button>
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          handleQuickRespond(application._id, 'rejected');
+                        }}
+                        className="btn btn-danger"
+                        style={{ padding: '0.4rem 0.8rem', fontSize: '0.8rem' }}
+                      >
+                        Reject
+                      </button>
+                    </div>
                   
-                  <div style={{ 
-                    fontSize: '0.8rem', 
-                    color: '#666', 
-                    marginTop: '0.5rem' 
-                  }}>
-                    Click for full profile
+                    <div style={{ display: 'flex', gap: '0.5rem', marginTop: '0.5rem' }}>
+                      <select
+                        value={application.reviewStage || 'new'}
+                        onClick={(e) => e.stopPropagation()}
+                        onChange={(e) => onReviewApplication(application._id, { stage: e.target.value })}
+                        style={{ width: 'auto', padding: '0.3rem', fontSize: '0.8rem' }}
+                      >
+                        {Object.entries(STAGES).map(([stage, { label }]) => (
+                          <option key={stage} value={stage}>{label}</option>
+                        ))}
+                      </select>
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          openNotes(application);
+                        }}
+                        className="btn btn-secondary"
+                        style={{ padding: '0.4rem 0.8rem', fontSize: '0.8rem' }}
+                      >
+                        📝 Notes{application.providerNotes ? ' •' : ''}
+                      </button>
+                    </div>
+                  
+                    <div style={{ 
+                      fontSize: '0.8rem', 
+                      color: '#666', 
+                      marginTop: '0.5rem' 
+                    }}>
+                      Click for full profile
+                    </div>
                   </div>
                 </div>
+
+                {notesFor === application._id && (
+                  <div style={{
+                    padding: '1rem',
+                    marginTop: '0.5rem',
+                    border: '1px solid #e1e5e9',
+                    borderRadius: '8px',
+                    backgroundColor: '#f8f9fa'
+                  }}>
+                    <label>Private notes on {application.applicantId.username}:</label>
+                    <textarea
+                      value={notesDraft}
+                      onChange={(e) => setNotesDraft(e.target.value)}
+                      maxLength={2000}
+                      rows="3"
+                      placeholder="Only you can see these notes"
+                    />
+                    <div className="flex gap-1" style={{ marginTop: '0.5rem' }}>
+                      <button onClick={() => saveNotes(application._id)} className="btn btn-success">Save Notes</button>
+                      <button onClick={() => setNotesFor(null)} className="btn btn-secondary">Cancel</button>
+                    </div>
+                  </div>
+                )}
               </div>
             ))}
           </div>
@@ -232,14 +445,15 @@ const ApplicantsList = ({ task, onRespondToApplication }) => {
                 <div style={{ flex: 1 }}>
                   <strong>{application.applicantId.username}</strong>
                   <span style={{ marginLeft: '1rem', fontSize: '0.9rem', color: '#666' }}>
-                    {application.proposedCredits} credits
+                    {application.agreedCredits || currentOffer(application).credits} credits
                   </span>
                 </div>
                 
                 <span 
                   className="badge" 
                   style={{ 
-                    backgroundColor: application.status === 'accepted' ? '#28a745' : '#dc3545' 
+                    backgroundColor: application.status === 'accepted' ? '#28a745' :
+                      application.status === 'waitlisted' ? '#17a2b8' : '#dc3545'
                   }}
                 >
                   {application.status}
@@ -1,13 +1,24 @@
 import React, { useState } from 'react';
 import { formatDuration } from '../utils/durationUtils';
-
-const ApplicationCard = ({ application, onRespond, showResponseOptions = false }) => {
+import { currentOffer } from '../utils/offers';
+import OfferThread from './OfferThread';
+
+const ApplicationCard = ({
+  application,
+  onRespond,
+  onCounterOffer,
+  onAcceptOffer,
+  viewerRole = 'provider',
+  showResponseOptions = false
+}) => {
   const [showResponseForm, setShowResponseForm] = useState(false);
   const [responseData, setResponseData] = useState({
     status: 'accepted',
-    responseMessage: '',
-    agreedCredits: application.proposedCredits
+    responseMessage: ''
   });
+  const latestOffer = currentOffer(application);
+  // Providers can only accept an offer the helper made
+  const canAccept = latestOffer.by === 'helper';
 
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleString();
@@ -18,6 +29,7 @@ const ApplicationCard = ({ application, onRespond, showResponseOptions = false }
       case 'accepted': return '#28a745';
       case 'rejected': return '#dc3545';
       case 'withdrawn': return '#6c757d';
+      case 'waitlisted': return '#17a2b8';
       default: return '#ffc107';
     }
   };
@@ -34,7 +46,11 @@ const ApplicationCard = ({ application, onRespond, showResponseOptions = false }
 
   const handleSubmitResponse = (e) => {
     e.preventDefault();
-    onRespond(application._id, responseData);
+    onRespond(application._id, {
+      ...responseData,
+      status: canAccept ? responseData.status : 'rejected',
+      agreedCredits: latestOffer.credits
+    });
     setShowResponseForm(false);
   };
 
@@ -73,9 +89,12 @@ const ApplicationCard = ({ application, onRespond, showResponseOptions = false }
         <strong>Completed Tasks:</strong> {application.applicantId.completedTasks || 0}
       </div>
 
-      <div className="mb-1">
-        <strong>Proposed Credits:</strong> {application.proposedCredits}
-      </div>
+      <OfferThread
+        application={application}
+        viewerRole={viewerRole}
+        onCounterOffer={onCounterOffer}
+        onAcceptOffer={onAcceptOffer}
+      />
 
       {application.taskId && (
         <div className="mb-1">
@@ -99,6 +118,9 @@ const ApplicationCard = ({ application, onRespond, showResponseOptions = false }
 
       <div className="mb-1">
         <strong>Applied:</strong> {formatDate(application.createdAt)}
+        {viewerRole === 'helper' && application.reviewStatus === 'under-review' && (
+          <span style={{ marginLeft: '1rem', color: '#17a2b8' }}>👀 The provider is reviewing your application</span>
+        )}
       </div>
 
       {application.responseMessage && (
@@ -140,27 +162,27 @@ const ApplicationCard = ({ application, onRespond, showResponseOptions = false }
           <div className="form-group">
             <label>Decision:</label>
             <select
-              value={responseData.status}
+              value={canAccept ? responseData.status : 'rejected'}
               onChange={(e) => setResponseData({ ...responseData, status: e.target.value })}
               required
             >
-              <option value="accepted">✅ Accept Application</option>
+              {canAccept && <option value="accepted">✅ Accept Application</option>}
               <option value="rejected">❌ Reject Application</option>
             </select>
           </div>
 
-          {responseData.status === 'accepted' && (
+          {canAccept && responseData.status === 'accepted' ? (
+            <div className="form-group">
+              <small style={{ color: '#666' }}>
+                Accepting books the helper for their latest offer of {latestOffer.credits} credits
+                {latestOffer.dateTime && ` starting ${formatDate(latestOffer.dateTime)}`}.
+                To change the terms, send a counter-offer instead.
+              </small>
+            </div>
+          ) : !canAccept && (
             <div className="form-group">
-              <label>Agreed Credits:</label>
-              <input
-                type="number"
-                value={responseData.agreedCredits}
-                onChange={(e) => setResponseData({ ...responseData, agreedCredits: e.target.value })}
-                min="1"
-                required
-              />
               <small style={{ color: '#666' }}>
-                Helper proposed {application.proposedCredits} credits
+                Your counter-offer is waiting for the helper, so it can only be accepted by them.
               </small>
             </div>
           )}
@@ -170,7 +192,7 @@ const ApplicationCard = ({ application, onRespond, showResponseOptions = false }
             <textarea
               value={responseData.responseMessage}
               onChange={(e) => setResponseData({ ...responseData, responseMessage: e.target.value })}
-              placeholder={responseData.status === 'accepted' 
+              placeholder={canAccept && responseData.status === 'accepted' 
                 ? "Welcome aboard! Looking forward to working with you. Here are the next steps..."
                 : "Thank you for your interest. We've decided to go with another applicant because..."
               }
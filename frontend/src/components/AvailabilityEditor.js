@@ -0,0 +1,150 @@
+import React, { useState, useEffect } from 'react';
+import api from '../utils/api';
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// The helper's weekly hours and days off. Times are in the helper's own time
+// zone, which is taken from the browser when they save.
+const AvailabilityEditor = ({ onSaved, onError }) => {
+  const [weekly, setWeekly] = useState([]);
+  const [blackoutDates, setBlackoutDates] = useState([]);
+  const [newBlackout, setNewBlackout] = useState('');
+  const [timezone, setTimezone] = useState(Intl.DateTimeFormat().resolvedOptions().timeZone);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const fetchAvailability = async () => {
+      try {
+        const response = await api.get('/auth/me');
+        const availability = response.data.availability || {};
+        setWeekly(availability.weekly || []);
+        setBlackoutDates(availability.blackoutDates || []);
+        if (availability.weekly?.length > 0 && availability.timezone) {
+          setTimezone(availability.timezone);
+        }
+      } catch (error) {
+        console.error('Error fetching availability:', error);
+      }
+    };
+
+    fetchAvailability();
+  }, []);
+
+  const updateSlot = (index, field, value) => {
+    setWeekly(weekly.map((slot, i) => (i === index ? { ...slot, [field]: value } : slot)));
+  };
+
+  const addSlot = () => {
+    setWeekly([...weekly, { day: 1, start: '09:00', end: '17:00' }]);
+  };
+
+  const addBlackout = () => {
+    if (newBlackout && !blackoutDates.includes(newBlackout)) {
+      setBlackoutDates([...blackoutDates, newBlackout].sort());
+    }
+    setNewBlackout('');
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const browserZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+      await api.put('/users/availability', {
+        timezone: browserZone,
+        weekly: weekly.map(slot => ({ ...slot, day: parseInt(slot.day) })),
+        blackoutDates
+      });
+      setTimezone(browserZone);
+      onSaved('Availability saved!');
+    } catch (error) {
+      onError(error.response?.data?.message || 'Failed to save availability');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="card mb-2">
+      <h3>📅 Availability</h3>
+      <p style={{ color: '#666', marginBottom: '1rem' }}>
+        Providers see whether you are free at their task's time. Leave the weekly hours empty if you can
+        help any time. Times are in {timezone}.
+      </p>
+
+      <strong>Weekly hours</strong>
+      {weekly.length === 0 && (
+        <p style={{ color: '#666' }}>Available any day and time.</p>
+      )}
+      {weekly.map((slot, index) => (
+        <div key={index} className="flex gap-1 items-center" style={{ margin: '0.5rem 0' }}>
+          <select
+            value={slot.day}
+            onChange={(e) => updateSlot(index, 'day', e.target.value)}
+            style={{ width: 'auto' }}
+          >
+            {WEEKDAYS.map((name, day) => (
+              <option key={name} value={day}>{name}</option>
+            ))}
+          </select>
+          <input
+            type="time"
+            value={slot.start}
+            onChange={(e) => updateSlot(index, 'start', e.target.value)}
+            style={{ width: 'auto' }}
+          />
+          <span>to</span>
+          <input
+            type="time"
+            value={slot.end}
+            onChange={(e) => updateSlot(index, 'end', e.target.value)}
+            style={{ width: 'auto' }}
+          />
+          <button
+            type="button"
+            onClick={() => setWeekly(weekly.filter((_, i) => i !== index))}
+            className="btn btn-secondary"
+          >
+            Remove
+          </button>
+        </div>
+      ))}
+      <button type="button" onClick={addSlot} className="btn btn-secondary" style={{ marginBottom: '1rem' }}>
+        + Add Hours
+      </button>
+
+      <div>
+        <strong>Blackout dates</strong>
+        <div className="flex gap-1 items-center" style={{ margin: '0.5rem 0' }}>
+          <input
+            type="date"
+            value={newBlackout}
+            onChange={(e) => setNewBlackout(e.target.value)}
+            style={{ width: 'auto' }}
+          />
+          <button type="button" onClick={addBlackout} className="btn btn-secondary" disabled={!newBlackout}>
+            + Add Date
+          </button>
+        </div>
+        {blackoutDates.map(date => (
+          <span key={date} className="badge" style={{ backgroundColor: '#6c757d' }}>
+            {date}
+            <button
+              type="button"
+              onClick={() => setBlackoutDates(blackoutDates.filter(d => d !== date))}
+              style={{ marginLeft: '0.4rem', background: 'none', border: 'none', color: 'white', cursor: 'pointer' }}
+              aria-label={`Remove ${date}`}
+            >
+              ×
+            </button>
+          </span>
+        ))}
+      </div>
+
+      <button onClick={handleSave} className="btn btn-success" disabled={saving} style={{ marginTop: '1rem' }}>
+        {saving ? 'Saving...' : 'Save Availability'}
+      </button>
+    </div>
+  );
+};
+
+export default AvailabilityEditor;
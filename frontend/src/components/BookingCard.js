@@ -4,14 +4,21 @@ import { useAuth } from '../context/AuthContext';
 import { formatDuration } from '../utils/durationUtils';
 import FileUpload from './FileUpload';
 import DeliverableViewer from './DeliverableViewer';
+import MilestoneTracker from './MilestoneTracker';
+import api from '../utils/api';
 
-const BookingCard = ({ booking, onReviewSubmit, onStatusUpdate }) => {
+const BookingCard = ({ booking, onReviewSubmit, onStatusUpdate, onOpenDispute, onMilestoneUpdate }) => {
   const { currentUser } = useAuth();
   const [workNote, setWorkNote] = useState('');
   const [githubLinks, setGithubLinks] = useState([{ url: '', description: '' }]);
   const [additionalLinks, setAdditionalLinks] = useState([{ url: '', description: '' }]);
   const [uploadedFiles, setUploadedFiles] = useState([]);
   const [showWorkSubmission, setShowWorkSubmission] = useState(false);
+  const [revisionNote, setRevisionNote] = useState('');
+  const [showRevisionForm, setShowRevisionForm] = useState(false);
+  const [disputeReason, setDisputeReason] = useState('');
+  const [disputeEvidence, setDisputeEvidence] = useState([]);
+  const [showDisputeForm, setShowDisputeForm] = useState(false);
 
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleString();
@@ -19,6 +26,7 @@ const BookingCard = ({ booking, onReviewSubmit, onStatusUpdate }) => {
 
   const isHelper = booking.helper._id === currentUser.id;
   const isTaskProvider = booking.taskProvider._id === currentUser.id;
+  const hasMilestones = booking.milestones?.length > 0;
 
   const handleStatusUpdate = async (newStatus) => {
     if (onStatusUpdate) {
@@ -28,12 +36,55 @@ const BookingCard = ({ booking, onReviewSubmit, onStatusUpdate }) => {
         additionalLinks: additionalLinks.filter(link => link.url.trim())
       } : undefined;
 
-      await onStatusUpdate(booking._id, newStatus, workNote, deliverables);
+      await onStatusUpdate(booking._id, newStatus, workNote, deliverables, revisionNote);
     }
     setShowWorkSubmission(false);
+    setShowRevisionForm(false);
+    setRevisionNote('');
     resetSubmissionForm();
   };
 
+  // Show what the cancellation policy will do before confirming
+  const handleCancel = async () => {
+    let message = 'Are you sure you want to cancel this booking?';
+    try {
+      const response = await api.get(`/bookings/${booking._id}/cancellation-preview`);
+      const preview = response.data;
+      message = `${preview.summary}\n\n` +
+        `Helper receives: ${preview.helperPayout} credits\n` +
+        `Task provider refunded: ${preview.providerRefund} credits` +
+        (preview.reliabilityPenalty > 0 ? `\nHelper reliability: -${preview.reliabilityPenalty}` : '') +
+        '\n\nCancel this booking?';
+    } catch (error) {
+      console.error('Error loading cancellation preview:', error);
+    }
+
+    if (window.confirm(message)) {
+      await handleStatusUpdate('cancelled');
+    }
+  };
+
+  const handleOpenDispute = async () => {
+    if (onOpenDispute) {
+      await onOpenDispute(booking._id, {
+        reason: disputeReason,
+        evidence: disputeEvidence
+      });
+    }
+    setShowDisputeForm(false);
+    setDisputeReason('');
+    setDisputeEvidence([]);
+  };
+
+  // Providers can also dispute a confirmed booking whose helper never starts
+  const canDispute = ['in-progress', 'work-submitted', 'revision-requested'].includes(booking.status) ||
+    (isTaskProvider && booking.status === 'confirmed');
+
+  const latestSubmission = booking.submissions?.length > 0
+    ? booking.submissions[booking.submissions.length - 1]
+    : null;
+  const isResubmission = booking.status === 'revision-requested';
+
   const resetSubmissionForm = () => {
     setWorkNote('');
     setUploadedFiles([]);
@@ -77,6 +128,8 @@ const BookingCard = ({ booking, onReviewSubmit, onStatusUpdate }) => {
       case 'in-progress': return '#6f42c1';
       case 'confirmed': return '#17a2b8';
       case 'work-submitted': return '#ffc107';
+      case 'revision-requested': return '#fd7e14';
+      case 'disputed': return '#343a40';
       case 'cancelled': return '#dc3545';
       default: return '#6c757d';
     }
@@ -88,6 +141,8 @@ const BookingCard = ({ booking, onReviewSubmit, onStatusUpdate }) => {
       case 'in-progress': return '🚀';
       case 'confirmed': return '📋';
       case 'work-submitted': return '📤';
+      case 'revision-requested': return '🔁';
+      case 'disputed': return '⚖️';
       case 'cancelled': return '❌';
       default: return '📝';
     }
@@ -104,6 +159,12 @@ const BookingCard = ({ booking, onReviewSubmit, onStatusUpdate }) => {
           {getStatusIcon(booking.status)} {booking.status}
         </span>
       </div>
+
+      {booking.overdueFlaggedAt && ['confirmed', 'in-progress'].includes(booking.status) && (
+        <div className="error" style={{ marginBottom: '1rem' }}>
+          ⚠️ This booking is overdue: the task should have finished by now. Please complete, cancel or dispute it.
+        </div>
+      )}
       
       <div className="mb-1">
         <strong>Description:</strong> 
@@ -115,7 +176,12 @@ const BookingCard = ({ booking, onReviewSubmit, onStatusUpdate }) => {
       </div>
       
       <div className="mb-1">
-        <strong>Scheduled Time:</strong> {formatDate(booking.taskId.dateTime)}
+        <strong>Scheduled Time:</strong> {formatDate(booking.scheduledFor || booking.taskId.dateTime)}
+        {booking.rescheduleRequests?.some(request => request.status === 'pending') && (
+          <span className="badge" style={{ backgroundColor: '#ffc107', color: '#333', marginLeft: '0.5rem' }}>
+            🕒 New time proposed
+          </span>
+        )}
       </div>
       
       <div className="mb-1">
@@ -215,7 +281,7 @@ const BookingCard = ({ booking, onReviewSubmit, onStatusUpdate }) => {
             🚀 Start Working
           </button>
           <button 
-            onClick={() => handleStatusUpdate('cancelled')}
+            onClick={handleCancel}
             className="btn btn-danger"
           >
             Cancel
@@ -223,8 +289,39 @@ const BookingCard = ({ booking, onReviewSubmit, onStatusUpdate }) => {
         </div>
       )}
 
+      {/* Changes requested by the provider */}
+      {isResubmission && latestSubmission?.revisionNote && (
+        <div className="mb-1" style={{ 
+          backgroundColor: '#ffe8d6', 
+          padding: '1rem', 
+          borderRadius: '8px',
+          border: '1px solid #fd7e14'
+        }}>
+          <strong>🔁 Changes Requested (round {booking.revisionCount})</strong>
+          <p style={{ margin: '0.5rem 0', fontSize: '0.9rem' }}>
+            "{latestSubmission.revisionNote}"
+          </p>
+          <small style={{ color: '#666' }}>
+            {isHelper 
+              ? 'Update your work and resubmit it for review.'
+              : 'Waiting for the helper to resubmit their work.'
+            }
+          </small>
+        </div>
+      )}
+
+      {/* Milestones replace the single work submission */}
+      {hasMilestones && (
+        <MilestoneTracker
+          booking={booking}
+          isHelper={isHelper}
+          isTaskProvider={isTaskProvider}
+          onUpdated={(updated) => onMilestoneUpdate && onMilestoneUpdate(booking._id, updated)}
+        />
+      )}
+
       {/* Enhanced Work Submission for Helper */}
-      {isHelper && booking.status === 'in-progress' && (
+      {isHelper && !hasMilestones && ['in-progress', 'revision-requested'].includes(booking.status) && (
         <div className="mb-1">
           {!showWorkSubmission ? (
             <button 
@@ -232,7 +329,7 @@ const BookingCard = ({ booking, onReviewSubmit, onStatusUpdate }) => {
               className="btn btn-success"
               style={{ width: '100%' }}
             >
-              📤 Submit Completed Work
+              {isResubmission ? '📤 Resubmit Revised Work' : '📤 Submit Completed Work'}
             </button>
           ) : (
             <div style={{ 
@@ -241,7 +338,7 @@ const BookingCard = ({ booking, onReviewSubmit, onStatusUpdate }) => {
               borderRadius: '8px',
               backgroundColor: '#f8fff8'
             }}>
-              <h4>📤 Submit Your Work</h4>
+              <h4>{isResubmission ? '📤 Resubmit Your Work' : '📤 Submit Your Work'}</h4>
               
               {/* Work Summary */}
               <div className="form-group">
@@ -385,7 +482,7 @@ const BookingCard = ({ booking, onReviewSubmit, onStatusUpdate }) => {
       {isTaskProvider && booking.status === 'confirmed' && (
         <div className="mb-1">
           <button 
-            onClick={() => handleStatusUpdate('cancelled')}
+            onClick={handleCancel}
             className="btn btn-danger"
           >
             Cancel Booking
@@ -415,14 +512,175 @@ const BookingCard = ({ booking, onReviewSubmit, onStatusUpdate }) => {
               <DeliverableViewer 
                 deliverables={booking.deliverables} 
                 canDownload={isTaskProvider}
+                submissions={booking.submissions}
               />
             </div>
           )}
+
+          {/* Send the work back to the helper */}
+          {isTaskProvider && (
+            <div style={{ marginTop: '0.75rem' }}>
+              {!showRevisionForm ? (
+                <button 
+                  onClick={() => setShowRevisionForm(true)}
+                  className="btn btn-secondary"
+                >
+                  🔁 Request Changes
+                </button>
+              ) : (
+                <div>
+                  <div className="form-group">
+                    <label>What should the helper change?</label>
+                    <textarea
+                      value={revisionNote}
+                      onChange={(e) => setRevisionNote(e.target.value)}
+                      placeholder="Describe the changes you need before accepting the work..."
+                      rows="3"
+                    />
+                  </div>
+                  <div className="flex gap-1">
+                    <button 
+                      onClick={() => handleStatusUpdate('revision-requested')}
+                      className="btn btn-success"
+                      disabled={!revisionNote.trim()}
+                    >
+                      Send Revision Request
+                    </button>
+                    <button 
+                      onClick={() => {
+                        setShowRevisionForm(false);
+                        setRevisionNote('');
+                      }}
+                      className="btn btn-secondary"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Cancel work that has already started */}
+      {['in-progress', 'revision-requested'].includes(booking.status) && (
+        <div className="mb-1">
+          <button 
+            onClick={handleCancel}
+            className="btn btn-secondary"
+            style={{ width: '100%' }}
+          >
+            Cancel Booking
+          </button>
+        </div>
+      )}
+
+      {/* Cancellation outcome */}
+      {booking.status === 'cancelled' && booking.cancellation?.rule && (
+        <div className="mb-1" style={{ 
+          backgroundColor: '#f8d7da', 
+          padding: '0.75rem', 
+          borderRadius: '8px',
+          fontSize: '0.9rem'
+        }}>
+          <strong>
+            Cancelled by the {booking.cancellation.role === 'helper' ? 'helper' : 'task provider'}
+          </strong>
+          {booking.cancellation.rule === 'free' ? (
+            <div>Free cancellation — all credits returned to the task provider.</div>
+          ) : (
+            <div>
+              Helper compensation: {booking.cancellation.helperPayout} credits · 
+              Refunded: {booking.cancellation.providerRefund} credits
+              {booking.cancellation.reliabilityPenalty > 0 && 
+                ` · Helper reliability -${booking.cancellation.reliabilityPenalty}`}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Dispute in progress */}
+      {booking.status === 'disputed' && booking.dispute && (
+        <div className="mb-1" style={{ 
+          backgroundColor: '#f1f3f5', 
+          padding: '1rem', 
+          borderRadius: '8px',
+          border: '1px solid #343a40'
+        }}>
+          <strong>⚖️ Under Dispute</strong>
+          <p style={{ margin: '0.5rem 0', fontSize: '0.9rem' }}>
+            "{booking.dispute.reason}"
+          </p>
+          <small style={{ color: '#666' }}>
+            The {booking.agreedCredits} escrowed credits are frozen until an admin resolves the dispute.
+            Add statements and evidence from "View Full Details".
+          </small>
+        </div>
+      )}
+
+      {/* Open a dispute */}
+      {canDispute && onOpenDispute && (
+        <div className="mb-1">
+          {!showDisputeForm ? (
+            <button 
+              onClick={() => setShowDisputeForm(true)}
+              className="btn btn-danger"
+              style={{ width: '100%' }}
+            >
+              ⚖️ Open Dispute
+            </button>
+          ) : (
+            <div style={{ 
+              padding: '1rem', 
+              border: '2px solid #dc3545', 
+              borderRadius: '8px',
+              backgroundColor: '#fff5f5'
+            }}>
+              <h4>⚖️ Open a Dispute</h4>
+              <p style={{ fontSize: '0.9rem', color: '#666' }}>
+                An admin will review statements and evidence from both sides and decide how the 
+                escrowed credits are paid out. The credits stay frozen until then.
+              </p>
+              <div className="form-group">
+                <label>What went wrong?</label>
+                <textarea
+                  value={disputeReason}
+                  onChange={(e) => setDisputeReason(e.target.value)}
+                  placeholder="Explain why you are disputing this booking..."
+                  rows="3"
+                />
+              </div>
+              <FileUpload 
+                onFilesUploaded={setDisputeEvidence}
+                maxFiles={5}
+              />
+              <div className="flex gap-1">
+                <button 
+                  onClick={handleOpenDispute}
+                  className="btn btn-danger"
+                  disabled={!disputeReason.trim()}
+                >
+                  Open Dispute
+                </button>
+                <button 
+                  onClick={() => {
+                    setShowDisputeForm(false);
+                    setDisputeReason('');
+                    setDisputeEvidence([]);
+                  }}
+                  className="btn btn-secondary"
+                >
+                  Cancel
+                </button>
+              </div>
+            </div>
+          )}
         </div>
       )}
 
       {/* Chat Button */}
-      {booking.chatId && ['confirmed', 'in-progress', 'work-submitted', 'completed'].includes(booking.status) && (
+      {booking.chatId && ['confirmed', 'in-progress', 'work-submitted', 'revision-requested', 'disputed', 'completed'].includes(booking.status) && (
         <div className="mb-1">
           <Link 
             to="/chat" 
@@ -3,8 +3,16 @@ import { Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { formatDuration } from '../utils/durationUtils';
 import DeliverableViewer from './DeliverableViewer';
+import DisputePanel from './DisputePanel';
+import RescheduleProposals from './RescheduleProposals';
 import api from '../utils/api';
 
+const STATUS_COLORS = {
+  completed: '#28a745',
+  'revision-requested': '#fd7e14',
+  disputed: '#343a40'
+};
+
 const BookingDetailsModal = ({ booking, isOpen, onClose, onReviewSubmit }) => {
   const { currentUser } = useAuth();
   const [bookingDetails, setBookingDetails] = useState(null);
@@ -37,6 +45,20 @@ const BookingDetailsModal = ({ booking, isOpen, onClose, onReviewSubmit }) => {
     return new Date(dateString).toLocaleString();
   };
 
+  const handleDownloadCalendar = async () => {
+    try {
+      const response = await api.get(`/calendar/bookings/${booking._id}.ics`, { responseType: 'blob' });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `booking-${booking._id}.ics`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error downloading calendar file:', error);
+    }
+  };
+
   const handleReviewSubmit = async (e) => {
     e.preventDefault();
     try {
@@ -109,7 +131,7 @@ const BookingDetailsModal = ({ booking, isOpen, onClose, onReviewSubmit }) => {
                 className="badge" 
                 style={{ 
                   fontSize: '1rem',
-                  backgroundColor: bookingDetails.status === 'completed' ? '#28a745' : '#007bff'
+                  backgroundColor: STATUS_COLORS[bookingDetails.status] || '#007bff'
                 }}
               >
                 {bookingDetails.status}
@@ -120,7 +142,7 @@ const BookingDetailsModal = ({ booking, isOpen, onClose, onReviewSubmit }) => {
             <div className="card" style={{ marginBottom: '2rem' }}>
               <h3>📋 Task Details</h3>
               <p><strong>Description:</strong> {bookingDetails.taskId.description}</p>
-              <p><strong>Scheduled Time:</strong> {formatDate(bookingDetails.taskId.dateTime)}</p>
+              <p><strong>Scheduled Time:</strong> {formatDate(bookingDetails.scheduledFor || bookingDetails.taskId.dateTime)}</p>
               <p><strong>Duration:</strong> {formatDuration(bookingDetails.taskId.duration)}</p>
               <p><strong>Agreed Credits:</strong> {bookingDetails.agreedCredits}</p>
               
@@ -194,16 +216,41 @@ const BookingDetailsModal = ({ booking, isOpen, onClose, onReviewSubmit }) => {
               </div>
             )}
 
+            {/* Outstanding Revision Request */}
+            {bookingDetails.status === 'revision-requested' && bookingDetails.submissions?.length > 0 && (
+              <div className="card" style={{ marginBottom: '2rem', backgroundColor: '#ffe8d6' }}>
+                <h4>🔁 Changes Requested</h4>
+                <p style={{ margin: 0, fontStyle: 'italic' }}>
+                  "{bookingDetails.submissions[bookingDetails.submissions.length - 1].revisionNote}"
+                </p>
+                <small style={{ color: '#8a4b08' }}>
+                  Revision round {bookingDetails.revisionCount}
+                </small>
+              </div>
+            )}
+
             {/* Deliverables Section */}
             {bookingDetails.deliverables && (
               <div style={{ marginBottom: '2rem' }}>
                 <DeliverableViewer 
                   deliverables={bookingDetails.deliverables}
                   canDownload={isTaskProvider}
+                  submissions={bookingDetails.submissions}
                 />
               </div>
             )}
 
+            {/* Dispute Statements & Outcome */}
+            <RescheduleProposals
+              booking={bookingDetails}
+              onUpdated={fetchBookingDetails}
+            />
+
+            <DisputePanel 
+              booking={bookingDetails} 
+              onUpdated={fetchBookingDetails}
+            />
+
             {/* Provider Acceptance Note */}
             {bookingDetails.providerAcceptanceNote && (
               <div className="card" style={{ marginBottom: '2rem', backgroundColor: '#d4edda' }}>
@@ -338,7 +385,7 @@ const BookingDetailsModal = ({ booking, isOpen, onClose, onReviewSubmit }) => {
               )}
               
               {/* Deliverables Management for Helper */}
-              {isHelper && bookingDetails.status === 'in-progress' && (
+              {isHelper && ['in-progress', 'revision-requested'].includes(bookingDetails.status) && (
                 <button 
                   onClick={() => {
                     onClose();
@@ -365,6 +412,10 @@ const BookingDetailsModal = ({ booking, isOpen, onClose, onReviewSubmit }) => {
                 </button>
               )}
 
+              <button onClick={handleDownloadCalendar} className="btn btn-secondary">
+                📅 Download .ics
+              </button>
+
               <button onClick={onClose} className="btn">
                 Close
               </button>
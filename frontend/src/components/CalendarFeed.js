@@ -0,0 +1,69 @@
+import React, { useState, useEffect } from 'react';
+import api from '../utils/api';
+
+// The user's private calendar subscription URL. Anyone holding the URL can
+// read the feed, so it can be reset from here.
+const CalendarFeed = ({ onSaved, onError }) => {
+  const [url, setUrl] = useState('');
+  const [resetting, setResetting] = useState(false);
+
+  useEffect(() => {
+    const fetchFeedUrl = async () => {
+      try {
+        const response = await api.get('/calendar/feed-url');
+        setUrl(response.data.url);
+      } catch (error) {
+        console.error('Error fetching calendar feed URL:', error);
+      }
+    };
+
+    fetchFeedUrl();
+  }, []);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(url);
+      onSaved('Calendar feed URL copied!');
+    } catch (error) {
+      onError('Could not copy the URL - select it and copy it manually');
+    }
+  };
+
+  const handleReset = async () => {
+    if (!window.confirm('Reset the feed URL? Calendars subscribed to the current URL will stop updating.')) {
+      return;
+    }
+
+    setResetting(true);
+    try {
+      const response = await api.post('/calendar/feed-url/reset');
+      setUrl(response.data.url);
+      onSaved('Calendar feed URL reset. Subscribe again with the new URL.');
+    } catch (error) {
+      onError(error.response?.data?.message || 'Failed to reset the calendar feed URL');
+    } finally {
+      setResetting(false);
+    }
+  };
+
+  return (
+    <div className="card mt-2">
+      <h4>📅 Calendar Feed</h4>
+      <p style={{ color: '#666', marginBottom: '0.5rem' }}>
+        Subscribe to this URL in Google Calendar, Outlook or Apple Calendar to see your confirmed bookings
+        and posted tasks. Rescheduled and cancelled bookings update there too. Keep the URL private.
+      </p>
+      <div className="flex gap-1 items-center">
+        <input type="text" value={url} readOnly onFocus={(e) => e.target.select()} />
+        <button onClick={handleCopy} className="btn btn-secondary" disabled={!url}>
+          Copy
+        </button>
+        <button onClick={handleReset} className="btn btn-secondary" disabled={!url || resetting}>
+          {resetting ? 'Resetting...' : 'Reset'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default CalendarFeed;
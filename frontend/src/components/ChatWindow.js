@@ -75,8 +75,17 @@ const ChatWindow = ({ chat, onClose }) => {
             {chat.taskId?.title}
           </h4>
           <small style={{ color: '#666' }}>
-            with {otherUser?.username}
-            {otherUser?.isOnline && <span style={{ color: '#28a745' }}> • Online</span>}
+            {chat.isGroup ? (
+              `with ${chat.participants
+                .filter(participant => participant._id !== chat.currentUserId)
+                .map(participant => participant.username)
+                .join(', ')}`
+            ) : (
+              <>
+                with {otherUser?.username}
+                {otherUser?.isOnline && <span style={{ color: '#28a745' }}> • Online</span>}
+              </>
+            )}
           </small>
         </div>
         {onClose && (
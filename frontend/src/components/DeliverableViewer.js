@@ -1,7 +1,15 @@
-import React from 'react';
+import React, { useState } from 'react';
 import api from '../utils/api';
 
-const DeliverableViewer = ({ deliverables, canDownload = true }) => {
+const DeliverableViewer = ({
+  deliverables,
+  canDownload = true,
+  submissions = [],
+  showTip = true,
+  title = '📦 Submitted Deliverables'
+}) => {
+  const [expandedRound, setExpandedRound] = useState(null);
+
   const formatFileSize = (bytes) => {
     if (bytes === 0) return '0 Bytes';
     const k = 1024;
@@ -54,6 +62,9 @@ const DeliverableViewer = ({ deliverables, canDownload = true }) => {
     }
   };
 
+  // A single round with no requested changes has nothing more to show than the deliverables
+  const hasHistory = submissions.length > 1 || Boolean(submissions[0]?.revisionNote);
+
   if (!deliverables || 
       (!deliverables.files?.length && 
        !deliverables.githubLinks?.length && 
@@ -74,7 +85,7 @@ const DeliverableViewer = ({ deliverables, canDownload = true }) => {
 
   return (
     <div className="card">
-      <h3>📦 Submitted Deliverables</h3>
+      <h3>{title}</h3>
 
       {/* Files Section */}
       {deliverables.files && deliverables.files.length > 0 && (
@@ -250,15 +261,92 @@ const DeliverableViewer = ({ deliverables, canDownload = true }) => {
         </div>
       )}
 
-      <div style={{ 
-        padding: '1rem',
-        backgroundColor: '#e3f2fd',
-        borderRadius: '8px',
-        border: '1px solid #bbdefb'
-      }}>
-        <strong>💡 Tip:</strong> Review all deliverables carefully before marking the task as completed.
-        {canDownload && ' You can download files for offline review.'}
-      </div>
+      {/* Submission History */}
+      {hasHistory && (
+        <div style={{ marginBottom: '1rem' }}>
+          <h4>🕘 Submission History ({submissions.length} round{submissions.length !== 1 ? 's' : ''})</h4>
+          <div style={{ 
+            border: '1px solid #e1e5e9',
+            borderRadius: '8px',
+            overflow: 'hidden'
+          }}>
+            {submissions.map((submission, index) => (
+              <div key={submission._id || index} style={{ 
+                padding: '1rem',
+                borderBottom: index < submissions.length - 1 ? '1px solid #e1e5e9' : 'none',
+                backgroundColor: '#f8f9fa'
+              }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                  <div>
+                    <strong>Round {submission.round}</strong>
+                    {index === submissions.length - 1 && (
+                      <span className="badge" style={{ backgroundColor: '#28a745', marginLeft: '0.5rem' }}>
+                        Latest
+                      </span>
+                    )}
+                    <div style={{ fontSize: '0.9rem', color: '#666' }}>
+                      Submitted: {formatDate(submission.submittedAt)}
+                    </div>
+                  </div>
+                  <button
+                    onClick={() => setExpandedRound(expandedRound === index ? null : index)}
+                    className="btn btn-secondary"
+                    style={{ padding: '0.25rem 0.75rem', fontSize: '0.9rem' }}
+                  >
+                    {expandedRound === index ? 'Hide' : 'View'} Deliverables
+                  </button>
+                </div>
+
+                {submission.workNote && (
+                  <p style={{ margin: '0.5rem 0 0 0', fontSize: '0.9rem', fontStyle: 'italic' }}>
+                    "{submission.workNote}"
+                  </p>
+                )}
+
+                {submission.revisionNote && (
+                  <div style={{ 
+                    marginTop: '0.5rem',
+                    padding: '0.75rem',
+                    backgroundColor: '#ffe8d6',
+                    borderRadius: '4px',
+                    border: '1px solid #fd7e14',
+                    fontSize: '0.9rem'
+                  }}>
+                    <strong>🔁 Changes requested:</strong> "{submission.revisionNote}"
+                    {submission.revisionRequestedAt && (
+                      <div style={{ color: '#666', fontSize: '0.8rem' }}>
+                        {formatDate(submission.revisionRequestedAt)}
+                      </div>
+                    )}
+                  </div>
+                )}
+
+                {expandedRound === index && (
+                  <div style={{ marginTop: '0.75rem' }}>
+                    <DeliverableViewer 
+                      deliverables={submission.deliverables}
+                      canDownload={canDownload}
+                      showTip={false}
+                    />
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {showTip && (
+        <div style={{ 
+          padding: '1rem',
+          backgroundColor: '#e3f2fd',
+          borderRadius: '8px',
+          border: '1px solid #bbdefb'
+        }}>
+          <strong>💡 Tip:</strong> Review all deliverables carefully before marking the task as completed.
+          {canDownload && ' You can download files for offline review.'}
+        </div>
+      )}
     </div>
   );
 };
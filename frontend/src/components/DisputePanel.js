@@ -0,0 +1,145 @@
+import React, { useState } from 'react';
+import api from '../utils/api';
+import FileUpload from './FileUpload';
+import DeliverableViewer from './DeliverableViewer';
+
+const ROLE_LABELS = {
+  helper: 'Helper',
+  taskProvider: 'Task Provider',
+  admin: 'Admin'
+};
+
+const OUTCOME_LABELS = {
+  release: 'Full release to helper',
+  refund: 'Full refund to task provider',
+  split: 'Split between both parties'
+};
+
+const DisputePanel = ({ booking, onUpdated }) => {
+  const [statement, setStatement] = useState('');
+  const [evidence, setEvidence] = useState([]);
+  const [uploadKey, setUploadKey] = useState(0);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const dispute = booking.dispute;
+  if (!dispute || !dispute.status) return null;
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleString();
+  };
+
+  const handleAddStatement = async (e) => {
+    e.preventDefault();
+    try {
+      setSubmitting(true);
+      setError('');
+      await api.post(`/bookings/${booking._id}/dispute/statements`, {
+        text: statement,
+        evidence
+      });
+      setStatement('');
+      setEvidence([]);
+      // Remount the uploader so its file list clears
+      setUploadKey(uploadKey + 1);
+      if (onUpdated) {
+        await onUpdated();
+      }
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to add statement');
+      setTimeout(() => setError(''), 3000);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="card" style={{ marginBottom: '2rem', border: '1px solid #343a40' }}>
+      <h3>⚖️ Dispute</h3>
+      <p><strong>Reason:</strong> {dispute.reason}</p>
+      <p style={{ fontSize: '0.9rem', color: '#666' }}>
+        Opened {formatDate(dispute.openedAt)} while the booking was {dispute.previousStatus}
+      </p>
+
+      {/* Resolution */}
+      {dispute.status === 'resolved' && dispute.resolution && (
+        <div style={{
+          padding: '1rem',
+          backgroundColor: '#d4edda',
+          borderRadius: '8px',
+          marginBottom: '1rem'
+        }}>
+          <strong>✅ Resolved: {OUTCOME_LABELS[dispute.resolution.outcome]}</strong>
+          <p style={{ margin: '0.5rem 0' }}>
+            Helper received {dispute.resolution.helperAmount} credits ·
+            Task provider refunded {dispute.resolution.providerAmount} credits
+          </p>
+          {dispute.resolution.note && (
+            <p style={{ margin: 0, fontStyle: 'italic' }}>"{dispute.resolution.note}"</p>
+          )}
+          <small style={{ color: '#155724' }}>
+            {formatDate(dispute.resolution.resolvedAt)}
+          </small>
+        </div>
+      )}
+
+      {/* Statements */}
+      <h4>Statements ({dispute.statements.length})</h4>
+      {dispute.statements.map((entry, index) => (
+        <div key={entry._id || index} style={{
+          padding: '1rem',
+          backgroundColor: '#f8f9fa',
+          borderRadius: '8px',
+          marginBottom: '0.75rem'
+        }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '0.5rem' }}>
+            <strong>
+              {entry.userId?.username || 'Participant'} ({ROLE_LABELS[entry.role]})
+            </strong>
+            <small style={{ color: '#666' }}>{formatDate(entry.createdAt)}</small>
+          </div>
+          {entry.text && <p style={{ margin: 0 }}>{entry.text}</p>}
+          {entry.evidence?.length > 0 && (
+            <div style={{ marginTop: '0.75rem' }}>
+              <DeliverableViewer
+                deliverables={{ files: entry.evidence }}
+                showTip={false}
+                title={`📎 Evidence (${entry.evidence.length})`}
+              />
+            </div>
+          )}
+        </div>
+      ))}
+
+      {/* Add Statement */}
+      {booking.status === 'disputed' && (
+        <form onSubmit={handleAddStatement} style={{ marginTop: '1rem' }}>
+          {error && <div className="error">{error}</div>}
+          <div className="form-group">
+            <label>Add a statement:</label>
+            <textarea
+              value={statement}
+              onChange={(e) => setStatement(e.target.value)}
+              placeholder="Add context, respond to the other party, or describe your evidence..."
+              rows="3"
+            />
+          </div>
+          <FileUpload
+            key={uploadKey}
+            onFilesUploaded={setEvidence}
+            maxFiles={5}
+          />
+          <button
+            type="submit"
+            className="btn btn-secondary"
+            disabled={submitting || (!statement.trim() && evidence.length === 0)}
+          >
+            {submitting ? 'Submitting...' : 'Submit Statement'}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default DisputePanel;
@@ -1,10 +1,21 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { DURATION_OPTIONS, validateCustomDuration } from '../utils/durationUtils';
 
 const DurationSelector = ({ value, onChange, error }) => {
   const [isCustom, setIsCustom] = useState(!DURATION_OPTIONS.find(opt => opt.value === value && opt.value !== 'custom'));
   const [customDuration, setCustomDuration] = useState(isCustom ? value : '');
 
+  // Follow values set from outside, e.g. when a template or duplicated task fills the form
+  useEffect(() => {
+    if (!value) return;
+    if (DURATION_OPTIONS.find(opt => opt.value === value && opt.value !== 'custom')) {
+      setIsCustom(false);
+    } else {
+      setIsCustom(true);
+      setCustomDuration(value);
+    }
+  }, [value]);
+
   const handlePresetChange = (selectedValue) => {
     if (selectedValue === 'custom') {
       setIsCustom(true);
@@ -2,6 +2,7 @@ import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useChat } from '../context/ChatContext';
 import api from '../utils/api';
+import { currentOffer } from '../utils/offers';
 
 const HelperProfileModal = ({ helper, application, isOpen, onClose, onRespond }) => {
   const navigate = useNavigate();
@@ -186,7 +187,8 @@ const HelperProfileModal = ({ helper, application, isOpen, onClose, onRespond })
               marginBottom: '1rem'
             }}>
               <div style={{ marginBottom: '0.5rem' }}>
-                <strong>Proposed Credits:</strong> {application.proposedCredits}
+                <strong>Current Offer:</strong> {currentOffer(application).credits} credits
+                {currentOffer(application).by === 'provider' && ' (your counter-offer, awaiting the helper)'}
               </div>
               <div style={{ marginBottom: '0.5rem' }}>
                 <strong>Applied:</strong> {formatDate(application.createdAt)}
@@ -238,7 +240,8 @@ const HelperProfileModal = ({ helper, application, isOpen, onClose, onRespond })
         {application && application.status === 'pending' && onRespond && (
           <div style={{ display: 'flex', gap: '1rem', justifyContent: 'center' }}>
             <button
-              onClick={() => onRespond(application._id, 'accepted', application.proposedCredits)}
+              onClick={() => onRespond(application._id, 'accepted', currentOffer(application).credits)}
+              disabled={currentOffer(application).by === 'provider'}
               className="btn btn-success"
               style={{ minWidth: '120px' }}
             >
@@ -0,0 +1,242 @@
+import React, { useState } from 'react';
+import api from '../utils/api';
+import FileUpload from './FileUpload';
+import DeliverableViewer from './DeliverableViewer';
+
+const MILESTONE_STATUS = {
+  pending: { label: 'Pending', color: '#6c757d', icon: '⏳' },
+  submitted: { label: 'Submitted', color: '#ffc107', icon: '📤' },
+  'changes-requested': { label: 'Changes Requested', color: '#fd7e14', icon: '🔁' },
+  accepted: { label: 'Accepted', color: '#28a745', icon: '✅' }
+};
+
+const MilestoneTracker = ({ booking, isHelper, isTaskProvider, onUpdated }) => {
+  const [activeForm, setActiveForm] = useState(null);
+  const [workNote, setWorkNote] = useState('');
+  const [files, setFiles] = useState([]);
+  const [revisionNote, setRevisionNote] = useState('');
+  const [expanded, setExpanded] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const milestones = booking.milestones || [];
+  if (milestones.length === 0) return null;
+
+  const acceptedCredits = milestones
+    .filter(milestone => milestone.status === 'accepted')
+    .reduce((sum, milestone) => sum + milestone.credits, 0);
+  const acceptedCount = milestones.filter(milestone => milestone.status === 'accepted').length;
+  const progress = Math.round((acceptedCount / milestones.length) * 100);
+  const canWork = booking.status === 'in-progress';
+
+  const resetForms = () => {
+    setActiveForm(null);
+    setWorkNote('');
+    setFiles([]);
+    setRevisionNote('');
+  };
+
+  const runAction = async (milestoneId, action, body) => {
+    try {
+      setSubmitting(true);
+      setError('');
+      const response = await api.put(`/bookings/${booking._id}/milestones/${milestoneId}/${action}`, body);
+      resetForms();
+      if (onUpdated) {
+        onUpdated(response.data);
+      }
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to update milestone');
+      setTimeout(() => setError(''), 3000);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const isOverdue = (milestone) => (
+    milestone.status !== 'accepted' && milestone.dueDate && new Date(milestone.dueDate) < new Date()
+  );
+
+  return (
+    <div className="mb-1">
+      <strong>🎯 Milestones ({acceptedCount}/{milestones.length})</strong>
+      <div style={{
+        height: '8px',
+        backgroundColor: '#e1e5e9',
+        borderRadius: '4px',
+        overflow: 'hidden',
+        margin: '0.5rem 0'
+      }}>
+        <div style={{
+          width: `${progress}%`,
+          height: '100%',
+          backgroundColor: '#28a745',
+          transition: 'width 0.3s ease'
+        }} />
+      </div>
+      <small style={{ color: '#666' }}>
+        {acceptedCredits} of {booking.agreedCredits} credits released
+      </small>
+
+      {error && <div className="error" style={{ marginTop: '0.5rem' }}>{error}</div>}
+
+      <div style={{ marginTop: '0.75rem' }}>
+        {milestones.map((milestone, index) => {
+          const status = MILESTONE_STATUS[milestone.status];
+          return (
+            <div key={milestone._id} style={{
+              padding: '0.75rem',
+              border: '1px solid #e1e5e9',
+              borderRadius: '8px',
+              marginBottom: '0.5rem',
+              backgroundColor: '#f8f9fa'
+            }}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                <div>
+                  <strong>{index + 1}. {milestone.title}</strong>
+                  <div style={{ fontSize: '0.85rem', color: isOverdue(milestone) ? '#dc3545' : '#666' }}>
+                    {milestone.credits} credits · Due {new Date(milestone.dueDate).toLocaleDateString()}
+                    {isOverdue(milestone) && ' (overdue)'}
+                  </div>
+                </div>
+                <span className="badge" style={{ backgroundColor: status.color }}>
+                  {status.icon} {status.label}
+                </span>
+              </div>
+
+              {milestone.description && (
+                <p style={{ margin: '0.5rem 0 0 0', fontSize: '0.9rem' }}>{milestone.description}</p>
+              )}
+
+              {milestone.status === 'changes-requested' && milestone.revisionNote && (
+                <div style={{ marginTop: '0.5rem', fontSize: '0.9rem', color: '#8a4b08' }}>
+                  🔁 "{milestone.revisionNote}"
+                </div>
+              )}
+
+              {milestone.workNote && milestone.status !== 'pending' && (
+                <p style={{ margin: '0.5rem 0 0 0', fontSize: '0.9rem', fontStyle: 'italic' }}>
+                  "{milestone.workNote}"
+                </p>
+              )}
+
+              {milestone.submittedAt && (
+                <button
+                  onClick={() => setExpanded(expanded === milestone._id ? null : milestone._id)}
+                  className="btn btn-secondary"
+                  style={{ padding: '0.25rem 0.75rem', fontSize: '0.85rem', marginTop: '0.5rem' }}
+                >
+                  {expanded === milestone._id ? 'Hide' : 'View'} Deliverables
+                </button>
+              )}
+
+              {expanded === milestone._id && (
+                <div style={{ marginTop: '0.5rem' }}>
+                  <DeliverableViewer
+                    deliverables={milestone.deliverables}
+                    canDownload={isTaskProvider}
+                    showTip={false}
+                  />
+                </div>
+              )}
+
+              {/* Helper: submit this milestone */}
+              {isHelper && canWork && ['pending', 'changes-requested'].includes(milestone.status) && (
+                activeForm === `submit-${milestone._id}` ? (
+                  <div style={{ marginTop: '0.75rem' }}>
+                    <div className="form-group">
+                      <textarea
+                        value={workNote}
+                        onChange={(e) => setWorkNote(e.target.value)}
+                        placeholder="Describe what you delivered for this milestone..."
+                        rows="2"
+                      />
+                    </div>
+                    <FileUpload onFilesUploaded={setFiles} maxFiles={10} />
+                    <div className="flex gap-1">
+                      <button
+                        onClick={() => runAction(milestone._id, 'submit', {
+                          workNote,
+                          deliverables: { files }
+                        })}
+                        className="btn btn-success"
+                        disabled={submitting || (!workNote.trim() && files.length === 0)}
+                      >
+                        📤 Submit Milestone
+                      </button>
+                      <button onClick={resetForms} className="btn btn-secondary">
+                        Cancel
+                      </button>
+                    </div>
+                  </div>
+                ) : (
+                  <button
+                    onClick={() => {
+                      resetForms();
+                      setActiveForm(`submit-${milestone._id}`);
+                    }}
+                    className="btn btn-success"
+                    style={{ padding: '0.25rem 0.75rem', fontSize: '0.85rem', marginTop: '0.5rem', marginLeft: '0.5rem' }}
+                  >
+                    📤 Submit
+                  </button>
+                )
+              )}
+
+              {/* Provider: review a submitted milestone */}
+              {isTaskProvider && canWork && milestone.status === 'submitted' && (
+                activeForm === `revise-${milestone._id}` ? (
+                  <div style={{ marginTop: '0.75rem' }}>
+                    <div className="form-group">
+                      <textarea
+                        value={revisionNote}
+                        onChange={(e) => setRevisionNote(e.target.value)}
+                        placeholder="What should change before you accept this milestone?"
+                        rows="2"
+                      />
+                    </div>
+                    <div className="flex gap-1">
+                      <button
+                        onClick={() => runAction(milestone._id, 'request-changes', { revisionNote })}
+                        className="btn btn-success"
+                        disabled={submitting || !revisionNote.trim()}
+                      >
+                        Send Request
+                      </button>
+                      <button onClick={resetForms} className="btn btn-secondary">
+                        Cancel
+                      </button>
+                    </div>
+                  </div>
+                ) : (
+                  <div className="flex gap-1" style={{ marginTop: '0.5rem' }}>
+                    <button
+                      onClick={() => runAction(milestone._id, 'accept', {})}
+                      className="btn btn-success"
+                      style={{ padding: '0.25rem 0.75rem', fontSize: '0.85rem' }}
+                      disabled={submitting}
+                    >
+                      ✅ Accept & Release {milestone.credits} Credits
+                    </button>
+                    <button
+                      onClick={() => {
+                        resetForms();
+                        setActiveForm(`revise-${milestone._id}`);
+                      }}
+                      className="btn btn-secondary"
+                      style={{ padding: '0.25rem 0.75rem', fontSize: '0.85rem' }}
+                    >
+                      🔁 Request Changes
+                    </button>
+                  </div>
+                )
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default MilestoneTracker;
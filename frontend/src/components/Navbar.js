@@ -138,6 +138,16 @@ const Navbar = () => {
                 <span className="nav-icon">📝</span>
                 Applications
               </Link>
+
+              {user.isAdmin && (
+                <Link 
+                  to="/admin/disputes" 
+                  className={`nav-link ${isActive('/admin/disputes') ? 'active' : ''}`}
+                >
+                  <span className="nav-icon">⚖️</span>
+                  Disputes
+                </Link>
+              )}
             </div>
 
             <div className="navbar-actions">
@@ -327,6 +337,12 @@ const Navbar = () => {
                         <span className="mobile-nav-icon">📝</span>
                         Applications
                       </Link>
+                      {user.isAdmin && (
+                        <Link to="/admin/disputes" className="mobile-nav-link">
+                          <span className="mobile-nav-icon">⚖️</span>
+                          Disputes
+                        </Link>
+                      )}
                       <Link to="/chat" className="mobile-nav-link">
                         <span className="mobile-nav-icon">💬</span>
                         Chat
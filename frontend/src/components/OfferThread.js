@@ -0,0 +1,132 @@
+import React, { useState } from 'react';
+import { currentOffer, offerAuthorLabel } from '../utils/offers';
+
+// Offer history on an application, with a counter-offer form while it is pending.
+// `viewerRole` is 'helper' or 'provider'.
+const OfferThread = ({ application, viewerRole, onCounterOffer, onAcceptOffer }) => {
+  const [showForm, setShowForm] = useState(false);
+  const latest = currentOffer(application);
+  const [offer, setOffer] = useState({ credits: latest.credits, dateTime: '', message: '' });
+
+  const offers = application.offers?.length > 0 ? application.offers : [latest];
+  const isPending = application.status === 'pending';
+  const waitingOnViewer = isPending && latest.by !== viewerRole;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    await onCounterOffer(application._id, {
+      credits: parseInt(offer.credits),
+      dateTime: offer.dateTime || null,
+      message: offer.message
+    });
+    setShowForm(false);
+    setOffer({ ...offer, dateTime: '', message: '' });
+  };
+
+  return (
+    <div className="mb-1">
+      <strong>💬 Offers:</strong>
+      <ul style={{ listStyle: 'none', margin: '0.5rem 0', padding: 0 }}>
+        {offers.map((item, index) => {
+          const isLatest = index === offers.length - 1;
+          return (
+            <li
+              key={item._id || index}
+              style={{
+                padding: '0.5rem 0.75rem',
+                marginBottom: '0.25rem',
+                borderRadius: '6px',
+                backgroundColor: isLatest && isPending ? '#fff3cd' : '#f8f9fa',
+                border: '1px solid #e1e5e9',
+                opacity: isLatest ? 1 : 0.75
+              }}
+            >
+              <strong>{offerAuthorLabel(item, viewerRole)}:</strong> {item.credits} credits
+              {item.dateTime && <span> · starting {new Date(item.dateTime).toLocaleString()}</span>}
+              {item.createdAt && (
+                <span style={{ color: '#666', fontSize: '0.8rem' }}>
+                  {' '}· {new Date(item.createdAt).toLocaleString()}
+                </span>
+              )}
+              {item.message && (
+                <div style={{ fontStyle: 'italic', color: '#555', marginTop: '0.25rem' }}>"{item.message}"</div>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+
+      {application.status === 'accepted' && application.agreedCredits && (
+        <div style={{ color: '#28a745', marginBottom: '0.5rem' }}>
+          ✅ Agreed on {application.agreedCredits} credits
+          {application.agreedDateTime && ` starting ${new Date(application.agreedDateTime).toLocaleString()}`}
+        </div>
+      )}
+
+      {isPending && (
+        <div style={{ color: '#666', fontSize: '0.9rem', marginBottom: '0.5rem' }}>
+          {waitingOnViewer
+            ? `⏳ Waiting for your answer to this ${latest.by === 'helper' ? 'offer' : 'counter-offer'}`
+            : `⏳ Waiting for the ${viewerRole === 'helper' ? 'task provider' : 'helper'} to answer your offer`}
+        </div>
+      )}
+
+      {isPending && onCounterOffer && (
+        <div className="flex gap-1">
+          {viewerRole === 'helper' && waitingOnViewer && onAcceptOffer && (
+            <button type="button" onClick={() => onAcceptOffer(application._id)} className="btn btn-success">
+              ✅ Accept {latest.credits} Credits
+            </button>
+          )}
+          <button type="button" onClick={() => setShowForm(!showForm)} className="btn btn-secondary">
+            ↔️ {latest.by === viewerRole ? 'Revise Offer' : 'Counter-Offer'}
+          </button>
+        </div>
+      )}
+
+      {showForm && (
+        <form onSubmit={handleSubmit} style={{
+          marginTop: '1rem',
+          padding: '1rem',
+          border: '1px solid #e1e5e9',
+          borderRadius: '8px',
+          backgroundColor: '#f8f9ff'
+        }}>
+          <div className="form-group">
+            <label>Credits:</label>
+            <input
+              type="number"
+              value={offer.credits}
+              onChange={(e) => setOffer({ ...offer, credits: e.target.value })}
+              min="1"
+              required
+            />
+          </div>
+          <div className="form-group">
+            <label>Different Start Time (optional):</label>
+            <input
+              type="datetime-local"
+              value={offer.dateTime}
+              onChange={(e) => setOffer({ ...offer, dateTime: e.target.value })}
+            />
+          </div>
+          <div className="form-group">
+            <label>Note (optional):</label>
+            <textarea
+              value={offer.message}
+              onChange={(e) => setOffer({ ...offer, message: e.target.value })}
+              maxLength={500}
+              rows="2"
+            />
+          </div>
+          <div className="flex gap-1">
+            <button type="submit" className="btn btn-success">Send Offer</button>
+            <button type="button" onClick={() => setShowForm(false)} className="btn btn-secondary">Cancel</button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default OfferThread;
@@ -0,0 +1,98 @@
+import React, { useState, useEffect } from 'react';
+import api from '../utils/api';
+
+const RecommendedHelpers = ({ taskId, limit = 10 }) => {
+  const [recommendations, setRecommendations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    const fetchRecommendations = async () => {
+      try {
+        setLoading(true);
+        const response = await api.get(`/tasks/${taskId}/recommended-helpers?limit=${limit}`);
+        setRecommendations(response.data);
+      } catch (error) {
+        setError(error.response?.data?.message || 'Failed to load recommended helpers');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchRecommendations();
+  }, [taskId, limit]);
+
+  const handleInvite = async (helper) => {
+    try {
+      setError('');
+      const response = await api.post(`/tasks/${taskId}/invite`, { helperId: helper._id });
+      setRecommendations(recommendations.map(item =>
+        item.helper._id === helper._id ? { ...item, invited: true } : item
+      ));
+      setMessage(response.data.message);
+      setTimeout(() => setMessage(''), 3000);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to send invitation');
+      setTimeout(() => setError(''), 3000);
+    }
+  };
+
+  if (loading) {
+    return <div className="text-center">Finding helpers for your task...</div>;
+  }
+
+  return (
+    <div>
+      {error && <div className="error">{error}</div>}
+      {message && <div className="success">{message}</div>}
+
+      {recommendations.length === 0 ? (
+        <p style={{ color: '#666' }}>No helpers with matching skills yet. Helpers can still find your task while browsing.</p>
+      ) : (
+        recommendations.map(({ helper, score, matchedSkills, available, applied, invited }) => (
+          <div
+            key={helper._id}
+            className="flex justify-between items-center"
+            style={{ padding: '0.75rem 0', borderBottom: '1px solid #e1e5e9', gap: '1rem' }}
+          >
+            <div style={{ flex: 1 }}>
+              <strong>{helper.username}</strong>
+              <span className="rating ml-1">
+                ★ {helper.rating ? helper.rating.toFixed(1) : 'No rating'}
+              </span>
+              <span style={{ color: '#666', fontSize: '0.85rem' }}>
+                {' '}· {helper.completedTasks} completed
+                {helper.isOnline && <span style={{ color: '#28a745' }}> · Online</span>}
+              </span>
+              <div style={{ fontSize: '0.85rem', marginTop: '0.25rem' }}>
+                {matchedSkills.map(skill => (
+                  <span key={skill} className="badge" style={{ marginRight: '0.25rem' }}>{skill}</span>
+                ))}
+                {!available && (
+                  <span style={{ color: '#dc3545' }}>Already booked at this time</span>
+                )}
+              </div>
+            </div>
+
+            <span className="badge" style={{ backgroundColor: score >= 70 ? '#28a745' : score >= 40 ? '#ffc107' : '#6c757d' }}>
+              {score}% match
+            </span>
+
+            {applied ? (
+              <span style={{ color: '#6c757d' }}>Applied</span>
+            ) : invited ? (
+              <span style={{ color: '#6c757d' }}>Invited</span>
+            ) : (
+              <button onClick={() => handleInvite(helper)} className="btn btn-success">
+                Invite to Apply
+              </button>
+            )}
+          </div>
+        ))
+      )}
+    </div>
+  );
+};
+
+export default RecommendedHelpers;
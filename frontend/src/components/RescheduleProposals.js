@@ -0,0 +1,156 @@
+import React, { useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import api from '../utils/api';
+
+const STATUS_COLORS = {
+  pending: '#ffc107',
+  accepted: '#28a745',
+  declined: '#dc3545',
+  withdrawn: '#6c757d'
+};
+
+// Proposing a new start time for a confirmed booking, answering the other
+// party's proposal, and the history of earlier proposals.
+const RescheduleProposals = ({ booking, onUpdated }) => {
+  const { currentUser } = useAuth();
+  const [showForm, setShowForm] = useState(false);
+  const [dateTime, setDateTime] = useState('');
+  const [message, setMessage] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const requests = booking.rescheduleRequests || [];
+  const canReschedule = booking.status === 'confirmed';
+  if (!canReschedule && requests.length === 0) return null;
+
+  const pending = requests.find(request => request.status === 'pending');
+  const proposedByMe = pending && pending.proposedBy === currentUser.id;
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleString();
+  };
+
+  const run = async (action, fallbackError) => {
+    try {
+      setSubmitting(true);
+      setError('');
+      await action();
+      if (onUpdated) {
+        await onUpdated();
+      }
+    } catch (error) {
+      setError(error.response?.data?.message || fallbackError);
+      setTimeout(() => setError(''), 3000);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handlePropose = (e) => {
+    e.preventDefault();
+    run(async () => {
+      await api.post(`/bookings/${booking._id}/reschedule`, {
+        dateTime: new Date(dateTime).toISOString(),
+        message
+      });
+      setShowForm(false);
+      setDateTime('');
+      setMessage('');
+    }, 'Failed to propose a new time');
+  };
+
+  const handleAnswer = (action) => {
+    run(
+      () => api.post(`/bookings/${booking._id}/reschedule/${pending._id}/${action}`),
+      `Failed to ${action} the proposed time`
+    );
+  };
+
+  return (
+    <div className="card" style={{ marginBottom: '2rem' }}>
+      <h3>🕒 Reschedule</h3>
+
+      {error && <div className="error">{error}</div>}
+
+      {pending && (
+        <div style={{ padding: '1rem', backgroundColor: '#fff3cd', borderRadius: '8px', marginBottom: '1rem' }}>
+          <p>
+            <strong>{proposedByMe ? 'You proposed' : 'New time proposed'}:</strong> {formatDate(pending.proposedDateTime)}
+            {' '}(currently {formatDate(pending.previousDateTime)})
+          </p>
+          {pending.message && <p style={{ color: '#666' }}>"{pending.message}"</p>}
+          <div style={{ display: 'flex', gap: '0.5rem' }}>
+            {proposedByMe ? (
+              <button onClick={() => handleAnswer('withdraw')} className="btn btn-secondary" disabled={submitting}>
+                Withdraw
+              </button>
+            ) : (
+              <>
+                <button onClick={() => handleAnswer('accept')} className="btn btn-success" disabled={submitting}>
+                  Accept New Time
+                </button>
+                <button onClick={() => handleAnswer('decline')} className="btn btn-secondary" disabled={submitting}>
+                  Keep Current Time
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+
+      {canReschedule && !pending && (
+        showForm ? (
+          <form onSubmit={handlePropose}>
+            <div className="form-group">
+              <label>New start time</label>
+              <input
+                type="datetime-local"
+                value={dateTime}
+                onChange={(e) => setDateTime(e.target.value)}
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label>Message (optional)</label>
+              <textarea
+                value={message}
+                onChange={(e) => setMessage(e.target.value)}
+                maxLength={500}
+                rows={2}
+                placeholder="Why the new time works better"
+              />
+            </div>
+            <div style={{ display: 'flex', gap: '0.5rem' }}>
+              <button type="submit" className="btn btn-success" disabled={submitting || !dateTime}>
+                {submitting ? 'Sending...' : 'Propose Time'}
+              </button>
+              <button type="button" onClick={() => setShowForm(false)} className="btn btn-secondary">
+                Cancel
+              </button>
+            </div>
+          </form>
+        ) : (
+          <button onClick={() => setShowForm(true)} className="btn btn-secondary">
+            Propose a New Time
+          </button>
+        )
+      )}
+
+      {requests.filter(request => request.status !== 'pending').length > 0 && (
+        <div style={{ marginTop: '1rem' }}>
+          <strong>Earlier proposals</strong>
+          {requests.filter(request => request.status !== 'pending').map(request => (
+            <div key={request._id} style={{ fontSize: '0.9rem', color: '#666', marginTop: '0.25rem' }}>
+              <span className="badge" style={{ backgroundColor: STATUS_COLORS[request.status] }}>
+                {request.status}
+              </span>
+              {' '}{formatDate(request.proposedDateTime)} proposed by the {request.role === 'helper' ? 'helper' : 'task provider'}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RescheduleProposals;
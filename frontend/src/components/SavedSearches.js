@@ -0,0 +1,153 @@
+import React, { useState, useEffect } from 'react';
+import api from '../utils/api';
+
+const FILTER_KEYS = ['search', 'skillRequired', 'urgency', 'minDuration', 'maxDuration', 'minCredits', 'maxCredits'];
+
+const ALERT_LABELS = {
+  off: '🔕 No alerts',
+  instant: '🔔 Alert me right away',
+  daily: '📬 Daily digest'
+};
+
+const SavedSearches = ({ filters, showAll, onApply }) => {
+  const [savedSearches, setSavedSearches] = useState([]);
+  const [name, setName] = useState('');
+  const [alerts, setAlerts] = useState('instant');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchSavedSearches();
+  }, []);
+
+  const fetchSavedSearches = async () => {
+    try {
+      const response = await api.get('/saved-searches');
+      setSavedSearches(response.data);
+    } catch (error) {
+      console.error('Error fetching saved searches:', error);
+    }
+  };
+
+  const showError = (error, fallback) => {
+    setError(error.response?.data?.message || fallback);
+    setTimeout(() => setError(''), 3000);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    const currentFilters = { showAll };
+    FILTER_KEYS.forEach(key => {
+      if (filters[key] !== undefined && filters[key] !== '') {
+        currentFilters[key] = filters[key];
+      }
+    });
+
+    try {
+      await api.post('/saved-searches', { name, alerts, filters: currentFilters });
+      setName('');
+      await fetchSavedSearches();
+    } catch (error) {
+      showError(error, 'Failed to save search');
+    }
+  };
+
+  const handleAlertsChange = async (savedSearch, value) => {
+    try {
+      const response = await api.put(`/saved-searches/${savedSearch._id}`, { alerts: value });
+      setSavedSearches(savedSearches.map(item => item._id === savedSearch._id ? response.data : item));
+    } catch (error) {
+      showError(error, 'Failed to update alerts');
+    }
+  };
+
+  const handleDelete = async (savedSearch) => {
+    if (!window.confirm(`Delete the saved search "${savedSearch.name}"?`)) {
+      return;
+    }
+
+    try {
+      await api.delete(`/saved-searches/${savedSearch._id}`);
+      setSavedSearches(savedSearches.filter(item => item._id !== savedSearch._id));
+    } catch (error) {
+      showError(error, 'Failed to delete saved search');
+    }
+  };
+
+  const handleApply = (savedSearch) => {
+    const appliedFilters = {};
+    FILTER_KEYS.forEach(key => {
+      const value = savedSearch.filters[key];
+      appliedFilters[key] = value === undefined || value === null ? '' : value;
+    });
+    onApply(appliedFilters, savedSearch.filters.showAll);
+  };
+
+  return (
+    <div className="card mb-2">
+      <h3>⭐ Saved Searches</h3>
+      {error && <div className="error">{error}</div>}
+
+      {savedSearches.length > 0 && (
+        <div className="mb-1">
+          {savedSearches.map(savedSearch => (
+            <div
+              key={savedSearch._id}
+              className="flex items-center gap-1"
+              style={{ padding: '0.5rem 0', borderBottom: '1px solid #e1e5e9' }}
+            >
+              <button
+                type="button"
+                onClick={() => handleApply(savedSearch)}
+                className="btn btn-secondary"
+                style={{ flex: 1, textAlign: 'left' }}
+              >
+                {savedSearch.name}
+                {savedSearch.filters.search && (
+                  <span style={{ color: '#666' }}> · "{savedSearch.filters.search}"</span>
+                )}
+              </button>
+              <select
+                value={savedSearch.alerts}
+                onChange={(e) => handleAlertsChange(savedSearch, e.target.value)}
+                style={{ width: 'auto' }}
+              >
+                {Object.entries(ALERT_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              <button
+                type="button"
+                onClick={() => handleDelete(savedSearch)}
+                className="btn btn-danger"
+              >
+                ✕
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <form onSubmit={handleSave} className="flex gap-1 items-center">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Name this search, e.g. Weekend gardening"
+          style={{ flex: 1 }}
+          required
+        />
+        <select value={alerts} onChange={(e) => setAlerts(e.target.value)} style={{ width: 'auto' }}>
+          {Object.entries(ALERT_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <button type="submit" className="btn btn-success">
+          Save Current Search
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default SavedSearches;
@@ -2,7 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { DURATION_OPTIONS } from '../utils/durationUtils';
 import api from '../utils/api';
 
-const SearchFilters = ({ onFilterChange, filters }) => {
+const SearchFilters = ({ onFilterChange, filters, facets }) => {
   const [availableSkills, setAvailableSkills] = useState([]);
   const [localFilters, setLocalFilters] = useState({
     search: '',
@@ -21,6 +21,11 @@ const SearchFilters = ({ onFilterChange, filters }) => {
     fetchAvailableSkills();
   }, []);
 
+  // Pick up filters applied from outside, such as a saved search
+  useEffect(() => {
+    setLocalFilters(current => ({ ...current, ...filters }));
+  }, [filters]);
+
   const fetchAvailableSkills = async () => {
     try {
       const response = await api.get('/tasks/skills');
@@ -32,6 +37,16 @@ const SearchFilters = ({ onFilterChange, filters }) => {
 
   const handleFilterChange = (key, value) => {
     const newFilters = { ...localFilters, [key]: value };
+
+    // Rank by best match while searching, unless another sort was picked on purpose
+    if (key === 'search') {
+      if (value.trim() && !localFilters.search.trim() && localFilters.sortBy === 'dateTime') {
+        newFilters.sortBy = 'relevance';
+      } else if (!value.trim() && localFilters.sortBy === 'relevance') {
+        newFilters.sortBy = 'dateTime';
+      }
+    }
+
     setLocalFilters(newFilters);
     onFilterChange(newFilters);
   };
@@ -52,6 +67,16 @@ const SearchFilters = ({ onFilterChange, filters }) => {
     onFilterChange(clearedFilters);
   };
 
+  // Match counts from the first page of results, e.g. " (4)". They are left out of a
+  // select whose own filter is set, since every other option would then count zero.
+  const skillCounts = new Map((facets?.skills || []).map(({ skill, count }) => [skill, count]));
+  const skillLabel = (skill) => (
+    facets && !localFilters.skillRequired && skillCounts.has(skill) ? ` (${skillCounts.get(skill)})` : ''
+  );
+  const urgencyLabel = (level) => (
+    facets && !localFilters.urgency ? ` (${facets.urgency[level] || 0})` : ''
+  );
+
   // Duration options in minutes for filtering
   const durationFilterOptions = [
     { label: 'Any Duration', value: '' },
@@ -96,7 +121,7 @@ const SearchFilters = ({ onFilterChange, filters }) => {
             <option value="">All Skills</option>
             {availableSkills.map((skill, index) => (
               <option key={index} value={skill}>
-                {skill}
+                {skill}{skillLabel(skill)}
               </option>
             ))}
           </select>
@@ -110,9 +135,9 @@ const SearchFilters = ({ onFilterChange, filters }) => {
             onChange={(e) => handleFilterChange('urgency', e.target.value)}
           >
             <option value="">Any Urgency</option>
-            <option value="high">🔴 High - Urgent</option>
-            <option value="medium">🟡 Medium - Normal</option>
-            <option value="low">🟢 Low - Flexible</option>
+            <option value="high">🔴 High - Urgent{urgencyLabel('high')}</option>
+            <option value="medium">🟡 Medium - Normal{urgencyLabel('medium')}</option>
+            <option value="low">🟢 Low - Flexible{urgencyLabel('low')}</option>
           </select>
         </div>
 
@@ -175,6 +200,9 @@ const SearchFilters = ({ onFilterChange, filters }) => {
             value={localFilters.sortBy}
             onChange={(e) => handleFilterChange('sortBy', e.target.value)}
           >
+            {localFilters.search.trim() && (
+              <option value="relevance">🎯 Best Match</option>
+            )}
             <option value="dateTime">📅 Date & Time</option>
             <option value="credits">💰 Credits</option>
             <option value="urgency">⚡ Urgency</option>
@@ -188,6 +216,7 @@ const SearchFilters = ({ onFilterChange, filters }) => {
           <select
             value={localFilters.sortOrder}
             onChange={(e) => handleFilterChange('sortOrder', e.target.value)}
+            disabled={localFilters.sortBy === 'relevance'}
           >
             <option value="asc">⬆️ Ascending</option>
             <option value="desc">⬇️ Descending</option>
@@ -196,7 +225,7 @@ const SearchFilters = ({ onFilterChange, filters }) => {
       </div>
 
       {/* Active Filters Display */}
-      {Object.values(localFilters).some(value => value && value !== 'dateTime' && value !== 'asc') && (
+      {Object.values(localFilters).some(value => value && value !== 'dateTime' && value !== 'relevance' && value !== 'asc') && (
         <div style={{ 
           marginTop: '1rem', 
           padding: '0.75rem', 
@@ -0,0 +1,61 @@
+import React from 'react';
+import { currentOffer } from '../utils/offers';
+
+// Shortlisted and interviewing applicants side by side, one column each
+const ShortlistComparison = ({ applications, onClose }) => {
+  const rows = [
+    { label: 'Stage', render: app => app.reviewStage === 'interviewing' ? '🗣️ Interviewing' : '⭐ Shortlisted' },
+    { label: 'Rating', render: app => app.applicantId.rating ? `★ ${app.applicantId.rating.toFixed(1)}` : 'New' },
+    { label: 'Tasks completed', render: app => app.applicantId.completedTasks || 0 },
+    { label: 'Skill match', render: app => app.matchScore != null ? `${app.matchScore}%` : '—' },
+    { label: 'Missing skills', render: app => app.missingSkills?.length > 0 ? app.missingSkills.join(', ') : 'None' },
+    { label: 'Current offer', render: app => `${currentOffer(app).credits} credits` },
+    {
+      label: 'Start time',
+      render: app => currentOffer(app).dateTime ? new Date(currentOffer(app).dateTime).toLocaleString() : 'As posted'
+    },
+    { label: 'Applied', render: app => new Date(app.createdAt).toLocaleDateString() },
+    { label: 'Your notes', render: app => app.providerNotes || <span style={{ color: '#999' }}>No notes</span> }
+  ];
+
+  const cellStyle = {
+    padding: '0.75rem',
+    borderBottom: '1px solid #e1e5e9',
+    verticalAlign: 'top',
+    minWidth: '180px'
+  };
+
+  return (
+    <div className="card mb-2" style={{ overflowX: 'auto' }}>
+      <div className="flex justify-between items-center mb-1">
+        <h3 style={{ margin: 0 }}>⚖️ Compare Shortlisted Applicants</h3>
+        <button onClick={onClose} className="btn btn-secondary">Close</button>
+      </div>
+
+      <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+        <thead>
+          <tr>
+            <th style={cellStyle}></th>
+            {applications.map(app => (
+              <th key={app._id} style={{ ...cellStyle, textAlign: 'left' }}>
+                {app.applicantId.username}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => (
+            <tr key={row.label}>
+              <td style={{ ...cellStyle, fontWeight: 'bold', color: '#666', minWidth: '140px' }}>{row.label}</td>
+              {applications.map(app => (
+                <td key={app._id} style={{ ...cellStyle, whiteSpace: 'pre-wrap' }}>{row.render(app)}</td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default ShortlistComparison;
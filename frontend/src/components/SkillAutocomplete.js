@@ -0,0 +1,133 @@
+import React, { useState, useEffect, useRef } from 'react';
+import api from '../utils/api';
+
+// Text input for a comma-separated skill list that suggests catalog skills for
+// the skill being typed. With `onSelect`, picking a suggestion hands the skill
+// over and clears the input instead of adding it to the list.
+const SkillAutocomplete = ({ name, value, onChange, onSelect, placeholder, required, disabled }) => {
+  const [suggestions, setSuggestions] = useState([]);
+  const [open, setOpen] = useState(false);
+  const [highlighted, setHighlighted] = useState(0);
+  const requestIdRef = useRef(0);
+
+  const parts = value.split(',');
+  const typed = onSelect ? value.trim() : parts[parts.length - 1].trim();
+
+  useEffect(() => {
+    const requestId = ++requestIdRef.current;
+    if (!typed) {
+      setSuggestions([]);
+      return;
+    }
+
+    // Wait for a pause in typing before asking the server
+    const timer = setTimeout(async () => {
+      try {
+        const response = await api.get(`/skills/autocomplete?q=${encodeURIComponent(typed)}&limit=8`);
+        if (requestId === requestIdRef.current) {
+          setSuggestions(response.data);
+          setHighlighted(0);
+        }
+      } catch (error) {
+        console.error('Error fetching skill suggestions:', error);
+      }
+    }, 200);
+
+    return () => clearTimeout(timer);
+  }, [typed]);
+
+  const pick = (skill) => {
+    if (onSelect) {
+      onSelect(skill.name);
+      onChange('');
+    } else {
+      const earlier = parts.slice(0, -1).map(part => part.trim()).filter(part => part);
+      onChange([...earlier, skill.name].join(', ') + ', ');
+    }
+    setSuggestions([]);
+  };
+
+  const handleKeyDown = (e) => {
+    if (!open || suggestions.length === 0) {
+      return;
+    }
+
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setHighlighted((highlighted + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setHighlighted((highlighted - 1 + suggestions.length) % suggestions.length);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      pick(suggestions[highlighted]);
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div style={{ position: 'relative' }}>
+      <input
+        type="text"
+        name={name}
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value);
+          setOpen(true);
+        }}
+        onKeyDown={handleKeyDown}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setOpen(false)}
+        placeholder={placeholder}
+        required={required}
+        disabled={disabled}
+        autoComplete="off"
+      />
+
+      {open && suggestions.length > 0 && (
+        <ul style={{
+          position: 'absolute',
+          top: '100%',
+          left: 0,
+          right: 0,
+          zIndex: 10,
+          margin: 0,
+          padding: 0,
+          listStyle: 'none',
+          backgroundColor: 'white',
+          border: '1px solid #e1e5e9',
+          borderRadius: '6px',
+          boxShadow: '0 4px 12px rgba(0,0,0,0.1)'
+        }}>
+          {suggestions.map((skill, index) => (
+            <li
+              key={skill._id}
+              // mousedown fires before the input loses focus
+              onMouseDown={(e) => {
+                e.preventDefault();
+                pick(skill);
+              }}
+              onMouseEnter={() => setHighlighted(index)}
+              style={{
+                padding: '0.5rem 0.75rem',
+                cursor: 'pointer',
+                backgroundColor: index === highlighted ? '#f0f7ff' : 'white'
+              }}
+            >
+              {skill.matchedAlias && (
+                <span style={{ color: '#666' }}>{skill.matchedAlias} → </span>
+              )}
+              <strong>{skill.name}</strong>
+              <span style={{ color: '#666', fontSize: '0.8rem' }}>
+                {' '}· {skill.parent ? `${skill.parent} · ` : ''}{skill.category}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SkillAutocomplete;
@@ -1,11 +1,19 @@
 import React, { useState } from 'react';
 import { formatDuration } from '../utils/durationUtils';
 
+// Search results come with [{ text, match }] segments for the matched words
+const renderHighlighted = (segments) => segments.map((segment, index) => (
+  segment.match
+    ? <mark key={index} style={{ backgroundColor: '#fff3cd', padding: 0 }}>{segment.text}</mark>
+    : <React.Fragment key={index}>{segment.text}</React.Fragment>
+));
+
 const TaskCard = ({ 
   task, 
   onApply, 
   onEdit, 
   onDelete, 
+  onDuplicate,
   showApplyButton = true, 
   showEditDelete = false,
   showViewApplications = false,
@@ -14,8 +22,10 @@ const TaskCard = ({
   const [showApplicationForm, setShowApplicationForm] = useState(false);
   const [applicationData, setApplicationData] = useState({
     message: '',
-    proposedCredits: task.credits
+    proposedCredits: task.credits,
+    proposedDateTime: ''
   });
+  const [linkCopied, setLinkCopied] = useState(false);
 
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleString();
@@ -38,6 +48,7 @@ const TaskCard = ({
       case 'in-progress': return '#6f42c1';
       case 'completed': return '#6c757d';
       case 'cancelled': return '#dc3545';
+      case 'expired': return '#adb5bd';
       default: return '#6c757d';
     }
   };
@@ -55,7 +66,7 @@ const TaskCard = ({
     e.preventDefault();
     onApply(task._id, applicationData);
     setShowApplicationForm(false);
-    setApplicationData({ message: '', proposedCredits: task.credits });
+    setApplicationData({ message: '', proposedCredits: task.credits, proposedDateTime: '' });
   };
 
   const canApply = showApplyButton && 
@@ -64,10 +75,17 @@ const TaskCard = ({
 
   const userHasApplied = task.userApplicationStatus;
 
+  // Unlisted tasks are only reachable through this link
+  const handleCopyLink = async () => {
+    await navigator.clipboard.writeText(`${window.location.origin}/tasks/${task._id}`);
+    setLinkCopied(true);
+    setTimeout(() => setLinkCopied(false), 2000);
+  };
+
   return (
     <div className="card">
       <div className="flex justify-between items-center mb-1">
-        <h3>{task.title}</h3>
+        <h3>{task.highlights ? renderHighlighted(task.highlights.title) : task.title}</h3>
         <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
           <span 
             className="badge" 
@@ -82,13 +100,35 @@ const TaskCard = ({
             {task.status}
           </span>
           <span className="badge">{task.credits} credits</span>
+          {task.seriesId && <span className="badge">🔁 Recurring</span>}
+          {task.visibility && task.visibility !== 'public' && (
+            <span className="badge" style={{ backgroundColor: '#6c757d' }}>
+              {task.visibility === 'unlisted' ? '🔗 Unlisted' : '✉️ Invite-only'}
+            </span>
+          )}
         </div>
       </div>
       
       <div className="mb-1">
-        <strong>Description:</strong> {task.description}
+        <strong>Description:</strong>{' '}
+        {task.highlights ? renderHighlighted(task.highlights.snippet) : task.description}
       </div>
       
+      {task.feedScore !== undefined && (
+        <div className="mb-1" style={{ backgroundColor: '#f0f7ff', padding: '0.5rem 0.75rem', borderRadius: '6px', fontSize: '0.9rem' }}>
+          <strong>💡 Why this task</strong> <span style={{ color: '#666' }}>· {task.feedScore}% match</span>
+          {task.feedReasons.length > 0 ? (
+            <ul style={{ margin: '0.25rem 0 0 1rem' }}>
+              {task.feedReasons.map(reason => (
+                <li key={reason}>{reason}</li>
+              ))}
+            </ul>
+          ) : (
+            <div style={{ color: '#666' }}>Open in your area of skills and coming up soon</div>
+          )}
+        </div>
+      )}
+
       <div className="mb-1">
         <strong>Posted by:</strong> {task.taskProviderId.username}
         <span className="rating ml-1">
@@ -106,6 +146,15 @@ const TaskCard = ({
       <div className="mb-1">
         <strong>Duration:</strong> {formatDuration(task.duration)}
       </div>
+
+      {task.slots > 1 && (
+        <div className="mb-1">
+          <strong>👥 Helpers needed:</strong> {task.selectedHelpers?.length || 0}/{task.slots} slots filled
+          {task.groupChat && (
+            <span style={{ color: '#666', fontSize: '0.85rem' }}> · Group chat</span>
+          )}
+        </div>
+      )}
       
       {task.skillsRequired && task.skillsRequired.length > 0 && (
         <div className="mb-1">
@@ -119,7 +168,23 @@ const TaskCard = ({
         </div>
       )}
 
-      {task.selectedHelper && (
+      {task.skillsNiceToHave?.length > 0 && (
+        <div className="mb-1">
+          <strong>Nice to have:</strong>
+          <br />
+          {task.skillsNiceToHave.map(skill => (
+            <span key={skill} className="badge" style={{ backgroundColor: '#6c757d' }}>
+              {skill}
+            </span>
+          ))}
+        </div>
+      )}
+
+      {task.selectedHelpers?.length > 1 && task.selectedHelpers[0].username ? (
+        <div className="mb-1">
+          <strong>Assigned to:</strong> {task.selectedHelpers.map(helper => helper.username).join(', ')}
+        </div>
+      ) : task.selectedHelper && (
         <div className="mb-1">
           <strong>Assigned to:</strong> {task.selectedHelper.username}
         </div>
@@ -158,9 +223,10 @@ const TaskCard = ({
         {userHasApplied && (
           <span className="badge" style={{ 
             backgroundColor: task.userApplicationStatus === 'accepted' ? '#28a745' : 
-                           task.userApplicationStatus === 'rejected' ? '#dc3545' : '#ffc107'
+                           task.userApplicationStatus === 'rejected' ? '#dc3545' :
+                           task.userApplicationStatus === 'waitlisted' ? '#6c757d' : '#ffc107'
           }}>
-            Application {task.userApplicationStatus}
+            {task.userApplicationStatus === 'waitlisted' ? '⏳ On the waitlist' : `Application ${task.userApplicationStatus}`}
           </span>
         )}
         
@@ -181,6 +247,24 @@ const TaskCard = ({
           </>
         )}
 
+        {showEditDelete && task.visibility === 'unlisted' && (
+          <button 
+            onClick={handleCopyLink} 
+            className="btn btn-secondary"
+          >
+            {linkCopied ? '✅ Link copied' : '🔗 Copy Link'}
+          </button>
+        )}
+
+        {onDuplicate && (
+          <button 
+            onClick={() => onDuplicate(task)} 
+            className="btn btn-secondary"
+          >
+            Duplicate
+          </button>
+        )}
+
         {showViewApplications && (
           <button 
             onClick={() => onViewApplications(task)} 
@@ -195,7 +279,8 @@ const TaskCard = ({
             {task.status === 'assigned' ? 'Task Assigned' : 
              task.status === 'in-progress' ? 'Task In Progress' :
              task.status === 'completed' ? 'Task Completed' :
-             task.status === 'cancelled' ? 'Task Cancelled' : 'Task Closed'}
+             task.status === 'cancelled' ? 'Task Cancelled' :
+             task.status === 'expired' ? 'Task Expired' : 'Task Closed'}
           </span>
         )}
       </div>
@@ -210,6 +295,12 @@ const TaskCard = ({
           backgroundColor: '#f8f9ff'
         }}>
           <h5>Apply for this Task</h5>
+          {task.acceptsApplications === false && (
+            <p style={{ color: '#666', fontSize: '0.9rem' }}>
+              ⏳ This task has all the applications it can take. You will join the waitlist
+              and move up automatically if a place opens.
+            </p>
+          )}
           
           <div className="form-group">
             <label>Why are you the right person for this task?</label>
@@ -243,6 +334,21 @@ const TaskCard = ({
             </small>
           </div>
 
+          <div className="form-group">
+            <label>Different Start Time (optional):</label>
+            <input
+              type="datetime-local"
+              value={applicationData.proposedDateTime}
+              onChange={(e) => setApplicationData({
+                ...applicationData,
+                proposedDateTime: e.target.value
+              })}
+            />
+            <small style={{ color: '#666' }}>
+              Leave empty to start at {formatDate(task.dateTime)}. The provider can accept or counter.
+            </small>
+          </div>
+
           <div className="flex gap-1">
             <button type="submit" className="btn btn-success">
               Submit Application
@@ -0,0 +1,121 @@
+import React, { useState, useEffect } from 'react';
+import api from '../utils/api';
+
+const SERIES_STATUS_COLORS = {
+  active: '#28a745',
+  ended: '#6c757d',
+  cancelled: '#dc3545'
+};
+
+const TaskSeriesList = ({ onChanged }) => {
+  const [seriesList, setSeriesList] = useState([]);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchSeries();
+  }, []);
+
+  const fetchSeries = async () => {
+    try {
+      const response = await api.get('/tasks/series');
+      setSeriesList(response.data);
+    } catch (error) {
+      console.error('Error fetching task series:', error);
+    }
+  };
+
+  const runAction = async (request, fallbackMessage) => {
+    try {
+      setError('');
+      await request();
+      await fetchSeries();
+      if (onChanged) {
+        onChanged();
+      }
+    } catch (error) {
+      setError(error.response?.data?.message || fallbackMessage);
+      setTimeout(() => setError(''), 3000);
+    }
+  };
+
+  const handleCancelSeries = (series) => {
+    if (!window.confirm(`Cancel "${series.template.title}"? Upcoming occurrences nobody is booked on will be cancelled.`)) {
+      return;
+    }
+    runAction(() => api.delete(`/tasks/series/${series._id}`), 'Failed to cancel series');
+  };
+
+  const handleToggleKeepHelper = (series) => {
+    runAction(
+      () => api.put(`/tasks/series/${series._id}`, { keepSameHelper: !series.keepSameHelper }),
+      'Failed to update series'
+    );
+  };
+
+  if (seriesList.length === 0) return null;
+
+  return (
+    <div className="mb-2">
+      <h2>🔁 Recurring Series ({seriesList.length})</h2>
+      {error && <div className="error">{error}</div>}
+      <div className="card-grid">
+        {seriesList.map(series => (
+          <div key={series._id} className="card">
+            <div className="flex justify-between items-center mb-1">
+              <h3>{series.template.title}</h3>
+              <span className="badge" style={{ backgroundColor: SERIES_STATUS_COLORS[series.status] }}>
+                {series.status}
+              </span>
+            </div>
+
+            <div className="mb-1">
+              <strong>Schedule:</strong> {series.schedule} · {series.template.credits} credits each
+            </div>
+
+            <div className="mb-1">
+              <strong>Helper:</strong>{' '}
+              {series.keepSameHelper
+                ? (series.preferredHelper?.username || 'First accepted helper is kept')
+                : 'Chosen for each occurrence'}
+            </div>
+
+            {series.upcoming.length > 0 && (
+              <div className="mb-1">
+                <strong>Upcoming:</strong>
+                <ul style={{ margin: '0.25rem 0 0 1rem', fontSize: '0.9rem' }}>
+                  {series.upcoming.slice(0, 3).map(task => (
+                    <li key={task._id}>
+                      {new Date(task.dateTime).toLocaleString()} · {task.status}
+                      {task.seriesDetached && ' (edited)'}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {series.status === 'active' && (
+              <div className="flex gap-1">
+                <button
+                  onClick={() => handleToggleKeepHelper(series)}
+                  className="btn btn-secondary"
+                  style={{ flex: 1 }}
+                >
+                  {series.keepSameHelper ? 'Stop Keeping Helper' : 'Keep Same Helper'}
+                </button>
+                <button
+                  onClick={() => handleCancelSeries(series)}
+                  className="btn btn-secondary"
+                  style={{ flex: 1 }}
+                >
+                  Cancel Series
+                </button>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default TaskSeriesList;
@@ -0,0 +1,183 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import api from '../utils/api';
+import DisputePanel from '../components/DisputePanel';
+
+const ResolveForm = ({ booking, onResolve }) => {
+  const [outcome, setOutcome] = useState('release');
+  const [helperAmount, setHelperAmount] = useState(Math.floor(booking.agreedCredits / 2));
+  const [note, setNote] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    await onResolve(booking._id, {
+      outcome,
+      helperAmount: outcome === 'split' ? parseInt(helperAmount) : undefined,
+      note
+    });
+    setSubmitting(false);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} style={{
+      padding: '1rem',
+      border: '2px solid #28a745',
+      borderRadius: '8px',
+      backgroundColor: '#f8fff8'
+    }}>
+      <h4>Resolve Dispute</h4>
+
+      <div className="form-group">
+        <label>Outcome:</label>
+        <select value={outcome} onChange={(e) => setOutcome(e.target.value)}>
+          <option value="release">Release all {booking.agreedCredits} credits to the helper</option>
+          <option value="refund">Refund all {booking.agreedCredits} credits to the task provider</option>
+          <option value="split">Split the credits</option>
+        </select>
+      </div>
+
+      {outcome === 'split' && (
+        <div className="form-group">
+          <label>Credits to the helper:</label>
+          <input
+            type="number"
+            min="1"
+            max={booking.agreedCredits - 1}
+            value={helperAmount}
+            onChange={(e) => setHelperAmount(e.target.value)}
+          />
+          <small style={{ color: '#666' }}>
+            The task provider gets back {booking.agreedCredits - (parseInt(helperAmount) || 0)} credits
+          </small>
+        </div>
+      )}
+
+      <div className="form-group">
+        <label>Decision note:</label>
+        <textarea
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          placeholder="Explain the decision to both parties..."
+          rows="3"
+        />
+      </div>
+
+      <button type="submit" className="btn btn-success" disabled={submitting}>
+        {submitting ? 'Resolving...' : 'Resolve Dispute'}
+      </button>
+    </form>
+  );
+};
+
+const AdminDisputes = () => {
+  const { currentUser } = useAuth();
+  const navigate = useNavigate();
+  const [disputes, setDisputes] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('open');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    if (!currentUser) {
+      navigate('/login');
+      return;
+    }
+
+    fetchDisputes();
+  }, [currentUser, navigate, statusFilter]);
+
+  const fetchDisputes = async () => {
+    try {
+      setLoading(true);
+      const response = await api.get('/bookings/disputes', {
+        params: { status: statusFilter }
+      });
+      setDisputes(response.data);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to fetch disputes');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleResolve = async (bookingId, resolution) => {
+    try {
+      setError('');
+      setSuccess('');
+      await api.put(`/bookings/${bookingId}/dispute/resolve`, resolution);
+      setSuccess('Dispute resolved and both parties notified.');
+      setDisputes(disputes.filter(booking => booking._id !== bookingId));
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to resolve dispute');
+      setTimeout(() => setError(''), 3000);
+    }
+  };
+
+  if (!currentUser) {
+    return null;
+  }
+
+  if (!currentUser.isAdmin) {
+    return (
+      <div className="card text-center">
+        <h3>Admin access required</h3>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <h1 className="mb-2">⚖️ Booking Disputes</h1>
+
+      {error && <div className="error">{error}</div>}
+      {success && <div className="success">{success}</div>}
+
+      <div className="flex gap-1 mb-2">
+        <button
+          onClick={() => setStatusFilter('open')}
+          className={`btn ${statusFilter === 'open' ? 'btn-success' : 'btn-secondary'}`}
+        >
+          Open
+        </button>
+        <button
+          onClick={() => setStatusFilter('resolved')}
+          className={`btn ${statusFilter === 'resolved' ? 'btn-success' : 'btn-secondary'}`}
+        >
+          Resolved
+        </button>
+      </div>
+
+      {loading ? (
+        <div className="text-center">Loading disputes...</div>
+      ) : disputes.length === 0 ? (
+        <div className="card text-center">
+          <h3>No {statusFilter} disputes</h3>
+        </div>
+      ) : (
+        disputes.map(booking => (
+          <div key={booking._id} className="card mb-2">
+            <h2>{booking.taskId.title}</h2>
+            <p>
+              <strong>Helper:</strong> {booking.helper.username} ·{' '}
+              <strong>Task Provider:</strong> {booking.taskProvider.username} ·{' '}
+              <strong>Escrowed Credits:</strong> {booking.agreedCredits}
+            </p>
+
+            <DisputePanel booking={booking} onUpdated={fetchDisputes} />
+
+            {booking.status === 'disputed' && (
+              <ResolveForm booking={booking} onResolve={handleResolve} />
+            )}
+          </div>
+        ))
+      )}
+    </div>
+  );
+};
+
+export default AdminDisputes;
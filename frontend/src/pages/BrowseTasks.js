@@ -1,9 +1,10 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import api from '../utils/api';
 import TaskCard from '../components/TaskCard';
 import SearchFilters from '../components/SearchFilters';
+import SavedSearches from '../components/SavedSearches';
 
 const BrowseTasks = () => {
   const { currentUser } = useAuth();
@@ -13,6 +14,16 @@ const BrowseTasks = () => {
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
   const [showAll, setShowAll] = useState(false);
+  // "all" lists tasks with the filters below; "forYou" is the personalised feed
+  const [view, setView] = useState('all');
+  const [nextCursor, setNextCursor] = useState(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [total, setTotal] = useState(0);
+  const [facets, setFacets] = useState(null);
+  const sentinelRef = useRef(null);
+  // Bumped on every fresh search so late pages of an older search are dropped
+  const requestIdRef = useRef(0);
   const [filters, setFilters] = useState({
     search: '',
     skillRequired: '',
@@ -31,54 +42,119 @@ const BrowseTasks = () => {
     }
 
     fetchTasks();
-  }, [currentUser, navigate, filters, showAll]);
+  }, [currentUser, navigate, filters, showAll, view]);
+
+  const buildQuery = useCallback((cursor) => {
+    // Build query parameters
+    const queryParams = new URLSearchParams();
+
+    if (view === 'forYou') {
+      if (cursor) {
+        queryParams.append('cursor', cursor);
+      }
+      return `/tasks/feed?${queryParams.toString()}`;
+    }
+    
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value && value.toString().trim() !== '') {
+        queryParams.append(key, value);
+      }
+    });
+
+    // Add showAll parameter
+    queryParams.append('showAll', showAll.toString());
+
+    if (cursor) {
+      queryParams.append('cursor', cursor);
+    }
+    return `/tasks?${queryParams.toString()}`;
+  }, [filters, showAll, view]);
 
   const fetchTasks = useCallback(async () => {
+    const requestId = ++requestIdRef.current;
     try {
       setLoading(true);
-      
-      // Build query parameters
-      const queryParams = new URLSearchParams();
-      
-      Object.entries(filters).forEach(([key, value]) => {
-        if (value && value.toString().trim() !== '') {
-          queryParams.append(key, value);
-        }
-      });
 
-      // Add showAll parameter
-      queryParams.append('showAll', showAll.toString());
+      const response = await api.get(buildQuery());
+      if (requestId !== requestIdRef.current) return;
 
-      const response = await api.get(`/tasks?${queryParams.toString()}`);
-      setTasks(response.data);
+      setTasks(response.data.tasks);
+      setNextCursor(response.data.nextCursor);
+      setHasMore(response.data.hasMore);
+      setTotal(response.data.total);
+      setFacets(response.data.facets);
     } catch (error) {
       setError('Failed to fetch tasks');
       console.error('Error fetching tasks:', error);
     } finally {
       setLoading(false);
     }
-  }, [filters, showAll]);
+  }, [buildQuery]);
+
+  const loadMore = useCallback(async () => {
+    if (!hasMore || loadingMore) return;
+
+    const requestId = requestIdRef.current;
+    try {
+      setLoadingMore(true);
+
+      const response = await api.get(buildQuery(nextCursor));
+      if (requestId !== requestIdRef.current) return;
+
+      setTasks(current => [...current, ...response.data.tasks]);
+      setNextCursor(response.data.nextCursor);
+      setHasMore(response.data.hasMore);
+    } catch (error) {
+      setError('Failed to load more tasks');
+      console.error('Error loading more tasks:', error);
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [buildQuery, hasMore, loadingMore, nextCursor]);
+
+  // Load the next page when the end of the list scrolls into view
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !hasMore || typeof IntersectionObserver === 'undefined') return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        loadMore();
+      }
+    }, { rootMargin: '200px' });
+
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [hasMore, loadMore]);
 
   const handleFilterChange = (newFilters) => {
     setFilters(newFilters);
   };
 
+  const handleApplySavedSearch = (savedFilters, savedShowAll) => {
+    setFilters({ ...filters, ...savedFilters });
+    setShowAll(savedShowAll);
+  };
+
   const handleApply = async (taskId, applicationData) => {
     try {
       setError('');
       setSuccess('');
       
-      await api.post('/applications', { 
+      const response = await api.post('/applications', { 
         taskId, 
         ...applicationData 
       });
       
-      setSuccess('Application submitted successfully! The task provider will review it.');
+      setSuccess((response.data.status === 'waitlisted'
+        ? 'This task has all the applications it can take, so you are on the waitlist. We will let you know if a place opens up.'
+        : 'Application submitted successfully! The task provider will review it.') +
+        (response.data.availabilityWarning ? ` Heads up: ${response.data.availabilityWarning}.` : ''));
       
       // Update task in list to show application status
       setTasks(tasks.map(task => 
         task._id === taskId 
-          ? { ...task, userApplicationStatus: 'pending' }
+          ? { ...task, userApplicationStatus: response.data.status }
           : task
       ));
       
@@ -107,6 +183,7 @@ const BrowseTasks = () => {
       <div className="flex justify-between items-center mb-2">
         <h1>Available Tasks</h1>
         
+        {view === 'all' && (
         <div style={{ display: 'flex', gap: '1rem', alignItems: 'center' }}>
           <label style={{ display: 'flex', alignItems: 'center', cursor: 'pointer' }}>
             <input
@@ -118,9 +195,25 @@ const BrowseTasks = () => {
             Show all tasks (not just matching skills)
           </label>
         </div>
+        )}
+      </div>
+
+      <div className="flex gap-1 mb-2">
+        <button
+          onClick={() => setView('all')}
+          className={view === 'all' ? 'btn' : 'btn btn-secondary'}
+        >
+          📋 All Tasks
+        </button>
+        <button
+          onClick={() => setView('forYou')}
+          className={view === 'forYou' ? 'btn' : 'btn btn-secondary'}
+        >
+          ✨ For You
+        </button>
       </div>
       
-      {currentUser.skills.length === 0 && !showAll && (
+      {view === 'all' && currentUser.skills.length === 0 && !showAll && (
         <div className="error">
           You haven't added any skills yet! Please add your skills in your profile to see relevant tasks, or toggle "Show all tasks" above.
         </div>
@@ -129,11 +222,27 @@ const BrowseTasks = () => {
       {error && <div className="error">{error}</div>}
       {success && <div className="success">{success}</div>}
       
-      {/* Search and Filter Component */}
-      <SearchFilters 
-        onFilterChange={handleFilterChange}
-        filters={filters}
-      />
+      {view === 'forYou' ? (
+        <p style={{ color: '#666' }}>
+          Suggestions based on your skills, how well tasks pay for their time, urgency, the provider's rating
+          and the kinds of tasks you have been accepted for before.
+        </p>
+      ) : (
+        <>
+          <SavedSearches
+            filters={filters}
+            showAll={showAll}
+            onApply={handleApplySavedSearch}
+          />
+
+          {/* Search and Filter Component */}
+          <SearchFilters 
+            onFilterChange={handleFilterChange}
+            filters={filters}
+            facets={facets}
+          />
+        </>
+      )}
 
       {/* Results Summary */}
       <div className="mb-1" style={{ color: '#666' }}>
@@ -141,10 +250,13 @@ const BrowseTasks = () => {
           <p>No tasks match your current filters.</p>
         ) : (
           <p>
-            Showing {tasks.length} available task{tasks.length !== 1 ? 's' : ''}
-            {!showAll && currentUser.skills.length > 0 && (
+            Showing {tasks.length} of {total} {view === 'forYou' ? 'suggested' : 'available'} task{total !== 1 ? 's' : ''}
+            {view === 'all' && !showAll && currentUser.skills.length > 0 && (
               <> ({matchingTasks.length} match your skills)</>
             )}
+            {view === 'all' && filters.search && filters.sortBy === 'relevance' && (
+              <>, best matches for "{filters.search}" first</>
+            )}
           </p>
         )}
       </div>
@@ -172,6 +284,14 @@ const BrowseTasks = () => {
           ))}
         </div>
       )}
+
+      {hasMore && (
+        <div ref={sentinelRef} className="text-center" style={{ padding: '1rem' }}>
+          <button onClick={loadMore} className="btn btn-secondary" disabled={loadingMore}>
+            {loadingMore ? 'Loading more tasks...' : 'Load more tasks'}
+          </button>
+        </div>
+      )}
     </div>
   );
 };
@@ -146,8 +146,10 @@ const ChatPage = () => {
                     <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
                       <div style={{ flex: 1 }}>
                         <div style={{ display: 'flex', alignItems: 'center', marginBottom: '0.25rem' }}>
-                          <strong>{otherUser?.username}</strong>
-                          {otherUser?.isOnline && (
+                          <strong>
+                            {chat.isGroup ? `👥 Group (${chat.participants.length})` : otherUser?.username}
+                          </strong>
+                          {!chat.isGroup && otherUser?.isOnline && (
                             <span style={{ color: '#28a745', fontSize: '0.8rem', marginLeft: '0.5rem' }}>
                               • Online
                             </span>
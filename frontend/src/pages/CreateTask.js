@@ -1,22 +1,64 @@
-import React, { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import DurationSelector from '../components/DurationSelector';
+import RecommendedHelpers from '../components/RecommendedHelpers';
+import SkillAutocomplete from '../components/SkillAutocomplete';
 import { validateCustomDuration } from '../utils/durationUtils';
 import api from '../utils/api';
 
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const parseSkills = (text) => text.split(',').map(skill => skill.trim()).filter(skill => skill);
+
+// Form fields taken from a saved template or a task being duplicated.
+// The date is left out: a copied task almost always needs a new one.
+const toFormFields = (source) => ({
+  title: source.title || '',
+  description: source.description || '',
+  skillsRequired: (source.skillsRequired || []).join(', '),
+  skillsNiceToHave: (source.skillsNiceToHave || []).join(', '),
+  duration: source.duration || '',
+  credits: source.credits || 20,
+  urgency: source.urgency || 'medium',
+  slots: source.slots || 1,
+  groupChat: Boolean(source.groupChat),
+  visibility: source.visibility || 'public'
+});
+
 const CreateTask = () => {
   const { currentUser } = useAuth();
   const navigate = useNavigate();
+  const location = useLocation();
   const [formData, setFormData] = useState({
     title: '',
     description: '',
     skillsRequired: '',
+    skillsNiceToHave: '',
     dateTime: '',
     duration: '',
     credits: 20,
-    urgency: 'medium'
+    urgency: 'medium',
+    slots: 1,
+    groupChat: false,
+    visibility: 'public'
+  });
+  const [milestones, setMilestones] = useState([]);
+  const [recurrence, setRecurrence] = useState({
+    frequency: 'none',
+    interval: 1,
+    byWeekday: [],
+    endType: 'never',
+    until: '',
+    count: '',
+    rule: '',
+    keepSameHelper: false
   });
+  const [createdTask, setCreatedTask] = useState(null);
+  const [templates, setTemplates] = useState([]);
+  const [selectedTemplateId, setSelectedTemplateId] = useState('');
+  const [templateName, setTemplateName] = useState('');
+  const [templateMessage, setTemplateMessage] = useState('');
   const [durationError, setDurationError] = useState('');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
@@ -29,6 +71,109 @@ const CreateTask = () => {
     }
   }, [currentUser, navigate]);
 
+  useEffect(() => {
+    fetchTemplates();
+
+    const duplicateFrom = location.state?.duplicateFrom;
+    if (duplicateFrom) {
+      setFormData(current => ({ ...current, ...toFormFields(duplicateFrom) }));
+      // Milestone dates belong to the original task, so only titles and credits carry over
+      setMilestones((duplicateFrom.milestones || []).map(milestone => ({
+        title: milestone.title,
+        description: milestone.description || '',
+        credits: milestone.credits,
+        dueDate: ''
+      })));
+    }
+  }, [location.state]);
+
+  const fetchTemplates = async () => {
+    try {
+      const response = await api.get('/tasks/templates');
+      setTemplates(response.data);
+    } catch (error) {
+      console.error('Error fetching task templates:', error);
+    }
+  };
+
+  const showTemplateMessage = (message) => {
+    setTemplateMessage(message);
+    setTimeout(() => setTemplateMessage(''), 3000);
+  };
+
+  const handleTemplateSelect = async (templateId) => {
+    setSelectedTemplateId(templateId);
+    if (!templateId) {
+      setTemplateName('');
+      return;
+    }
+
+    try {
+      const response = await api.get(`/tasks/templates/${templateId}?use=true`);
+      setFormData({ ...formData, ...toFormFields(response.data) });
+      setTemplateName(response.data.name);
+      setDurationError('');
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to load template');
+    }
+  };
+
+  const templatePayload = () => ({
+    name: templateName.trim() || formData.title,
+    title: formData.title,
+    description: formData.description,
+    skillsRequired: parseSkills(formData.skillsRequired),
+    skillsNiceToHave: parseSkills(formData.skillsNiceToHave),
+    duration: formData.duration,
+    credits: parseInt(formData.credits),
+    urgency: formData.urgency,
+    slots: parseInt(formData.slots) || 1,
+    groupChat: parseInt(formData.slots) > 1 && formData.groupChat
+  });
+
+  const handleSaveTemplate = async () => {
+    try {
+      setError('');
+      const response = await api.post('/tasks/templates', templatePayload());
+      await fetchTemplates();
+      setSelectedTemplateId(response.data._id);
+      setTemplateName(response.data.name);
+      showTemplateMessage(`Saved template "${response.data.name}"`);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to save template');
+    }
+  };
+
+  const handleUpdateTemplate = async () => {
+    try {
+      setError('');
+      const response = await api.put(`/tasks/templates/${selectedTemplateId}`, templatePayload());
+      await fetchTemplates();
+      setTemplateName(response.data.name);
+      showTemplateMessage(`Updated template "${response.data.name}"`);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to update template');
+    }
+  };
+
+  const handleDeleteTemplate = async () => {
+    const template = templates.find(item => item._id === selectedTemplateId);
+    if (!template || !window.confirm(`Delete the template "${template.name}"?`)) {
+      return;
+    }
+
+    try {
+      setError('');
+      await api.delete(`/tasks/templates/${selectedTemplateId}`);
+      setTemplates(templates.filter(item => item._id !== selectedTemplateId));
+      setSelectedTemplateId('');
+      setTemplateName('');
+      showTemplateMessage('Template deleted');
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to delete template');
+    }
+  };
+
   const handleChange = (e) => {
     setFormData({
       ...formData,
@@ -55,6 +200,50 @@ const CreateTask = () => {
     }
   };
 
+  const milestoneTotal = milestones.reduce((sum, milestone) => sum + (parseInt(milestone.credits) || 0), 0);
+
+  const addMilestone = () => {
+    setMilestones([...milestones, { title: '', description: '', credits: '', dueDate: '' }]);
+  };
+
+  const updateMilestone = (index, field, value) => {
+    setMilestones(milestones.map((milestone, i) => 
+      i === index ? { ...milestone, [field]: value } : milestone
+    ));
+  };
+
+  const removeMilestone = (index) => {
+    setMilestones(milestones.filter((_, i) => i !== index));
+  };
+
+  const handleRecurrenceChange = (field, value) => {
+    setRecurrence({ ...recurrence, [field]: value });
+  };
+
+  const toggleWeekday = (day) => {
+    const byWeekday = recurrence.byWeekday.includes(day)
+      ? recurrence.byWeekday.filter(d => d !== day)
+      : [...recurrence.byWeekday, day];
+    handleRecurrenceChange('byWeekday', byWeekday);
+  };
+
+  const buildRecurrence = () => {
+    // Weekdays and dates repeat in the provider's own time zone
+    const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    if (recurrence.frequency === 'custom') {
+      return { rule: recurrence.rule.trim(), timezone };
+    }
+
+    return {
+      timezone,
+      frequency: recurrence.frequency,
+      interval: parseInt(recurrence.interval) || 1,
+      byWeekday: recurrence.frequency === 'weekly' ? recurrence.byWeekday : [],
+      until: recurrence.endType === 'until' ? recurrence.until : undefined,
+      count: recurrence.endType === 'count' ? parseInt(recurrence.count) : undefined
+    };
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
@@ -74,15 +263,39 @@ const CreateTask = () => {
       return;
     }
 
+    if (milestones.length > 0 && milestoneTotal !== parseInt(formData.credits)) {
+      setError(`Milestone credits add up to ${milestoneTotal} but the task pays ${formData.credits}`);
+      setLoading(false);
+      return;
+    }
+
     try {
       const taskData = {
         ...formData,
-        skillsRequired: formData.skillsRequired.split(',').map(skill => skill.trim()).filter(skill => skill),
-        credits: parseInt(formData.credits)
+        skillsRequired: parseSkills(formData.skillsRequired),
+        skillsNiceToHave: parseSkills(formData.skillsNiceToHave),
+        credits: parseInt(formData.credits),
+        slots: parseInt(formData.slots) || 1,
+        groupChat: parseInt(formData.slots) > 1 && formData.groupChat,
+        milestones: milestones.map(milestone => ({
+          ...milestone,
+          credits: parseInt(milestone.credits)
+        }))
       };
 
-      await api.post('/tasks', taskData);
-      navigate('/my-tasks');
+      // Recurring tasks are posted as a series that creates each occurrence ahead of time
+      if (recurrence.frequency !== 'none') {
+        await api.post('/tasks/series', {
+          ...taskData,
+          recurrence: buildRecurrence(),
+          keepSameHelper: recurrence.keepSameHelper
+        });
+        navigate('/my-tasks');
+      } else {
+        // Show helpers worth inviting before moving on
+        const response = await api.post('/tasks', taskData);
+        setCreatedTask(response.data);
+      }
     } catch (error) {
       setError(error.response?.data?.message || 'Failed to create task');
     } finally {
@@ -94,6 +307,22 @@ const CreateTask = () => {
     return null;
   }
 
+  if (createdTask) {
+    return (
+      <div className="form-container">
+        <div className="success">"{createdTask.title}" is posted and accepting applications.</div>
+        <h2 className="mb-1">🎯 Helpers who could do it</h2>
+        <p style={{ color: '#666' }}>
+          Ranked by matching skills, rating, experience, how quickly they reply and whether they are free at that time.
+        </p>
+        <RecommendedHelpers taskId={createdTask._id} />
+        <button onClick={() => navigate('/my-tasks')} className="btn" style={{ width: '100%', marginTop: '1.5rem' }}>
+          Go to My Tasks
+        </button>
+      </div>
+    );
+  }
+
   return (
     <div className="form-container">
       <h2 className="text-center mb-2">Post a New Task</h2>
@@ -102,6 +331,32 @@ const CreateTask = () => {
       </p>
       
       {error && <div className="error">{error}</div>}
+      {templateMessage && <div className="success">{templateMessage}</div>}
+
+      {templates.length > 0 && (
+        <div className="form-group">
+          <label>Start from a template:</label>
+          <div className="flex gap-1">
+            <select
+              value={selectedTemplateId}
+              onChange={(e) => handleTemplateSelect(e.target.value)}
+              style={{ flex: 1 }}
+            >
+              <option value="">No template</option>
+              {templates.map(template => (
+                <option key={template._id} value={template._id}>
+                  {template.name}
+                </option>
+              ))}
+            </select>
+            {selectedTemplateId && (
+              <button type="button" onClick={handleDeleteTemplate} className="btn btn-danger">
+                Delete
+              </button>
+            )}
+          </div>
+        </div>
+      )}
       
       <form onSubmit={handleSubmit}>
         <div className="form-group">
@@ -130,16 +385,29 @@ const CreateTask = () => {
         
         <div className="form-group">
           <label>Skills Required (comma-separated):</label>
-          <input
-            type="text"
+          <SkillAutocomplete
             name="skillsRequired"
             value={formData.skillsRequired}
-            onChange={handleChange}
+            onChange={(skillsRequired) => setFormData(prev => ({ ...prev, skillsRequired }))}
             placeholder="e.g., JavaScript, Design, Writing, Data Analysis, Project Management"
             required
           />
           <small style={{ color: '#666' }}>
-            Helpers with these skills will see your task first and can apply
+            Helpers with these skills will see your task first and can apply. Common spellings
+            like "JS" and "JavaScript" are treated as the same skill.
+          </small>
+        </div>
+
+        <div className="form-group">
+          <label>Nice-to-Have Skills (optional, comma-separated):</label>
+          <SkillAutocomplete
+            name="skillsNiceToHave"
+            value={formData.skillsNiceToHave}
+            onChange={(skillsNiceToHave) => setFormData(prev => ({ ...prev, skillsNiceToHave }))}
+            placeholder="e.g., TypeScript, Photography"
+          />
+          <small style={{ color: '#666' }}>
+            Not needed to apply, but applicants who have them get a higher match score
           </small>
         </div>
         
@@ -181,6 +449,113 @@ const CreateTask = () => {
           </small>
         </div>
         
+        <div className="form-group">
+          <label>Helpers Needed:</label>
+          <input
+            type="number"
+            name="slots"
+            value={formData.slots}
+            onChange={handleChange}
+            min="1"
+            max="20"
+            required
+          />
+          <small style={{ color: '#666' }}>
+            {parseInt(formData.slots) > 1
+              ? `Each helper is booked and paid separately: up to ${formData.credits * formData.slots} credits in total.`
+              : 'Need several people for the same job? Increase the number of slots.'
+            }
+          </small>
+        </div>
+        
+        {parseInt(formData.slots) > 1 && (
+          <div className="form-group">
+            <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+              <input
+                type="checkbox"
+                checked={formData.groupChat}
+                onChange={(e) => setFormData({ ...formData, groupChat: e.target.checked })}
+                style={{ width: 'auto' }}
+              />
+              Create a group chat with all helpers
+            </label>
+          </div>
+        )}
+        
+        {/* Milestones (not available on recurring tasks) */}
+        {recurrence.frequency === 'none' && (
+          <div className="form-group">
+            <label>Milestones (optional):</label>
+            <small style={{ color: '#666', display: 'block', marginBottom: '0.5rem' }}>
+              Split larger tasks into deliverables. The helper is paid each milestone's credits as you accept it.
+            </small>
+          
+            {milestones.map((milestone, index) => (
+              <div key={index} style={{
+                padding: '1rem',
+                border: '1px solid #e1e5e9',
+                borderRadius: '8px',
+                marginBottom: '0.75rem',
+                backgroundColor: '#f8f9fa'
+              }}>
+                <div style={{ display: 'flex', gap: '0.5rem', marginBottom: '0.5rem' }}>
+                  <input
+                    type="text"
+                    value={milestone.title}
+                    onChange={(e) => updateMilestone(index, 'title', e.target.value)}
+                    placeholder={`Milestone ${index + 1} title`}
+                    required
+                    style={{ flex: 2 }}
+                  />
+                  <input
+                    type="number"
+                    value={milestone.credits}
+                    onChange={(e) => updateMilestone(index, 'credits', e.target.value)}
+                    placeholder="Credits"
+                    min="1"
+                    required
+                    style={{ flex: 1 }}
+                  />
+                </div>
+                <div style={{ display: 'flex', gap: '0.5rem', marginBottom: '0.5rem' }}>
+                  <input
+                    type="date"
+                    value={milestone.dueDate}
+                    onChange={(e) => updateMilestone(index, 'dueDate', e.target.value)}
+                    min={new Date().toISOString().slice(0, 10)}
+                    required
+                    style={{ flex: 1 }}
+                  />
+                  <button
+                    type="button"
+                    onClick={() => removeMilestone(index)}
+                    className="btn btn-secondary"
+                    style={{ padding: '0.25rem 0.75rem' }}
+                  >
+                    Remove
+                  </button>
+                </div>
+                <textarea
+                  value={milestone.description}
+                  onChange={(e) => updateMilestone(index, 'description', e.target.value)}
+                  placeholder="What should be delivered for this milestone?"
+                  rows="2"
+                />
+              </div>
+            ))}
+          
+            {milestones.length > 0 && (
+              <small style={{ color: milestoneTotal === parseInt(formData.credits) ? '#28a745' : '#dc3545', display: 'block', marginBottom: '0.5rem' }}>
+                Milestones total {milestoneTotal} of {formData.credits} credits
+              </small>
+            )}
+          
+            <button type="button" onClick={addMilestone} className="btn btn-secondary">
+              + Add Milestone
+            </button>
+          </div>
+        )}
+        
         <div className="form-group">
           <label>Urgency Level:</label>
           <select
@@ -193,6 +568,179 @@ const CreateTask = () => {
             <option value="high">🔴 High - Urgent, need soon</option>
           </select>
         </div>
+
+        <div className="form-group">
+          <label>Who can find this task:</label>
+          <select
+            name="visibility"
+            value={formData.visibility}
+            onChange={handleChange}
+          >
+            <option value="public">🌍 Public - Listed for all helpers</option>
+            <option value="unlisted">🔗 Unlisted - Only people with the link</option>
+            <option value="invite-only">✉️ Invite-only - Only helpers you invite</option>
+          </select>
+          {formData.visibility === 'invite-only' && (
+            <small style={{ color: '#666' }}>
+              After posting you can invite helpers from the recommendations. Only they can see and apply.
+            </small>
+          )}
+        </div>
+        
+        {/* Recurrence */}
+        <div className="form-group">
+          <label>Repeat:</label>
+          <select
+            value={recurrence.frequency}
+            onChange={(e) => handleRecurrenceChange('frequency', e.target.value)}
+          >
+            <option value="none">Does not repeat</option>
+            <option value="daily">Daily</option>
+            <option value="weekly">Weekly</option>
+            <option value="monthly">Monthly</option>
+            <option value="custom">Custom rule</option>
+          </select>
+        </div>
+        
+        {recurrence.frequency !== 'none' && (
+          <div style={{
+            padding: '1rem',
+            border: '1px solid #e1e5e9',
+            borderRadius: '8px',
+            marginBottom: '1rem',
+            backgroundColor: '#f8f9fa'
+          }}>
+            {recurrence.frequency === 'custom' ? (
+              <div className="form-group">
+                <label>Recurrence rule:</label>
+                <input
+                  type="text"
+                  value={recurrence.rule}
+                  onChange={(e) => handleRecurrenceChange('rule', e.target.value)}
+                  placeholder="e.g., FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;COUNT=10"
+                  required
+                />
+                <small style={{ color: '#666' }}>
+                  Supports FREQ (DAILY, WEEKLY, MONTHLY), INTERVAL, BYDAY, COUNT and UNTIL
+                </small>
+              </div>
+            ) : (
+              <>
+                <div className="form-group">
+                  <label>Every:</label>
+                  <input
+                    type="number"
+                    value={recurrence.interval}
+                    onChange={(e) => handleRecurrenceChange('interval', e.target.value)}
+                    min="1"
+                  />
+                  <small style={{ color: '#666' }}>
+                    {{ daily: 'day(s)', weekly: 'week(s)', monthly: 'month(s)' }[recurrence.frequency]}
+                  </small>
+                </div>
+                
+                {recurrence.frequency === 'weekly' && (
+                  <div className="form-group">
+                    <label>On:</label>
+                    <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
+                      {WEEKDAYS.map((label, day) => (
+                        <button
+                          key={label}
+                          type="button"
+                          onClick={() => toggleWeekday(day)}
+                          className={`btn ${recurrence.byWeekday.includes(day) ? 'btn-success' : 'btn-secondary'}`}
+                          style={{ padding: '0.25rem 0.75rem' }}
+                        >
+                          {label}
+                        </button>
+                      ))}
+                    </div>
+                    <small style={{ color: '#666' }}>
+                      Leave empty to repeat on the start date's weekday
+                    </small>
+                  </div>
+                )}
+                
+                <div className="form-group">
+                  <label>Ends:</label>
+                  <select
+                    value={recurrence.endType}
+                    onChange={(e) => handleRecurrenceChange('endType', e.target.value)}
+                  >
+                    <option value="never">Never</option>
+                    <option value="until">On a date</option>
+                    <option value="count">After a number of occurrences</option>
+                  </select>
+                </div>
+                
+                {recurrence.endType === 'until' && (
+                  <div className="form-group">
+                    <input
+                      type="date"
+                      value={recurrence.until}
+                      onChange={(e) => handleRecurrenceChange('until', e.target.value)}
+                      required
+                    />
+                  </div>
+                )}
+                
+                {recurrence.endType === 'count' && (
+                  <div className="form-group">
+                    <input
+                      type="number"
+                      value={recurrence.count}
+                      onChange={(e) => handleRecurrenceChange('count', e.target.value)}
+                      min="1"
+                      placeholder="Number of occurrences"
+                      required
+                    />
+                  </div>
+                )}
+              </>
+            )}
+            
+            <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+              <input
+                type="checkbox"
+                checked={recurrence.keepSameHelper}
+                onChange={(e) => handleRecurrenceChange('keepSameHelper', e.target.checked)}
+                style={{ width: 'auto' }}
+              />
+              Keep the same helper: book the first helper you accept on every occurrence
+            </label>
+          </div>
+        )}
+
+        <div className="form-group">
+          <label>Save these details as a template:</label>
+          <div className="flex gap-1">
+            <input
+              type="text"
+              value={templateName}
+              onChange={(e) => setTemplateName(e.target.value)}
+              placeholder={formData.title || 'Template name'}
+              style={{ flex: 1 }}
+            />
+            <button
+              type="button"
+              onClick={handleSaveTemplate}
+              className="btn btn-secondary"
+              disabled={!formData.title || !formData.description || !formData.duration || durationError}
+            >
+              Save as New
+            </button>
+            {selectedTemplateId && (
+              <button
+                type="button"
+                onClick={handleUpdateTemplate}
+                className="btn btn-secondary"
+                disabled={!formData.title || !formData.description || !formData.duration || durationError}
+              >
+                Update Template
+              </button>
+            )}
+          </div>
+        </div>
         
         <button type="submit" className="btn" disabled={loading || durationError} style={{ width: '100%' }}>
           {loading ? 'Posting Task...' : 'Post Task & Accept Applications'}
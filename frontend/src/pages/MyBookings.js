@@ -4,6 +4,7 @@ import { useAuth } from '../context/AuthContext';
 import api from '../utils/api';
 import BookingCard from '../components/BookingCard';
 import BookingDetailsModal from '../components/BookingDetailsModal';
+import CalendarFeed from '../components/CalendarFeed';
 
 const MyBookings = () => {
   const { currentUser } = useAuth();
@@ -35,21 +36,31 @@ const MyBookings = () => {
     }
   };
 
-  const handleStatusUpdate = async (bookingId, newStatus, workNote = '') => {
+  const handleStatusUpdate = async (bookingId, newStatus, workNote = '', deliverables, revisionNote) => {
     try {
       setError('');
       setSuccess('');
       
-      await api.put(`/bookings/${bookingId}/status`, { 
+      const response = await api.put(`/bookings/${bookingId}/status`, { 
         status: newStatus,
-        workNote 
+        workNote,
+        deliverables,
+        revisionNote
       });
       setSuccess(`Task status updated to ${newStatus}!`);
       
       // Update booking in state
       setBookings(bookings.map(booking => 
         booking._id === bookingId 
-          ? { ...booking, status: newStatus, workSubmissionNote: workNote || booking.workSubmissionNote }
+          ? {
+              ...booking,
+              status: response.data.status,
+              workSubmissionNote: response.data.workSubmissionNote,
+              deliverables: response.data.deliverables,
+              submissions: response.data.submissions,
+              revisionCount: response.data.revisionCount,
+              cancellation: response.data.cancellation
+            }
           : booking
       ));
       
@@ -60,6 +71,40 @@ const MyBookings = () => {
     }
   };
 
+  const handleMilestoneUpdate = (bookingId, updated) => {
+    setBookings(bookings.map(booking => 
+      booking._id === bookingId 
+        ? { ...booking, status: updated.status, milestones: updated.milestones, completedAt: updated.completedAt }
+        : booking
+    ));
+
+    if (updated.status === 'completed') {
+      setSuccess('All milestones accepted. The booking is complete!');
+      setTimeout(() => setSuccess(''), 3000);
+    }
+  };
+
+  const handleOpenDispute = async (bookingId, disputeData) => {
+    try {
+      setError('');
+      setSuccess('');
+      
+      const response = await api.post(`/bookings/${bookingId}/dispute`, disputeData);
+      setSuccess('Dispute opened. The escrowed credits are frozen until an admin resolves it.');
+      
+      setBookings(bookings.map(booking => 
+        booking._id === bookingId 
+          ? { ...booking, status: response.data.status, dispute: response.data.dispute }
+          : booking
+      ));
+      
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to open dispute');
+      setTimeout(() => setError(''), 3000);
+    }
+  };
+
   const handleReviewSubmit = async (bookingId, reviewData) => {
     try {
       setError('');
@@ -101,11 +146,11 @@ const MyBookings = () => {
   const taskProviderBookings = bookings.filter(b => b.taskProvider._id === currentUser.id);
 
   // Filter by status
-  const activeHelperBookings = helperBookings.filter(b => ['confirmed', 'in-progress', 'work-submitted'].includes(b.status));
+  const activeHelperBookings = helperBookings.filter(b => ['confirmed', 'in-progress', 'work-submitted', 'revision-requested', 'disputed'].includes(b.status));
   const completedHelperBookings = helperBookings.filter(b => b.status === 'completed');
   const cancelledHelperBookings = helperBookings.filter(b => b.status === 'cancelled');
 
-  const activeProviderBookings = taskProviderBookings.filter(b => ['confirmed', 'in-progress', 'work-submitted'].includes(b.status));
+  const activeProviderBookings = taskProviderBookings.filter(b => ['confirmed', 'in-progress', 'work-submitted', 'revision-requested', 'disputed'].includes(b.status));
   const completedProviderBookings = taskProviderBookings.filter(b => b.status === 'completed');
   const cancelledProviderBookings = taskProviderBookings.filter(b => b.status === 'cancelled');
 
@@ -155,6 +200,8 @@ const MyBookings = () => {
                         <BookingCard
                           booking={booking}
                           onStatusUpdate={handleStatusUpdate}
+                          onOpenDispute={handleOpenDispute}
+                          onMilestoneUpdate={handleMilestoneUpdate}
                           onReviewSubmit={handleReviewSubmit}
                         />
                         <button
@@ -180,6 +227,8 @@ const MyBookings = () => {
                         <BookingCard
                           booking={booking}
                           onStatusUpdate={handleStatusUpdate}
+                          onOpenDispute={handleOpenDispute}
+                          onMilestoneUpdate={handleMilestoneUpdate}
                           onReviewSubmit={handleReviewSubmit}
                         />
                         <button
@@ -205,6 +254,8 @@ const MyBookings = () => {
                         <BookingCard
                           booking={booking}
                           onStatusUpdate={handleStatusUpdate}
+                          onOpenDispute={handleOpenDispute}
+                          onMilestoneUpdate={handleMilestoneUpdate}
                           onReviewSubmit={handleReviewSubmit}
                         />
                         <button
@@ -237,6 +288,8 @@ const MyBookings = () => {
                         <BookingCard
                           booking={booking}
                           onStatusUpdate={handleStatusUpdate}
+                          onOpenDispute={handleOpenDispute}
+                          onMilestoneUpdate={handleMilestoneUpdate}
                           onReviewSubmit={handleReviewSubmit}
                         />
                         <button
@@ -262,6 +315,8 @@ const MyBookings = () => {
                         <BookingCard
                           booking={booking}
                           onStatusUpdate={handleStatusUpdate}
+                          onOpenDispute={handleOpenDispute}
+                          onMilestoneUpdate={handleMilestoneUpdate}
                           onReviewSubmit={handleReviewSubmit}
                         />
                         <button
@@ -287,6 +342,8 @@ const MyBookings = () => {
                         <BookingCard
                           booking={booking}
                           onStatusUpdate={handleStatusUpdate}
+                          onOpenDispute={handleOpenDispute}
+                          onMilestoneUpdate={handleMilestoneUpdate}
                           onReviewSubmit={handleReviewSubmit}
                         />
                         <button
@@ -314,6 +371,8 @@ const MyBookings = () => {
         onReviewSubmit={handleReviewSubmit}
       />
 
+      <CalendarFeed onSaved={setSuccess} onError={setError} />
+
       {/* Tips Section */}
       <div className="card mt-2" style={{ backgroundColor: '#f8f9fa' }}>
         <h4>💡 Booking Tips:</h4>
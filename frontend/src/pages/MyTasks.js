@@ -7,6 +7,8 @@ import TaskCard from '../components/TaskCard';
 import ApplicantsList from '../components/ApplicantsList';
 import TaskCompletionModal from '../components/TaskCompletionModal';
 import DeliverableViewer from '../components/DeliverableViewer';
+import TaskSeriesList from '../components/TaskSeriesList';
+import RecommendedHelpers from '../components/RecommendedHelpers';
 
 const MyTasks = () => {
   const { currentUser } = useAuth();
@@ -19,6 +21,8 @@ const MyTasks = () => {
   const [taskToComplete, setTaskToComplete] = useState(null);
   const [showDeliverables, setShowDeliverables] = useState(false);
   const [selectedTaskDeliverables, setSelectedTaskDeliverables] = useState(null);
+  const [repostDates, setRepostDates] = useState({});
+  const [recommendationsFor, setRecommendationsFor] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
@@ -48,8 +52,40 @@ const MyTasks = () => {
     alert('Edit functionality coming soon!');
   };
 
+  // Same weekday and time as the expired task, in the first week still ahead
+  const suggestRepostDate = (task) => {
+    const weekMs = 7 * 24 * 60 * 60 * 1000;
+    const original = new Date(task.dateTime);
+    const weeksBehind = Math.floor((Date.now() - original.getTime()) / weekMs) + 1;
+    const suggested = new Date(original.getTime() + Math.max(weeksBehind, 1) * weekMs);
+    const offsetMs = suggested.getTimezoneOffset() * 60 * 1000;
+    return new Date(suggested.getTime() - offsetMs).toISOString().slice(0, 16);
+  };
+
+  const handleRepost = async (task) => {
+    try {
+      setError('');
+      const dateTime = repostDates[task._id] || suggestRepostDate(task);
+      await api.post(`/tasks/${task._id}/repost`, { dateTime: new Date(dateTime).toISOString() });
+      setSuccess(`"${task.title}" reposted for ${new Date(dateTime).toLocaleString()}`);
+      await fetchMyTasks();
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to repost task');
+      setTimeout(() => setError(''), 3000);
+    }
+  };
+
+  const handleDuplicate = (task) => {
+    navigate('/post-task', { state: { duplicateFrom: task } });
+  };
+
   const handleDelete = async (taskId) => {
-    if (!window.confirm('Are you sure you want to delete this task?')) {
+    const task = tasks.find(item => item._id === taskId);
+    const prompt = task?.seriesId
+      ? 'Cancel this occurrence? The rest of the recurring series is not affected.'
+      : 'Are you sure you want to delete this task?';
+    if (!window.confirm(prompt)) {
       return;
     }
 
@@ -58,7 +94,7 @@ const MyTasks = () => {
       setSuccess('');
       
       await api.delete(`/tasks/${taskId}`);
-      setSuccess('Task deleted successfully!');
+      setSuccess(task?.seriesId ? 'Occurrence cancelled' : 'Task deleted successfully!');
       
       // Remove deleted task from list
       setTasks(tasks.filter(task => task._id !== taskId));
@@ -70,9 +106,16 @@ const MyTasks = () => {
     }
   };
 
-  const handleViewApplications = (task) => {
+  // Reload the task so applicants come with their availability at the task time
+  const handleViewApplications = async (task) => {
     setSelectedTask(task);
     setShowApplications(true);
+    try {
+      const response = await api.get(`/tasks/${task._id}`);
+      setSelectedTask(response.data);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to load applications');
+    }
   };
 
   const handleCompleteTask = (task) => {
@@ -154,6 +197,40 @@ const MyTasks = () => {
     }
   };
 
+  const refreshSelectedTask = async () => {
+    const updatedTask = await api.get(`/tasks/${selectedTask._id}`);
+    setSelectedTask(updatedTask.data);
+  };
+
+  const handleReviewApplication = async (applicationId, changes) => {
+    try {
+      setError('');
+      await api.put(`/applications/${applicationId}/review`, changes);
+      await refreshSelectedTask();
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to update application');
+      setTimeout(() => setError(''), 3000);
+    }
+  };
+
+  const handleBulkReject = async (applicationIds, responseMessage) => {
+    try {
+      setError('');
+      setSuccess('');
+
+      const response = await api.post('/applications/bulk-reject', { applicationIds, responseMessage });
+      setSuccess(response.data.message);
+
+      await fetchMyTasks();
+      await refreshSelectedTask();
+
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to reject applications');
+      setTimeout(() => setError(''), 3000);
+    }
+  };
+
   if (!currentUser) {
     return null;
   }
@@ -181,6 +258,8 @@ const MyTasks = () => {
         <ApplicantsList 
           task={selectedTask}
           onRespondToApplication={handleRespondToApplication}
+          onReviewApplication={handleReviewApplication}
+          onBulkReject={handleBulkReject}
         />
       </div>
     );
@@ -190,6 +269,7 @@ const MyTasks = () => {
   const inReviewTasks = tasks.filter(task => task.status === 'in-review');
   const assignedTasks = tasks.filter(task => ['assigned', 'in-progress'].includes(task.status));
   const completedTasks = tasks.filter(task => task.status === 'completed');
+  const expiredTasks = tasks.filter(task => task.status === 'expired');
 
   return (
     <div>
@@ -202,6 +282,8 @@ const MyTasks = () => {
       
       {error && <div className="error">{error}</div>}
       {success && <div className="success">{success}</div>}
+
+      <TaskSeriesList onChanged={fetchMyTasks} />
       
       {tasks.length === 0 ? (
         <div className="card text-center">
@@ -219,16 +301,30 @@ const MyTasks = () => {
               <h2>📋 Open Tasks - Accepting Applications ({openTasks.length})</h2>
               <div className="card-grid">
                 {openTasks.map(task => (
-                  <TaskCard
-                    key={task._id}
-                    task={task}
-                    showApplyButton={false}
-                    showEditDelete={true}
-                    showViewApplications={true}
-                    onEdit={handleEdit}
-                    onDelete={handleDelete}
-                    onViewApplications={handleViewApplications}
-                  />
+                  <div key={task._id}>
+                    <TaskCard
+                      task={task}
+                      showApplyButton={false}
+                      onDuplicate={handleDuplicate}
+                      showEditDelete={true}
+                      showViewApplications={true}
+                      onEdit={handleEdit}
+                      onDelete={handleDelete}
+                      onViewApplications={handleViewApplications}
+                    />
+                    <button
+                      onClick={() => setRecommendationsFor(recommendationsFor === task._id ? null : task._id)}
+                      className="btn btn-secondary"
+                      style={{ width: '100%', marginTop: '0.5rem' }}
+                    >
+                      {recommendationsFor === task._id ? 'Hide Suggested Helpers' : '🎯 Suggested Helpers'}
+                    </button>
+                    {recommendationsFor === task._id && (
+                      <div className="card" style={{ marginTop: '0.5rem' }}>
+                        <RecommendedHelpers taskId={task._id} limit={5} />
+                      </div>
+                    )}
+                  </div>
                 ))}
               </div>
             </div>
@@ -244,6 +340,7 @@ const MyTasks = () => {
                     key={task._id}
                     task={task}
                     showApplyButton={false}
+                    onDuplicate={handleDuplicate}
                     showEditDelete={false}
                     showViewApplications={true}
                     onViewApplications={handleViewApplications}
@@ -263,73 +360,98 @@ const MyTasks = () => {
                     <TaskCard
                       task={task}
                       showApplyButton={false}
+                      onDuplicate={handleDuplicate}
                       showEditDelete={false}
                       showViewApplications={false}
                     />
                     
-                    {/* Task Provider Controls */}
-                    <div style={{ 
-                      marginTop: '1rem', 
-                      padding: '1rem', 
-                      backgroundColor: '#f8f9fa', 
-                      borderRadius: '8px',
-                      border: '2px solid #28a745'
-                    }}>
-                      <h4 style={{ color: '#28a745', marginBottom: '0.5rem' }}>
-                        {task.status === 'in-progress' ? '🚀 Task in Progress' : '📋 Task Assigned'}
-                      </h4>
-                      <p style={{ color: '#666', marginBottom: '1rem' }}>
-                        Working with: <strong>{task.selectedHelper?.username}</strong>
-                      </p>
-                      
-                      {/* Work Submitted Status */}
-                      {task.completedByHelper && (
-                        <div style={{ 
-                          backgroundColor: '#d4edda', 
-                          padding: '1rem', 
-                          borderRadius: '4px',
-                          marginBottom: '1rem',
-                          border: '1px solid #c3e6cb'
-                        }}>
-                          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '0.5rem' }}>
-                            <strong>🎉 Helper has completed their work!</strong>
-                          </div>
-                          <p style={{ margin: '0.5rem 0', fontSize: '0.9rem' }}>
-                            Review the work and deliverables, then mark as completed when satisfied.
-                          </p>
-                          
-                          {/* View Deliverables Button */}
-                          <div style={{ display: 'flex', gap: '0.5rem', marginTop: '1rem' }}>
-                            <button
-                              onClick={() => handleViewDeliverables(task)}
-                              className="btn btn-secondary"
-                              style={{ flex: 1 }}
-                            >
-                              📦 View Submitted Work & Files
-                            </button>
+                    {/* Multi-slot tasks are completed booking by booking */}
+                    {task.slots > 1 ? (
+                      <div style={{ 
+                        marginTop: '1rem', 
+                        padding: '1rem', 
+                        backgroundColor: '#f8f9fa', 
+                        borderRadius: '8px',
+                        border: '2px solid #28a745'
+                      }}>
+                        <h4 style={{ color: '#28a745', marginBottom: '0.5rem' }}>
+                          {task.status === 'in-progress' ? '🚀 Task in Progress' : '📋 All Slots Filled'}
+                        </h4>
+                        <p style={{ color: '#666', marginBottom: '1rem' }}>
+                          Working with: <strong>{task.selectedHelpers?.map(helper => helper.username).join(', ')}</strong>
+                        </p>
+                        <Link to="/my-bookings" className="btn btn-success" style={{ width: '100%' }}>
+                          📋 Review Each Helper's Booking
+                        </Link>
+                        <small style={{ display: 'block', marginTop: '0.5rem', color: '#666', textAlign: 'center' }}>
+                          The task completes once every helper's booking is done
+                        </small>
+                      </div>
+                    ) : (
+                      /* Task Provider Controls */
+                      <div style={{ 
+                        marginTop: '1rem', 
+                        padding: '1rem', 
+                        backgroundColor: '#f8f9fa', 
+                        borderRadius: '8px',
+                        border: '2px solid #28a745'
+                      }}>
+                        <h4 style={{ color: '#28a745', marginBottom: '0.5rem' }}>
+                          {task.status === 'in-progress' ? '🚀 Task in Progress' : '📋 Task Assigned'}
+                        </h4>
+                        <p style={{ color: '#666', marginBottom: '1rem' }}>
+                          Working with: <strong>{task.selectedHelper?.username}</strong>
+                        </p>
+                        
+                        {/* Work Submitted Status */}
+                        {task.completedByHelper && (
+                          <div style={{ 
+                            backgroundColor: '#d4edda', 
+                            padding: '1rem', 
+                            borderRadius: '4px',
+                            marginBottom: '1rem',
+                            border: '1px solid #c3e6cb'
+                          }}>
+                            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '0.5rem' }}>
+                              <strong>🎉 Helper has completed their work!</strong>
+                            </div>
+                            <p style={{ margin: '0.5rem 0', fontSize: '0.9rem' }}>
+                              Review the work and deliverables, then mark as completed when satisfied.
+                            </p>
+                            
+                            {/* View Deliverables Button */}
+                            <div style={{ display: 'flex', gap: '0.5rem', marginTop: '1rem' }}>
+                              <button
+                                onClick={() => handleViewDeliverables(task)}
+                                className="btn btn-secondary"
+                                style={{ flex: 1 }}
+                              >
+                                📦 View Submitted Work & Files
+                              </button>
+                            </div>
                           </div>
-                        </div>
-                      )}
-                      
-                      <button
-                        onClick={() => handleCompleteTask(task)}
-                        className="btn btn-success"
-                        style={{ width: '100%' }}
-                        disabled={!task.completedByHelper}
-                      >
-                        {task.completedByHelper 
-                          ? '✅ Mark Task as Completed' 
-                          : '⏳ Waiting for Helper to Submit Work'
-                        }
-                      </button>
-                      
-                      <small style={{ display: 'block', marginTop: '0.5rem', color: '#666', textAlign: 'center' }}>
-                        {task.completedByHelper 
-                          ? 'This will transfer credits to the helper and complete the task'
-                          : 'Helper needs to submit their work before you can mark as completed'
-                        }
-                      </small>
-                    </div>
+                        )}
+                        
+                        <button
+                          onClick={() => handleCompleteTask(task)}
+                          className="btn btn-success"
+                          style={{ width: '100%' }}
+                          disabled={!task.completedByHelper}
+                        >
+                          {task.completedByHelper 
+                            ? '✅ Mark Task as Completed' 
+                            : '⏳ Waiting for Helper to Submit Work'
+                          }
+                        </button>
+                        
+                        <small style={{ display: 'block', marginTop: '0.5rem', color: '#666', textAlign: 'center' }}>
+                          {task.completedByHelper 
+                            ? 'This will transfer credits to the helper and complete the task'
+                            : 'Helper needs to submit their work before you can mark as completed'
+                          }
+                        </small>
+                      </div>
+                    )}
                   </div>
                 ))}
               </div>
@@ -346,6 +468,7 @@ const MyTasks = () => {
                     <TaskCard
                       task={task}
                       showApplyButton={false}
+                      onDuplicate={handleDuplicate}
                       showEditDelete={false}
                       showViewApplications={false}
                     />
@@ -377,6 +500,42 @@ const MyTasks = () => {
               </div>
             </div>
           )}
+
+          {/* Expired Tasks */}
+          {expiredTasks.length > 0 && (
+            <div className="mb-2">
+              <h2>⌛ Expired Tasks ({expiredTasks.length})</h2>
+              <div className="card-grid">
+                {expiredTasks.map(task => (
+                  <div key={task._id} className="card" style={{ opacity: 0.8 }}>
+                    <TaskCard
+                      task={task}
+                      showApplyButton={false}
+                      onDuplicate={handleDuplicate}
+                      showEditDelete={false}
+                      showViewApplications={false}
+                    />
+
+                    {task.repostedAs ? (
+                      <p style={{ marginTop: '1rem', color: '#6c757d' }}>Reposted with a new date.</p>
+                    ) : (
+                      <div className="flex gap-1" style={{ marginTop: '1rem' }}>
+                        <input
+                          type="datetime-local"
+                          value={repostDates[task._id] || suggestRepostDate(task)}
+                          onChange={(e) => setRepostDates({ ...repostDates, [task._id]: e.target.value })}
+                          style={{ flex: 1 }}
+                        />
+                        <button onClick={() => handleRepost(task)} className="btn btn-success">
+                          🔄 Repost
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
         </>
       )}
 
@@ -2,6 +2,8 @@ import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import api from '../utils/api';
+import SkillAutocomplete from '../components/SkillAutocomplete';
+import AvailabilityEditor from '../components/AvailabilityEditor';
 
 const Profile = () => {
   const { currentUser, updateUser } = useAuth();
@@ -10,6 +12,8 @@ const Profile = () => {
     bio: '',
     skills: ''
   });
+  const [wallet, setWallet] = useState(null);
+  const [stats, setStats] = useState(null);
   const [loading, setLoading] = useState(false);
   const [success, setSuccess] = useState('');
   const [error, setError] = useState('');
@@ -25,8 +29,52 @@ const Profile = () => {
       bio: currentUser.bio || '',
       skills: currentUser.skills ? currentUser.skills.join(', ') : ''
     });
+
+    fetchWallet();
+    fetchStats();
   }, [currentUser, navigate]);
 
+  const fetchWallet = async () => {
+    try {
+      const response = await api.get('/users/wallet', { params: { limit: 5 } });
+      setWallet(response.data);
+    } catch (error) {
+      console.error('Error fetching wallet:', error);
+    }
+  };
+
+  const fetchStats = async () => {
+    try {
+      const response = await api.get('/users/stats');
+      setStats(response.data);
+    } catch (error) {
+      console.error('Error fetching stats:', error);
+    }
+  };
+
+  const describeCancellation = (booking) => {
+    const { cancellation } = booking;
+    const cancelledByMe = cancellation.cancelledBy?._id === currentUser.id;
+    const iAmHelper = booking.helper === currentUser.id;
+    const who = cancelledByMe ? 'You cancelled' : `${cancellation.cancelledBy?.username || 'The other party'} cancelled`;
+
+    if (cancellation.rule === 'free') {
+      return `${who} in the free window`;
+    }
+
+    const effects = [];
+    if (cancellation.helperPayout > 0) {
+      effects.push(iAmHelper
+        ? `you received ${cancellation.helperPayout} credits`
+        : `${cancellation.helperPayout} credits paid to the helper`);
+    }
+    if (cancellation.reliabilityPenalty > 0) {
+      effects.push(`${iAmHelper ? 'your' : 'helper'} reliability -${cancellation.reliabilityPenalty}`);
+    }
+    const timing = cancellation.rule.endsWith('in_progress') ? 'after work started' : 'late';
+    return `${who} ${timing}${effects.length > 0 ? ` — ${effects.join(', ')}` : ''}`;
+  };
+
   const handleChange = (e) => {
     setFormData({
       ...formData,
@@ -102,7 +150,7 @@ const Profile = () => {
             {isPrimaryHelper ? ' 🤝 Helper' : ' 📋 Task Provider'}
           </span>
         </p>
-        <p><strong>Credits:</strong> {currentUser.credits}</p>
+        <p><strong>Credits:</strong> {wallet ? wallet.available : currentUser.credits}</p>
         <p><strong>Rating:</strong> 
           <span className="rating">
             ★ {currentUser.rating ? currentUser.rating.toFixed(1) : 'No rating yet'}
@@ -117,6 +165,96 @@ const Profile = () => {
         <p><strong>Member Since:</strong> {new Date(currentUser.createdAt).toLocaleDateString()}</p>
       </div>
 
+      {/* Wallet */}
+      {wallet && (
+        <div className="card mb-2">
+          <h3>💰 Wallet</h3>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '1rem', marginBottom: '1rem' }}>
+            <div style={{ padding: '1rem', backgroundColor: '#d4edda', borderRadius: '8px', textAlign: 'center' }}>
+              <div style={{ fontSize: '1.5rem', fontWeight: 'bold' }}>{wallet.available}</div>
+              <small>Available credits</small>
+            </div>
+            <div style={{ padding: '1rem', backgroundColor: '#fff3cd', borderRadius: '8px', textAlign: 'center' }}>
+              <div style={{ fontSize: '1.5rem', fontWeight: 'bold' }}>{wallet.held}</div>
+              <small>Held in escrow</small>
+            </div>
+          </div>
+
+          {wallet.transactions.length > 0 ? (
+            <>
+              <strong>Recent activity:</strong>
+              <ul style={{ listStyle: 'none', padding: 0, margin: '0.5rem 0 0 0' }}>
+                {wallet.transactions.map(transaction => (
+                  <li key={transaction._id} style={{
+                    display: 'flex',
+                    justifyContent: 'space-between',
+                    padding: '0.5rem 0',
+                    borderBottom: '1px solid #e1e5e9',
+                    fontSize: '0.9rem'
+                  }}>
+                    <span>
+                      {transaction.description || transaction.reason.replace(/_/g, ' ')}
+                      <small style={{ color: '#666', marginLeft: '0.5rem' }}>
+                        {new Date(transaction.createdAt).toLocaleDateString()}
+                      </small>
+                    </span>
+                    <span style={{ color: transaction.type === 'credit' ? '#28a745' : '#dc3545', fontWeight: '600' }}>
+                      {transaction.type === 'credit' ? '+' : '-'}{transaction.amount}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </>
+          ) : (
+            <p style={{ color: '#666', margin: 0 }}>No credit activity yet.</p>
+          )}
+        </div>
+      )}
+
+      {/* Reliability & Cancellations */}
+      {stats && (
+        <div className="card mb-2">
+          <h3>🛡️ Reliability</h3>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: '1rem', marginBottom: '1rem' }}>
+            <div style={{ padding: '1rem', backgroundColor: stats.reliabilityScore >= 80 ? '#d4edda' : '#fff3cd', borderRadius: '8px', textAlign: 'center' }}>
+              <div style={{ fontSize: '1.5rem', fontWeight: 'bold' }}>{stats.reliabilityScore}</div>
+              <small>Reliability score</small>
+            </div>
+            <div style={{ padding: '1rem', backgroundColor: '#f8f9fa', borderRadius: '8px', textAlign: 'center' }}>
+              <div style={{ fontSize: '1.5rem', fontWeight: 'bold' }}>{stats.cancellationCount}</div>
+              <small>Cancellations</small>
+            </div>
+            <div style={{ padding: '1rem', backgroundColor: '#f8f9fa', borderRadius: '8px', textAlign: 'center' }}>
+              <div style={{ fontSize: '1.5rem', fontWeight: 'bold' }}>{stats.lateCancellationCount}</div>
+              <small>Late cancellations</small>
+            </div>
+          </div>
+
+          {stats.recentCancellations.length > 0 ? (
+            <>
+              <strong>Recent cancellations:</strong>
+              <ul style={{ listStyle: 'none', padding: 0, margin: '0.5rem 0 0 0' }}>
+                {stats.recentCancellations.map(booking => (
+                  <li key={booking._id} style={{
+                    padding: '0.5rem 0',
+                    borderBottom: '1px solid #e1e5e9',
+                    fontSize: '0.9rem'
+                  }}>
+                    <strong>{booking.taskId?.title}</strong>
+                    <small style={{ color: '#666', marginLeft: '0.5rem' }}>
+                      {new Date(booking.cancellation.cancelledAt).toLocaleDateString()}
+                    </small>
+                    <div style={{ color: '#666' }}>{describeCancellation(booking)}</div>
+                  </li>
+                ))}
+              </ul>
+            </>
+          ) : (
+            <p style={{ color: '#666', margin: 0 }}>No cancelled bookings.</p>
+          )}
+        </div>
+      )}
+
       {/* Capabilities Settings */}
       <div className="card mb-2">
         <h3>Capabilities</h3>
@@ -168,6 +306,20 @@ const Profile = () => {
           </div>
         </div>
       </div>
+
+      {currentUser.canAcceptTasks && (
+        <AvailabilityEditor
+          onSaved={(message) => {
+            setError('');
+            setSuccess(message);
+            setTimeout(() => setSuccess(''), 3000);
+          }}
+          onError={(message) => {
+            setSuccess('');
+            setError(message);
+          }}
+        />
+      )}
       
       <form onSubmit={handleSubmit}>
         <div className="form-group">
@@ -183,11 +335,10 @@ const Profile = () => {
         
         <div className="form-group">
           <label>Your Skills (comma-separated):</label>
-          <input
-            type="text"
+          <SkillAutocomplete
             name="skills"
             value={formData.skills}
-            onChange={handleChange}
+            onChange={(skills) => setFormData(prev => ({ ...prev, skills }))}
             placeholder="e.g., JavaScript, React, Design, Writing, Data Analysis, Marketing"
           />
           <small style={{ color: '#666' }}>
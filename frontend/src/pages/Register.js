@@ -3,11 +3,13 @@ import React, { useState, useContext, useEffect } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { AuthContext } from '../context/AuthContext';
 import UserTypeSelector from '../components/UserTypeSelector';
+import SkillAutocomplete from '../components/SkillAutocomplete';
 import { useLogger } from '../hooks/useLogger';
 import './Register.css';
 
 const Register = () => {
   const [step, setStep] = useState(1);
+  const [skillSearch, setSkillSearch] = useState('');
   const [formData, setFormData] = useState({
     name: '',
     email: '',
@@ -62,6 +64,13 @@ const Register = () => {
     }));
   };
 
+  const handleSkillAdd = (skill) => {
+    setFormData(prev => ({
+      ...prev,
+      skills: prev.skills.includes(skill) ? prev.skills : [...prev.skills, skill]
+    }));
+  };
+
   const validateStep = (stepNumber) => {
     switch (stepNumber) {
       case 1:
@@ -417,7 +426,7 @@ const Register = () => {
                       <div className="form-group">
                         <label className="form-label">Your Skills</label>
                         <div className="skills-grid">
-                          {skillOptions.map(skill => (
+                          {[...skillOptions, ...formData.skills.filter(skill => !skillOptions.includes(skill))].map(skill => (
                             <button
                               key={skill}
                               type="button"
@@ -429,6 +438,16 @@ const Register = () => {
                             </button>
                           ))}
                         </div>
+                        <div style={{ marginTop: '0.75rem' }}>
+                          <SkillAutocomplete
+                            name="skillSearch"
+                            value={skillSearch}
+                            onChange={setSkillSearch}
+                            onSelect={handleSkillAdd}
+                            placeholder="Search for more skills, e.g. Plumbing or React"
+                            disabled={loading}
+                          />
+                        </div>
                       </div>
 
                       <div className="form-group">
@@ -9,6 +9,8 @@ const TaskApplications = () => {
   const navigate = useNavigate();
   const [myApplications, setMyApplications] = useState([]);
   const [receivedApplications, setReceivedApplications] = useState([]);
+  const [invitations, setInvitations] = useState([]);
+  const [capDrafts, setCapDrafts] = useState({});
   const [activeTab, setActiveTab] = useState('sent');
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
@@ -25,13 +27,15 @@ const TaskApplications = () => {
 
   const fetchApplications = async () => {
     try {
-      const [myAppsRes, receivedAppsRes] = await Promise.all([
+      const [myAppsRes, receivedAppsRes, invitationsRes] = await Promise.all([
         api.get('/applications/my-applications'),
-        api.get('/applications/received')
+        api.get('/applications/received'),
+        api.get('/tasks/invitations')
       ]);
 
       setMyApplications(myAppsRes.data);
       setReceivedApplications(receivedAppsRes.data);
+      setInvitations(invitationsRes.data);
     } catch (error) {
       setError('Failed to fetch applications');
     } finally {
@@ -62,6 +66,78 @@ const TaskApplications = () => {
     }
   };
 
+  const handleCounterOffer = async (applicationId, offer) => {
+    try {
+      setError('');
+      setSuccess('');
+
+      await api.post(`/applications/${applicationId}/offers`, offer);
+      setSuccess('↔️ Counter-offer sent. The other side will be notified.');
+      await fetchApplications();
+
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to send counter-offer');
+      setTimeout(() => setError(''), 3000);
+    }
+  };
+
+  const handleAcceptOffer = async (applicationId) => {
+    try {
+      setError('');
+      setSuccess('');
+
+      await api.post(`/applications/${applicationId}/offers/accept`);
+      setSuccess('🎉 Offer accepted! A booking has been created and you can now chat with the task provider.');
+      await fetchApplications();
+
+      setTimeout(() => setSuccess(''), 5000);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to accept offer');
+      setTimeout(() => setError(''), 3000);
+    }
+  };
+
+  // Accepting an invitation sends an application at the posted terms
+  const handleInvitation = async (taskId, answer) => {
+    try {
+      setError('');
+      setSuccess('');
+
+      const response = await api.post(`/tasks/${taskId}/invitations/${answer}`);
+      setSuccess(response.data.message);
+      await fetchApplications();
+
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to answer invitation');
+      setTimeout(() => setError(''), 3000);
+    }
+  };
+
+  // Raising the cap moves waitlisted applicants up straight away
+  const handleSaveCap = async (task) => {
+    try {
+      setError('');
+      setSuccess('');
+
+      const response = await api.put(`/tasks/${task._id}/application-cap`, {
+        maxApplications: parseInt(capDrafts[task._id])
+      });
+      const { promoted, waitlisted } = response.data;
+      setSuccess(`Application cap for "${task.title}" set to ${response.data.maxApplications}.` +
+        (promoted > 0 ? ` ${promoted} helper${promoted !== 1 ? 's' : ''} moved off the waitlist.` : '') +
+        (waitlisted > 0 ? ` ${waitlisted} still waiting.` : ''));
+      setCapDrafts({ ...capDrafts, [task._id]: undefined });
+      await fetchApplications();
+
+      setTimeout(() => setSuccess(''), 5000);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to update the application cap');
+      setTimeout(() => setError(''), 3000);
+    }
+  };
+
   const handleWithdrawApplication = async (applicationId) => {
     if (!window.confirm('Are you sure you want to withdraw this application?')) {
       return;
@@ -92,11 +168,26 @@ const TaskApplications = () => {
     return <div className="text-center">Loading applications...</div>;
   }
 
+  const isOpen = (app) => ['pending', 'waitlisted'].includes(app.status);
+
   const pendingReceived = receivedApplications.filter(app => app.status === 'pending');
-  const respondedReceived = receivedApplications.filter(app => app.status !== 'pending');
+  const waitlistedReceived = receivedApplications.filter(app => app.status === 'waitlisted');
+  const respondedReceived = receivedApplications.filter(app => !isOpen(app));
 
   const pendingSent = myApplications.filter(app => app.status === 'pending');
-  const respondedSent = myApplications.filter(app => app.status !== 'pending');
+  const waitlistedSent = myApplications.filter(app => app.status === 'waitlisted');
+  const respondedSent = myApplications.filter(app => !isOpen(app));
+
+  // Open tasks with applications, for the cap controls
+  const capTasks = Object.values(receivedApplications.reduce((byTask, app) => {
+    if (app.taskId?.status === 'open') {
+      const entry = byTask[app.taskId._id] || { task: app.taskId, active: 0, waitlisted: 0 };
+      if (['pending', 'accepted'].includes(app.status)) entry.active += 1;
+      if (app.status === 'waitlisted') entry.waitlisted += 1;
+      byTask[app.taskId._id] = entry;
+    }
+    return byTask;
+  }, {}));
 
   return (
     <div>
@@ -143,6 +234,45 @@ const TaskApplications = () => {
       {activeTab === 'sent' && (
         <div>
           <h2>📤 Applications I've Sent</h2>
+
+          {invitations.length > 0 && (
+            <div className="mb-2">
+              <h3>✉️ Invitations ({invitations.length})</h3>
+              <p style={{ color: '#666', marginBottom: '1rem' }}>
+                Task providers asked you to help. Accepting applies for you at the posted credits.
+              </p>
+              <div className="card-grid">
+                {invitations.map(({ task, invitedAt }) => (
+                  <div key={task._id} className="card">
+                    <h4>{task.title}</h4>
+                    <div className="mb-1">
+                      <strong>From:</strong> {task.taskProviderId.username}
+                      <span className="rating ml-1">
+                        ★ {task.taskProviderId.rating ? task.taskProviderId.rating.toFixed(1) : 'New'}
+                      </span>
+                    </div>
+                    <div className="mb-1">
+                      <strong>Credits:</strong> {task.credits} · <strong>When:</strong> {new Date(task.dateTime).toLocaleString()}
+                    </div>
+                    <div className="mb-1" style={{ color: '#666', fontSize: '0.9rem' }}>
+                      Invited {new Date(invitedAt).toLocaleDateString()}
+                    </div>
+                    <div className="flex gap-1">
+                      <button onClick={() => handleInvitation(task._id, 'accept')} className="btn btn-success">
+                        Accept
+                      </button>
+                      <button onClick={() => handleInvitation(task._id, 'decline')} className="btn btn-secondary">
+                        Decline
+                      </button>
+                      <button onClick={() => navigate(`/tasks/${task._id}`)} className="btn btn-secondary">
+                        View Task
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
           
           {myApplications.length === 0 ? (
             <div className="card text-center">
@@ -163,13 +293,16 @@ const TaskApplications = () => {
                 <div className="mb-2">
                   <h3>⏳ Pending Applications ({pendingSent.length})</h3>
                   <p style={{ color: '#666', marginBottom: '1rem' }}>
-                    Waiting for task providers to review and respond.
+                    Waiting for task providers to review and respond. Counter-offers from providers show up here for you to accept or answer.
                   </p>
                   <div className="card-grid">
                     {pendingSent.map(application => (
                       <div key={application._id} className="card">
                         <ApplicationCard
                           application={application}
+                          viewerRole="helper"
+                          onCounterOffer={handleCounterOffer}
+                          onAcceptOffer={handleAcceptOffer}
                           showResponseOptions={false}
                         />
                         <div className="mt-1" style={{ borderTop: '1px solid #e1e5e9', paddingTop: '1rem' }}>
@@ -190,6 +323,33 @@ const TaskApplications = () => {
                 </div>
               )}
 
+              {waitlistedSent.length > 0 && (
+                <div className="mb-2">
+                  <h3>🕒 Waitlisted ({waitlistedSent.length})</h3>
+                  <p style={{ color: '#666', marginBottom: '1rem' }}>
+                    These tasks had all the applications they could take. You move up automatically when a place opens.
+                  </p>
+                  <div className="card-grid">
+                    {waitlistedSent.map(application => (
+                      <div key={application._id} className="card">
+                        <ApplicationCard
+                          application={application}
+                          viewerRole="helper"
+                          showResponseOptions={false}
+                        />
+                        <button
+                          onClick={() => handleWithdrawApplication(application._id)}
+                          className="btn btn-danger"
+                          style={{ width: '100%' }}
+                        >
+                          🗑️ Leave Waitlist
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+
               {respondedSent.length > 0 && (
                 <div className="mb-2">
                   <h3>📋 Responded Applications ({respondedSent.length})</h3>
@@ -198,6 +358,7 @@ const TaskApplications = () => {
                       <ApplicationCard
                         key={application._id}
                         application={application}
+                        viewerRole="helper"
                         showResponseOptions={false}
                       />
                     ))}
@@ -228,6 +389,38 @@ const TaskApplications = () => {
             </div>
           ) : (
             <>
+              {capTasks.length > 0 && (
+                <div className="card mb-2">
+                  <h3>🎚️ Application Caps</h3>
+                  <p style={{ color: '#666' }}>
+                    Once a task has this many pending or accepted applications, new applicants join a waitlist.
+                    Raising the cap moves waitlisted helpers up; lowering it keeps the applications you already have.
+                  </p>
+                  {capTasks.map(({ task, active, waitlisted }) => (
+                    <div key={task._id} className="flex items-center gap-1 mb-1" style={{ flexWrap: 'wrap' }}>
+                      <strong style={{ minWidth: '200px' }}>{task.title}</strong>
+                      <span style={{ color: '#666' }}>
+                        {active}/{task.maxApplications} taken{waitlisted > 0 && ` · ${waitlisted} waitlisted`}
+                      </span>
+                      <input
+                        type="number"
+                        min="1"
+                        value={capDrafts[task._id] ?? task.maxApplications}
+                        onChange={(e) => setCapDrafts({ ...capDrafts, [task._id]: e.target.value })}
+                        style={{ width: '80px' }}
+                      />
+                      <button
+                        onClick={() => handleSaveCap(task)}
+                        className="btn btn-secondary"
+                        disabled={capDrafts[task._id] === undefined || parseInt(capDrafts[task._id]) === task.maxApplications}
+                      >
+                        Save Cap
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+
               {pendingReceived.length > 0 && (
                 <div className="mb-2">
                   <h3>⚡ Pending Applications - Need Your Response ({pendingReceived.length})</h3>
@@ -248,6 +441,7 @@ const TaskApplications = () => {
                         key={application._id}
                         application={application}
                         onRespond={handleRespondToApplication}
+                        onCounterOffer={handleCounterOffer}
                         showResponseOptions={true}
                       />
                     ))}
@@ -255,6 +449,24 @@ const TaskApplications = () => {
                 </div>
               )}
 
+              {waitlistedReceived.length > 0 && (
+                <div className="mb-2">
+                  <h3>🕒 Waitlist ({waitlistedReceived.length})</h3>
+                  <p style={{ color: '#666', marginBottom: '1rem' }}>
+                    In the order they applied. They become pending when someone withdraws or is rejected, or when you raise the cap.
+                  </p>
+                  <div className="card-grid">
+                    {[...waitlistedReceived].reverse().map(application => (
+                      <ApplicationCard
+                        key={application._id}
+                        application={application}
+                        showResponseOptions={false}
+                      />
+                    ))}
+                  </div>
+                </div>
+              )}
+
               {respondedReceived.length > 0 && (
                 <div className="mb-2">
                   <h3>✅ Responded Applications ({respondedReceived.length})</h3>
@@ -0,0 +1,121 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import api from '../utils/api';
+import TaskCard from '../components/TaskCard';
+
+// A single task, reached from a shared link or an invitation
+const TaskDetails = () => {
+  const { taskId } = useParams();
+  const { currentUser } = useAuth();
+  const navigate = useNavigate();
+  const [task, setTask] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    const fetchTask = async () => {
+      try {
+        const response = await api.get(`/tasks/${taskId}`);
+        setTask(response.data);
+      } catch (error) {
+        setError(error.response?.data?.message || 'Failed to load task');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchTask();
+  }, [taskId]);
+
+  const handleApply = async (id, applicationData) => {
+    try {
+      setError('');
+      setSuccess('');
+
+      const response = await api.post('/applications', { taskId: id, ...applicationData });
+      setSuccess((response.data.status === 'waitlisted'
+        ? 'This task has all the applications it can take, so you are on the waitlist.'
+        : 'Application submitted successfully! The task provider will review it.') +
+        (response.data.availabilityWarning ? ` Heads up: ${response.data.availabilityWarning}.` : ''));
+      setTask({ ...task, userApplicationStatus: response.data.status });
+
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to submit application');
+      setTimeout(() => setError(''), 3000);
+    }
+  };
+
+  const handleInvitation = async (answer) => {
+    try {
+      setError('');
+      setSuccess('');
+
+      const response = await api.post(`/tasks/${taskId}/invitations/${answer}`);
+      setSuccess(response.data.message);
+      setTask({
+        ...task,
+        invitationStatus: answer === 'accept' ? 'accepted' : 'declined',
+        userApplicationStatus: answer === 'accept' ? 'pending' : task.userApplicationStatus
+      });
+
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to answer invitation');
+      setTimeout(() => setError(''), 3000);
+    }
+  };
+
+  if (loading) {
+    return <div className="text-center">Loading task...</div>;
+  }
+
+  if (!task) {
+    return (
+      <div className="card text-center">
+        <h3>Task not found</h3>
+        <p>It may have been removed, or it is only open to invited helpers.</p>
+        <button onClick={() => navigate('/browse-tasks')} className="btn btn-success">
+          Browse Available Tasks
+        </button>
+      </div>
+    );
+  }
+
+  const isProvider = task.taskProviderId._id === currentUser.id;
+
+  return (
+    <div>
+      {error && <div className="error">{error}</div>}
+      {success && <div className="success">{success}</div>}
+
+      {task.invitationStatus === 'pending' && !task.userApplicationStatus && (
+        <div className="card" style={{ backgroundColor: '#f0f7ff', border: '2px solid #667eea' }}>
+          <h4>✉️ {task.taskProviderId.username} invited you to this task</h4>
+          <p style={{ color: '#666' }}>
+            Accepting sends your application right away at the posted {task.credits} credits.
+            You can still negotiate the terms afterwards.
+          </p>
+          <div className="flex gap-1">
+            <button onClick={() => handleInvitation('accept')} className="btn btn-success">
+              Accept Invitation
+            </button>
+            <button onClick={() => handleInvitation('decline')} className="btn btn-secondary">
+              Decline
+            </button>
+          </div>
+        </div>
+      )}
+
+      <TaskCard
+        task={task}
+        onApply={handleApply}
+        showApplyButton={!isProvider && task.invitationStatus !== 'pending'}
+      />
+    </div>
+  );
+};
+
+export default TaskDetails;
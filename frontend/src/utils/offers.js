@@ -0,0 +1,17 @@
+// Helpers for the counter-offer thread on applications
+
+// The offer waiting for an answer. Applications from before negotiation
+// only carry the helper's proposedCredits.
+export const currentOffer = (application) => {
+  if (application.offers?.length > 0) {
+    return application.offers[application.offers.length - 1];
+  }
+  return { by: 'helper', credits: application.proposedCredits, dateTime: null, message: '' };
+};
+
+export const offerAuthorLabel = (offer, viewerRole) => {
+  if (offer.by === viewerRole) {
+    return 'You';
+  }
+  return offer.by === 'helper' ? 'Helper' : 'Task provider';
+};